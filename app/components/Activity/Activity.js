@@ -11,6 +11,7 @@ import Wallet from 'components/Wallet'
 import Invoice from './Invoice'
 import Payment from './Payment'
 import Transaction from './Transaction'
+import Forward from './Forward'
 
 import styles from './Activity.scss'
 
@@ -32,7 +33,8 @@ class Activity extends Component {
       fetchInvoices,
       fetchTransactions,
       fetchBalance,
-      fetchChannels
+      fetchChannels,
+      fetchForwardingHistory
     } = this.props
 
     fetchBalance()
@@ -40,15 +42,35 @@ class Activity extends Component {
     fetchInvoices()
     fetchTransactions()
     fetchChannels()
+    fetchForwardingHistory()
 
     // HACK: wait 10 seconds and fetch channels again, allowing the node to establish connections with the remote party
     setTimeout(() => fetchChannels(), 10000)
   }
 
   renderActivity(activity) {
-    const { ticker, currentTicker, showActivityModal, network, currencyName } = this.props
+    const {
+      ticker,
+      currentTicker,
+      showActivityModal,
+      network,
+      channelNames,
+      currencyName
+    } = this.props
 
-    if (Object.prototype.hasOwnProperty.call(activity, 'block_hash')) {
+    if (Object.prototype.hasOwnProperty.call(activity, 'chan_id_out')) {
+      // activity is a forwarded LN payment
+      return (
+        <Forward
+          forward={activity}
+          ticker={ticker}
+          currentTicker={currentTicker}
+          showActivityModal={showActivityModal}
+          channelNames={channelNames}
+          currencyName={currencyName}
+        />
+      )
+    } else if (Object.prototype.hasOwnProperty.call(activity, 'block_hash')) {
       // activity is an on-chain tx
       return (
         <Transaction
@@ -97,6 +119,7 @@ class Activity extends Component {
       fetchInvoices,
       fetchTransactions,
       fetchBalance,
+      fetchForwardingHistory,
 
       updateSearchActive,
       updateSearchText,
@@ -120,6 +143,7 @@ class Activity extends Component {
       fetchPayments()
       fetchInvoices()
       fetchTransactions()
+      fetchForwardingHistory()
 
       // wait for the svg to appear as child
       const svgTimeout = setTimeout(() => {
@@ -240,10 +264,12 @@ Activity.propTypes = {
   fetchTransactions: PropTypes.func.isRequired,
   fetchBalance: PropTypes.func.isRequired,
   fetchChannels: PropTypes.func.isRequired,
+  fetchForwardingHistory: PropTypes.func.isRequired,
 
   ticker: PropTypes.object.isRequired,
   currentTicker: PropTypes.object.isRequired,
   network: PropTypes.object.isRequired,
+  channelNames: PropTypes.object.isRequired,
 
   showActivityModal: PropTypes.func.isRequired,
   changeFilter: PropTypes.func.isRequired,
@@ -6,6 +6,7 @@ import x from 'icons/x.svg'
 import TransactionModal from '../TransactionModal'
 import PaymentModal from '../PaymentModal'
 import InvoiceModal from '../InvoiceModal'
+import ForwardModal from '../ForwardModal'
 
 import styles from './ActivityModal.scss'
 
@@ -15,6 +16,7 @@ const ActivityModal = ({
   ticker,
   currentTicker,
   network,
+  channelNames,
 
   hideActivityModal,
   toggleCurrencyProps
@@ -22,7 +24,8 @@ const ActivityModal = ({
   const MODAL_COMPONENTS = {
     TRANSACTION: TransactionModal,
     PAYMENT: PaymentModal,
-    INVOICE: InvoiceModal
+    INVOICE: InvoiceModal,
+    FORWARD: ForwardModal
   }
 
   if (!item) {
@@ -41,6 +44,7 @@ const ActivityModal = ({
       <SpecificModal
         item={item}
         network={network}
+        channelNames={channelNames}
         ticker={ticker}
         currentTicker={currentTicker}
         toggleCurrencyProps={toggleCurrencyProps}
@@ -54,6 +58,7 @@ ActivityModal.propTypes = {
   currentTicker: PropTypes.object.isRequired,
   toggleCurrencyProps: PropTypes.object.isRequired,
   network: PropTypes.object.isRequired,
+  channelNames: PropTypes.object.isRequired,
   item: PropTypes.object,
   itemType: PropTypes.string,
   hideActivityModal: PropTypes.func.isRequired
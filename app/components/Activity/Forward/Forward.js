@@ -0,0 +1,83 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import Isvg from 'react-inlinesvg'
+import channels from 'icons/channels.svg'
+
+import { btc } from 'lib/utils'
+import Value from 'components/Value'
+
+import { FormattedNumber, FormattedMessage, FormattedTime, injectIntl } from 'react-intl'
+import messages from './messages'
+
+import styles from '../Activity.scss'
+
+const Forward = ({
+  forward,
+  ticker,
+  currentTicker,
+  showActivityModal,
+  channelNames,
+  currencyName,
+  intl
+}) => {
+  const channelName = chanId => channelNames[String(chanId)] || String(chanId)
+
+  return (
+    <div className={styles.container} onClick={() => showActivityModal('FORWARD', forward.id)}>
+      <div className={styles.activityTypeIcon}>
+        <section className="hint--bottom" data-hint={intl.formatMessage({ ...messages.type })}>
+          <Isvg src={channels} />
+        </section>
+      </div>
+
+      <div className={styles.data}>
+        <div className={styles.title}>
+          <h3>
+            <FormattedMessage
+              {...messages.route}
+              values={{
+                from: channelName(forward.chan_id_in),
+                to: channelName(forward.chan_id_out)
+              }}
+            />
+          </h3>
+        </div>
+        <div className={styles.subtitle}>
+          <FormattedTime value={forward.timestamp * 1000} />
+        </div>
+      </div>
+      <div
+        className={`hint--top-left ${styles.amount}`}
+        data-hint={intl.formatMessage({ ...messages.amount })}
+      >
+        <span>
+          <i className={styles.plus}>+</i>
+          <Value
+            value={forward.fee}
+            currency={ticker.currency}
+            currentTicker={currentTicker}
+            fiatTicker={ticker.fiatTicker}
+          />
+          <i> {currencyName}</i>
+        </span>
+        <FormattedNumber
+          currency={ticker.fiatTicker}
+          style="currency"
+          value={btc.convert('sats', 'fiat', forward.fee, currentTicker[ticker.fiatTicker].last)}
+        />
+      </div>
+    </div>
+  )
+}
+
+Forward.propTypes = {
+  currencyName: PropTypes.string.isRequired,
+  forward: PropTypes.object.isRequired,
+  ticker: PropTypes.object.isRequired,
+  currentTicker: PropTypes.object.isRequired,
+  channelNames: PropTypes.object.isRequired,
+  showActivityModal: PropTypes.func.isRequired,
+  intl: PropTypes.object.isRequired
+}
+
+export default injectIntl(Forward)
@@ -0,0 +1,3 @@
+import Forward from './Forward'
+
+export default Forward
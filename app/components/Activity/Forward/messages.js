@@ -0,0 +1,8 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  amount: 'Fee earned',
+  type: 'Forwarded payment',
+  route: '{from} → {to}'
+})
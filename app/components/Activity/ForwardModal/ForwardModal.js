@@ -0,0 +1,125 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+import FaAngleDown from 'react-icons/lib/fa/angle-down'
+
+import Isvg from 'react-inlinesvg'
+import channels from 'icons/channels.svg'
+import zap from 'icons/zap.svg'
+
+import Value from 'components/Value'
+
+import { FormattedDate, FormattedTime, FormattedMessage } from 'react-intl'
+import messages from './messages'
+
+import styles from './ForwardModal.scss'
+
+const ForwardModal = ({
+  item: forward,
+  ticker,
+  currentTicker,
+  channelNames,
+
+  toggleCurrencyProps: {
+    setActivityModalCurrencyFilters,
+    showCurrencyFilters,
+    currencyName,
+    currentCurrencyFilters,
+    onCurrencyFilterClick
+  }
+}) => {
+  const channelName = chanId => channelNames[String(chanId)] || String(chanId)
+
+  return (
+    <div className={styles.container}>
+      <header className={styles.header}>
+        <section>
+          <Isvg src={channels} />
+          <FormattedMessage {...messages.forwarded} />
+        </section>
+        <section className={styles.details}>
+          <div>
+            <Isvg src={zap} />
+            <span className={styles.zap}>
+              <FormattedMessage {...messages.lightning} />
+            </span>
+          </div>
+          <div>
+            <Value
+              value={forward.fee}
+              currency={ticker.currency}
+              currentTicker={currentTicker}
+              fiatTicker={ticker.fiatTicker}
+            />
+            <span>
+              {' '}
+              {currencyName} <FormattedMessage {...messages.fee} />{' '}
+              <FormattedMessage {...messages.earned} />
+            </span>
+          </div>
+        </section>
+      </header>
+
+      <div className={styles.amount}>
+        <h1>
+          <Value
+            value={forward.amt_out}
+            currency={ticker.currency}
+            currentTicker={currentTicker}
+            fiatTicker={ticker.fiatTicker}
+          />
+        </h1>
+        <section
+          className={styles.currentCurrency}
+          onClick={() => setActivityModalCurrencyFilters(!showCurrencyFilters)}
+        >
+          <span>{currencyName}</span>
+          <span>
+            <FaAngleDown />
+          </span>
+          <ul className={showCurrencyFilters ? styles.active : undefined}>
+            {currentCurrencyFilters.map(filter => (
+              <li key={filter.key} onClick={() => onCurrencyFilterClick(filter.key)}>
+                {filter.name}
+              </li>
+            ))}
+          </ul>
+        </section>
+      </div>
+
+      <div className={styles.date}>
+        <FormattedDate
+          value={new Date(forward.timestamp * 1000)}
+          year="numeric"
+          month="long"
+          day="2-digit"
+        />{' '}
+        <FormattedTime value={new Date(forward.timestamp * 1000)} />
+      </div>
+
+      <footer className={styles.footer}>
+        <dl>
+          <dt>
+            <FormattedMessage {...messages.incoming} />
+          </dt>
+          <dd>{channelName(forward.chan_id_in)}</dd>
+          <dt>
+            <FormattedMessage {...messages.outgoing} />
+          </dt>
+          <dd>{channelName(forward.chan_id_out)}</dd>
+        </dl>
+      </footer>
+    </div>
+  )
+}
+
+ForwardModal.propTypes = {
+  item: PropTypes.object.isRequired,
+  ticker: PropTypes.object.isRequired,
+  currentTicker: PropTypes.object.isRequired,
+  channelNames: PropTypes.object.isRequired,
+
+  toggleCurrencyProps: PropTypes.object.isRequired
+}
+
+export default ForwardModal
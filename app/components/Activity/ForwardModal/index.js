@@ -0,0 +1,3 @@
+import ForwardModal from './ForwardModal'
+
+export default ForwardModal
@@ -0,0 +1,11 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  forwarded: 'Forwarded',
+  fee: 'Fee',
+  earned: 'earned',
+  lightning: 'Lightning Network',
+  incoming: 'Incoming channel',
+  outgoing: 'Outgoing channel'
+})
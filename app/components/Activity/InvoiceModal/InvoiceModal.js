@@ -35,6 +35,13 @@ const InvoiceModal = ({
 
   const countDownDate = parseInt(invoice.creation_date, 10) + parseInt(invoice.expiry, 10)
 
+  // Invoices from lnd hold the description hash as bytes, but newly created ones hold it as hex.
+  const toHex = bytes => (typeof bytes === 'string' ? bytes : Buffer.from(bytes).toString('hex'))
+  const descriptionHash =
+    invoice.description_hash && invoice.description_hash.length
+      ? toHex(invoice.description_hash)
+      : null
+
   return (
     <div className={styles.container}>
       <div className={styles.content}>
@@ -52,6 +59,49 @@ const InvoiceModal = ({
             className={styles.qrcode}
           />
           <Countdown countDownDate={countDownDate} />
+          <dl className={styles.options}>
+            <dt>
+              <FormattedMessage {...messages.expiry} />
+            </dt>
+            <dd>
+              <FormattedMessage
+                {...messages.minutes}
+                values={{ minutes: Math.round(invoice.expiry / 60) }}
+              />
+            </dd>
+            {Boolean(invoice.cltv_expiry) && (
+              <dt>
+                <FormattedMessage {...messages.cltv_expiry} />
+              </dt>
+            )}
+            {Boolean(invoice.cltv_expiry) && (
+              <dd>
+                <FormattedMessage {...messages.blocks} values={{ blocks: invoice.cltv_expiry }} />
+              </dd>
+            )}
+            {invoice.private && (
+              <dt>
+                <FormattedMessage {...messages.route_hints} />
+              </dt>
+            )}
+            {invoice.private && (
+              <dd>
+                <FormattedMessage {...messages.route_hints_included} />
+              </dd>
+            )}
+            {invoice.fallback_addr && (
+              <dt>
+                <FormattedMessage {...messages.fallback_address} />
+              </dt>
+            )}
+            {invoice.fallback_addr && <dd>{invoice.fallback_addr}</dd>}
+            {descriptionHash && (
+              <dt>
+                <FormattedMessage {...messages.description_hash} />
+              </dt>
+            )}
+            {descriptionHash && <dd>{descriptionHash}</dd>}
+          </dl>
         </section>
         <section className={styles.right}>
           <div className={styles.details}>
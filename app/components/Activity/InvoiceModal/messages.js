@@ -8,5 +8,13 @@ export default defineMessages({
   request: 'Request',
   save: 'Save as image',
   not_paid: 'Not Paid',
-  paid: 'Paid'
+  paid: 'Paid',
+  expiry: 'Expires after',
+  minutes: '{minutes, plural, one {# minute} other {# minutes}}',
+  cltv_expiry: 'CLTV expiry',
+  blocks: '{blocks, plural, one {# block} other {# blocks}}',
+  route_hints: 'Route hints',
+  route_hints_included: 'Included for private channels',
+  fallback_address: 'Fallback address',
+  description_hash: 'Description hash'
 })
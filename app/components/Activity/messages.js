@@ -6,6 +6,7 @@ export default defineMessages({
   sent: 'Sent',
   requested: 'Requested',
   pending: 'Pending',
+  forwarded: 'Forwarded',
   refresh: 'Refresh',
   search: 'Search',
   hide_expired: 'Hide Expired Requests',
@@ -2,6 +2,7 @@ import React, { Component } from 'react'
 import PropTypes from 'prop-types'
 
 import GlobalError from 'components/GlobalError'
+import OfflineBanner from 'components/OfflineBanner'
 
 import Form from 'components/Form'
 import ChannelForm from 'components/Contacts/ChannelForm'
@@ -35,6 +36,9 @@ class App extends Component {
       error: { error },
       clearError,
 
+      isOffline,
+      lnd: { reconnectAttempt },
+
       contactsFormProps,
       networkTabProps,
       receiveModalProps,
@@ -54,6 +58,7 @@ class App extends Component {
       <div className={`${settings.theme}`}>
         <div className={styles.titleBar} />
         <GlobalError error={error} clearError={clearError} />
+        <OfflineBanner isOffline={isOffline} reconnectAttempt={reconnectAttempt} />
 
         <ChannelForm {...channelFormProps} />
 
@@ -79,6 +84,8 @@ App.propTypes = {
   formProps: PropTypes.object.isRequired,
   closeForm: PropTypes.func.isRequired,
   error: PropTypes.object.isRequired,
+  isOffline: PropTypes.bool.isRequired,
+  lnd: PropTypes.object.isRequired,
   currentTicker: PropTypes.object,
   contactsFormProps: PropTypes.object,
   networkTabProps: PropTypes.object,
@@ -6,12 +6,14 @@ import x from 'icons/x.svg'
 
 import ConnectManually from '../ConnectManually'
 import SubmitChannelForm from '../SubmitChannelForm'
+import RebalanceForm from '../RebalanceForm'
 
 import styles from './ChannelForm.scss'
 
 const FORM_TYPES = {
   MANUAL_FORM: ConnectManually,
-  SUBMIT_CHANNEL_FORM: SubmitChannelForm
+  SUBMIT_CHANNEL_FORM: SubmitChannelForm,
+  REBALANCE_FORM: RebalanceForm
 }
 
 const ChannelForm = ({ formType, formProps, closeForm }) => {
@@ -0,0 +1,197 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+import { FormattedMessage, injectIntl } from 'react-intl'
+import messages from './messages'
+
+import styles from './FeePolicy.scss'
+
+class FeePolicy extends React.Component {
+  state = {
+    editing: false,
+    global: false,
+    baseFeeMsat: '',
+    feePerMil: '',
+    timeLockDelta: ''
+  }
+
+  startEditing() {
+    const { policy } = this.props
+    this.setState({
+      editing: true,
+      global: false,
+      baseFeeMsat: policy ? String(policy.base_fee_msat) : '',
+      feePerMil: policy ? String(policy.fee_per_mil) : '',
+      timeLockDelta: policy && policy.time_lock_delta !== null ? String(policy.time_lock_delta) : ''
+    })
+  }
+
+  // lnd won't accept a time lock delta of less than one block.
+  isValid() {
+    const { baseFeeMsat, feePerMil, timeLockDelta } = this.state
+    return (
+      [baseFeeMsat, feePerMil, timeLockDelta].every(value => /^\d+$/.test(value)) &&
+      Number(timeLockDelta) >= 1
+    )
+  }
+
+  save() {
+    const { channelPoint, updateChannelPolicy } = this.props
+    const { global, baseFeeMsat, feePerMil, timeLockDelta } = this.state
+
+    if (!this.isValid()) {
+      return
+    }
+
+    updateChannelPolicy({
+      channelPoint: global ? null : channelPoint,
+      baseFeeMsat: Number(baseFeeMsat),
+      feePerMil: Number(feePerMil),
+      timeLockDelta: Number(timeLockDelta)
+    })
+    this.setState({ editing: false })
+  }
+
+  renderField(name, message) {
+    const { intl } = this.props
+    const { [name]: value } = this.state
+
+    return (
+      <section className={styles.field}>
+        <label htmlFor={name}>
+          <FormattedMessage {...message} />
+        </label>
+        <input
+          id={name}
+          type="number"
+          min="0"
+          placeholder={intl.formatMessage({ ...message })}
+          value={value}
+          onChange={event => this.setState({ [name]: event.target.value })}
+        />
+      </section>
+    )
+  }
+
+  renderPolicy() {
+    const { channelPoint, policy, updatingPolicy, updatingChannelPoint } = this.props
+    const unknown = <FormattedMessage {...messages.unknown} />
+    const updating =
+      updatingPolicy && (!updatingChannelPoint || updatingChannelPoint === channelPoint)
+
+    return (
+      <div>
+        <dl className={styles.policy}>
+          <dt>
+            <FormattedMessage {...messages.base_fee} />
+          </dt>
+          <dd>{policy ? policy.base_fee_msat : unknown}</dd>
+          <dt>
+            <FormattedMessage {...messages.fee_rate} />
+          </dt>
+          <dd>{policy ? policy.fee_per_mil : unknown}</dd>
+          <dt>
+            <FormattedMessage {...messages.time_lock_delta} />
+          </dt>
+          <dd>{policy && policy.time_lock_delta !== null ? policy.time_lock_delta : unknown}</dd>
+        </dl>
+        <div className={styles.actions}>
+          {updating ? (
+            <span className={styles.updating}>
+              <FormattedMessage {...messages.updating} />
+            </span>
+          ) : (
+            <span className={styles.button} onClick={() => this.startEditing()}>
+              <FormattedMessage {...messages.edit} />
+            </span>
+          )}
+        </div>
+      </div>
+    )
+  }
+
+  renderForm() {
+    const { global } = this.state
+
+    return (
+      <div className={styles.form}>
+        {this.renderField('baseFeeMsat', messages.base_fee)}
+        {this.renderField('feePerMil', messages.fee_rate)}
+        {this.renderField('timeLockDelta', messages.time_lock_delta)}
+        <section className={styles.global}>
+          <label htmlFor="global">
+            <input
+              id="global"
+              type="checkbox"
+              checked={global}
+              onChange={event => this.setState({ global: event.target.checked })}
+            />
+            <FormattedMessage {...messages.apply_to_all} />
+          </label>
+        </section>
+        <div className={styles.actions}>
+          <span className={styles.button} onClick={() => this.setState({ editing: false })}>
+            <FormattedMessage {...messages.cancel} />
+          </span>
+          <span
+            className={`${styles.button} ${this.isValid() ? styles.active : undefined}`}
+            onClick={() => this.save()}
+          >
+            <FormattedMessage {...messages.save} />
+          </span>
+        </div>
+      </div>
+    )
+  }
+
+  render() {
+    const { dayFeeSum, weekFeeSum, monthFeeSum } = this.props
+    const { editing } = this.state
+
+    // Stop clicks from bubbling up to the channel, which would collapse its details.
+    return (
+      <div className={styles.container} onClick={event => event.stopPropagation()}>
+        <h5>
+          <FormattedMessage {...messages.title} />
+        </h5>
+        {editing ? this.renderForm() : this.renderPolicy()}
+        <h5>
+          <FormattedMessage {...messages.earned} />
+        </h5>
+        <dl className={styles.earned}>
+          <dt>
+            <FormattedMessage {...messages.day} />
+          </dt>
+          <dd>
+            <FormattedMessage {...messages.sats} values={{ amount: dayFeeSum }} />
+          </dd>
+          <dt>
+            <FormattedMessage {...messages.week} />
+          </dt>
+          <dd>
+            <FormattedMessage {...messages.sats} values={{ amount: weekFeeSum }} />
+          </dd>
+          <dt>
+            <FormattedMessage {...messages.month} />
+          </dt>
+          <dd>
+            <FormattedMessage {...messages.sats} values={{ amount: monthFeeSum }} />
+          </dd>
+        </dl>
+      </div>
+    )
+  }
+}
+
+FeePolicy.propTypes = {
+  channelPoint: PropTypes.string.isRequired,
+  policy: PropTypes.object,
+  dayFeeSum: PropTypes.number.isRequired,
+  weekFeeSum: PropTypes.number.isRequired,
+  monthFeeSum: PropTypes.number.isRequired,
+  updatingPolicy: PropTypes.bool.isRequired,
+  updatingChannelPoint: PropTypes.string,
+  updateChannelPolicy: PropTypes.func.isRequired
+}
+
+export default injectIntl(FeePolicy)
@@ -0,0 +1,3 @@
+import FeePolicy from './FeePolicy'
+
+export default FeePolicy
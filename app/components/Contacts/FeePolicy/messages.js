@@ -0,0 +1,20 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  title: 'Routing Fees',
+  base_fee: 'Base Fee (msat)',
+  fee_rate: 'Fee Rate (ppm)',
+  time_lock_delta: 'Time Lock Delta',
+  unknown: 'unknown',
+  edit: 'Edit',
+  save: 'Save',
+  cancel: 'Cancel',
+  updating: 'Updating…',
+  apply_to_all: 'Apply to all channels',
+  earned: 'Fees Earned',
+  day: 'Day',
+  week: 'Week',
+  month: 'Month',
+  sats: '{amount, number} sats'
+})
@@ -15,9 +15,19 @@ import { FormattedNumber, FormattedMessage, injectIntl } from 'react-intl'
 import messages from './messages'
 
 import SuggestedNodes from '../SuggestedNodes'
+import FeePolicy from '../FeePolicy'
 
 import styles from './Network.scss'
 
+// Messages describing how a closed channel was closed, keyed by lnd's ClosureType.
+const closeTypeMessages = {
+  COOPERATIVE_CLOSE: messages.cooperative_close,
+  LOCAL_FORCE_CLOSE: messages.local_force_close,
+  REMOTE_FORCE_CLOSE: messages.remote_force_close,
+  BREACH_CLOSE: messages.breach_close,
+  FUNDING_CANCELED: messages.funding_canceled
+}
+
 class Network extends Component {
   constructor(props) {
     super(props)
@@ -27,6 +37,12 @@ class Network extends Component {
     }
   }
 
+  componentDidMount() {
+    const { fetchClosedChannels, fetchFeeReport } = this.props
+    fetchClosedChannels()
+    fetchFeeReport()
+  }
+
   render() {
     const {
       channels: {
@@ -37,6 +53,7 @@ class Network extends Component {
         loadingChannelPubkeys,
         closingChannelIds,
         channels,
+        closedChannels,
         pendingChannels: { pending_open_channels }
       },
       currentChannels,
@@ -47,6 +64,8 @@ class Network extends Component {
       nodes,
 
       fetchChannels,
+      fetchClosedChannels,
+      fetchFeeReport,
       openContactsForm,
 
       nonActiveFilters,
@@ -58,8 +77,10 @@ class Network extends Component {
       setSelectedChannel,
 
       closeChannel,
+      openRebalanceForm,
 
       suggestedNodesProps,
+      feePolicyProps: { channelPolicies, ...feePolicyProps },
 
       network,
 
@@ -76,6 +97,8 @@ class Network extends Component {
 
       // fetch channels
       fetchChannels()
+      fetchClosedChannels()
+      fetchFeeReport()
 
       // wait for the svg to appear as child
       const svgTimeout = setTimeout(() => {
@@ -131,6 +154,11 @@ class Network extends Component {
     }
 
     const channelStatus = statusChannel => {
+      // if the channel has a close type that means it has been closed
+      if (Object.prototype.hasOwnProperty.call(statusChannel, 'close_type')) {
+        return 'closed'
+      }
+
       // if the channel has a confirmation_height property that means it's pending
       if (Object.prototype.hasOwnProperty.call(statusChannel, 'confirmation_height')) {
         return 'pending'
@@ -208,7 +236,10 @@ class Network extends Component {
         </header>
 
         <div className={styles.channels}>
-          {loadingChannelPubkeys.length || pending_open_channels.length || channels.length ? (
+          {loadingChannelPubkeys.length ||
+          pending_open_channels.length ||
+          channels.length ||
+          closedChannels.length ? (
             <header className={styles.listHeader}>
               <section>
                 <h2 onClick={toggleFilterPulldown} className={styles.filterTitle}>
@@ -302,7 +333,9 @@ class Network extends Component {
                           onClick={() =>
                             blockExplorer.showTransaction(
                               network,
-                              channelObj.closing_txid || channel.channel_point.split(':')[0]
+                              channelObj.closing_txid ||
+                                channelObj.closing_tx_hash ||
+                                channel.channel_point.split(':')[0]
                             )
                           }
                         >
@@ -316,36 +349,83 @@ class Network extends Component {
                         <h4>{`${pubkey.substring(0, 30)}...`}</h4>
                       </header>
 
-                      <div className={styles.limits}>
-                        <section>
-                          <h5>
-                            <FormattedMessage {...messages.pay_limit} />
-                          </h5>
-                          <p>
-                            <Value
-                              value={channel.local_balance}
-                              currency={ticker.currency}
-                              currentTicker={currentTicker}
-                              fiatTicker={ticker.fiatTicker}
+                      {channelStatus(channelObj) === 'closed' ? (
+                        <div>
+                          <p className={styles.closeType}>
+                            <FormattedMessage
+                              {...closeTypeMessages[channel.close_type] || messages.closed}
                             />
-                            <i> {currencyName}</i>
                           </p>
-                        </section>
-                        <section>
-                          <h5>
-                            <FormattedMessage {...messages.req_limit} />
-                          </h5>
-                          <p>
-                            <Value
-                              value={channel.remote_balance}
-                              currency={ticker.currency}
-                              currentTicker={currentTicker}
-                              fiatTicker={ticker.fiatTicker}
-                            />
-                            <i> {currencyName}</i>
-                          </p>
-                        </section>
-                      </div>
+                          <div className={styles.limits}>
+                            <section>
+                              <h5>
+                                <FormattedMessage {...messages.settled_balance} />
+                              </h5>
+                              <p>
+                                <Value
+                                  value={channel.settled_balance}
+                                  currency={ticker.currency}
+                                  currentTicker={currentTicker}
+                                  fiatTicker={ticker.fiatTicker}
+                                />
+                                <i> {currencyName}</i>
+                              </p>
+                            </section>
+                            <section>
+                              <h5>
+                                <FormattedMessage {...messages.time_locked_balance} />
+                              </h5>
+                              <p>
+                                <Value
+                                  value={channel.time_locked_balance}
+                                  currency={ticker.currency}
+                                  currentTicker={currentTicker}
+                                  fiatTicker={ticker.fiatTicker}
+                                />
+                                <i> {currencyName}</i>
+                              </p>
+                            </section>
+                          </div>
+                        </div>
+                      ) : (
+                        <div className={styles.limits}>
+                          <section>
+                            <h5>
+                              <FormattedMessage {...messages.pay_limit} />
+                            </h5>
+                            <p>
+                              <Value
+                                value={channel.local_balance}
+                                currency={ticker.currency}
+                                currentTicker={currentTicker}
+                                fiatTicker={ticker.fiatTicker}
+                              />
+                              <i> {currencyName}</i>
+                            </p>
+                          </section>
+                          <section>
+                            <h5>
+                              <FormattedMessage {...messages.req_limit} />
+                            </h5>
+                            <p>
+                              <Value
+                                value={channel.remote_balance}
+                                currency={ticker.currency}
+                                currentTicker={currentTicker}
+                                fiatTicker={ticker.fiatTicker}
+                              />
+                              <i> {currencyName}</i>
+                            </p>
+                          </section>
+                        </div>
+                      )}
+                      {Object.prototype.hasOwnProperty.call(channel, 'active') && (
+                        <FeePolicy
+                          channelPoint={channel.channel_point}
+                          policy={channelPolicies[channel.channel_point]}
+                          {...feePolicyProps}
+                        />
+                      )}
                       <div className={styles.actions}>
                         {closingChannelIds.includes(channel.chan_id) && (
                           <section>
@@ -357,6 +437,17 @@ class Network extends Component {
                             </span>
                           </section>
                         )}
+                        {channel.active &&
+                          !closingChannelIds.includes(channel.chan_id) && (
+                            <section
+                              className={styles.rebalance}
+                              onClick={() => openRebalanceForm(channel.chan_id)}
+                            >
+                              <div>
+                                <FormattedMessage {...messages.rebalance} />
+                              </div>
+                            </section>
+                          )}
                         {Object.prototype.hasOwnProperty.call(channel, 'active') &&
                           !closingChannelIds.includes(channel.chan_id) && (
                             <section onClick={() => removeClicked(channel)}>
@@ -370,7 +461,10 @@ class Network extends Component {
               })}
           </ul>
         </div>
-        {(loadingChannelPubkeys.length || pending_open_channels.length || channels.length) && (
+        {(loadingChannelPubkeys.length ||
+          pending_open_channels.length ||
+          channels.length ||
+          closedChannels.length) && (
           <footer className={styles.search}>
             <label htmlFor="search" className={`${styles.label} ${styles.input}`}>
               <Isvg src={search} />
@@ -400,16 +494,20 @@ Network.propTypes = {
   currentTicker: PropTypes.object.isRequired,
   ticker: PropTypes.object.isRequired,
   suggestedNodesProps: PropTypes.object.isRequired,
+  feePolicyProps: PropTypes.object.isRequired,
 
   network: PropTypes.object.isRequired,
 
   fetchChannels: PropTypes.func.isRequired,
+  fetchClosedChannels: PropTypes.func.isRequired,
+  fetchFeeReport: PropTypes.func.isRequired,
   openContactsForm: PropTypes.func.isRequired,
   toggleFilterPulldown: PropTypes.func.isRequired,
   changeFilter: PropTypes.func.isRequired,
   updateChannelSearchQuery: PropTypes.func.isRequired,
   setSelectedChannel: PropTypes.func.isRequired,
   closeChannel: PropTypes.func.isRequired,
+  openRebalanceForm: PropTypes.func.isRequired,
 
   currencyName: PropTypes.string.isRequired
 }
@@ -8,9 +8,18 @@ export default defineMessages({
   closing: 'closing',
   offline: 'offline',
   online: 'online',
+  closed: 'closed',
+  cooperative_close: 'Closed cooperatively',
+  local_force_close: 'Force closed by you',
+  remote_force_close: 'Force closed by your peer',
+  breach_close: 'Closed after your peer broadcast a revoked state',
+  funding_canceled: 'Funding canceled',
+  settled_balance: 'Settled Balance',
+  time_locked_balance: 'Time Locked Balance',
   refresh: 'Refresh',
   open_channel: 'Open a channel',
   pay_limit: 'Pay Limit',
   req_limit: 'Request Limit',
+  rebalance: 'Rebalance',
   search_placeholder: 'search by alias or pubkey'
 })
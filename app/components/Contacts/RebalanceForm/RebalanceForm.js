@@ -0,0 +1,271 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+import FaCheck from 'react-icons/lib/fa/check'
+import FaClose from 'react-icons/lib/fa/close'
+
+import { btc } from 'lib/utils'
+import AmountInput from 'components/AmountInput'
+import { REBALANCE_STEPS } from 'reducers/rebalance'
+
+import { FormattedMessage } from 'react-intl'
+import messages from './messages'
+
+import styles from './RebalanceForm.scss'
+
+class RebalanceForm extends React.Component {
+  nodeName(pubkey) {
+    const { nodes } = this.props
+    const node = nodes.find(n => n.pub_key === pubkey)
+    return node && node.alias.length ? node.alias : pubkey.substring(0, 10)
+  }
+
+  formatAmount(sats) {
+    const { ticker, currencyName } = this.props
+    return `${btc.convert('sats', ticker.currency, sats)} ${currencyName}`
+  }
+
+  renderChannels(channels, selectedChannel, onSelect, id) {
+    const {
+      rebalance: { step, error }
+    } = this.props
+    const inProgress = step !== null && !error
+
+    if (!channels.length) {
+      return (
+        <p className={styles.empty}>
+          <FormattedMessage {...messages.no_channels} />
+        </p>
+      )
+    }
+
+    return (
+      <ul className={styles.channels} id={id}>
+        {channels.map(channel => (
+          <li
+            key={channel.chan_id}
+            className={channel === selectedChannel ? styles.active : undefined}
+            onClick={() => !inProgress && onSelect(channel.chan_id)}
+          >
+            <span className={styles.name}>{this.nodeName(channel.remote_pubkey)}</span>
+            <span className={styles.balance}>
+              <span style={{ width: `${(channel.local_balance / channel.capacity) * 100}%` }} />
+            </span>
+            <span className={styles.limits}>
+              <FormattedMessage
+                {...messages.local_balance}
+                values={{ amount: this.formatAmount(channel.local_balance) }}
+              />
+              <FormattedMessage
+                {...messages.remote_balance}
+                values={{ amount: this.formatAmount(channel.remote_balance) }}
+              />
+            </span>
+          </li>
+        ))}
+      </ul>
+    )
+  }
+
+  renderProgress() {
+    const {
+      rebalance: { step, fee, error, succeeded, amount },
+      currencyName,
+      closeChannelForm
+    } = this.props
+
+    if (succeeded) {
+      return (
+        <section className={styles.progress} id="rebalanceProgress">
+          <p className={styles.succeeded}>
+            <FormattedMessage
+              {...messages.succeeded}
+              values={{ amount: `${amount} ${currencyName}`, fee: this.formatAmount(fee) }}
+            />
+          </p>
+          <div className={`${styles.button} ${styles.active}`} onClick={closeChannelForm}>
+            <FormattedMessage {...messages.done} />
+          </div>
+        </section>
+      )
+    }
+
+    const currentIndex = REBALANCE_STEPS.indexOf(step)
+    const stepStatus = index => {
+      if (index < currentIndex) {
+        return 'done'
+      }
+      if (index === currentIndex) {
+        return error ? 'failed' : 'pending'
+      }
+      return 'waiting'
+    }
+
+    return (
+      <section className={styles.progress} id="rebalanceProgress">
+        <ol>
+          {REBALANCE_STEPS.map((name, index) => (
+            <li key={name} className={styles[stepStatus(index)]}>
+              {stepStatus(index) === 'done' && <FaCheck />}
+              {stepStatus(index) === 'failed' && <FaClose />}
+              {stepStatus(index) === 'pending' && <i className={styles.spinner} />}
+              <FormattedMessage {...messages[name]} />
+            </li>
+          ))}
+        </ol>
+        {fee !== null && (
+          <p>
+            <FormattedMessage {...messages.route_fee} values={{ fee: this.formatAmount(fee) }} />
+          </p>
+        )}
+        {error && <p className={styles.error}>{error}</p>}
+      </section>
+    )
+  }
+
+  render() {
+    const {
+      rebalance: { amount, maxFee, step, error, succeeded },
+      sourceChannels,
+      targetChannels,
+      sourceChannel,
+      targetChannel,
+      suggestedAmount,
+      rebalanceFormIsValid,
+      ticker,
+      currencyName,
+      setRebalanceSource,
+      setRebalanceTarget,
+      setRebalanceAmount,
+      setRebalanceMaxFee,
+      rebalanceChannels
+    } = this.props
+
+    const inProgress = step !== null && !error
+    const submitDisabled = inProgress || succeeded || !rebalanceFormIsValid
+
+    return (
+      <div className={styles.content}>
+        <header className={styles.header}>
+          <h1>
+            <FormattedMessage {...messages.title} />
+          </h1>
+          <p>
+            <FormattedMessage {...messages.description} />
+          </p>
+        </header>
+
+        <div className={styles.pickers}>
+          <section>
+            <h2>
+              <FormattedMessage {...messages.source} />
+            </h2>
+            <h4>
+              <FormattedMessage {...messages.source_hint} />
+            </h4>
+            {this.renderChannels(
+              sourceChannels,
+              sourceChannel,
+              setRebalanceSource,
+              'rebalanceSource'
+            )}
+          </section>
+          <section>
+            <h2>
+              <FormattedMessage {...messages.target} />
+            </h2>
+            <h4>
+              <FormattedMessage {...messages.target_hint} />
+            </h4>
+            {this.renderChannels(
+              targetChannels,
+              targetChannel,
+              setRebalanceTarget,
+              'rebalanceTarget'
+            )}
+          </section>
+        </div>
+
+        <div className={styles.amounts}>
+          <section>
+            <label htmlFor="rebalanceAmount">
+              <FormattedMessage {...messages.amount} />
+            </label>
+            <div className={styles.input}>
+              <AmountInput
+                id="rebalanceAmount"
+                amount={amount}
+                currency={ticker.currency}
+                onChangeEvent={setRebalanceAmount}
+                readOnly={inProgress}
+              />
+              <span>{currencyName}</span>
+            </div>
+            {suggestedAmount > 0 && (
+              <span
+                className={styles.suggested}
+                onClick={() =>
+                  !inProgress &&
+                  setRebalanceAmount(btc.convert('sats', ticker.currency, suggestedAmount))
+                }
+              >
+                <FormattedMessage
+                  {...messages.suggested_amount}
+                  values={{ amount: this.formatAmount(suggestedAmount) }}
+                />
+              </span>
+            )}
+          </section>
+          <section>
+            <label htmlFor="rebalanceMaxFee">
+              <FormattedMessage {...messages.max_fee} />
+            </label>
+            <div className={styles.input}>
+              <AmountInput
+                id="rebalanceMaxFee"
+                amount={maxFee}
+                currency={ticker.currency}
+                onChangeEvent={setRebalanceMaxFee}
+                readOnly={inProgress}
+              />
+              <span>{currencyName}</span>
+            </div>
+          </section>
+        </div>
+
+        {!succeeded && (
+          <div
+            className={`${styles.button} ${submitDisabled ? '' : styles.active}`}
+            onClick={() => !submitDisabled && rebalanceChannels()}
+          >
+            <FormattedMessage {...messages.submit} />
+          </div>
+        )}
+
+        {(step !== null || succeeded) && this.renderProgress()}
+      </div>
+    )
+  }
+}
+
+RebalanceForm.propTypes = {
+  rebalance: PropTypes.object.isRequired,
+  sourceChannels: PropTypes.array.isRequired,
+  targetChannels: PropTypes.array.isRequired,
+  sourceChannel: PropTypes.object,
+  targetChannel: PropTypes.object,
+  suggestedAmount: PropTypes.number.isRequired,
+  rebalanceFormIsValid: PropTypes.bool.isRequired,
+  nodes: PropTypes.array.isRequired,
+  ticker: PropTypes.object.isRequired,
+  currencyName: PropTypes.string.isRequired,
+
+  setRebalanceSource: PropTypes.func.isRequired,
+  setRebalanceTarget: PropTypes.func.isRequired,
+  setRebalanceAmount: PropTypes.func.isRequired,
+  setRebalanceMaxFee: PropTypes.func.isRequired,
+  rebalanceChannels: PropTypes.func.isRequired,
+  closeChannelForm: PropTypes.func.isRequired
+}
+
+export default RebalanceForm
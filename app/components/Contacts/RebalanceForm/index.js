@@ -0,0 +1,3 @@
+import RebalanceForm from './RebalanceForm'
+
+export default RebalanceForm
@@ -0,0 +1,25 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  title: 'Rebalance Channels',
+  description:
+    'Rebalancing moves funds from a channel that has most of its balance on your side to one that has most of its balance on the other side, by paying yourself over a route that leaves through the first channel and comes back through the second. The only cost is the routing fee.',
+  source: 'From',
+  source_hint: 'Channels with the most to spend first',
+  target: 'To',
+  target_hint: 'Channels with the most to receive first',
+  no_channels: 'There are no active channels to pick from.',
+  amount: 'Amount',
+  max_fee: 'Maximum fee',
+  suggested_amount: 'Balance both channels ({amount})',
+  local_balance: '{amount} to spend',
+  remote_balance: '{amount} to receive',
+  submit: 'Rebalance',
+  CREATING_INVOICE: 'Creating an invoice to pay yourself',
+  FINDING_ROUTE: 'Finding a route through both channels',
+  PAYING: 'Paying the invoice',
+  route_fee: 'The cheapest route costs {fee} in fees.',
+  succeeded: 'Moved {amount} between the channels for a fee of {fee}.',
+  done: 'Done'
+})
@@ -5,6 +5,7 @@ import FaAngleDown from 'react-icons/lib/fa/angle-down'
 import FaExclamationCircle from 'react-icons/lib/fa/exclamation-circle'
 
 import AmountInput from 'components/AmountInput'
+import FeeSelector from 'components/FeeSelector'
 
 import { FormattedNumber, FormattedMessage } from 'react-intl'
 import messages from './messages'
@@ -37,6 +38,8 @@ class SubmitChannelForm extends React.Component {
 
       ticker,
 
+      feeSelectorProps,
+
       toggleCurrencyProps: {
         setContactsCurrencyFilters,
         showCurrencyFilters,
@@ -75,9 +78,11 @@ class SubmitChannelForm extends React.Component {
       )
     }
 
+    const isValid = contactCapacity > 0 && feeSelectorProps.customFeeRateIsValid
+
     const formSubmitted = () => {
-      // dont submit to LND if they havent set channel capacity amount
-      if (contactCapacity <= 0) {
+      // dont submit to LND if they havent set channel capacity amount or a usable fee
+      if (!isValid) {
         return
       }
 
@@ -155,9 +160,13 @@ class SubmitChannelForm extends React.Component {
           </div>
         </section>
 
+        <section className={styles.fee}>
+          <FeeSelector {...feeSelectorProps} />
+        </section>
+
         <section className={styles.submit}>
           <div
-            className={`${styles.button} ${contactCapacity > 0 ? styles.active : undefined}`}
+            className={`${styles.button} ${isValid ? styles.active : undefined}`}
             onClick={formSubmitted}
           >
             <FormattedMessage {...messages.submit} />
@@ -181,6 +190,8 @@ SubmitChannelForm.propTypes = {
 
   ticker: PropTypes.object.isRequired,
 
+  feeSelectorProps: PropTypes.object.isRequired,
+
   toggleCurrencyProps: PropTypes.object.isRequired
 }
 
@@ -0,0 +1,202 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import MdClose from 'react-icons/lib/md/close'
+import { FormattedDate, FormattedTime, FormattedMessage } from 'react-intl'
+import messages from './messages'
+import styles from './Diagnostics.scss'
+
+class Diagnostics extends React.Component {
+  state = {
+    expandedCrash: null
+  }
+
+  componentDidMount() {
+    const { fetchDiagnostics } = this.props
+    fetchDiagnostics()
+  }
+
+  toggleCrash(date) {
+    const { expandedCrash } = this.state
+    this.setState({ expandedCrash: expandedCrash === date ? null : date })
+  }
+
+  renderStatus() {
+    const { lndStatus, restartAttempt, restartDelay, restartLnd } = this.props
+
+    if (lndStatus === 'restarting') {
+      return (
+        <section className={styles.status}>
+          {restartAttempt ? (
+            <FormattedMessage
+              {...messages.restarting}
+              values={{ seconds: Math.round(restartDelay / 1000), attempt: restartAttempt }}
+            />
+          ) : (
+            <FormattedMessage {...messages.restarting_now} />
+          )}
+        </section>
+      )
+    }
+
+    if (lndStatus === 'crashed') {
+      return (
+        <section className={styles.status}>
+          <FormattedMessage {...messages.crashed} />
+          <div className={styles.button} onClick={restartLnd}>
+            <FormattedMessage {...messages.restart} />
+          </div>
+        </section>
+      )
+    }
+
+    return null
+  }
+
+  renderCrash(crash) {
+    const { expandedCrash } = this.state
+    const expanded = expandedCrash === crash.date
+    const unknown = <FormattedMessage {...messages.unknown} />
+
+    return (
+      <li key={crash.date} className={styles.crash}>
+        <header onClick={() => this.toggleCrash(crash.date)}>
+          <span>
+            <FormattedDate value={crash.date} year="numeric" month="short" day="2-digit" />{' '}
+            <FormattedTime value={crash.date} />
+          </span>
+          <span className={styles.toggle}>
+            <FormattedMessage {...(expanded ? messages.hide_output : messages.show_output)} />
+          </span>
+        </header>
+        <dl>
+          <dt>
+            <FormattedMessage {...messages.exit_code} />
+          </dt>
+          <dd>{crash.code === null ? unknown : crash.code}</dd>
+          <dt>
+            <FormattedMessage {...messages.exit_signal} />
+          </dt>
+          <dd>{crash.signal || unknown}</dd>
+          <dt>
+            <FormattedMessage {...messages.lnd_version} />
+          </dt>
+          <dd>{crash.lndVersion || unknown}</dd>
+          <dt>
+            <FormattedMessage {...messages.last_error} />
+          </dt>
+          <dd>{crash.lastError || unknown}</dd>
+        </dl>
+        {expanded && (
+          <div className={styles.output}>
+            <h4>
+              <FormattedMessage {...messages.stderr} />
+            </h4>
+            <pre>{crash.stderr.join('\n')}</pre>
+            <h4>
+              <FormattedMessage {...messages.stdout} />
+            </h4>
+            <pre>{crash.stdout.join('\n')}</pre>
+          </div>
+        )}
+      </li>
+    )
+  }
+
+  render() {
+    const {
+      theme,
+      lndStatus,
+      crashes,
+      autoRestart,
+      exportedTo,
+      error,
+      setLndAutoRestart,
+      exportCrashHistory,
+      clearCrashHistory,
+      closeDiagnostics
+    } = this.props
+
+    return (
+      <div className={`${styles.container} ${theme}`}>
+        <div className={styles.titleBar} />
+
+        <div className={styles.content}>
+          <header className={styles.header}>
+            <h1>
+              <FormattedMessage {...messages.title} />
+            </h1>
+            {lndStatus === 'running' && (
+              <span className={styles.close} onClick={closeDiagnostics}>
+                <MdClose />
+              </span>
+            )}
+          </header>
+
+          {this.renderStatus()}
+
+          <section className={styles.setting}>
+            <label htmlFor="autoRestart">
+              <input
+                id="autoRestart"
+                type="checkbox"
+                checked={autoRestart}
+                onChange={event => setLndAutoRestart(event.target.checked)}
+              />
+              <FormattedMessage {...messages.auto_restart} />
+            </label>
+          </section>
+
+          <section className={styles.history}>
+            <header>
+              <h2>
+                <FormattedMessage {...messages.crash_history} />
+              </h2>
+              {crashes.length > 0 && (
+                <div className={styles.actions}>
+                  <div className={styles.button} onClick={exportCrashHistory}>
+                    <FormattedMessage {...messages.export} />
+                  </div>
+                  <div className={styles.button} onClick={clearCrashHistory}>
+                    <FormattedMessage {...messages.clear} />
+                  </div>
+                </div>
+              )}
+            </header>
+            {exportedTo && (
+              <p className={styles.message}>
+                <FormattedMessage {...messages.exported} values={{ filePath: exportedTo }} />
+              </p>
+            )}
+            {error && <p className={`${styles.message} ${styles.error}`}>{error}</p>}
+            {crashes.length === 0 ? (
+              <p className={styles.message}>
+                <FormattedMessage {...messages.no_crashes} />
+              </p>
+            ) : (
+              <ul>{crashes.map(crash => this.renderCrash(crash))}</ul>
+            )}
+          </section>
+        </div>
+      </div>
+    )
+  }
+}
+
+Diagnostics.propTypes = {
+  theme: PropTypes.string.isRequired,
+  lndStatus: PropTypes.string.isRequired,
+  restartAttempt: PropTypes.number.isRequired,
+  restartDelay: PropTypes.number.isRequired,
+  crashes: PropTypes.array.isRequired,
+  autoRestart: PropTypes.bool.isRequired,
+  exportedTo: PropTypes.string,
+  error: PropTypes.string,
+  fetchDiagnostics: PropTypes.func.isRequired,
+  setLndAutoRestart: PropTypes.func.isRequired,
+  exportCrashHistory: PropTypes.func.isRequired,
+  clearCrashHistory: PropTypes.func.isRequired,
+  restartLnd: PropTypes.func.isRequired,
+  closeDiagnostics: PropTypes.func.isRequired
+}
+
+export default Diagnostics
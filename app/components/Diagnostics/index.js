@@ -0,0 +1,3 @@
+import Diagnostics from './Diagnostics'
+
+export default Diagnostics
@@ -0,0 +1,25 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  title: 'Diagnostics',
+  crashed: 'Lnd has stopped unexpectedly.',
+  restarting: 'Lnd has stopped unexpectedly. Restarting in {seconds} seconds (attempt {attempt}).',
+  restarting_now: 'Restarting lnd...',
+  restart: 'Restart lnd',
+  auto_restart: 'Automatically restart lnd if it stops unexpectedly',
+  crash_history: 'Crash history',
+  no_crashes: 'Lnd has not crashed.',
+  exit_code: 'Exit code',
+  exit_signal: 'Exit signal',
+  lnd_version: 'Lnd version',
+  last_error: 'Last error',
+  unknown: 'Unknown',
+  stdout: 'Output',
+  stderr: 'Errors',
+  show_output: 'Show output',
+  hide_output: 'Hide output',
+  export: 'Export',
+  clear: 'Clear',
+  exported: 'Crash history saved to {filePath}'
+})
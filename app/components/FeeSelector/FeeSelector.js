@@ -0,0 +1,127 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+import { btc } from 'lib/utils'
+
+import { FormattedMessage, injectIntl } from 'react-intl'
+import messages from './messages'
+
+import styles from './FeeSelector.scss'
+
+const PRESETS = ['fast', 'normal', 'slow', 'custom']
+
+class FeeSelector extends React.Component {
+  componentDidMount() {
+    const { fetchFeeRates } = this.props
+    fetchFeeRates()
+  }
+
+  render() {
+    const {
+      feerates: { feeRates, feeRatesAvailable, preset, customFeeRate },
+      estimatedFee,
+      confirmationTime,
+      customFeeRateIsValid,
+      ticker,
+      currencyName,
+      setFeePreset,
+      setCustomFeeRate,
+      intl
+    } = this.props
+
+    // Without fee rate estimates we can't tell the fee of a preset, or how soon a custom fee should confirm.
+    const unknown = (
+      <FormattedMessage {...(feeRatesAvailable ? messages.unknown : messages.unavailable)} />
+    )
+
+    return (
+      <section className={styles.container}>
+        <div className={styles.top}>
+          <label htmlFor="customFeeRate">
+            <FormattedMessage {...messages.fee} />
+          </label>
+        </div>
+
+        <ul className={styles.presets}>
+          {PRESETS.map(key => (
+            <li
+              key={key}
+              className={key === preset ? styles.active : undefined}
+              onClick={() => setFeePreset(key)}
+            >
+              <FormattedMessage {...messages[key]} />
+              {key !== 'custom' &&
+                feeRates && (
+                  <span>
+                    <FormattedMessage {...messages.sat_per_byte} values={{ rate: feeRates[key] }} />
+                  </span>
+                )}
+            </li>
+          ))}
+        </ul>
+
+        {preset === 'custom' && (
+          <div className={styles.custom}>
+            <input
+              id="customFeeRate"
+              type="number"
+              min="1"
+              step="1"
+              placeholder={intl.formatMessage({ ...messages.custom_placeholder })}
+              value={customFeeRate}
+              onChange={event => setCustomFeeRate(event.target.value)}
+            />
+            <section
+              className={`${styles.errorMessage} ${
+                customFeeRate && !customFeeRateIsValid ? styles.active : undefined
+              }`}
+            >
+              <FormattedMessage {...messages.custom_error} />
+            </section>
+          </div>
+        )}
+
+        <dl className={styles.estimate}>
+          <dt>
+            <FormattedMessage {...messages.estimated_fee} />
+          </dt>
+          <dd>
+            {estimatedFee === null
+              ? unknown
+              : `${btc.convert('sats', ticker.currency, estimatedFee)} ${currencyName}`}
+          </dd>
+          <dt>
+            <FormattedMessage {...messages.confirmation_time} />
+          </dt>
+          <dd>
+            {confirmationTime ? (
+              <FormattedMessage {...messages[`${confirmationTime}_time`]} />
+            ) : (
+              unknown
+            )}
+          </dd>
+        </dl>
+      </section>
+    )
+  }
+}
+
+FeeSelector.propTypes = {
+  feerates: PropTypes.shape({
+    feeRates: PropTypes.object,
+    feeRatesAvailable: PropTypes.bool.isRequired,
+    preset: PropTypes.string.isRequired,
+    customFeeRate: PropTypes.string.isRequired
+  }).isRequired,
+  estimatedFee: PropTypes.number,
+  confirmationTime: PropTypes.string,
+  customFeeRateIsValid: PropTypes.bool.isRequired,
+  ticker: PropTypes.object.isRequired,
+  currencyName: PropTypes.string.isRequired,
+
+  setFeePreset: PropTypes.func.isRequired,
+  setCustomFeeRate: PropTypes.func.isRequired,
+  fetchFeeRates: PropTypes.func.isRequired
+}
+
+export default injectIntl(FeeSelector)
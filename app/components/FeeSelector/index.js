@@ -0,0 +1,3 @@
+import FeeSelector from './FeeSelector'
+
+export default FeeSelector
@@ -0,0 +1,21 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  fee: 'Fee',
+  fast: 'Fast',
+  normal: 'Normal',
+  slow: 'Slow',
+  custom: 'Custom',
+  sat_per_byte: '{rate} sat/vbyte',
+  custom_placeholder: 'sat/vbyte',
+  custom_error: 'Fee rate must be a whole number of at least 1 sat/vbyte',
+  estimated_fee: 'Estimated fee',
+  confirmation_time: 'Confirmation time',
+  fast_time: '~10 minutes',
+  normal_time: '~30 minutes',
+  slow_time: '~1 hour',
+  slower_time: 'More than an hour',
+  unknown: 'Unknown',
+  unavailable: 'Unavailable'
+})
@@ -8,12 +8,16 @@ import FaAngleDown from 'react-icons/lib/fa/angle-down'
 
 import { btc } from 'lib/utils'
 import AmountInput from 'components/AmountInput'
+import FeeSelector from 'components/FeeSelector'
+import RouteSelector from 'components/RouteSelector'
 
 import { FormattedNumber, FormattedMessage, injectIntl } from 'react-intl'
 import messages from './messages'
 
 import styles from './Pay.scss'
 
+const FEE_LIMIT_TYPES = ['none', 'fixed', 'percent']
+
 class Pay extends Component {
   constructor(props) {
     super(props)
@@ -21,30 +25,226 @@ class Pay extends Component {
   }
 
   componentDidMount() {
-    const { setPayInput, setPayAmount } = this.props
+    const {
+      payform: { batchMode },
+      setPayInput,
+      setPayAmount,
+      setPayBatchInput,
+      clearQueryRoutes
+    } = this.props
 
     // Clear the form of any previous data.
     setPayInput('')
     setPayAmount('')
+    setPayBatchInput('')
+    clearQueryRoutes()
 
     // Focus the payment request input field.
-    this.paymentRequestInput.current.focus()
+    if (!batchMode) {
+      this.paymentRequestInput.current.focus()
+    }
   }
 
   componentDidUpdate(prevProps) {
     const {
       isLn,
       payform: { payInput },
-      fetchInvoice
+      fetchInvoice,
+      fetchInvoiceAndQueryRoutes,
+      clearQueryRoutes
     } = this.props
 
-    // If LN go retrieve invoice details
-    if (prevProps.payform.payInput !== payInput && isLn) {
-      fetchInvoice(payInput)
+    // If LN go retrieve invoice details along with the routes that it could be paid over
+    if (prevProps.payform.payInput !== payInput) {
+      clearQueryRoutes()
+      if (isLn) {
+        fetchInvoice(payInput)
+        fetchInvoiceAndQueryRoutes(payInput)
+      }
+    }
+  }
+
+  // Replace the list of recipients with the contents of a CSV file.
+  importCsv(event) {
+    const { setPayBatchInput } = this.props
+    const [file] = event.target.files
+    if (!file) {
+      return
     }
+
+    const reader = new FileReader()
+    reader.onload = () => setPayBatchInput(reader.result)
+    reader.readAsText(file)
+
+    // Allow the same file to be imported again after it has been edited.
+    event.target.value = ''
   }
 
-  render() {
+  renderBatch() {
+    const {
+      payform: { batchInput, showErrors, showCurrencyFilters },
+      ticker,
+      batchOutputs,
+      batchTotal,
+      batchFee,
+      batchFormIsValid: { errors },
+      feeSelectorProps,
+      currentCurrencyFilters,
+      currencyName,
+      setPayBatchInput,
+      onBatchInputBlur,
+      setCurrencyFilters,
+      setCurrency,
+      intl
+    } = this.props
+
+    const formatAmount = sats => `${btc.convert('sats', ticker.currency, sats)} ${currencyName}`
+
+    const onCurrencyFilterClick = currency => {
+      setCurrency(currency)
+      setCurrencyFilters(false)
+    }
+
+    return (
+      <div>
+        <section className={styles.destination}>
+          <div className={styles.top}>
+            <label htmlFor="batchInput">
+              <FormattedMessage {...messages.recipients} />
+            </label>
+            <label htmlFor="batchCsv" className={styles.import}>
+              <FormattedMessage {...messages.import_csv} />
+              <input
+                type="file"
+                id="batchCsv"
+                accept=".csv,text/csv,text/plain"
+                onChange={event => this.importCsv(event)}
+              />
+            </label>
+          </div>
+          <div className={styles.bottom}>
+            <textarea
+              type="text"
+              placeholder={intl.formatMessage({ ...messages.batch_placeholder })}
+              value={batchInput}
+              onChange={event => setPayBatchInput(event.target.value)}
+              onBlur={onBatchInputBlur}
+              id="batchInput"
+              rows="8"
+            />
+            <section
+              className={`${styles.errorMessage} ${
+                showErrors.batchInput ? styles.active : undefined
+              }`}
+            >
+              {showErrors.batchInput && <span>{errors.batchInput}</span>}
+            </section>
+          </div>
+        </section>
+
+        <section className={styles.batchSummary}>
+          <div className={styles.top}>
+            <label htmlFor="batchCurrency">
+              <FormattedMessage {...messages.amounts_in} />
+            </label>
+            <div className={styles.currency} id="batchCurrency">
+              <section
+                className={styles.currentCurrency}
+                onClick={() => setCurrencyFilters(!showCurrencyFilters)}
+              >
+                <span>{currencyName}</span>
+                <span>
+                  <FaAngleDown />
+                </span>
+              </section>
+              <ul className={showCurrencyFilters ? styles.active : undefined}>
+                {currentCurrencyFilters.map(filter => (
+                  <li key={filter.key} onClick={() => onCurrencyFilterClick(filter.key)}>
+                    {filter.name}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+          <dl>
+            <dt>
+              <FormattedMessage {...messages.recipient_count} />
+            </dt>
+            <dd>{batchOutputs.length}</dd>
+            <dt>
+              <FormattedMessage {...messages.total} />
+            </dt>
+            <dd>{formatAmount(batchTotal)}</dd>
+            {batchFee !== null && (
+              <React.Fragment>
+                <dt>
+                  <FormattedMessage {...messages.total_with_fee} />
+                </dt>
+                <dd>{formatAmount(batchTotal + batchFee)}</dd>
+              </React.Fragment>
+            )}
+          </dl>
+        </section>
+
+        <FeeSelector {...feeSelectorProps} estimatedFee={batchFee} />
+      </div>
+    )
+  }
+
+  renderFeeLimit() {
+    const {
+      payform: { feeLimitType, feeLimitValue },
+      payFormIsValid: { errors },
+      setPayFeeLimitType,
+      setPayFeeLimitValue,
+      intl
+    } = this.props
+
+    return (
+      <section className={styles.feeLimit}>
+        <div className={styles.top}>
+          <label htmlFor="feeLimitValue">
+            <FormattedMessage {...messages.fee_limit} />
+          </label>
+        </div>
+        <ul className={styles.feeLimitTypes}>
+          {FEE_LIMIT_TYPES.map(type => (
+            <li
+              key={type}
+              className={type === feeLimitType ? styles.active : undefined}
+              onClick={() => setPayFeeLimitType(type)}
+            >
+              <FormattedMessage {...messages[`fee_limit_${type}`]} />
+            </li>
+          ))}
+        </ul>
+        {feeLimitType !== 'none' && (
+          <div className={styles.bottom}>
+            <input
+              id="feeLimitValue"
+              type="number"
+              min="0"
+              step="1"
+              placeholder={intl.formatMessage({
+                ...messages[`fee_limit_${feeLimitType}_placeholder`]
+              })}
+              value={feeLimitValue}
+              onChange={event => setPayFeeLimitValue(event.target.value)}
+            />
+          </div>
+        )}
+        <section
+          className={`${styles.errorMessage} ${
+            feeLimitValue && errors.feeLimit ? styles.active : undefined
+          }`}
+        >
+          {feeLimitValue && errors.feeLimit && <span>{errors.feeLimit}</span>}
+        </section>
+      </section>
+    )
+  }
+
+  renderSingle() {
     const {
       payform: { payInput, showErrors, invoice, showCurrencyFilters },
       nodes,
@@ -52,9 +252,12 @@ class Pay extends Component {
 
       isOnchain,
       isLn,
+      isZeroAmountInvoice,
       currentAmount,
       fiatAmount,
-      payFormIsValid: { errors, isValid },
+      payFormIsValid: { errors },
+      feeSelectorProps,
+      routeSelectorProps,
       currentCurrencyFilters,
       currencyName,
 
@@ -66,8 +269,6 @@ class Pay extends Component {
 
       setCurrencyFilters,
 
-      onPaySubmit,
-
       setCurrency,
       intl
     } = this.props
@@ -83,7 +284,7 @@ class Pay extends Component {
     }
 
     const onCurrencyFilterClick = currency => {
-      if (!isLn) {
+      if (!isLn || isZeroAmountInvoice) {
         // change the input amount
         setPayAmount(btc.convert(ticker.currency, currency, currentAmount))
       }
@@ -92,6 +293,132 @@ class Pay extends Component {
       setCurrencyFilters(false)
     }
 
+    return (
+      <div>
+        <section className={styles.destination}>
+          <div className={styles.top}>
+            <label htmlFor="paymentRequest">
+              <FormattedMessage {...messages.destination} />
+            </label>
+            <span
+              className={`${styles.description} ${isOnchain || isLn ? styles.active : undefined}`}
+            >
+              {isOnchain && (
+                <i>
+                  <Isvg src={link} />
+                  <span>
+                    <FormattedMessage {...messages.onchain_description} />
+                  </span>
+                </i>
+              )}
+              {isLn && (
+                <i>
+                  <span>
+                    {displayNodeName(invoice.destination)} ({invoice.description})
+                  </span>
+                </i>
+              )}
+            </span>
+          </div>
+          <div className={styles.bottom}>
+            <textarea
+              type="text"
+              placeholder={intl.formatMessage({ ...messages.request_placeholder })}
+              value={payInput}
+              onChange={event => setPayInput(event.target.value)}
+              onBlur={onPayInputBlur}
+              id="paymentRequest"
+              rows="4"
+              ref={this.paymentRequestInput}
+            />
+            <section
+              className={`${styles.errorMessage} ${
+                showErrors.payInput ? styles.active : undefined
+              }`}
+            >
+              {showErrors.payInput && <span>{errors.payInput}</span>}
+            </section>
+          </div>
+        </section>
+
+        <section className={styles.amount}>
+          <div className={styles.top}>
+            <label htmlFor="amount">
+              <FormattedMessage {...messages.amount} />
+            </label>
+            <span className={styles.amountDescription}>
+              {isZeroAmountInvoice && <FormattedMessage {...messages.zero_amount_description} />}
+            </span>
+          </div>
+          <div className={styles.bottom}>
+            <AmountInput
+              id="amount"
+              amount={currentAmount}
+              currency={ticker.currency}
+              onChangeEvent={setPayAmount}
+              onBlurEvent={onPayAmountBlur}
+              readOnly={isLn && !isZeroAmountInvoice}
+            />
+            <div className={styles.currency}>
+              <section
+                className={styles.currentCurrency}
+                onClick={() => setCurrencyFilters(!showCurrencyFilters)}
+              >
+                <span>{currencyName}</span>
+                <span>
+                  <FaAngleDown />
+                </span>
+              </section>
+              <ul className={showCurrencyFilters ? styles.active : undefined}>
+                {currentCurrencyFilters.map(filter => (
+                  <li key={filter.key} onClick={() => onCurrencyFilterClick(filter.key)}>
+                    {filter.name}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+
+          <div className={styles.fiatAmount}>
+            {'≈ '}
+            <FormattedNumber
+              currency={ticker.fiatTicker}
+              style="currency"
+              value={fiatAmount || 0}
+            />
+          </div>
+
+          <section
+            className={`${styles.errorMessage} ${styles.amount} ${
+              showErrors.amount ? styles.active : undefined
+            }`}
+          >
+            {showErrors.amount && <span>{errors.amount}</span>}
+          </section>
+        </section>
+
+        {isOnchain && <FeeSelector {...feeSelectorProps} />}
+        {isLn && this.renderFeeLimit()}
+        {isLn && !isZeroAmountInvoice && <RouteSelector {...routeSelectorProps} />}
+      </div>
+    )
+  }
+
+  render() {
+    const {
+      payform: { batchMode },
+      isOnchain,
+      payFormIsValid,
+      batchFormIsValid,
+      feeSelectorProps: { customFeeRateIsValid },
+      setPayBatchMode,
+      onPaySubmit
+    } = this.props
+
+    // On-chain payments also need a valid fee.
+    const { isValid } = batchMode ? batchFormIsValid : payFormIsValid
+    const feeIsValid = !(batchMode || isOnchain) || customFeeRateIsValid
+
     return (
       <div className={styles.container}>
         <header className={styles.header}>
@@ -99,112 +426,17 @@ class Pay extends Component {
           <h1>
             <FormattedMessage {...messages.title} />
           </h1>
+          <span className={styles.mode} onClick={() => setPayBatchMode(!batchMode)}>
+            <FormattedMessage {...(batchMode ? messages.single_mode : messages.batch_mode)} />
+          </span>
         </header>
 
         <div className={styles.content}>
-          <section className={styles.destination}>
-            <div className={styles.top}>
-              <label htmlFor="paymentRequest">
-                <FormattedMessage {...messages.destination} />
-              </label>
-              <span
-                className={`${styles.description} ${isOnchain || isLn ? styles.active : undefined}`}
-              >
-                {isOnchain && (
-                  <i>
-                    <Isvg src={link} />
-                    <span>
-                      <FormattedMessage {...messages.onchain_description} />
-                    </span>
-                  </i>
-                )}
-                {isLn && (
-                  <i>
-                    <span>
-                      {displayNodeName(invoice.destination)} ({invoice.description})
-                    </span>
-                  </i>
-                )}
-              </span>
-            </div>
-            <div className={styles.bottom}>
-              <textarea
-                type="text"
-                placeholder={intl.formatMessage({ ...messages.request_placeholder })}
-                value={payInput}
-                onChange={event => setPayInput(event.target.value)}
-                onBlur={onPayInputBlur}
-                id="paymentRequest"
-                rows="4"
-                ref={this.paymentRequestInput}
-              />
-              <section
-                className={`${styles.errorMessage} ${
-                  showErrors.payInput ? styles.active : undefined
-                }`}
-              >
-                {showErrors.payInput && <span>{errors.payInput}</span>}
-              </section>
-            </div>
-          </section>
-
-          <section className={styles.amount}>
-            <div className={styles.top}>
-              <label htmlFor="amount">
-                <FormattedMessage {...messages.amount} />
-              </label>
-              <span />
-            </div>
-            <div className={styles.bottom}>
-              <AmountInput
-                id="amount"
-                amount={currentAmount}
-                currency={ticker.currency}
-                onChangeEvent={setPayAmount}
-                onBlurEvent={onPayAmountBlur}
-                readOnly={isLn}
-              />
-              <div className={styles.currency}>
-                <section
-                  className={styles.currentCurrency}
-                  onClick={() => setCurrencyFilters(!showCurrencyFilters)}
-                >
-                  <span>{currencyName}</span>
-                  <span>
-                    <FaAngleDown />
-                  </span>
-                </section>
-                <ul className={showCurrencyFilters ? styles.active : undefined}>
-                  {currentCurrencyFilters.map(filter => (
-                    <li key={filter.key} onClick={() => onCurrencyFilterClick(filter.key)}>
-                      {filter.name}
-                    </li>
-                  ))}
-                </ul>
-              </div>
-            </div>
-
-            <div className={styles.fiatAmount}>
-              {'≈ '}
-              <FormattedNumber
-                currency={ticker.fiatTicker}
-                style="currency"
-                value={fiatAmount || 0}
-              />
-            </div>
-
-            <section
-              className={`${styles.errorMessage} ${styles.amount} ${
-                showErrors.amount ? styles.active : undefined
-              }`}
-            >
-              {showErrors.amount && <span>{errors.amount}</span>}
-            </section>
-          </section>
+          {batchMode ? this.renderBatch() : this.renderSingle()}
 
           <section className={styles.submit}>
             <div
-              className={`${styles.button} ${isValid ? styles.active : undefined}`}
+              className={`${styles.button} ${isValid && feeIsValid ? styles.active : undefined}`}
               onClick={onPaySubmit}
             >
               <FormattedMessage {...messages.pay} />
@@ -221,24 +453,45 @@ Pay.propTypes = {
     amount: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
     payInput: PropTypes.string.isRequired,
     invoice: PropTypes.object.isRequired,
-    showErrors: PropTypes.object.isRequired
+    showErrors: PropTypes.object.isRequired,
+    batchMode: PropTypes.bool,
+    batchInput: PropTypes.string,
+    feeLimitType: PropTypes.string,
+    feeLimitValue: PropTypes.string
   }).isRequired,
   currencyName: PropTypes.string.isRequired,
 
   isOnchain: PropTypes.bool.isRequired,
   isLn: PropTypes.bool.isRequired,
+  isZeroAmountInvoice: PropTypes.bool.isRequired,
   currentAmount: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
   fiatAmount: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
   payFormIsValid: PropTypes.shape({
     errors: PropTypes.object,
     isValid: PropTypes.bool
   }).isRequired,
+  batchOutputs: PropTypes.array.isRequired,
+  batchTotal: PropTypes.number.isRequired,
+  batchFee: PropTypes.number,
+  batchFormIsValid: PropTypes.shape({
+    errors: PropTypes.object,
+    isValid: PropTypes.bool
+  }).isRequired,
 
   setPayAmount: PropTypes.func.isRequired,
   onPayAmountBlur: PropTypes.func.isRequired,
   setPayInput: PropTypes.func.isRequired,
   onPayInputBlur: PropTypes.func.isRequired,
   fetchInvoice: PropTypes.func.isRequired,
+  setPayBatchMode: PropTypes.func.isRequired,
+  setPayBatchInput: PropTypes.func.isRequired,
+  onBatchInputBlur: PropTypes.func.isRequired,
+  setPayFeeLimitType: PropTypes.func.isRequired,
+  setPayFeeLimitValue: PropTypes.func.isRequired,
+  feeSelectorProps: PropTypes.object.isRequired,
+  routeSelectorProps: PropTypes.object.isRequired,
+  fetchInvoiceAndQueryRoutes: PropTypes.func.isRequired,
+  clearQueryRoutes: PropTypes.func.isRequired,
 
   onPaySubmit: PropTypes.func.isRequired,
   setCurrencyFilters: PropTypes.func.isRequired,
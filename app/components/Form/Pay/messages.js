@@ -6,6 +6,22 @@ export default defineMessages({
   destination: 'Destination',
   amount: 'Amount',
   request_placeholder: 'Paste payment request or bitcoin address here',
+  zero_amount_description: 'This invoice lets you choose how much to pay',
   pay: 'Pay',
-  onchain_description: 'On-Chain (~10 minutes)'
+  onchain_description: 'On-Chain (~10 minutes)',
+  batch_mode: 'Pay many addresses at once',
+  single_mode: 'Pay a single destination',
+  recipients: 'Recipients',
+  import_csv: 'Import CSV',
+  batch_placeholder: 'One bitcoin address and amount per line, separated by a comma',
+  amounts_in: 'Amounts in',
+  recipient_count: 'Recipients',
+  total: 'Total',
+  total_with_fee: 'Total with fee',
+  fee_limit: 'Maximum routing fee',
+  fee_limit_none: 'No limit',
+  fee_limit_fixed: 'Satoshis',
+  fee_limit_percent: 'Percent of amount',
+  fee_limit_fixed_placeholder: 'Most to pay in fees, in satoshis',
+  fee_limit_percent_placeholder: 'Most to pay in fees, as a percentage of the amount'
 })
@@ -4,6 +4,7 @@ import PropTypes from 'prop-types'
 import Isvg from 'react-inlinesvg'
 import hand from 'icons/hand.svg'
 import FaAngleDown from 'react-icons/lib/fa/angle-down'
+import FaAngleUp from 'react-icons/lib/fa/angle-up'
 
 import { btc } from 'lib/utils'
 import AmountInput from 'components/AmountInput'
@@ -14,11 +15,28 @@ import messages from './messages'
 import styles from './Request.scss'
 
 const Request = ({
-  requestform: { amount, memo, showCurrencyFilters },
+  requestform: {
+    amount,
+    memo,
+    anyAmount,
+    showCurrencyFilters,
+    showAdvanced,
+    expiry,
+    cltvExpiry,
+    fallbackAddress,
+    hashDescription
+  },
   ticker,
+  requestFormIsValid,
+  expiryIsValid,
+  cltvExpiryIsValid,
+  usesDescriptionHash,
 
   setRequestAmount,
   setRequestMemo,
+  setRequestAnyAmount,
+  setRequestShowAdvanced,
+  setRequestOption,
   setCurrency,
   setRequestCurrencyFilters,
   currencyName,
@@ -52,14 +70,23 @@ const Request = ({
             <label htmlFor="amount">
               <FormattedMessage {...messages.amount} />
             </label>
-            <span />
+            <label htmlFor="anyAmount" className={styles.anyAmount}>
+              <input
+                type="checkbox"
+                id="anyAmount"
+                checked={anyAmount}
+                onChange={event => setRequestAnyAmount(event.target.checked)}
+              />
+              <FormattedMessage {...messages.any_amount} />
+            </label>
           </div>
-          <div className={styles.bottom}>
+          <div className={`${styles.bottom} ${anyAmount ? styles.disabled : ''}`}>
             <AmountInput
               id="amount"
               amount={amount}
               currency={ticker.currency}
               onChangeEvent={setRequestAmount}
+              readOnly={anyAmount}
             />
             <div className={styles.currency}>
               <section
@@ -108,9 +135,81 @@ const Request = ({
           </div>
         </section>
 
+        <section className={styles.advanced}>
+          <div className={styles.toggle} onClick={() => setRequestShowAdvanced(!showAdvanced)}>
+            <FormattedMessage {...messages.advanced} />
+            {showAdvanced ? <FaAngleUp /> : <FaAngleDown />}
+          </div>
+          {showAdvanced && (
+            <div className={styles.options}>
+              <div className={styles.option}>
+                <label htmlFor="expiry">
+                  <FormattedMessage {...messages.expiry} />
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  id="expiry"
+                  placeholder={intl.formatMessage({ ...messages.expiry_placeholder })}
+                  value={expiry}
+                  onChange={event => setRequestOption('expiry', event.target.value)}
+                />
+              </div>
+              <div className={styles.option}>
+                <label htmlFor="cltvExpiry">
+                  <FormattedMessage {...messages.cltv_expiry} />
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  id="cltvExpiry"
+                  placeholder={intl.formatMessage({ ...messages.cltv_expiry_placeholder })}
+                  value={cltvExpiry}
+                  onChange={event => setRequestOption('cltvExpiry', event.target.value)}
+                />
+              </div>
+              {!(expiryIsValid && cltvExpiryIsValid) && (
+                <p className={styles.error}>
+                  <FormattedMessage {...messages.options_error} />
+                </p>
+              )}
+              <label htmlFor="fallbackAddress" className={styles.checkbox}>
+                <input
+                  type="checkbox"
+                  id="fallbackAddress"
+                  checked={fallbackAddress}
+                  onChange={event => setRequestOption('fallbackAddress', event.target.checked)}
+                />
+                <FormattedMessage {...messages.fallback_address} />
+              </label>
+              <label htmlFor="hashDescription" className={styles.checkbox}>
+                <input
+                  type="checkbox"
+                  id="hashDescription"
+                  checked={usesDescriptionHash}
+                  disabled={usesDescriptionHash && !hashDescription}
+                  onChange={event => setRequestOption('hashDescription', event.target.checked)}
+                />
+                <FormattedMessage {...messages.description_hash} />
+              </label>
+              {usesDescriptionHash && (
+                <p className={styles.note}>
+                  <FormattedMessage
+                    {...(hashDescription
+                      ? messages.description_hash_note
+                      : messages.description_too_long)}
+                  />
+                </p>
+              )}
+            </div>
+          )}
+        </section>
+
         <section className={styles.submit}>
           <div
-            className={`${styles.button} ${amount > 0 ? styles.active : undefined}`}
+            className={`${styles.button} ${requestFormIsValid ? styles.active : undefined}`}
             onClick={onRequestSubmit}
           >
             <FormattedMessage {...messages.request} />
@@ -124,8 +223,18 @@ const Request = ({
 Request.propTypes = {
   requestform: PropTypes.shape({
     amount: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
-    memo: PropTypes.string
+    memo: PropTypes.string,
+    anyAmount: PropTypes.bool,
+    showAdvanced: PropTypes.bool,
+    expiry: PropTypes.string,
+    cltvExpiry: PropTypes.string,
+    fallbackAddress: PropTypes.bool,
+    hashDescription: PropTypes.bool
   }).isRequired,
+  requestFormIsValid: PropTypes.bool.isRequired,
+  expiryIsValid: PropTypes.bool.isRequired,
+  cltvExpiryIsValid: PropTypes.bool.isRequired,
+  usesDescriptionHash: PropTypes.bool.isRequired,
 
   requestFiatAmount: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
   currencyName: PropTypes.string.isRequired,
@@ -134,6 +243,9 @@ Request.propTypes = {
 
   setRequestAmount: PropTypes.func.isRequired,
   setRequestMemo: PropTypes.func.isRequired,
+  setRequestAnyAmount: PropTypes.func.isRequired,
+  setRequestShowAdvanced: PropTypes.func.isRequired,
+  setRequestOption: PropTypes.func.isRequired,
   onRequestSubmit: PropTypes.func.isRequired,
   setCurrency: PropTypes.func.isRequired,
   setRequestCurrencyFilters: PropTypes.func.isRequired,
@@ -1,9 +1,23 @@
 import { defineMessages } from 'react-intl'
 
+/* eslint-disable max-len */
 export default defineMessages({
   title: 'Request Payment',
   amount: 'Amount',
+  any_amount: 'Any amount',
   memo: 'Memo',
   details: 'Details about the request',
-  request: 'Request'
+  request: 'Request',
+  advanced: 'Advanced options',
+  expiry: 'Expires after (minutes)',
+  expiry_placeholder: '60',
+  cltv_expiry: 'Final CLTV expiry (blocks)',
+  cltv_expiry_placeholder: '144',
+  options_error: 'Expiry and CLTV expiry must be whole numbers',
+  fallback_address: 'Include an on-chain fallback address',
+  description_hash: 'Commit to a hash of the memo',
+  description_hash_note:
+    'The payer will need to be given the memo separately to check it against the hash',
+  description_too_long:
+    'The memo is too long to fit in the request, so a hash of it will be used instead'
 })
@@ -0,0 +1,399 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import FaAngleLeft from 'react-icons/lib/fa/angle-left'
+
+import Value from 'components/Value'
+import { liquidityKey } from 'reducers/probe'
+
+import { FormattedMessage, FormattedNumber, FormattedRelative, injectIntl } from 'react-intl'
+import messages from './messages'
+
+import NetworkGraph from './NetworkGraph'
+import Probe from './Probe'
+import styles from './NetworkExplorer.scss'
+
+class NetworkExplorer extends React.Component {
+  nodeName(pubkey) {
+    const { nodeAliases } = this.props
+    return nodeAliases[pubkey] || pubkey.substring(0, 10)
+  }
+
+  renderValue(value) {
+    const { ticker, currentTicker, currencyName } = this.props
+
+    return (
+      <span>
+        <Value
+          value={value}
+          currency={ticker.currency}
+          currentTicker={currentTicker}
+          fiatTicker={ticker.fiatTicker}
+        />
+        <i> {currencyName}</i>
+      </span>
+    )
+  }
+
+  renderSearchResults() {
+    const {
+      explorer: { tab, selectedNode, selectedChan },
+      searchNodes,
+      searchChannels,
+      fetchNodeInfo,
+      fetchChanInfo
+    } = this.props
+
+    if (tab === 'CHANNELS') {
+      return (
+        <ul className={styles.results} id="searchChannels">
+          {searchChannels.map(edge => (
+            <li
+              key={edge.channel_id}
+              className={
+                String(edge.channel_id) === String(selectedChan) ? styles.active : undefined
+              }
+              onClick={() => fetchChanInfo(edge.channel_id)}
+            >
+              <span>
+                {this.nodeName(edge.node1_pub)} ↔ {this.nodeName(edge.node2_pub)}
+              </span>
+              <span className={styles.detail}>{this.renderValue(edge.capacity)}</span>
+            </li>
+          ))}
+        </ul>
+      )
+    }
+
+    return (
+      <ul className={styles.results} id="searchNodes">
+        {searchNodes.map(node => (
+          <li
+            key={node.pub_key}
+            className={node.pub_key === selectedNode ? styles.active : undefined}
+            onClick={() => fetchNodeInfo(node.pub_key)}
+          >
+            <span>{node.alias || node.pub_key.substring(0, 10)}</span>
+            <span className={styles.detail}>
+              <FormattedMessage {...messages.channel_count} values={{ count: node.channels }} />
+              {' · '}
+              {this.renderValue(node.capacity)}
+            </span>
+          </li>
+        ))}
+      </ul>
+    )
+  }
+
+  renderNode() {
+    const {
+      explorer: { selectedNode, nodeInfo, nodeInfoLoading },
+      selectedNodeChannels,
+      fetchChanInfo,
+      openProbe
+    } = this.props
+
+    if (nodeInfoLoading || !nodeInfo) {
+      return (
+        <p className={styles.empty}>
+          <FormattedMessage {...(nodeInfoLoading ? messages.loading : messages.not_found)} />
+        </p>
+      )
+    }
+
+    const { node, num_channels, total_capacity } = nodeInfo
+
+    return (
+      <div id="nodeDetails">
+        <h2>
+          <span className={styles.color} style={{ background: node.color }} />
+          {node.alias || selectedNode.substring(0, 10)}
+        </h2>
+        <dl className={styles.properties}>
+          <dt>
+            <FormattedMessage {...messages.pubkey} />
+          </dt>
+          <dd className={styles.hash}>{node.pub_key}</dd>
+          <dt>
+            <FormattedMessage {...messages.capacity} />
+          </dt>
+          <dd>{this.renderValue(total_capacity)}</dd>
+          <dt>
+            <FormattedMessage {...messages.channels} />
+          </dt>
+          <dd>
+            <FormattedNumber value={num_channels} />
+          </dd>
+          <dt>
+            <FormattedMessage {...messages.addresses} />
+          </dt>
+          <dd>
+            {node.addresses.length ? (
+              node.addresses.map(address => <p key={address.addr}>{address.addr}</p>)
+            ) : (
+              <FormattedMessage {...messages.no_addresses} />
+            )}
+          </dd>
+          <dt>
+            <FormattedMessage {...messages.last_update} />
+          </dt>
+          <dd>
+            <FormattedRelative value={node.last_update * 1000} />
+          </dd>
+        </dl>
+        <div className={styles.probe} onClick={() => openProbe(node.pub_key)}>
+          <FormattedMessage {...messages.probe_node} />
+        </div>
+
+        <ul className={styles.results}>
+          {selectedNodeChannels.map(edge => (
+            <li key={edge.channel_id} onClick={() => fetchChanInfo(edge.channel_id)}>
+              <span>
+                <FormattedMessage
+                  {...messages.channel_with}
+                  values={{ node: this.nodeName(edge.peer) }}
+                />
+              </span>
+              <span className={styles.detail}>{this.renderValue(edge.capacity)}</span>
+            </li>
+          ))}
+        </ul>
+        {selectedNodeChannels.length === 0 && (
+          <p className={styles.empty}>
+            <FormattedMessage {...messages.no_channels} />
+          </p>
+        )}
+      </div>
+    )
+  }
+
+  renderPolicy(pubkey, policy, channelId) {
+    const {
+      probe: { liquidity },
+      fetchNodeInfo
+    } = this.props
+    const estimate = liquidity[liquidityKey(channelId, pubkey)]
+
+    return (
+      <div className={styles.policy}>
+        <h4 onClick={() => fetchNodeInfo(pubkey)}>{this.nodeName(pubkey)}</h4>
+        {policy ? (
+          <dl className={styles.properties}>
+            <dt>
+              <FormattedMessage {...messages.base_fee} />
+            </dt>
+            <dd>
+              <FormattedMessage {...messages.msat} values={{ amount: policy.fee_base_msat }} />
+            </dd>
+            <dt>
+              <FormattedMessage {...messages.fee_rate} />
+            </dt>
+            <dd>
+              <FormattedMessage {...messages.ppm} values={{ rate: policy.fee_rate_milli_msat }} />
+            </dd>
+            <dt>
+              <FormattedMessage {...messages.min_htlc} />
+            </dt>
+            <dd>
+              <FormattedMessage {...messages.msat} values={{ amount: policy.min_htlc }} />
+            </dd>
+            <dt>
+              <FormattedMessage {...messages.time_lock_delta} />
+            </dt>
+            <dd>
+              <FormattedMessage {...messages.blocks} values={{ blocks: policy.time_lock_delta }} />
+            </dd>
+            <dt>
+              <FormattedMessage {...messages.status} />
+            </dt>
+            <dd>
+              <FormattedMessage {...(policy.disabled ? messages.disabled : messages.enabled)} />
+            </dd>
+            {estimate && (
+              <dt>
+                <FormattedMessage {...messages.liquidity} />
+              </dt>
+            )}
+            {estimate &&
+              estimate.canSend !== null && (
+                <dd>
+                  <FormattedMessage {...messages.can_send} />
+                  {this.renderValue(estimate.canSend)}
+                </dd>
+              )}
+            {estimate &&
+              estimate.cannotSend !== null && (
+                <dd>
+                  <FormattedMessage {...messages.cannot_send} />
+                  {this.renderValue(estimate.cannotSend)}
+                </dd>
+              )}
+          </dl>
+        ) : (
+          <p className={styles.empty}>
+            <FormattedMessage {...messages.no_policy} />
+          </p>
+        )}
+      </div>
+    )
+  }
+
+  renderChannel() {
+    const {
+      explorer: { selectedNode, chanInfo, chanInfoLoading },
+      clearSelectedChan
+    } = this.props
+
+    return (
+      <div id="channelDetails">
+        {selectedNode && (
+          <div className={styles.backToNode} onClick={clearSelectedChan}>
+            <FaAngleLeft />
+            <span>{this.nodeName(selectedNode)}</span>
+          </div>
+        )}
+        {chanInfoLoading || !chanInfo ? (
+          <p className={styles.empty}>
+            <FormattedMessage {...(chanInfoLoading ? messages.loading : messages.not_found)} />
+          </p>
+        ) : (
+          <div>
+            <h2>
+              <FormattedMessage
+                {...messages.channel}
+                values={{ id: String(chanInfo.channel_id) }}
+              />
+            </h2>
+            <dl className={styles.properties}>
+              <dt>
+                <FormattedMessage {...messages.chan_point} />
+              </dt>
+              <dd className={styles.hash}>{chanInfo.chan_point}</dd>
+              <dt>
+                <FormattedMessage {...messages.capacity} />
+              </dt>
+              <dd>{this.renderValue(chanInfo.capacity)}</dd>
+              <dt>
+                <FormattedMessage {...messages.last_update} />
+              </dt>
+              <dd>
+                <FormattedRelative value={chanInfo.last_update * 1000} />
+              </dd>
+            </dl>
+            <div className={styles.policies}>
+              {this.renderPolicy(chanInfo.node1_pub, chanInfo.node1_policy, chanInfo.channel_id)}
+              {this.renderPolicy(chanInfo.node2_pub, chanInfo.node2_policy, chanInfo.channel_id)}
+            </div>
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  render() {
+    const {
+      explorer: { tab, tabs, searchQuery, selectedNode, selectedChan },
+      network: { nodes, edges, networkLoading },
+      setExplorerTab,
+      setExplorerSearchQuery,
+      fetchDescribeNetwork,
+      fetchNodeInfo,
+      closeNetworkExplorer,
+      probeProps,
+      intl
+    } = this.props
+
+    return (
+      <div className={styles.explorer}>
+        <header className={styles.header}>
+          <section className={styles.back} onClick={closeNetworkExplorer}>
+            <FaAngleLeft />
+            <h1>
+              <FormattedMessage {...messages.title} />
+            </h1>
+          </section>
+          <section className={styles.summary}>
+            <span>
+              <FormattedMessage
+                {...messages.summary}
+                values={{ nodes: nodes.length, channels: edges.length }}
+              />
+            </span>
+            <span className={styles.refresh} onClick={fetchDescribeNetwork}>
+              <FormattedMessage {...(networkLoading ? messages.refreshing : messages.refresh)} />
+            </span>
+          </section>
+        </header>
+
+        <div className={styles.content}>
+          <aside className={styles.sidebar}>
+            {tab !== 'PROBE' && (
+              <input
+                id="explorerSearch"
+                type="text"
+                className={styles.search}
+                value={searchQuery}
+                onChange={event => setExplorerSearchQuery(event.target.value)}
+                placeholder={intl.formatMessage({
+                  ...(tab === 'CHANNELS' ? messages.search_channels : messages.search_nodes)
+                })}
+              />
+            )}
+            <ul className={styles.tabs}>
+              {tabs.map(({ key, name }) => (
+                <li
+                  key={key}
+                  className={key === tab ? styles.active : undefined}
+                  onClick={() => setExplorerTab(key)}
+                >
+                  <FormattedMessage {...messages[name]} />
+                </li>
+              ))}
+            </ul>
+            {tab === 'PROBE' ? <Probe {...probeProps} /> : this.renderSearchResults()}
+          </aside>
+
+          <section className={styles.main}>
+            <NetworkGraph
+              nodes={nodes}
+              edges={edges}
+              selectedNode={selectedNode}
+              selectedChan={selectedChan}
+              onSelectNode={fetchNodeInfo}
+            />
+            {(selectedNode || selectedChan !== null) && (
+              <section className={styles.details}>
+                {selectedChan !== null ? this.renderChannel() : this.renderNode()}
+              </section>
+            )}
+          </section>
+        </div>
+      </div>
+    )
+  }
+}
+
+NetworkExplorer.propTypes = {
+  explorer: PropTypes.object.isRequired,
+  network: PropTypes.object.isRequired,
+  probe: PropTypes.object.isRequired,
+  probeProps: PropTypes.object.isRequired,
+  searchNodes: PropTypes.array.isRequired,
+  searchChannels: PropTypes.array.isRequired,
+  selectedNodeChannels: PropTypes.array.isRequired,
+  nodeAliases: PropTypes.object.isRequired,
+  ticker: PropTypes.object.isRequired,
+  currentTicker: PropTypes.object.isRequired,
+  currencyName: PropTypes.string.isRequired,
+  intl: PropTypes.object.isRequired,
+
+  fetchDescribeNetwork: PropTypes.func.isRequired,
+  setExplorerTab: PropTypes.func.isRequired,
+  setExplorerSearchQuery: PropTypes.func.isRequired,
+  fetchNodeInfo: PropTypes.func.isRequired,
+  fetchChanInfo: PropTypes.func.isRequired,
+  clearSelectedChan: PropTypes.func.isRequired,
+  closeNetworkExplorer: PropTypes.func.isRequired,
+  openProbe: PropTypes.func.isRequired
+}
+
+export default injectIntl(NetworkExplorer)
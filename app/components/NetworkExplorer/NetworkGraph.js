@@ -0,0 +1,240 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+import {
+  createLayout,
+  stepLayout,
+  isLayoutSettled,
+  hasSameTopology,
+  findNearestNode
+} from 'lib/utils/graphLayout'
+
+import styles from './NetworkExplorer.scss'
+
+// Size in pixels of the nodes at the default zoom, and how far from a click a node can be to be picked.
+const NODE_SIZE = 3
+const PICK_DISTANCE = 10
+
+// Time in milliseconds that the layout may take in each animation frame, so that the UI stays responsive however large
+// the graph is.
+const FRAME_BUDGET = 12
+
+const MIN_SCALE = 0.05
+const MAX_SCALE = 10
+
+// The whole graph is drawn on a canvas, as rendering an element for each of its nodes and channels can't keep up with
+// graphs the size of testnet or mainnet.
+class NetworkGraph extends React.Component {
+  constructor(props) {
+    super(props)
+    this.scale = 1
+    this.offsetX = 0
+    this.offsetY = 0
+    this.setCanvasRef = this.setCanvasRef.bind(this)
+    this.onWheel = this.onWheel.bind(this)
+    this.onMouseDown = this.onMouseDown.bind(this)
+    this.onMouseMove = this.onMouseMove.bind(this)
+    this.onMouseUp = this.onMouseUp.bind(this)
+    this.onMouseLeave = this.onMouseLeave.bind(this)
+  }
+
+  componentDidMount() {
+    const { nodes, edges } = this.props
+    this.layout = createLayout(nodes, edges)
+    this.animate()
+  }
+
+  componentDidUpdate(prevProps) {
+    const { nodes, edges } = this.props
+    if (
+      (nodes !== prevProps.nodes || edges !== prevProps.edges) &&
+      !hasSameTopology(this.layout, nodes, edges)
+    ) {
+      this.layout = createLayout(nodes, edges, this.layout)
+      this.animate()
+    } else {
+      this.draw()
+    }
+  }
+
+  componentWillUnmount() {
+    cancelAnimationFrame(this.frame)
+  }
+
+  onWheel(event) {
+    event.preventDefault()
+    const rect = this.canvas.getBoundingClientRect()
+    const point = this.toLayout(event.clientX - rect.left, event.clientY - rect.top)
+    const scale = Math.min(
+      MAX_SCALE,
+      Math.max(MIN_SCALE, this.scale * (event.deltaY < 0 ? 1.1 : 0.9))
+    )
+    // Keep the point under the cursor where it is.
+    this.offsetX += point.x * (this.scale - scale)
+    this.offsetY += point.y * (this.scale - scale)
+    this.scale = scale
+    this.draw()
+  }
+
+  onMouseDown(event) {
+    this.drag = { x: event.clientX, y: event.clientY, moved: false }
+  }
+
+  onMouseMove(event) {
+    if (!this.drag) {
+      return
+    }
+    const dx = event.clientX - this.drag.x
+    const dy = event.clientY - this.drag.y
+    if (dx || dy) {
+      this.offsetX += dx
+      this.offsetY += dy
+      this.drag = { x: event.clientX, y: event.clientY, moved: true }
+      this.draw()
+    }
+  }
+
+  // A click that didn't drag the graph selects the node under the cursor.
+  onMouseUp(event) {
+    const { drag } = this
+    this.drag = null
+    if (!drag || drag.moved) {
+      return
+    }
+    const { onSelectNode } = this.props
+    const rect = this.canvas.getBoundingClientRect()
+    const point = this.toLayout(event.clientX - rect.left, event.clientY - rect.top)
+    const nearest = findNearestNode(this.layout, point.x, point.y, PICK_DISTANCE / this.scale)
+    if (nearest !== -1) {
+      onSelectNode(this.layout.pubkeys[nearest])
+    }
+  }
+
+  onMouseLeave() {
+    this.drag = null
+  }
+
+  setCanvasRef(canvas) {
+    this.canvas = canvas
+  }
+
+  animate() {
+    cancelAnimationFrame(this.frame)
+    const frame = () => {
+      const start = Date.now()
+      while (!isLayoutSettled(this.layout) && Date.now() - start < FRAME_BUDGET) {
+        stepLayout(this.layout)
+      }
+      this.draw()
+      if (!isLayoutSettled(this.layout)) {
+        this.frame = requestAnimationFrame(frame)
+      }
+    }
+    this.frame = requestAnimationFrame(frame)
+  }
+
+  // Convert a position on the canvas to a position in the layout.
+  toLayout(canvasX, canvasY) {
+    const { canvas } = this
+    return {
+      x: (canvasX - canvas.clientWidth / 2 - this.offsetX) / this.scale,
+      y: (canvasY - canvas.clientHeight / 2 - this.offsetY) / this.scale
+    }
+  }
+
+  draw() {
+    const { canvas, layout } = this
+    const context = canvas && canvas.getContext && canvas.getContext('2d')
+    if (!context) {
+      return
+    }
+
+    const { selectedNode, selectedChan, edges } = this.props
+    const { x, y, links, index } = layout
+    const width = canvas.clientWidth
+    const height = canvas.clientHeight
+    const ratio = window.devicePixelRatio || 1
+    if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+      canvas.width = width * ratio
+      canvas.height = height * ratio
+    }
+
+    // Colours come from the theme, via the styles of the canvas.
+    const style = getComputedStyle(canvas)
+    const nodeColor = style.color
+    const highlightColor = style.getPropertyValue('--lightningOrange').trim() || nodeColor
+
+    context.setTransform(ratio, 0, 0, ratio, 0, 0)
+    context.clearRect(0, 0, width, height)
+    context.translate(width / 2 + this.offsetX, height / 2 + this.offsetY)
+    context.scale(this.scale, this.scale)
+
+    // Batch everything of the same colour into a single path, as stroking each line on its own is far slower.
+    context.globalAlpha = 0.15
+    context.strokeStyle = nodeColor
+    context.lineWidth = 1 / this.scale
+    context.beginPath()
+    for (let l = 0; l < links.length; l += 2) {
+      context.moveTo(x[links[l]], y[links[l]])
+      context.lineTo(x[links[l + 1]], y[links[l + 1]])
+    }
+    context.stroke()
+
+    const size = NODE_SIZE / Math.sqrt(this.scale)
+    context.globalAlpha = 0.8
+    context.fillStyle = nodeColor
+    context.beginPath()
+    for (let i = 0; i < x.length; i += 1) {
+      context.rect(x[i] - size / 2, y[i] - size / 2, size, size)
+    }
+    context.fill()
+
+    const selected = index[selectedNode]
+    context.globalAlpha = 1
+    context.strokeStyle = highlightColor
+    context.fillStyle = highlightColor
+    context.lineWidth = 2 / this.scale
+    context.beginPath()
+    edges.forEach(edge => {
+      const isSelected =
+        String(edge.channel_id) === String(selectedChan) ||
+        (selectedChan === null &&
+          (edge.node1_pub === selectedNode || edge.node2_pub === selectedNode))
+      const source = index[edge.node1_pub]
+      const target = index[edge.node2_pub]
+      if (isSelected && source !== undefined && target !== undefined) {
+        context.moveTo(x[source], y[source])
+        context.lineTo(x[target], y[target])
+      }
+    })
+    context.stroke()
+    if (selected !== undefined) {
+      context.fillRect(x[selected] - size * 1.5, y[selected] - size * 1.5, size * 3, size * 3)
+    }
+  }
+
+  render() {
+    return (
+      <canvas
+        ref={this.setCanvasRef}
+        className={styles.graph}
+        onWheel={this.onWheel}
+        onMouseDown={this.onMouseDown}
+        onMouseMove={this.onMouseMove}
+        onMouseUp={this.onMouseUp}
+        onMouseLeave={this.onMouseLeave}
+      />
+    )
+  }
+}
+
+NetworkGraph.propTypes = {
+  nodes: PropTypes.array.isRequired,
+  edges: PropTypes.array.isRequired,
+  selectedNode: PropTypes.string,
+  selectedChan: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+
+  onSelectNode: PropTypes.func.isRequired
+}
+
+export default NetworkGraph
@@ -0,0 +1,178 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+import { btc } from 'lib/utils'
+import AmountInput from 'components/AmountInput'
+
+import { FormattedMessage } from 'react-intl'
+import messages from './messages'
+
+import styles from './Probe.scss'
+
+class Probe extends React.Component {
+  nodeName(pubkey) {
+    const { nodeAliases } = this.props
+    return nodeAliases[pubkey] || pubkey.substring(0, 10)
+  }
+
+  formatAmount(sats) {
+    const { ticker, currencyName } = this.props
+    return `${btc.convert('sats', ticker.currency, sats)} ${currencyName}`
+  }
+
+  renderSummary() {
+    const {
+      probe: { report },
+      reachable
+    } = this.props
+
+    const values = { amount: this.formatAmount(report.amount), node: this.nodeName(report.pubkey) }
+    let message = messages.unreachable
+    if (reachable) {
+      message = messages.reachable
+    } else if (report.probes.length === 0) {
+      message = messages.no_routes
+    }
+
+    return (
+      <p className={`${styles.summary} ${reachable ? styles.reachable : styles.unreachable}`}>
+        <FormattedMessage {...message} values={values} />
+      </p>
+    )
+  }
+
+  renderLiquidity(liquidity) {
+    if (!liquidity) {
+      return null
+    }
+    return (
+      <span className={styles.liquidity}>
+        {liquidity.canSend !== null && (
+          <FormattedMessage
+            {...messages.can_send}
+            values={{ amount: this.formatAmount(liquidity.canSend) }}
+          />
+        )}
+        {liquidity.canSend !== null && liquidity.cannotSend !== null && ' · '}
+        {liquidity.cannotSend !== null && (
+          <FormattedMessage
+            {...messages.cannot_send}
+            values={{ amount: this.formatAmount(liquidity.cannotSend) }}
+          />
+        )}
+      </span>
+    )
+  }
+
+  renderRoutes() {
+    const { reportRoutes } = this.props
+    const hopStatus = {
+      passed: messages.passed,
+      failed: messages.blocked,
+      unknown: messages.untested
+    }
+
+    return (
+      <ol className={styles.routes} id="probeRoutes">
+        {reportRoutes.map((route, index) => (
+          <li key={route.hops.map(hop => hop.chanId).join(':')}>
+            <div className={styles.routeHeader}>
+              <FormattedMessage
+                {...messages.route}
+                values={{ number: index + 1, fees: this.formatAmount(route.fees) }}
+              />
+              <span className={styles[route.outcome]}>
+                <FormattedMessage {...messages[route.outcome]} />
+              </span>
+            </div>
+            <ol className={styles.hops}>
+              {route.hops.map(hop => (
+                <li key={hop.chanId} className={styles[hop.status]}>
+                  <span>
+                    {hop.nodes
+                      ? `${this.nodeName(hop.nodes.from)} → ${this.nodeName(hop.nodes.to)}`
+                      : hop.chanId}
+                  </span>
+                  <span className={styles.hopStatus}>
+                    <FormattedMessage {...hopStatus[hop.status]} />
+                  </span>
+                  {this.renderLiquidity(hop.liquidity)}
+                </li>
+              ))}
+            </ol>
+            {route.error && <p className={styles.error}>{route.error}</p>}
+          </li>
+        ))}
+      </ol>
+    )
+  }
+
+  render() {
+    const {
+      probe: { pubkey, amount, probing, report },
+      probeFormIsValid,
+      ticker,
+      currencyName,
+      setProbePubkey,
+      setProbeAmount,
+      probeDestination
+    } = this.props
+
+    const submitDisabled = probing || !probeFormIsValid
+
+    return (
+      <div className={styles.probe}>
+        <p className={styles.description}>
+          <FormattedMessage {...messages.description} />
+        </p>
+        <label htmlFor="probePubkey">
+          <FormattedMessage {...messages.pubkey} />
+        </label>
+        <input
+          id="probePubkey"
+          type="text"
+          className={styles.input}
+          value={pubkey}
+          onChange={event => setProbePubkey(event.target.value)}
+        />
+        <label htmlFor="probeAmount">
+          <FormattedMessage {...messages.amount} />
+        </label>
+        <div className={styles.amount}>
+          <AmountInput
+            id="probeAmount"
+            amount={amount}
+            currency={ticker.currency}
+            onChangeEvent={setProbeAmount}
+          />
+          <span>{currencyName}</span>
+        </div>
+        <div
+          className={`${styles.button} ${submitDisabled ? '' : styles.active}`}
+          onClick={() => !submitDisabled && probeDestination()}
+        >
+          <FormattedMessage {...(probing ? messages.probing : messages.probe)} />
+        </div>
+
+        {report && this.renderSummary()}
+        {report && this.renderRoutes()}
+      </div>
+    )
+  }
+}
+
+Probe.propTypes = {
+  probe: PropTypes.object.isRequired,
+  probeFormIsValid: PropTypes.bool.isRequired,
+  reachable: PropTypes.bool.isRequired,
+  reportRoutes: PropTypes.array.isRequired,
+  nodeAliases: PropTypes.object.isRequired,
+  ticker: PropTypes.object.isRequired,
+  currencyName: PropTypes.string.isRequired,
+
+  setProbePubkey: PropTypes.func.isRequired,
+  setProbeAmount: PropTypes.func.isRequired,
+  probeDestination: PropTypes.func.isRequired
+}
+
+export default Probe
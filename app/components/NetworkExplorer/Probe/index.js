@@ -0,0 +1,3 @@
+import Probe from './Probe'
+
+export default Probe
@@ -0,0 +1,23 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  pubkey: 'Destination pubkey',
+  amount: 'Amount',
+  probe: 'Probe',
+  probing: 'Probing…',
+  description:
+    'Probing sends payments that can never be completed along the routes to a node, to find out whether a real payment would get there. No funds are spent.',
+  reachable: 'A payment of {amount} can reach {node}.',
+  unreachable: 'None of the routes that were found can carry {amount} to {node}.',
+  no_routes: 'No route to {node} was found for {amount}.',
+  route: 'Route {number} · {fees} fee',
+  reached: 'Reached',
+  insufficient_liquidity: 'Not enough liquidity',
+  failed: 'Failed',
+  passed: 'Enough liquidity',
+  blocked: 'Blocked here',
+  untested: 'Not reached',
+  can_send: 'Can send at least {amount}',
+  cannot_send: 'Can send less than {amount}'
+})
@@ -0,0 +1,3 @@
+import NetworkExplorer from './NetworkExplorer'
+
+export default NetworkExplorer
@@ -0,0 +1,41 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  title: 'Network',
+  summary: '{nodes, number} nodes · {channels, number} channels',
+  refresh: 'Refresh',
+  refreshing: 'Refreshing…',
+  nodes: 'Nodes',
+  channels: 'Channels',
+  probe: 'Probe',
+  probe_node: 'Probe routes to this node',
+  search_nodes: 'Search by alias or pubkey',
+  search_channels: 'Search by channel id, alias or pubkey',
+  channel_count: '{count, plural, one {# channel} other {# channels}}',
+  channel_with: 'Channel with {node}',
+  loading: 'Loading…',
+  not_found: 'This is no longer in the network graph.',
+  pubkey: 'Pubkey',
+  capacity: 'Capacity',
+  addresses: 'Addresses',
+  no_addresses: 'None advertised',
+  last_update: 'Last update',
+  no_channels: 'This node has no public channels.',
+  channel: 'Channel {id}',
+  chan_point: 'Funding output',
+  base_fee: 'Base fee',
+  fee_rate: 'Fee rate',
+  min_htlc: 'Minimum HTLC',
+  time_lock_delta: 'Time-lock delta',
+  status: 'Status',
+  enabled: 'Enabled',
+  disabled: 'Disabled',
+  liquidity: 'Estimated liquidity',
+  can_send: 'At least ',
+  cannot_send: 'Less than ',
+  no_policy: 'This node has not announced a routing policy for the channel.',
+  msat: '{amount, number} msat',
+  ppm: '{rate, number} ppm',
+  blocks: '{blocks, number} blocks'
+})
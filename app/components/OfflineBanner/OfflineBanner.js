@@ -0,0 +1,23 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { FormattedMessage } from 'react-intl'
+import messages from './messages'
+import styles from './OfflineBanner.scss'
+
+const OfflineBanner = ({ isOffline, reconnectAttempt }) => (
+  <div className={`${styles.container} ${!isOffline ? styles.closed : undefined}`}>
+    <FormattedMessage {...messages.reconnecting} />
+    {reconnectAttempt > 1 && (
+      <span className={styles.attempt}>
+        (<FormattedMessage {...messages.attempt} values={{ attempt: reconnectAttempt }} />)
+      </span>
+    )}
+  </div>
+)
+
+OfflineBanner.propTypes = {
+  isOffline: PropTypes.bool.isRequired,
+  reconnectAttempt: PropTypes.number
+}
+
+export default OfflineBanner
@@ -0,0 +1,3 @@
+import OfflineBanner from './OfflineBanner'
+
+export default OfflineBanner
@@ -0,0 +1,7 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  reconnecting: 'Lost connection to your Lightning node. Reconnecting…',
+  attempt: 'attempt {attempt}'
+})
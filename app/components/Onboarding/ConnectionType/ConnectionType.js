@@ -14,14 +14,11 @@ const ConnectionType = ({ connectionType, setConnectionType }) => (
       <div className={`${styles.button}`} onClick={() => setConnectionType('local')}>
         {connectionType === 'local' ? <FaCircle /> : <FaCircleThin />}
         <span className={styles.label}>
-          <FormattedMessage {...messages.default} />{' '}
-          <span className={styles.superscript}>testnet</span>
+          <FormattedMessage {...messages.default} />
         </span>
       </div>
       <div className={`${styles.description}`}>
         <FormattedMessage {...messages.default_description} />
-        <br />
-        (testnet <FormattedMessage {...messages.only} />)
       </div>
     </section>
     <section
@@ -5,7 +5,6 @@ export default defineMessages({
   default: 'Default',
   default_description:
     'By selecting the defualt mode we will do everything for you. Just click and go!',
-  only: 'only',
   custom: 'Custom',
   custom_description:
     'Connect to your own node. You will need to provide your own connection settings so this is for advanced users only.',
@@ -0,0 +1,37 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import FaCircle from 'react-icons/lib/fa/circle'
+import FaCircleThin from 'react-icons/lib/fa/circle-thin'
+import { FormattedMessage } from 'react-intl'
+import messages from './messages'
+import styles from './Network.scss'
+
+const NETWORKS = ['testnet', 'mainnet', 'regtest', 'simnet']
+
+const Network = ({ network, setNetwork }) => (
+  <div className={styles.container}>
+    {NETWORKS.map(option => (
+      <section
+        key={option}
+        className={`${styles.option} ${network === option ? styles.active : undefined}`}
+      >
+        <div className={styles.button} onClick={() => setNetwork(option)}>
+          {network === option ? <FaCircle /> : <FaCircleThin />}
+          <span className={styles.label}>
+            <FormattedMessage {...messages[option]} />
+          </span>
+        </div>
+        <div className={styles.description}>
+          <FormattedMessage {...messages[`${option}_description`]} />
+        </div>
+      </section>
+    ))}
+  </div>
+)
+
+Network.propTypes = {
+  network: PropTypes.string.isRequired,
+  setNetwork: PropTypes.func.isRequired
+}
+
+export default Network
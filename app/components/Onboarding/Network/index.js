@@ -0,0 +1,3 @@
+import Network from './Network'
+
+export default Network
@@ -0,0 +1,15 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  testnet: 'Testnet',
+  testnet_description: 'Use test coins that have no value. Great for trying things out.',
+  mainnet: 'Mainnet',
+  mainnet_description: 'Use real bitcoin. Lightning is still experimental so be careful!',
+  regtest: 'Regtest',
+  regtest_description:
+    'Use a private regression test network. For developers, requires your own chain backend or neutrino peer.',
+  simnet: 'Simnet',
+  simnet_description:
+    'Use a private btcd simulation network. For developers, requires your own chain backend or neutrino peer.'
+})
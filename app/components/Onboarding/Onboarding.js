@@ -10,6 +10,7 @@ import ConnectionType from './ConnectionType'
 import ConnectionDetails from './ConnectionDetails'
 import ConnectionConfirm from './ConnectionConfirm'
 import BtcPayServer from './BtcPayServer'
+import Network from './Network'
 import Alias from './Alias'
 import Autopilot from './Autopilot'
 import Login from './Login'
@@ -29,6 +30,7 @@ const Onboarding = ({
     connectionHost,
     connectionCert,
     connectionMacaroon,
+    network,
     alias,
     autopilot,
     startingLnd,
@@ -40,6 +42,7 @@ const Onboarding = ({
   connectionTypeProps,
   connectionDetailProps,
   connectionConfirmProps,
+  networkProps,
   changeStep,
   startLnd,
   submitNewWallet,
@@ -70,7 +73,7 @@ const Onboarding = ({
                   changeStep(0.3)
                   break
                 default:
-                  changeStep(1)
+                  changeStep(0.5)
               }
             }}
           >
@@ -139,13 +142,26 @@ const Onboarding = ({
           </FormContainer>
         )
 
+      case 0.5:
+        return (
+          <FormContainer
+            title={<FormattedMessage {...messages.network_title} />}
+            description={<FormattedMessage {...messages.network_description} />}
+            theme={theme}
+            back={() => changeStep(0.1)}
+            next={() => changeStep(1)}
+          >
+            <Network {...networkProps} />
+          </FormContainer>
+        )
+
       case 1:
         return (
           <FormContainer
             title={<FormattedMessage {...messages.alias_title} />}
             description={<FormattedMessage {...messages.alias_description} />}
             theme={theme}
-            back={() => changeStep(0.1)}
+            back={() => changeStep(0.5)}
             next={() => changeStep(2)}
           >
             <Alias {...aliasProps} />
@@ -158,7 +174,7 @@ const Onboarding = ({
             description={<FormattedMessage {...messages.autopilot_description} />}
             theme={theme}
             back={() => changeStep(1)}
-            next={() => startLnd({ type: connectionType, alias, autopilot })}
+            next={() => startLnd({ type: connectionType, network, alias, autopilot })}
           >
             <Autopilot {...autopilotProps} />
           </FormContainer>
@@ -308,6 +324,7 @@ Onboarding.propTypes = {
   connectionTypeProps: PropTypes.object.isRequired,
   connectionDetailProps: PropTypes.object.isRequired,
   connectionConfirmProps: PropTypes.object.isRequired,
+  networkProps: PropTypes.object.isRequired,
   aliasProps: PropTypes.object.isRequired,
   autopilotProps: PropTypes.object.isRequired,
   initWalletProps: PropTypes.object.isRequired,
@@ -1,10 +1,17 @@
 import React from 'react'
 import PropTypes from 'prop-types'
-import { injectIntl } from 'react-intl'
+import { FormattedMessage, injectIntl } from 'react-intl'
 import messages from './messages'
 import styles from './RecoverForm.scss'
 
-const RecoverForm = ({ recoverSeedInput, updateRecoverSeedInput, intl }) => (
+const RecoverForm = ({
+  recoverSeedInput,
+  updateRecoverSeedInput,
+  restoreFile,
+  chooseChannelBackupFile,
+  clearChannelBackupFile,
+  intl
+}) => (
   <div className={styles.container}>
     <ul className={styles.seedContainer}>
       {Array(24)
@@ -27,12 +34,35 @@ const RecoverForm = ({ recoverSeedInput, updateRecoverSeedInput, intl }) => (
           </li>
         ))}
     </ul>
+    <section className={styles.channelBackup}>
+      <h4>
+        <FormattedMessage {...messages.channel_backup_title} />
+      </h4>
+      <p>
+        <FormattedMessage {...messages.channel_backup_description} />
+      </p>
+      {restoreFile ? (
+        <div className={styles.restoreFile}>
+          <span className={styles.fileName}>{restoreFile}</span>
+          <span className={styles.button} onClick={clearChannelBackupFile}>
+            <FormattedMessage {...messages.channel_backup_remove} />
+          </span>
+        </div>
+      ) : (
+        <span className={styles.button} onClick={chooseChannelBackupFile}>
+          <FormattedMessage {...messages.channel_backup_choose} />
+        </span>
+      )}
+    </section>
   </div>
 )
 
 RecoverForm.propTypes = {
   recoverSeedInput: PropTypes.array.isRequired,
   updateRecoverSeedInput: PropTypes.func.isRequired,
+  restoreFile: PropTypes.string,
+  chooseChannelBackupFile: PropTypes.func.isRequired,
+  clearChannelBackupFile: PropTypes.func.isRequired,
   intl: PropTypes.object.isRequired
 }
 
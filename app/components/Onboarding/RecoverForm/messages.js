@@ -2,5 +2,10 @@ import { defineMessages } from 'react-intl'
 
 /* eslint-disable max-len */
 export default defineMessages({
-  word_placeholder: 'word'
+  word_placeholder: 'word',
+  channel_backup_title: 'Channel backup (optional)',
+  channel_backup_description:
+    'If you had channels open, choose your channel backup file. Once your wallet has been recovered Zap will reconnect to your channel peers so that they can close your channels and return your funds.',
+  channel_backup_choose: 'Choose backup file',
+  channel_backup_remove: 'Remove'
 })
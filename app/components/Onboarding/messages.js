@@ -11,6 +11,9 @@ export default defineMessages({
   btcpay_description: 'Enter the connection details for your BTCPay Server node.',
   confirm_connection_title: 'Confirm connection',
   confirm_connection_description: 'Confirm the connection details for your Lightning node.',
+  network_title: 'Which network do you want to use?',
+  network_description:
+    'Zap can run your node on the Bitcoin test network or on the main Bitcoin network. Developers can also use a private regtest or simnet network. Each network has its own wallet.',
   alias_title: 'What should we call you?',
   alias_description: 'Set your nickname to help others connect with you on the Lightning Network',
   autopilot_title: 'Autopilot',
@@ -0,0 +1,114 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+import { btc } from 'lib/utils'
+
+import { FormattedMessage } from 'react-intl'
+import messages from './messages'
+
+import styles from './RouteSelector.scss'
+
+const RouteSelector = ({
+  routes,
+  routeNodes,
+  currentRoute,
+  fetchingRoutes,
+  blockHeight,
+  ticker,
+  currencyName,
+  setCurrentRoute
+}) => {
+  const formatFee = sats => `${btc.convert('sats', ticker.currency, sats)} ${currencyName}`
+
+  // Time-locks are absolute block heights, so show them relative to the current height when we know it.
+  const formatTimeLock = timeLock => (blockHeight ? timeLock - blockHeight : timeLock)
+
+  return (
+    <section className={styles.container}>
+      <div className={styles.top}>
+        <label htmlFor="routes">
+          <FormattedMessage {...messages.route} />
+        </label>
+        {fetchingRoutes && (
+          <span>
+            <FormattedMessage {...messages.finding_routes} />
+          </span>
+        )}
+        {!fetchingRoutes &&
+          routes.length === 0 && (
+            <span>
+              <FormattedMessage {...messages.no_routes} />
+            </span>
+          )}
+      </div>
+
+      <ul className={styles.routes} id="routes">
+        <li
+          className={currentRoute.hops ? undefined : styles.active}
+          onClick={() => setCurrentRoute({})}
+        >
+          <FormattedMessage {...messages.automatic} />
+          <span>
+            <FormattedMessage {...messages.automatic_description} />
+          </span>
+        </li>
+        {routes.map((route, index) => (
+          <li
+            key={route.hops.map(hop => hop.chan_id).join(':')}
+            className={route === currentRoute ? styles.active : undefined}
+            onClick={() => setCurrentRoute(route)}
+          >
+            <FormattedMessage {...messages.route_number} values={{ number: index + 1 }} />
+            <span>
+              <FormattedMessage
+                {...messages.route_summary}
+                values={{
+                  hops: route.hops.length,
+                  fee: formatFee(route.total_fees),
+                  timeLock: formatTimeLock(route.total_time_lock)
+                }}
+              />
+            </span>
+            {route === currentRoute && (
+              <ol className={styles.hops}>
+                {route.hops.map((hop, hopIndex) => (
+                  <li key={hop.chan_id}>
+                    <FormattedMessage
+                      {...messages.hop}
+                      values={{
+                        node: routeNodes[index][hopIndex],
+                        fee: formatFee(hop.fee),
+                        expiry: formatTimeLock(hop.expiry)
+                      }}
+                    />
+                  </li>
+                ))}
+              </ol>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {currentRoute.hops &&
+        routes.length > 1 && (
+          <p className={styles.note}>
+            <FormattedMessage {...messages.fallback} />
+          </p>
+        )}
+    </section>
+  )
+}
+
+RouteSelector.propTypes = {
+  routes: PropTypes.array.isRequired,
+  routeNodes: PropTypes.array.isRequired,
+  currentRoute: PropTypes.object.isRequired,
+  fetchingRoutes: PropTypes.bool.isRequired,
+  blockHeight: PropTypes.number,
+  ticker: PropTypes.object.isRequired,
+  currencyName: PropTypes.string.isRequired,
+
+  setCurrentRoute: PropTypes.func.isRequired
+}
+
+export default RouteSelector
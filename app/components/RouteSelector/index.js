@@ -0,0 +1,3 @@
+import RouteSelector from './RouteSelector'
+
+export default RouteSelector
@@ -0,0 +1,15 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  route: 'Route',
+  finding_routes: 'Finding routes…',
+  automatic: 'Automatic',
+  automatic_description: 'Let your node pick the route',
+  route_number: 'Route {number}',
+  route_summary:
+    '{hops, plural, one {# hop} other {# hops}} · {fee} fee · {timeLock} block time-lock',
+  hop: '{node}: {fee} fee, {expiry} block expiry',
+  fallback: 'If this route fails, the remaining routes will be tried in order.',
+  no_routes: 'No routes found'
+})
@@ -0,0 +1,221 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import FaAngleLeft from 'react-icons/lib/fa/angle-left'
+
+import Value from 'components/Value'
+
+import { FormattedDate, FormattedMessage, FormattedNumber } from 'react-intl'
+import messages from './messages'
+
+import styles from './Routing.scss'
+
+class Routing extends React.Component {
+  componentDidMount() {
+    const { fetchForwardingHistory } = this.props
+    fetchForwardingHistory()
+  }
+
+  renderValue(value) {
+    const { ticker, currentTicker, currencyName } = this.props
+
+    return (
+      <span>
+        <Value
+          value={value}
+          currency={ticker.currency}
+          currentTicker={currentTicker}
+          fiatTicker={ticker.fiatTicker}
+        />
+        <i> {currencyName}</i>
+      </span>
+    )
+  }
+
+  renderChart() {
+    const { feesOverTime } = this.props
+    const maxFees = Math.max(...feesOverTime.map(bucket => bucket.fees), 1)
+    const first = feesOverTime[0]
+    const last = feesOverTime[feesOverTime.length - 1]
+
+    return (
+      <section className={styles.chart}>
+        <h2>
+          <FormattedMessage {...messages.fees_over_time} />
+        </h2>
+        <svg viewBox={`0 0 ${feesOverTime.length * 10} 100`} preserveAspectRatio="none">
+          {feesOverTime.map((bucket, index) => {
+            const height = (bucket.fees / maxFees) * 100
+            return (
+              <rect key={bucket.time} x={index * 10 + 1} y={100 - height} width={8} height={height}>
+                <title>{bucket.fees}</title>
+              </rect>
+            )
+          })}
+        </svg>
+        {first && (
+          <div className={styles.axis}>
+            <FormattedDate value={first.time * 1000} month="short" day="2-digit" />
+            <FormattedDate value={last.time * 1000} month="short" day="2-digit" />
+          </div>
+        )}
+      </section>
+    )
+  }
+
+  render() {
+    const {
+      routing: { timeRange, timeRanges, forwardingEvents, forwardingHistoryLoading },
+      totalFees,
+      topChannels,
+      channelPairs,
+      channelNames,
+      setRoutingTimeRange,
+      fetchForwardingHistory,
+      closeRouting
+    } = this.props
+
+    const channelName = chanId => channelNames[chanId] || chanId
+
+    return (
+      <div className={styles.routing}>
+        <header className={styles.header}>
+          <section className={styles.back} onClick={closeRouting}>
+            <FaAngleLeft />
+            <h1>
+              <FormattedMessage {...messages.title} />
+            </h1>
+          </section>
+          <section>
+            <ul className={styles.timeRanges}>
+              {timeRanges.map(range => (
+                <li
+                  key={range.key}
+                  className={range.key === timeRange ? styles.active : undefined}
+                  onClick={() => setRoutingTimeRange(range.key)}
+                >
+                  <FormattedMessage {...messages[range.name]} />
+                </li>
+              ))}
+              <li className={styles.refresh} onClick={fetchForwardingHistory}>
+                <FormattedMessage {...messages.refresh} />
+              </li>
+            </ul>
+          </section>
+        </header>
+
+        <div className={`${styles.content} ${forwardingHistoryLoading ? styles.loading : ''}`}>
+          <section className={styles.summary}>
+            <div>
+              <h4>
+                <FormattedMessage {...messages.fees_earned} />
+              </h4>
+              <p>{this.renderValue(totalFees)}</p>
+            </div>
+            <div>
+              <h4>
+                <FormattedMessage {...messages.forwards} />
+              </h4>
+              <p>
+                <FormattedNumber value={forwardingEvents.length} />
+              </p>
+            </div>
+          </section>
+
+          {forwardingEvents.length === 0 ? (
+            <p className={styles.empty}>
+              <FormattedMessage {...messages.no_forwards} />
+            </p>
+          ) : (
+            <div>
+              {this.renderChart()}
+
+              <section className={styles.table}>
+                <h2>
+                  <FormattedMessage {...messages.top_channels} />
+                </h2>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>
+                        <FormattedMessage {...messages.channel} />
+                      </th>
+                      <th>
+                        <FormattedMessage {...messages.count} />
+                      </th>
+                      <th>
+                        <FormattedMessage {...messages.fees} />
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {topChannels.map(channel => (
+                      <tr key={channel.chanId}>
+                        <td>{channelName(channel.chanId)}</td>
+                        <td>{channel.count}</td>
+                        <td>{this.renderValue(channel.fees)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </section>
+
+              <section className={styles.table}>
+                <h2>
+                  <FormattedMessage {...messages.channel_pairs} />
+                </h2>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>
+                        <FormattedMessage {...messages.route} />
+                      </th>
+                      <th>
+                        <FormattedMessage {...messages.count} />
+                      </th>
+                      <th>
+                        <FormattedMessage {...messages.amount} />
+                      </th>
+                      <th>
+                        <FormattedMessage {...messages.fees} />
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {channelPairs.map(pair => (
+                      <tr key={`${pair.chanIdIn}:${pair.chanIdOut}`}>
+                        <td>
+                          {channelName(pair.chanIdIn)} → {channelName(pair.chanIdOut)}
+                        </td>
+                        <td>{pair.count}</td>
+                        <td>{this.renderValue(pair.amount)}</td>
+                        <td>{this.renderValue(pair.fees)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </section>
+            </div>
+          )}
+        </div>
+      </div>
+    )
+  }
+}
+
+Routing.propTypes = {
+  routing: PropTypes.object.isRequired,
+  totalFees: PropTypes.number.isRequired,
+  feesOverTime: PropTypes.array.isRequired,
+  topChannels: PropTypes.array.isRequired,
+  channelPairs: PropTypes.array.isRequired,
+  channelNames: PropTypes.object.isRequired,
+  ticker: PropTypes.object.isRequired,
+  currentTicker: PropTypes.object.isRequired,
+  currencyName: PropTypes.string.isRequired,
+
+  fetchForwardingHistory: PropTypes.func.isRequired,
+  setRoutingTimeRange: PropTypes.func.isRequired,
+  closeRouting: PropTypes.func.isRequired
+}
+
+export default Routing
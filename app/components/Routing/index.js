@@ -0,0 +1,3 @@
+import Routing from './Routing'
+
+export default Routing
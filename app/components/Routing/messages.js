@@ -0,0 +1,22 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  title: 'Routing',
+  refresh: 'Refresh',
+  day: 'Day',
+  week: 'Week',
+  month: 'Month',
+  year: 'Year',
+  fees_earned: 'Fees earned',
+  forwards: 'Payments forwarded',
+  fees_over_time: 'Fees over time',
+  top_channels: 'Top earning channels',
+  channel_pairs: 'Forwards by channel pair',
+  channel: 'Channel',
+  route: 'From → To',
+  count: 'Forwards',
+  amount: 'Amount',
+  fees: 'Fees',
+  no_forwards: 'No payments have been forwarded through your node in this time range.'
+})
@@ -0,0 +1,189 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import FaAngleLeft from 'react-icons/lib/fa/angle-left'
+import FaTrash from 'react-icons/lib/fa/trash'
+import Isvg from 'react-inlinesvg'
+import checkIcon from 'icons/check.svg'
+
+import { FormattedMessage, injectIntl } from 'react-intl'
+import messages from './messages'
+
+import styles from './ChainBackend.scss'
+
+const BACKENDS = ['neutrino', 'btcd', 'bitcoind']
+
+class ChainBackend extends React.Component {
+  constructor(props) {
+    super(props)
+
+    // Hosts that are being entered for each of the peer lists.
+    this.state = {
+      newHosts: {
+        neutrinoConnect: '',
+        neutrinoAddPeer: ''
+      }
+    }
+  }
+
+  componentDidMount() {
+    const { fetchChainBackend } = this.props
+    fetchChainBackend()
+  }
+
+  renderPeers(key, title, emptyMessage) {
+    const { settings, addChainBackendPeer, removeChainBackendPeer, intl } = this.props
+    const { newHosts } = this.state
+    const newHost = newHosts[key]
+    const setNewHost = value => this.setState({ newHosts: { ...newHosts, [key]: value } })
+
+    return (
+      <section className={styles.peers} key={key}>
+        <h4>
+          <FormattedMessage {...title} />
+        </h4>
+        <ul>
+          {settings[key].map(host => (
+            <li key={host}>
+              <span>{host}</span>
+              <span onClick={() => removeChainBackendPeer(key, host)}>
+                <FaTrash />
+              </span>
+            </li>
+          ))}
+          {settings[key].length === 0 &&
+            emptyMessage && (
+              <li className={styles.empty}>
+                <FormattedMessage {...emptyMessage} />
+              </li>
+            )}
+        </ul>
+        <input
+          type="text"
+          className={styles.input}
+          placeholder={intl.formatMessage({ ...messages.host_placeholder })}
+          value={newHost}
+          onChange={event => setNewHost(event.target.value)}
+          onKeyDown={event => {
+            if (event.key === 'Enter' && newHost.trim()) {
+              addChainBackendPeer(key, newHost)
+              setNewHost('')
+            }
+          }}
+        />
+      </section>
+    )
+  }
+
+  renderField(key, label, type = 'text') {
+    const { settings, updateChainBackendSetting } = this.props
+
+    return (
+      <section className={styles.field} key={key}>
+        <label htmlFor={key}>
+          <FormattedMessage {...label} />
+        </label>
+        <input
+          id={key}
+          type={type}
+          className={styles.input}
+          value={settings[key]}
+          onChange={event => updateChainBackendSetting(key, event.target.value)}
+        />
+      </section>
+    )
+  }
+
+  render() {
+    const {
+      editable,
+      saving,
+      saved,
+      settings,
+      isNeutrino,
+      supportsZmq,
+      disableSubMenu,
+      updateChainBackendSetting,
+      saveChainBackend
+    } = this.props
+
+    return (
+      <div>
+        <header className={styles.submenuHeader} onClick={disableSubMenu}>
+          <FaAngleLeft />
+          <span>
+            <FormattedMessage {...messages.title} />
+          </span>
+        </header>
+        {!editable ? (
+          <p className={styles.message}>
+            <FormattedMessage {...messages.not_editable} />
+          </p>
+        ) : (
+          <div>
+            <ul className={styles.backends}>
+              {BACKENDS.map(backend => (
+                <li
+                  key={backend}
+                  className={settings.chainBackend === backend ? styles.active : ''}
+                  onClick={() => updateChainBackendSetting('chainBackend', backend)}
+                >
+                  <span>
+                    <FormattedMessage {...messages[backend]} />
+                  </span>
+                  {settings.chainBackend === backend && <Isvg src={checkIcon} />}
+                </li>
+              ))}
+            </ul>
+            <div className={styles.form}>
+              {isNeutrino && [
+                this.renderPeers(
+                  'neutrinoConnect',
+                  messages.neutrino_connect,
+                  messages.neutrino_connect_empty
+                ),
+                this.renderPeers('neutrinoAddPeer', messages.neutrino_addpeer)
+              ]}
+              {!isNeutrino && [
+                this.renderField('backendRpcHost', messages.rpc_host),
+                this.renderField('backendRpcUser', messages.rpc_user),
+                this.renderField('backendRpcPass', messages.rpc_pass, 'password')
+              ]}
+              {supportsZmq && [
+                this.renderField('zmqPubRawBlock', messages.zmq_raw_block),
+                this.renderField('zmqPubRawTx', messages.zmq_raw_tx)
+              ]}
+              <div
+                className={`${styles.save} ${saving ? styles.disabled : ''}`}
+                onClick={() => !saving && saveChainBackend()}
+              >
+                <FormattedMessage {...messages.save} />
+              </div>
+              {saved && (
+                <p className={styles.message}>
+                  <FormattedMessage {...messages.saved} />
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    )
+  }
+}
+
+ChainBackend.propTypes = {
+  editable: PropTypes.bool.isRequired,
+  saving: PropTypes.bool.isRequired,
+  saved: PropTypes.bool.isRequired,
+  settings: PropTypes.object.isRequired,
+  isNeutrino: PropTypes.bool.isRequired,
+  supportsZmq: PropTypes.bool.isRequired,
+  fetchChainBackend: PropTypes.func.isRequired,
+  updateChainBackendSetting: PropTypes.func.isRequired,
+  addChainBackendPeer: PropTypes.func.isRequired,
+  removeChainBackendPeer: PropTypes.func.isRequired,
+  saveChainBackend: PropTypes.func.isRequired,
+  disableSubMenu: PropTypes.func.isRequired
+}
+
+export default injectIntl(ChainBackend)
@@ -0,0 +1,3 @@
+import ChainBackend from './ChainBackend'
+
+export default ChainBackend
@@ -0,0 +1,21 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  title: 'Chain backend',
+  not_editable: 'The chain backend can only be configured for wallets that Zap runs locally.',
+  neutrino: 'Neutrino',
+  btcd: 'Btcd',
+  bitcoind: 'Bitcoind',
+  neutrino_connect: 'Connect only to',
+  neutrino_connect_empty: 'Zap default',
+  neutrino_addpeer: 'Additional peers',
+  host_placeholder: 'host:port',
+  rpc_host: 'RPC host',
+  rpc_user: 'RPC user',
+  rpc_pass: 'RPC password',
+  zmq_raw_block: 'ZMQ raw block',
+  zmq_raw_tx: 'ZMQ raw tx',
+  save: 'Save',
+  saved: 'Saved. Changes will apply the next time your wallet is started.'
+})
@@ -0,0 +1,88 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import FaAngleLeft from 'react-icons/lib/fa/angle-left'
+
+import { FormattedDate, FormattedTime, FormattedMessage } from 'react-intl'
+import messages from './messages'
+
+import styles from './ChannelBackup.scss'
+
+class ChannelBackup extends React.Component {
+  componentDidMount() {
+    const { fetchChannelBackup } = this.props
+    fetchChannelBackup()
+  }
+
+  render() {
+    const {
+      dir,
+      lastBackup,
+      backingUp,
+      chooseChannelBackupDir,
+      backupChannels,
+      disableSubMenu
+    } = this.props
+
+    return (
+      <div>
+        <header className={styles.submenuHeader} onClick={disableSubMenu}>
+          <FaAngleLeft />
+          <span>
+            <FormattedMessage {...messages.title} />
+          </span>
+        </header>
+        <div className={styles.content}>
+          <p className={styles.message}>
+            <FormattedMessage {...messages.description} />
+          </p>
+          <section className={styles.field}>
+            <h4>
+              <FormattedMessage {...messages.folder} />
+            </h4>
+            <span className={styles.value}>
+              {dir || <FormattedMessage {...messages.not_configured} />}
+            </span>
+            <div className={styles.button} onClick={chooseChannelBackupDir}>
+              <FormattedMessage {...messages.choose_folder} />
+            </div>
+          </section>
+          {dir && (
+            <section className={styles.field}>
+              <h4>
+                <FormattedMessage {...messages.last_backup} />
+              </h4>
+              <span className={styles.value}>
+                {lastBackup ? (
+                  <span>
+                    <FormattedDate value={lastBackup} year="numeric" month="short" day="2-digit" />{' '}
+                    <FormattedTime value={lastBackup} />
+                  </span>
+                ) : (
+                  <FormattedMessage {...messages.never} />
+                )}
+              </span>
+              <div
+                className={`${styles.button} ${backingUp ? styles.disabled : ''}`}
+                onClick={() => !backingUp && backupChannels()}
+              >
+                <FormattedMessage {...messages.backup_now} />
+              </div>
+            </section>
+          )}
+        </div>
+      </div>
+    )
+  }
+}
+
+ChannelBackup.propTypes = {
+  dir: PropTypes.string,
+  lastBackup: PropTypes.string,
+  backingUp: PropTypes.bool.isRequired,
+  fetchChannelBackup: PropTypes.func.isRequired,
+  chooseChannelBackupDir: PropTypes.func.isRequired,
+  backupChannels: PropTypes.func.isRequired,
+  disableSubMenu: PropTypes.func.isRequired
+}
+
+export default ChannelBackup
@@ -0,0 +1,3 @@
+import ChannelBackup from './ChannelBackup'
+
+export default ChannelBackup
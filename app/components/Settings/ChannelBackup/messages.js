@@ -0,0 +1,14 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  title: 'Channel backup',
+  description:
+    'Zap keeps an encrypted backup of your channels up to date in the folder of your choice. If you ever need to recover your wallet from its seed, the backup lets you get your channel funds back.',
+  folder: 'Backup folder',
+  not_configured: 'Not configured',
+  choose_folder: 'Choose folder',
+  last_backup: 'Last backup',
+  never: 'Never',
+  backup_now: 'Back up now'
+})
@@ -7,7 +7,7 @@ import messages from './messages'
 
 import styles from './Menu.scss'
 
-const Menu = ({ setActiveSubMenu }) => (
+const Menu = ({ setActiveSubMenu, openRouting, openNetworkExplorer, openDiagnostics }) => (
   <ul>
     <li className={styles.fiat} onClick={() => setActiveSubMenu('fiat')}>
       <FormattedMessage {...messages.fiat} />
@@ -23,11 +23,56 @@ const Menu = ({ setActiveSubMenu }) => (
       </span>
       <FaAngleRight />
     </li>
+    <li className={styles.wallets} onClick={() => setActiveSubMenu('wallets')}>
+      <span>
+        <FormattedMessage {...messages.wallets} />
+      </span>
+      <FaAngleRight />
+    </li>
+    <li className={styles.chainBackend} onClick={() => setActiveSubMenu('chainBackend')}>
+      <span>
+        <FormattedMessage {...messages.chainBackend} />
+      </span>
+      <FaAngleRight />
+    </li>
+    <li className={styles.channelBackup} onClick={() => setActiveSubMenu('channelBackup')}>
+      <span>
+        <FormattedMessage {...messages.channelBackup} />
+      </span>
+      <FaAngleRight />
+    </li>
+    <li className={styles.password} onClick={() => setActiveSubMenu('password')}>
+      <span>
+        <FormattedMessage {...messages.password} />
+      </span>
+      <FaAngleRight />
+    </li>
+    <li className={styles.routing} onClick={openRouting}>
+      <span>
+        <FormattedMessage {...messages.routing} />
+      </span>
+      <FaAngleRight />
+    </li>
+    <li className={styles.network} onClick={openNetworkExplorer}>
+      <span>
+        <FormattedMessage {...messages.network} />
+      </span>
+      <FaAngleRight />
+    </li>
+    <li className={styles.diagnostics} onClick={openDiagnostics}>
+      <span>
+        <FormattedMessage {...messages.diagnostics} />
+      </span>
+      <FaAngleRight />
+    </li>
   </ul>
 )
 
 Menu.propTypes = {
-  setActiveSubMenu: PropTypes.func.isRequired
+  setActiveSubMenu: PropTypes.func.isRequired,
+  openRouting: PropTypes.func.isRequired,
+  openNetworkExplorer: PropTypes.func.isRequired,
+  openDiagnostics: PropTypes.func.isRequired
 }
 
 export default Menu
@@ -4,5 +4,12 @@ import { defineMessages } from 'react-intl'
 export default defineMessages({
   fiat: 'Fiat Currency',
   locale: 'Language',
-  theme: 'Theme'
+  theme: 'Theme',
+  wallets: 'Wallets',
+  chainBackend: 'Chain backend',
+  channelBackup: 'Channel backup',
+  password: 'Change password',
+  routing: 'Routing',
+  network: 'Network',
+  diagnostics: 'Diagnostics'
 })
@@ -0,0 +1,128 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import FaAngleLeft from 'react-icons/lib/fa/angle-left'
+
+import { FormattedMessage } from 'react-intl'
+import messages from './messages'
+
+import styles from './Password.scss'
+
+class Password extends React.Component {
+  renderField(id, label, value, onChange, error) {
+    return (
+      <section className={styles.field}>
+        <label htmlFor={id}>
+          <FormattedMessage {...label} />
+        </label>
+        <input
+          id={id}
+          type="password"
+          className={styles.input}
+          value={value}
+          onChange={event => onChange(event.target.value)}
+        />
+        {error && (
+          <p className={`${styles.message} ${styles.error}`}>
+            <FormattedMessage {...error} />
+          </p>
+        )}
+      </section>
+    )
+  }
+
+  render() {
+    const {
+      canChangePassword,
+      password: { changingPassword, walletLocked, passwordChanged, error },
+      currentPassword,
+      newPassword,
+      newPasswordConfirmation,
+      passwordMinCharsError,
+      showPasswordConfirmationError,
+      formIsValid,
+      updatePassword,
+      updateCreateWalletPassword,
+      updateCreateWalletPasswordConfirmation,
+      changePassword,
+      disableSubMenu
+    } = this.props
+
+    const submitDisabled = changingPassword || !formIsValid
+
+    return (
+      <div>
+        <header className={styles.submenuHeader} onClick={disableSubMenu}>
+          <FaAngleLeft />
+          <span>
+            <FormattedMessage {...messages.title} />
+          </span>
+        </header>
+        <div className={styles.content}>
+          {!canChangePassword ? (
+            <p className={styles.message}>
+              <FormattedMessage {...messages.not_editable} />
+            </p>
+          ) : (
+            <div>
+              <p className={styles.message}>
+                <FormattedMessage
+                  {...(walletLocked ? messages.wallet_locked : messages.description)}
+                />
+              </p>
+              {this.renderField(
+                'currentPassword',
+                messages.current_password,
+                currentPassword,
+                updatePassword
+              )}
+              {this.renderField(
+                'newPassword',
+                messages.new_password,
+                newPassword,
+                updateCreateWalletPassword,
+                passwordMinCharsError && messages.password_min_chars
+              )}
+              {this.renderField(
+                'newPasswordConfirmation',
+                messages.confirm_password,
+                newPasswordConfirmation,
+                updateCreateWalletPasswordConfirmation,
+                showPasswordConfirmationError && messages.password_confirmation_error
+              )}
+              <div
+                className={`${styles.button} ${submitDisabled ? styles.disabled : ''}`}
+                onClick={() => !submitDisabled && changePassword()}
+              >
+                <FormattedMessage {...(changingPassword ? messages.changing : messages.change)} />
+              </div>
+              {error && <p className={`${styles.message} ${styles.error}`}>{error}</p>}
+              {passwordChanged && (
+                <p className={styles.message}>
+                  <FormattedMessage {...messages.changed} />
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    )
+  }
+}
+
+Password.propTypes = {
+  canChangePassword: PropTypes.bool.isRequired,
+  password: PropTypes.object.isRequired,
+  currentPassword: PropTypes.string.isRequired,
+  newPassword: PropTypes.string.isRequired,
+  newPasswordConfirmation: PropTypes.string.isRequired,
+  passwordMinCharsError: PropTypes.bool.isRequired,
+  showPasswordConfirmationError: PropTypes.bool.isRequired,
+  formIsValid: PropTypes.bool.isRequired,
+  updatePassword: PropTypes.func.isRequired,
+  updateCreateWalletPassword: PropTypes.func.isRequired,
+  updateCreateWalletPasswordConfirmation: PropTypes.func.isRequired,
+  changePassword: PropTypes.func.isRequired,
+  disableSubMenu: PropTypes.func.isRequired
+}
+
+export default Password
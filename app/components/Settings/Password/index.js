@@ -0,0 +1,3 @@
+import Password from './Password'
+
+export default Password
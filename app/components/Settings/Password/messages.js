@@ -0,0 +1,17 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  title: 'Change password',
+  not_editable: 'The password can only be changed for wallets that Zap runs locally.',
+  description: 'Your wallet will be restarted in order to change its password.',
+  wallet_locked: 'Your wallet is locked until its password has been changed.',
+  current_password: 'Current password',
+  new_password: 'New password',
+  confirm_password: 'Confirm new password',
+  password_min_chars: 'Password must be at least 8 characters long',
+  password_confirmation_error: 'Passwords do not match',
+  change: 'Change password',
+  changing: 'Changing password…',
+  changed: 'Your password has been changed.'
+})
@@ -4,6 +4,10 @@ import Menu from './Menu'
 import Fiat from './Fiat'
 import Locale from './Locale'
 import Theme from './Theme'
+import Wallets from './Wallets'
+import ChainBackend from './ChainBackend'
+import ChannelBackup from './ChannelBackup'
+import Password from './Password'
 import styles from './Settings.scss'
 
 class Settings extends React.Component {
@@ -49,7 +53,20 @@ class Settings extends React.Component {
   }
 
   renderSettings() {
-    const { settings, fiatProps, localeProps, themeProps, setActiveSubMenu } = this.props
+    const {
+      settings,
+      fiatProps,
+      localeProps,
+      themeProps,
+      walletsProps,
+      chainBackendProps,
+      channelBackupProps,
+      passwordProps,
+      setActiveSubMenu,
+      openRouting,
+      openNetworkExplorer,
+      openDiagnostics
+    } = this.props
 
     switch (settings.activeSubMenu) {
       case 'fiat':
@@ -58,8 +75,23 @@ class Settings extends React.Component {
         return <Locale {...localeProps} />
       case 'theme':
         return <Theme {...themeProps} />
+      case 'wallets':
+        return <Wallets {...walletsProps} />
+      case 'chainBackend':
+        return <ChainBackend {...chainBackendProps} />
+      case 'channelBackup':
+        return <ChannelBackup {...channelBackupProps} />
+      case 'password':
+        return <Password {...passwordProps} />
       default:
-        return <Menu setActiveSubMenu={setActiveSubMenu} />
+        return (
+          <Menu
+            setActiveSubMenu={setActiveSubMenu}
+            openRouting={openRouting}
+            openNetworkExplorer={openNetworkExplorer}
+            openDiagnostics={openDiagnostics}
+          />
+        )
     }
   }
 
@@ -75,10 +107,17 @@ class Settings extends React.Component {
 Settings.propTypes = {
   settings: PropTypes.object.isRequired,
   setActiveSubMenu: PropTypes.func.isRequired,
+  openRouting: PropTypes.func.isRequired,
+  openNetworkExplorer: PropTypes.func.isRequired,
+  openDiagnostics: PropTypes.func.isRequired,
   toggleSettings: PropTypes.func.isRequired,
   fiatProps: PropTypes.object.isRequired,
   localeProps: PropTypes.object.isRequired,
-  themeProps: PropTypes.object.isRequired
+  themeProps: PropTypes.object.isRequired,
+  walletsProps: PropTypes.object.isRequired,
+  chainBackendProps: PropTypes.object.isRequired,
+  channelBackupProps: PropTypes.object.isRequired,
+  passwordProps: PropTypes.object.isRequired
 }
 
 export default Settings
@@ -0,0 +1,162 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import FaAngleLeft from 'react-icons/lib/fa/angle-left'
+import FaPencil from 'react-icons/lib/fa/pencil'
+import FaTrash from 'react-icons/lib/fa/trash'
+import FaPlus from 'react-icons/lib/fa/plus'
+import Isvg from 'react-inlinesvg'
+import checkIcon from 'icons/check.svg'
+
+import { FormattedMessage, injectIntl } from 'react-intl'
+import messages from './messages'
+
+import styles from './Wallets.scss'
+
+class Wallets extends React.Component {
+  constructor(props) {
+    super(props)
+
+    this.state = {
+      editingWallet: null,
+      editingName: '',
+      deletingWallet: null
+    }
+  }
+
+  componentDidMount() {
+    const { fetchWallets } = this.props
+    fetchWallets()
+  }
+
+  render() {
+    const {
+      wallets,
+      disableSubMenu,
+      setActiveWallet,
+      createWallet,
+      renameWallet,
+      deleteWallet,
+      intl
+    } = this.props
+    const { editingWallet, editingName, deletingWallet } = this.state
+
+    const startRename = wallet =>
+      this.setState({ editingWallet: wallet.key, editingName: wallet.wallet, deletingWallet: null })
+
+    const cancelRename = () => this.setState({ editingWallet: null, editingName: '' })
+
+    const submitRename = wallet => {
+      if (editingName && editingName !== wallet.wallet) {
+        renameWallet(wallet, editingName)
+      }
+      cancelRename()
+    }
+
+    // Deleting a wallet removes all of its data so require a second click to confirm.
+    const deleteClicked = wallet => {
+      if (deletingWallet === wallet.key) {
+        deleteWallet(wallet)
+        this.setState({ deletingWallet: null })
+      } else {
+        this.setState({ deletingWallet: wallet.key, editingWallet: null })
+      }
+    }
+
+    return (
+      <div>
+        <header className={styles.submenuHeader} onClick={disableSubMenu}>
+          <FaAngleLeft />
+          <span>
+            <FormattedMessage {...messages.title} />
+          </span>
+        </header>
+        <ul className={styles.wallets}>
+          {wallets.map(wallet => (
+            <li
+              key={wallet.key}
+              className={`${wallet.active ? styles.active : ''} ${
+                deletingWallet === wallet.key ? styles.deleting : ''
+              }`}
+              onClick={() =>
+                !wallet.active && editingWallet !== wallet.key && setActiveWallet(wallet)
+              }
+            >
+              {editingWallet === wallet.key ? (
+                <input
+                  type="text"
+                  className={styles.name}
+                  value={editingName}
+                  ref={input => input && input.focus()}
+                  onChange={event => this.setState({ editingName: event.target.value })}
+                  onBlur={cancelRename}
+                  onKeyDown={event => {
+                    if (event.key === 'Enter') {
+                      submitRename(wallet)
+                    } else if (event.key === 'Escape') {
+                      cancelRename()
+                    }
+                  }}
+                />
+              ) : (
+                <section className={styles.details}>
+                  <span>{wallet.alias || wallet.wallet}</span>
+                  <span className={styles.description}>
+                    {deletingWallet === wallet.key ? (
+                      <FormattedMessage {...messages.confirm_delete} />
+                    ) : (
+                      `${wallet.wallet} · ${wallet.network} · ${wallet.type}`
+                    )}
+                  </span>
+                </section>
+              )}
+              {wallet.active ? (
+                <Isvg src={checkIcon} />
+              ) : (
+                <section className={styles.actions}>
+                  <span
+                    className="hint--left"
+                    data-hint={intl.formatMessage({ ...messages.rename })}
+                    onClick={event => {
+                      event.stopPropagation()
+                      startRename(wallet)
+                    }}
+                  >
+                    <FaPencil />
+                  </span>
+                  <span
+                    className="hint--left"
+                    data-hint={intl.formatMessage({ ...messages.delete })}
+                    onClick={event => {
+                      event.stopPropagation()
+                      deleteClicked(wallet)
+                    }}
+                  >
+                    <FaTrash />
+                  </span>
+                </section>
+              )}
+            </li>
+          ))}
+          <li className={styles.create} onClick={createWallet}>
+            <span>
+              <FormattedMessage {...messages.create} />
+            </span>
+            <FaPlus />
+          </li>
+        </ul>
+      </div>
+    )
+  }
+}
+
+Wallets.propTypes = {
+  wallets: PropTypes.array.isRequired,
+  fetchWallets: PropTypes.func.isRequired,
+  setActiveWallet: PropTypes.func.isRequired,
+  createWallet: PropTypes.func.isRequired,
+  renameWallet: PropTypes.func.isRequired,
+  deleteWallet: PropTypes.func.isRequired,
+  disableSubMenu: PropTypes.func.isRequired
+}
+
+export default injectIntl(Wallets)
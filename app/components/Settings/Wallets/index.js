@@ -0,0 +1,3 @@
+import Wallets from './Wallets'
+
+export default Wallets
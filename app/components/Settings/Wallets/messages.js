@@ -0,0 +1,10 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  title: 'Wallets',
+  create: 'New wallet',
+  rename: 'Rename',
+  delete: 'Delete',
+  confirm_delete: 'Click again to permanently delete this wallet and all of its data'
+})
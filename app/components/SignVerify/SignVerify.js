@@ -0,0 +1,216 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import copy from 'copy-to-clipboard'
+import FaAngleLeft from 'react-icons/lib/fa/angle-left'
+
+import { showNotification } from 'lib/utils/notifications'
+
+import { FormattedMessage, injectIntl } from 'react-intl'
+import messages from './messages'
+
+import styles from './SignVerify.scss'
+
+class SignVerify extends React.Component {
+  state = {
+    signInput: '',
+    verifyInput: '',
+    signatureInput: ''
+  }
+
+  copySignature() {
+    const {
+      signverify: { signature }
+    } = this.props
+    copy(signature)
+    showNotification('Noice', 'Successfully copied to clipboard')
+  }
+
+  renderSign() {
+    const {
+      signverify: { signing, signedMessage, signature },
+      signMessage,
+      intl
+    } = this.props
+    const { signInput } = this.state
+
+    return (
+      <div>
+        <p className={styles.description}>
+          <FormattedMessage {...messages.sign_description} />
+        </p>
+        <section className={styles.field}>
+          <label htmlFor="signInput">
+            <FormattedMessage {...messages.message} />
+          </label>
+          <textarea
+            id="signInput"
+            rows="5"
+            placeholder={intl.formatMessage({ ...messages.message_placeholder })}
+            value={signInput}
+            onChange={event => this.setState({ signInput: event.target.value })}
+          />
+        </section>
+        <section className={styles.actions}>
+          <span
+            className={`${styles.button} ${signInput && !signing ? styles.active : undefined}`}
+            onClick={() => signInput && !signing && signMessage(signInput)}
+          >
+            <FormattedMessage {...(signing ? messages.signing : messages.sign)} />
+          </span>
+        </section>
+        {signature &&
+          signedMessage === signInput && (
+            <section className={styles.result}>
+              <h4>
+                <FormattedMessage {...messages.signature} />
+              </h4>
+              <div className={styles.signature}>
+                <span>{signature}</span>
+                <span className={styles.copy} onClick={() => this.copySignature()}>
+                  <FormattedMessage {...messages.copy} />
+                </span>
+              </div>
+            </section>
+          )}
+      </div>
+    )
+  }
+
+  renderVerify() {
+    const {
+      signverify: { verifying, verification },
+      verifiedNode,
+      verifyMessage,
+      intl
+    } = this.props
+    const { verifyInput, signatureInput } = this.state
+    const canVerify = verifyInput && signatureInput && !verifying
+
+    return (
+      <div>
+        <p className={styles.description}>
+          <FormattedMessage {...messages.verify_description} />
+        </p>
+        <section className={styles.field}>
+          <label htmlFor="verifyInput">
+            <FormattedMessage {...messages.message} />
+          </label>
+          <textarea
+            id="verifyInput"
+            rows="5"
+            placeholder={intl.formatMessage({ ...messages.message_placeholder })}
+            value={verifyInput}
+            onChange={event => this.setState({ verifyInput: event.target.value })}
+          />
+        </section>
+        <section className={styles.field}>
+          <label htmlFor="signatureInput">
+            <FormattedMessage {...messages.signature} />
+          </label>
+          <input
+            id="signatureInput"
+            type="text"
+            placeholder={intl.formatMessage({ ...messages.signature_placeholder })}
+            value={signatureInput}
+            onChange={event => this.setState({ signatureInput: event.target.value.trim() })}
+          />
+        </section>
+        <section className={styles.actions}>
+          <span
+            className={`${styles.button} ${canVerify ? styles.active : undefined}`}
+            onClick={() => canVerify && verifyMessage(verifyInput, signatureInput)}
+          >
+            <FormattedMessage {...(verifying ? messages.verifying : messages.verify)} />
+          </span>
+        </section>
+        {verification && (
+          <section
+            className={`${styles.result} ${verification.valid ? styles.valid : styles.invalid}`}
+          >
+            <h4>
+              <FormattedMessage {...(verification.valid ? messages.valid : messages.invalid)} />
+            </h4>
+            {verification.valid && (
+              <dl>
+                <dt>
+                  <FormattedMessage {...messages.pubkey} />
+                </dt>
+                <dd>{verification.pubkey}</dd>
+                <dd>
+                  {verifiedNode ? (
+                    <FormattedMessage
+                      {...messages.known_node}
+                      values={{
+                        alias: verifiedNode.alias || verifiedNode.pub_key.substring(0, 10)
+                      }}
+                    />
+                  ) : (
+                    <FormattedMessage {...messages.unknown_node} />
+                  )}
+                </dd>
+              </dl>
+            )}
+          </section>
+        )}
+      </div>
+    )
+  }
+
+  render() {
+    const {
+      signverify: { tab, tabs },
+      setSignVerifyTab,
+      closeSignVerify
+    } = this.props
+
+    return (
+      <div className={styles.signVerify}>
+        <header className={styles.header}>
+          <section className={styles.back} onClick={closeSignVerify}>
+            <FaAngleLeft />
+            <h1>
+              <FormattedMessage {...messages.title} />
+            </h1>
+          </section>
+          <section>
+            <ul className={styles.tabs}>
+              {tabs.map(t => (
+                <li
+                  key={t.key}
+                  className={t.key === tab ? styles.active : undefined}
+                  onClick={() => setSignVerifyTab(t.key)}
+                >
+                  <FormattedMessage {...messages[t.name]} />
+                </li>
+              ))}
+            </ul>
+          </section>
+        </header>
+
+        <div className={styles.content}>
+          {tab === 'SIGN' ? this.renderSign() : this.renderVerify()}
+        </div>
+      </div>
+    )
+  }
+}
+
+SignVerify.propTypes = {
+  signverify: PropTypes.shape({
+    tab: PropTypes.string.isRequired,
+    tabs: PropTypes.array.isRequired,
+    signing: PropTypes.bool.isRequired,
+    signedMessage: PropTypes.string.isRequired,
+    signature: PropTypes.string.isRequired,
+    verifying: PropTypes.bool.isRequired,
+    verification: PropTypes.object
+  }).isRequired,
+  verifiedNode: PropTypes.object,
+
+  setSignVerifyTab: PropTypes.func.isRequired,
+  signMessage: PropTypes.func.isRequired,
+  verifyMessage: PropTypes.func.isRequired,
+  closeSignVerify: PropTypes.func.isRequired
+}
+
+export default injectIntl(SignVerify)
@@ -0,0 +1,3 @@
+import SignVerify from './SignVerify'
+
+export default SignVerify
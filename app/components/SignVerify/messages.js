@@ -0,0 +1,24 @@
+import { defineMessages } from 'react-intl'
+
+/* eslint-disable max-len */
+export default defineMessages({
+  title: 'Sign / Verify Message',
+  sign: 'Sign',
+  verify: 'Verify',
+  sign_description:
+    'Sign a message with the key of your node to prove that you control it. Anyone with the message and signature can check that it came from your node.',
+  verify_description:
+    'Check that a message was signed by a Lightning node and find out which node signed it.',
+  message: 'Message',
+  message_placeholder: 'Enter the message here',
+  signature: 'Signature',
+  signature_placeholder: 'Paste the signature here',
+  signing: 'Signing...',
+  verifying: 'Verifying...',
+  copy: 'Copy',
+  valid: 'Valid signature',
+  invalid: 'Invalid signature',
+  pubkey: 'Signed by',
+  known_node: 'This is {alias} in your network graph.',
+  unknown_node: 'This node is not in your network graph.'
+})
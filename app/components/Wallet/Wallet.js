@@ -2,6 +2,7 @@ import React from 'react'
 import PropTypes from 'prop-types'
 import FaAngleUp from 'react-icons/lib/fa/angle-up'
 import FaAngleDown from 'react-icons/lib/fa/angle-down'
+import MdClose from 'react-icons/lib/md/close'
 import Isvg from 'react-inlinesvg'
 
 import { btc, blockExplorer } from 'lib/utils'
@@ -28,6 +29,11 @@ const Wallet = ({
   openRequestForm,
   showPayLoadingScreen,
   showSuccessPayScreen,
+  paymentAttempt,
+  maxPaymentAttempts,
+  paymentFailure,
+  paymentFeeLimit,
+  dismissPaymentFailure,
   successTransactionScreen,
   currentCurrencyFilters,
   currencyName,
@@ -131,6 +137,31 @@ const Wallet = ({
                 </div>
                 <section>
                   <FormattedMessage {...messages.sending_tx} />
+                  {paymentAttempt > 1 && (
+                    <span className={styles.attempt}>
+                      <FormattedMessage
+                        {...messages.payment_attempt}
+                        values={{ attempt: paymentAttempt, maxAttempts: maxPaymentAttempts }}
+                      />
+                    </span>
+                  )}
+                </section>
+              </span>
+            )}
+            {paymentFailure && (
+              <span className={styles.failure}>
+                <section>
+                  <strong>
+                    <FormattedMessage
+                      {...(paymentFailure.reason === 'no_route' && paymentFeeLimit
+                        ? messages.failure_no_route_fee_limit
+                        : messages[`failure_${paymentFailure.reason}`])}
+                    />
+                  </strong>
+                  <span className={styles.failureDetails}>{paymentFailure.error}</span>
+                </section>
+                <section className={styles.dismiss} onClick={dismissPaymentFailure}>
+                  <MdClose />
                 </section>
               </span>
             )}
@@ -178,6 +209,11 @@ Wallet.propTypes = {
   openReceiveModal: PropTypes.func.isRequired,
   showPayLoadingScreen: PropTypes.bool.isRequired,
   showSuccessPayScreen: PropTypes.bool.isRequired,
+  paymentAttempt: PropTypes.number.isRequired,
+  maxPaymentAttempts: PropTypes.number.isRequired,
+  paymentFailure: PropTypes.object,
+  paymentFeeLimit: PropTypes.object,
+  dismissPaymentFailure: PropTypes.func.isRequired,
   network: PropTypes.object.isRequired,
   successTransactionScreen: PropTypes.object.isRequired,
   settingsProps: PropTypes.object.isRequired,
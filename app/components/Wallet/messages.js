@@ -6,5 +6,14 @@ export default defineMessages({
   request: 'Request',
   sending_tx: 'Sending your transaction…',
   payment_success: 'Successfully sent payment',
+  payment_attempt: 'Attempt {attempt} of {maxAttempts}',
+  failure_invoice_expired: 'Payment failed: the invoice has expired',
+  failure_insufficient_balance:
+    'Payment failed: your channels do not have enough balance to send this amount',
+  failure_fee_limit_exceeded: 'Payment failed: every route costs more than your fee limit',
+  failure_no_route: 'Payment failed: no route to the recipient could be found',
+  failure_no_route_fee_limit:
+    'Payment failed: no route to the recipient could be found within your fee limit',
+  failure_unknown: 'Payment failed',
   transaction_success: 'Successfully sent transaction'
 })
@@ -4,7 +4,13 @@ import { setCurrency, setFiatTicker, tickerSelectors } from 'reducers/ticker'
 import { fetchBalance } from 'reducers/balance'
 import { fetchChannels } from 'reducers/channels'
 import { fetchInvoices, setInvoice, invoiceSelectors } from 'reducers/invoice'
-import { setPayment, fetchPayments, paymentSelectors } from 'reducers/payment'
+import {
+  setPayment,
+  fetchPayments,
+  dismissPaymentFailure,
+  paymentSelectors,
+  MAX_PAYMENT_ATTEMPTS
+} from 'reducers/payment'
 import { fetchTransactions } from 'reducers/transaction'
 import {
   showActivityModal,
@@ -25,6 +31,39 @@ import { setWalletCurrencyFilters } from 'reducers/info'
 
 import { setSettingsOpen, setActiveSubMenu, disableSubMenu, setTheme } from 'reducers/settings'
 
+import {
+  fetchWallets,
+  setActiveWallet,
+  createWallet,
+  renameWallet,
+  deleteWallet,
+  walletsSelectors
+} from 'reducers/wallets'
+
+import {
+  fetchChainBackend,
+  updateChainBackendSetting,
+  addChainBackendPeer,
+  removeChainBackendPeer,
+  saveChainBackend,
+  chainBackendSelectors
+} from 'reducers/chainbackend'
+
+import { openDiagnostics } from 'reducers/diagnostics'
+
+import { fetchChannelBackup, chooseChannelBackupDir, backupChannels } from 'reducers/channelbackup'
+
+import { fetchForwardingHistory, openRouting, routingSelectors } from 'reducers/routing'
+import { openNetworkExplorer } from 'reducers/explorer'
+
+import {
+  updatePassword,
+  updateCreateWalletPassword,
+  updateCreateWalletPasswordConfirmation,
+  onboardingSelectors
+} from 'reducers/onboarding'
+import { changePassword, passwordSelectors } from 'reducers/password'
+
 import Activity from 'components/Activity'
 
 const mapDispatchToProps = {
@@ -34,6 +73,7 @@ const mapDispatchToProps = {
   setPayment,
   setInvoice,
   fetchPayments,
+  dismissPaymentFailure,
   fetchInvoices,
   fetchTransactions,
   showActivityModal,
@@ -52,7 +92,28 @@ const mapDispatchToProps = {
   setSettingsOpen,
   setActiveSubMenu,
   disableSubMenu,
-  setTheme
+  setTheme,
+  fetchWallets,
+  setActiveWallet,
+  createWallet,
+  renameWallet,
+  deleteWallet,
+  fetchChainBackend,
+  updateChainBackendSetting,
+  addChainBackendPeer,
+  removeChainBackendPeer,
+  saveChainBackend,
+  openDiagnostics,
+  fetchChannelBackup,
+  chooseChannelBackupDir,
+  backupChannels,
+  fetchForwardingHistory,
+  openRouting,
+  openNetworkExplorer,
+  updatePassword,
+  updateCreateWalletPassword,
+  updateCreateWalletPasswordConfirmation,
+  changePassword
 }
 
 const mapStateToProps = state => ({
@@ -74,6 +135,23 @@ const mapStateToProps = state => ({
 
   settings: state.settings,
 
+  wallets: walletsSelectors.sortedWallets(state),
+
+  chainbackend: state.chainbackend,
+  isNeutrino: chainBackendSelectors.isNeutrino(state),
+  supportsZmq: chainBackendSelectors.supportsZmq(state),
+
+  channelbackup: state.channelbackup,
+
+  onboarding: state.onboarding,
+  password: state.password,
+  canChangePassword: passwordSelectors.canChangePassword(state),
+  passwordMinCharsError: onboardingSelectors.passwordMinCharsError(state),
+  showCreateWalletPasswordConfirmationError: onboardingSelectors.showCreateWalletPasswordConfirmationError(
+    state
+  ),
+  changePasswordFormIsValid: passwordSelectors.changePasswordFormIsValid(state),
+
   currentLocale: state.intl.locale,
   locales: state.locale,
 
@@ -88,6 +166,7 @@ const mapStateToProps = state => ({
   currentActivity: activitySelectors.currentActivity(state)(state),
   nonActiveFilters: activitySelectors.nonActiveFilters(state),
   showExpiredToggle: activitySelectors.showExpiredToggle(state),
+  channelNames: routingSelectors.channelNames(state),
 
   showPayLoadingScreen: payFormSelectors.showPayLoadingScreen(state)
 })
@@ -105,6 +184,10 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => ({
     currentTicker: stateProps.currentTicker,
     showPayLoadingScreen: stateProps.showPayLoadingScreen,
     showSuccessPayScreen: stateProps.payment.showSuccessPayScreen,
+    paymentAttempt: stateProps.payment.paymentAttempt,
+    maxPaymentAttempts: MAX_PAYMENT_ATTEMPTS,
+    paymentFailure: stateProps.payment.failure,
+    paymentFeeLimit: stateProps.payment.feeLimit,
     successTransactionScreen: stateProps.transaction.successTransactionScreen,
     currentCurrencyFilters: stateProps.currentCurrencyFilters,
     currencyName: stateProps.currencyName,
@@ -114,6 +197,7 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => ({
 
     setCurrency: dispatchProps.setCurrency,
     setWalletCurrencyFilters: dispatchProps.setWalletCurrencyFilters,
+    dismissPaymentFailure: dispatchProps.dismissPaymentFailure,
     walletAddress: dispatchProps.walletAddress,
     openReceiveModal: dispatchProps.openWalletModal,
     openPayForm: () => dispatchProps.setFormType('PAY_FORM'),
@@ -132,6 +216,9 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => ({
         return
       },
       setActiveSubMenu: dispatchProps.setActiveSubMenu,
+      openDiagnostics: dispatchProps.openDiagnostics,
+      openRouting: dispatchProps.openRouting,
+      openNetworkExplorer: dispatchProps.openNetworkExplorer,
 
       fiatProps: {
         fiatTicker: stateProps.ticker.fiatTicker,
@@ -151,6 +238,58 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => ({
         theme: stateProps.settings.theme,
         setTheme: dispatchProps.setTheme,
         disableSubMenu: dispatchProps.disableSubMenu
+      },
+
+      walletsProps: {
+        wallets: stateProps.wallets,
+        fetchWallets: dispatchProps.fetchWallets,
+        setActiveWallet: dispatchProps.setActiveWallet,
+        createWallet: dispatchProps.createWallet,
+        renameWallet: dispatchProps.renameWallet,
+        deleteWallet: dispatchProps.deleteWallet,
+        disableSubMenu: dispatchProps.disableSubMenu
+      },
+
+      chainBackendProps: {
+        editable: stateProps.chainbackend.editable,
+        saving: stateProps.chainbackend.saving,
+        saved: stateProps.chainbackend.saved,
+        settings: stateProps.chainbackend.settings,
+        isNeutrino: stateProps.isNeutrino,
+        supportsZmq: stateProps.supportsZmq,
+        fetchChainBackend: dispatchProps.fetchChainBackend,
+        updateChainBackendSetting: dispatchProps.updateChainBackendSetting,
+        addChainBackendPeer: dispatchProps.addChainBackendPeer,
+        removeChainBackendPeer: dispatchProps.removeChainBackendPeer,
+        saveChainBackend: dispatchProps.saveChainBackend,
+        disableSubMenu: dispatchProps.disableSubMenu
+      },
+
+      channelBackupProps: {
+        dir: stateProps.channelbackup.dir,
+        lastBackup: stateProps.channelbackup.lastBackup,
+        backingUp: stateProps.channelbackup.backingUp,
+        fetchChannelBackup: dispatchProps.fetchChannelBackup,
+        chooseChannelBackupDir: dispatchProps.chooseChannelBackupDir,
+        backupChannels: dispatchProps.backupChannels,
+        disableSubMenu: dispatchProps.disableSubMenu
+      },
+
+      passwordProps: {
+        canChangePassword: stateProps.canChangePassword,
+        password: stateProps.password,
+        currentPassword: stateProps.onboarding.password,
+        newPassword: stateProps.onboarding.createWalletPassword,
+        newPasswordConfirmation: stateProps.onboarding.createWalletPasswordConfirmation,
+        passwordMinCharsError: stateProps.passwordMinCharsError,
+        showPasswordConfirmationError: stateProps.showCreateWalletPasswordConfirmationError,
+        formIsValid: stateProps.changePasswordFormIsValid,
+        updatePassword: dispatchProps.updatePassword,
+        updateCreateWalletPassword: dispatchProps.updateCreateWalletPassword,
+        updateCreateWalletPasswordConfirmation:
+          dispatchProps.updateCreateWalletPasswordConfirmation,
+        changePassword: dispatchProps.changePassword,
+        disableSubMenu: dispatchProps.disableSubMenu
       }
     }
   }
@@ -16,6 +16,10 @@ import {
   setPayAmount,
   setPayInput,
   setCurrencyFilters,
+  setPayBatchMode,
+  setPayBatchInput,
+  setPayFeeLimitType,
+  setPayFeeLimitValue,
   updatePayErrors,
   payFormSelectors
 } from 'reducers/payform'
@@ -23,13 +27,18 @@ import {
 import {
   setRequestAmount,
   setRequestMemo,
+  setRequestAnyAmount,
+  setRequestShowAdvanced,
+  setRequestOption,
   setRequestCurrencyFilters,
   requestFormSelectors
 } from 'reducers/requestform'
 
-import { sendCoins } from 'reducers/transaction'
+import { sendCoins, sendMany } from 'reducers/transaction'
 
-import { payInvoice } from 'reducers/payment'
+import { fetchFeeRates, setFeePreset, setCustomFeeRate, feeRatesSelectors } from 'reducers/feerates'
+
+import { payInvoice, payInvoiceOverRoutes } from 'reducers/payment'
 
 import { createInvoice, fetchInvoice } from 'reducers/invoice'
 
@@ -37,6 +46,7 @@ import { lndSelectors } from 'reducers/lnd'
 
 import {
   fetchChannels,
+  fetchClosedChannels,
   fetchSuggestedNodes,
   openChannel,
   closeChannel,
@@ -47,6 +57,17 @@ import {
   updateChannelSearchQuery,
   setSelectedChannel
 } from 'reducers/channels'
+import { fetchFeeReport, updateChannelPolicy, feesSelectors } from 'reducers/fees'
+import { routingSelectors } from 'reducers/routing'
+import {
+  openRebalanceForm,
+  setRebalanceSource,
+  setRebalanceTarget,
+  setRebalanceAmount,
+  setRebalanceMaxFee,
+  rebalanceChannels,
+  rebalanceSelectors
+} from 'reducers/rebalance'
 
 import {
   openContactsForm,
@@ -67,7 +88,13 @@ import {
 
 import { fetchBalance } from 'reducers/balance'
 
-import { fetchDescribeNetwork } from 'reducers/network'
+import {
+  fetchDescribeNetwork,
+  fetchInvoiceAndQueryRoutes,
+  clearQueryRoutes,
+  setCurrentRoute,
+  networkSelectors
+} from 'reducers/network'
 
 import { clearError } from 'reducers/error'
 
@@ -91,14 +118,26 @@ const mapDispatchToProps = {
   setPayAmount,
   setPayInput,
   setCurrencyFilters,
+  setPayBatchMode,
+  setPayBatchInput,
+  setPayFeeLimitType,
+  setPayFeeLimitValue,
   updatePayErrors,
 
   setRequestAmount,
   setRequestMemo,
+  setRequestAnyAmount,
+  setRequestShowAdvanced,
+  setRequestOption,
   setRequestCurrencyFilters,
 
   sendCoins,
+  sendMany,
+  fetchFeeRates,
+  setFeePreset,
+  setCustomFeeRate,
   payInvoice,
+  payInvoiceOverRoutes,
   createInvoice,
   fetchInvoice,
 
@@ -107,7 +146,10 @@ const mapDispatchToProps = {
   fetchBalance,
 
   fetchChannels,
+  fetchClosedChannels,
   fetchSuggestedNodes,
+  fetchFeeReport,
+  updateChannelPolicy,
   openChannel,
   closeChannel,
   toggleFilterPulldown,
@@ -115,6 +157,13 @@ const mapDispatchToProps = {
   updateChannelSearchQuery,
   setSelectedChannel,
 
+  openRebalanceForm,
+  setRebalanceSource,
+  setRebalanceTarget,
+  setRebalanceAmount,
+  setRebalanceMaxFee,
+  rebalanceChannels,
+
   openContactsForm,
   closeContactsForm,
   openSubmitChannelForm,
@@ -131,6 +180,9 @@ const mapDispatchToProps = {
   setChannelFormType,
 
   fetchDescribeNetwork,
+  fetchInvoiceAndQueryRoutes,
+  clearQueryRoutes,
+  setCurrentRoute,
 
   hideActivityModal,
   setActivityModalCurrencyFilters
@@ -148,7 +200,10 @@ const mapStateToProps = state => ({
   transaction: state.transaction,
   peers: state.peers,
   channels: state.channels,
+  fees: state.fees,
+  feerates: state.feerates,
   contactsform: state.contactsform,
+  rebalance: state.rebalance,
   balance: state.balance,
 
   form: state.form,
@@ -160,6 +215,8 @@ const mapStateToProps = state => ({
   error: state.error,
 
   network: state.network,
+  payReqRoutes: payFormSelectors.payReqRoutes(state),
+  payReqRouteNodes: networkSelectors.payReqRouteNodes(state),
 
   settings: state.settings,
 
@@ -170,14 +227,29 @@ const mapStateToProps = state => ({
   currencyName: tickerSelectors.currencyName(state),
   isOnchain: payFormSelectors.isOnchain(state),
   isLn: payFormSelectors.isLn(state),
+  isZeroAmountInvoice: payFormSelectors.isZeroAmountInvoice(state),
   currentAmount: payFormSelectors.currentAmount(state),
   fiatAmount: payFormSelectors.fiatAmount(state),
   inputCaption: payFormSelectors.inputCaption(state),
   showPayLoadingScreen: payFormSelectors.showPayLoadingScreen(state),
   payFormIsValid: payFormSelectors.payFormIsValid(state),
+  feeLimit: payFormSelectors.feeLimit(state),
   payInputMin: payFormSelectors.payInputMin(state),
+  batchOutputs: payFormSelectors.batchOutputs(state),
+  batchTotal: payFormSelectors.batchTotal(state),
+  batchFee: payFormSelectors.batchFee(state),
+  batchFormIsValid: payFormSelectors.batchFormIsValid(state),
+  estimatedFee: feeRatesSelectors.estimatedFee(state),
+  confirmationTime: feeRatesSelectors.confirmationTime(state),
+  customFeeRateIsValid: feeRatesSelectors.customFeeRateIsValid(state),
   requestFiatAmount: requestFormSelectors.fiatAmount(state),
+  requestFormIsValid: requestFormSelectors.requestFormIsValid(state),
+  requestExpiryIsValid: requestFormSelectors.expiryIsValid(state),
+  requestCltvExpiryIsValid: requestFormSelectors.cltvExpiryIsValid(state),
+  requestUsesDescriptionHash: requestFormSelectors.usesDescriptionHash(state),
+  invoiceOptions: requestFormSelectors.invoiceOptions(state),
   syncPercentage: lndSelectors.syncPercentage(state),
+  isOffline: lndSelectors.isOffline(state),
 
   filteredNetworkNodes: contactFormSelectors.filteredNetworkNodes(state),
   showManualForm: contactFormSelectors.showManualForm(state),
@@ -190,10 +262,33 @@ const mapStateToProps = state => ({
   nonActiveChannelPubkeys: channelsSelectors.nonActiveChannelPubkeys(state),
   pendingOpenChannelPubkeys: channelsSelectors.pendingOpenChannelPubkeys(state),
   nonActiveFilters: channelsSelectors.nonActiveFilters(state),
-  channelNodes: channelsSelectors.channelNodes(state)
+  channelNodes: channelsSelectors.channelNodes(state),
+  suggestedNodes: channelsSelectors.suggestedNodes(state),
+  channelPolicies: feesSelectors.channelPolicies(state),
+  channelNames: routingSelectors.channelNames(state),
+
+  rebalanceSourceChannels: rebalanceSelectors.sourceChannels(state),
+  rebalanceTargetChannels: rebalanceSelectors.targetChannels(state),
+  rebalanceSourceChannel: rebalanceSelectors.sourceChannel(state),
+  rebalanceTargetChannel: rebalanceSelectors.targetChannel(state),
+  rebalanceSuggestedAmount: rebalanceSelectors.suggestedAmount(state),
+  rebalanceFormIsValid: rebalanceSelectors.rebalanceFormIsValid(state)
 })
 
 const mergeProps = (stateProps, dispatchProps, ownProps) => {
+  const feeSelectorProps = {
+    feerates: stateProps.feerates,
+    estimatedFee: stateProps.estimatedFee,
+    confirmationTime: stateProps.confirmationTime,
+    customFeeRateIsValid: stateProps.customFeeRateIsValid,
+    ticker: stateProps.ticker,
+    currencyName: stateProps.currencyName,
+
+    setFeePreset: dispatchProps.setFeePreset,
+    setCustomFeeRate: dispatchProps.setCustomFeeRate,
+    fetchFeeRates: dispatchProps.fetchFeeRates
+  }
+
   const payFormProps = {
     payform: stateProps.payform,
     currency: stateProps.ticker.currency,
@@ -203,12 +298,17 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
 
     isOnchain: stateProps.isOnchain,
     isLn: stateProps.isLn,
+    isZeroAmountInvoice: stateProps.isZeroAmountInvoice,
     currentAmount: stateProps.currentAmount,
     fiatAmount: stateProps.fiatAmount,
     inputCaption: stateProps.inputCaption,
     showPayLoadingScreen: stateProps.showPayLoadingScreen,
     payFormIsValid: stateProps.payFormIsValid,
     payInputMin: stateProps.payInputMin,
+    batchOutputs: stateProps.batchOutputs,
+    batchTotal: stateProps.batchTotal,
+    batchFee: stateProps.batchFee,
+    batchFormIsValid: stateProps.batchFormIsValid,
     currentCurrencyFilters: stateProps.currentCurrencyFilters,
     currencyName: stateProps.currencyName,
 
@@ -217,6 +317,26 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
     setCurrencyFilters: dispatchProps.setCurrencyFilters,
     fetchInvoice: dispatchProps.fetchInvoice,
     setCurrency: dispatchProps.setCurrency,
+    setPayBatchMode: dispatchProps.setPayBatchMode,
+    setPayBatchInput: dispatchProps.setPayBatchInput,
+    setPayFeeLimitType: dispatchProps.setPayFeeLimitType,
+    setPayFeeLimitValue: dispatchProps.setPayFeeLimitValue,
+
+    feeSelectorProps,
+
+    routeSelectorProps: {
+      routes: stateProps.network.payReqRoutes,
+      routeNodes: stateProps.payReqRouteNodes,
+      currentRoute: stateProps.network.currentRoute,
+      fetchingRoutes: stateProps.network.fetchingInvoiceAndQueryingRoutes,
+      blockHeight: stateProps.info.data.block_height,
+      ticker: stateProps.ticker,
+      currencyName: stateProps.currencyName,
+
+      setCurrentRoute: dispatchProps.setCurrentRoute
+    },
+    fetchInvoiceAndQueryRoutes: dispatchProps.fetchInvoiceAndQueryRoutes,
+    clearQueryRoutes: dispatchProps.clearQueryRoutes,
 
     onPayAmountBlur: () => {
       // If the amount is now valid and showErrors was on, turn it off
@@ -242,7 +362,28 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
       }
     },
 
+    onBatchInputBlur: () => {
+      const { batchInputIsValid } = stateProps.batchFormIsValid
+      if (batchInputIsValid === stateProps.payform.showErrors.batchInput) {
+        dispatchProps.updatePayErrors({ batchInput: !batchInputIsValid })
+      }
+    },
+
     onPaySubmit: () => {
+      if (stateProps.payform.batchMode) {
+        if (!stateProps.batchFormIsValid.isValid) {
+          dispatchProps.updatePayErrors({ batchInput: true })
+          return
+        }
+
+        if (!stateProps.customFeeRateIsValid) {
+          return
+        }
+
+        dispatchProps.sendMany(stateProps.batchOutputs)
+        return
+      }
+
       if (!stateProps.payFormIsValid.isValid) {
         dispatchProps.updatePayErrors({
           amount: Object.prototype.hasOwnProperty.call(stateProps.payFormIsValid.errors, 'amount'),
@@ -256,6 +397,10 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
       }
 
       if (stateProps.isOnchain) {
+        if (!stateProps.customFeeRateIsValid) {
+          return
+        }
+
         dispatchProps.sendCoins({
           value: stateProps.payform.amount,
           addr: stateProps.payform.payInput,
@@ -264,7 +409,21 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
       }
 
       if (stateProps.isLn) {
-        dispatchProps.payInvoice(stateProps.payform.payInput)
+        // Pay over the route that the user picked, falling back to the other routes that we found if it fails.
+        if (stateProps.network.currentRoute.hops) {
+          dispatchProps.payInvoiceOverRoutes(
+            stateProps.payform.invoice.payment_hash,
+            stateProps.payReqRoutes
+          )
+        } else {
+          dispatchProps.payInvoice(
+            stateProps.payform.payInput,
+            stateProps.feeLimit,
+            stateProps.isZeroAmountInvoice
+              ? Number(btc.convert(stateProps.ticker.currency, 'sats', stateProps.payform.amount))
+              : undefined
+          )
+        }
       }
     }
   }
@@ -277,18 +436,32 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
     showCurrencyFilters: stateProps.showCurrencyFilters,
     currencyName: stateProps.currencyName,
     requestFiatAmount: stateProps.requestFiatAmount,
+    requestFormIsValid: stateProps.requestFormIsValid,
+    expiryIsValid: stateProps.requestExpiryIsValid,
+    cltvExpiryIsValid: stateProps.requestCltvExpiryIsValid,
+    usesDescriptionHash: stateProps.requestUsesDescriptionHash,
 
     setRequestAmount: dispatchProps.setRequestAmount,
     setRequestMemo: dispatchProps.setRequestMemo,
+    setRequestAnyAmount: dispatchProps.setRequestAnyAmount,
+    setRequestShowAdvanced: dispatchProps.setRequestShowAdvanced,
+    setRequestOption: dispatchProps.setRequestOption,
     setCurrency: dispatchProps.setCurrency,
     setRequestCurrencyFilters: dispatchProps.setRequestCurrencyFilters,
 
-    onRequestSubmit: () =>
+    onRequestSubmit: () => {
+      if (!stateProps.requestFormIsValid) {
+        return
+      }
+
+      // An invoice for zero satoshis can be paid with any amount.
       dispatchProps.createInvoice(
-        stateProps.requestform.amount,
+        stateProps.requestform.anyAmount ? 0 : stateProps.requestform.amount,
         stateProps.requestform.memo,
-        stateProps.ticker.currency
+        stateProps.ticker.currency,
+        stateProps.invoiceOptions
       )
+    }
   }
 
   const formProps = formType => {
@@ -319,6 +492,8 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
     currencyName: stateProps.currencyName,
 
     fetchChannels: dispatchProps.fetchChannels,
+    fetchClosedChannels: dispatchProps.fetchClosedChannels,
+    fetchFeeReport: dispatchProps.fetchFeeReport,
     openContactsForm: dispatchProps.openContactsForm,
     contactFormSelectors: dispatchProps.contactFormSelectors,
     updateManualFormError: dispatchProps.updateManualFormErrors,
@@ -327,15 +502,25 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
     updateChannelSearchQuery: dispatchProps.updateChannelSearchQuery,
     setSelectedChannel: dispatchProps.setSelectedChannel,
     closeChannel: dispatchProps.closeChannel,
+    openRebalanceForm: dispatchProps.openRebalanceForm,
 
     suggestedNodesProps: {
       suggestedNodesLoading: stateProps.channels.suggestedNodesLoading,
-      suggestedNodes: stateProps.info.data.testnet
-        ? stateProps.channels.suggestedNodes.testnet
-        : stateProps.channels.suggestedNodes.mainnet,
+      suggestedNodes: stateProps.suggestedNodes,
 
       setNode: dispatchProps.setNode,
       openSubmitChannelForm: () => dispatchProps.setChannelFormType('SUBMIT_CHANNEL_FORM')
+    },
+
+    feePolicyProps: {
+      channelPolicies: stateProps.channelPolicies,
+      dayFeeSum: stateProps.fees.dayFeeSum,
+      weekFeeSum: stateProps.fees.weekFeeSum,
+      monthFeeSum: stateProps.fees.monthFeeSum,
+      updatingPolicy: stateProps.fees.updatingPolicy,
+      updatingChannelPoint: stateProps.fees.updatingChannelPoint,
+
+      updateChannelPolicy: dispatchProps.updateChannelPolicy
     }
   }
 
@@ -368,6 +553,7 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
     ticker: stateProps.ticker,
     currentTicker: stateProps.currentTicker,
     network: stateProps.info.network,
+    channelNames: stateProps.channelNames,
 
     hideActivityModal: dispatchProps.hideActivityModal,
 
@@ -410,6 +596,8 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
 
     ticker: stateProps.ticker,
 
+    feeSelectorProps,
+
     toggleCurrencyProps: {
       currentCurrencyFilters: stateProps.currentCurrencyFilters,
       currencyName: stateProps.currencyName,
@@ -441,6 +629,26 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
     showErrors: stateProps.contactsform.showErrors
   }
 
+  const rebalanceFormProps = {
+    rebalance: stateProps.rebalance,
+    sourceChannels: stateProps.rebalanceSourceChannels,
+    targetChannels: stateProps.rebalanceTargetChannels,
+    sourceChannel: stateProps.rebalanceSourceChannel,
+    targetChannel: stateProps.rebalanceTargetChannel,
+    suggestedAmount: stateProps.rebalanceSuggestedAmount,
+    rebalanceFormIsValid: stateProps.rebalanceFormIsValid,
+    nodes: stateProps.network.nodes,
+    ticker: stateProps.ticker,
+    currencyName: stateProps.currencyName,
+
+    setRebalanceSource: dispatchProps.setRebalanceSource,
+    setRebalanceTarget: dispatchProps.setRebalanceTarget,
+    setRebalanceAmount: dispatchProps.setRebalanceAmount,
+    setRebalanceMaxFee: dispatchProps.setRebalanceMaxFee,
+    rebalanceChannels: dispatchProps.rebalanceChannels,
+    closeChannelForm: () => dispatchProps.setChannelFormType(null)
+  }
+
   const calcChannelFormProps = formType => {
     if (formType === 'MANUAL_FORM') {
       return connectManuallyProps
@@ -448,6 +656,9 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
     if (formType === 'SUBMIT_CHANNEL_FORM') {
       return submitChannelFormProps
     }
+    if (formType === 'REBALANCE_FORM') {
+      return rebalanceFormProps
+    }
 
     return {}
   }
@@ -475,6 +686,8 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
     submitChannelFormProps,
     // props for the form to connect manually to a peer
     connectManuallyProps,
+    // props for the form to rebalance channels
+    rebalanceFormProps,
     // props for the channel form wrapper
     channelFormProps,
     // Props to pass to the pay form
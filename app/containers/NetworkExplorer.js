@@ -0,0 +1,80 @@
+import { connect } from 'react-redux'
+import { tickerSelectors } from 'reducers/ticker'
+import { fetchDescribeNetwork } from 'reducers/network'
+import {
+  setExplorerTab,
+  setExplorerSearchQuery,
+  fetchNodeInfo,
+  fetchChanInfo,
+  clearSelectedChan,
+  closeNetworkExplorer,
+  explorerSelectors
+} from 'reducers/explorer'
+import {
+  setProbePubkey,
+  setProbeAmount,
+  probeDestination,
+  openProbe,
+  probeSelectors
+} from 'reducers/probe'
+
+import NetworkExplorer from 'components/NetworkExplorer'
+
+const mapDispatchToProps = {
+  fetchDescribeNetwork,
+  setExplorerTab,
+  setExplorerSearchQuery,
+  fetchNodeInfo,
+  fetchChanInfo,
+  clearSelectedChan,
+  closeNetworkExplorer,
+  setProbePubkey,
+  setProbeAmount,
+  probeDestination,
+  openProbe
+}
+
+const mapStateToProps = state => ({
+  explorer: state.explorer,
+  network: state.network,
+  probe: state.probe,
+  ticker: state.ticker,
+
+  currentTicker: tickerSelectors.currentTicker(state),
+  currencyName: tickerSelectors.currencyName(state),
+
+  searchNodes: explorerSelectors.searchNodes(state),
+  searchChannels: explorerSelectors.searchChannels(state),
+  selectedNodeChannels: explorerSelectors.selectedNodeChannels(state),
+  nodeAliases: explorerSelectors.nodeAliases(state),
+
+  probeFormIsValid: probeSelectors.probeFormIsValid(state),
+  reachable: probeSelectors.reachable(state),
+  reportRoutes: probeSelectors.reportRoutes(state)
+})
+
+const mergeProps = (stateProps, dispatchProps, ownProps) => ({
+  ...stateProps,
+  ...dispatchProps,
+  ...ownProps,
+
+  probeProps: {
+    probe: stateProps.probe,
+    probeFormIsValid: stateProps.probeFormIsValid,
+    reachable: stateProps.reachable,
+    reportRoutes: stateProps.reportRoutes,
+    nodeAliases: stateProps.nodeAliases,
+    ticker: stateProps.ticker,
+    currencyName: stateProps.currencyName,
+
+    setProbePubkey: dispatchProps.setProbePubkey,
+    setProbeAmount: dispatchProps.setProbeAmount,
+    probeDestination: dispatchProps.probeDestination
+  }
+})
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+  mergeProps
+)(NetworkExplorer)
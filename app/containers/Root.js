@@ -11,6 +11,7 @@ import {
   setConnectionHost,
   setConnectionCert,
   setConnectionMacaroon,
+  setNetwork,
   updateAlias,
   updatePassword,
   setAutopilot,
@@ -32,12 +33,26 @@ import {
 import { fetchTicker, tickerSelectors } from 'reducers/ticker'
 import { lndSelectors } from 'reducers/lnd'
 import { walletAddress } from 'reducers/address'
+import {
+  fetchDiagnostics,
+  setLndAutoRestart,
+  exportCrashHistory,
+  clearCrashHistory,
+  restartLnd,
+  closeDiagnostics,
+  diagnosticsSelectors
+} from 'reducers/diagnostics'
+import { chooseChannelBackupFile, clearChannelBackupFile } from 'reducers/channelbackup'
 import LoadingBolt from 'components/LoadingBolt'
 import Onboarding from 'components/Onboarding'
 import Syncing from 'components/Onboarding/Syncing'
+import Diagnostics from 'components/Diagnostics'
 
 import App from './App'
 import Activity from './Activity'
+import Routing from './Routing'
+import NetworkExplorer from './NetworkExplorer'
+import SignVerify from './SignVerify'
 
 const mapDispatchToProps = {
   setConnectionType,
@@ -45,6 +60,7 @@ const mapDispatchToProps = {
   setConnectionHost,
   setConnectionCert,
   setConnectionMacaroon,
+  setNetwork,
   updateAlias,
   updatePassword,
   updateCreateWalletPassword,
@@ -62,7 +78,15 @@ const mapDispatchToProps = {
   updateReEnterSeedInput,
   updateRecoverSeedInput,
   setReEnterSeedIndexes,
-  fetchTicker
+  fetchTicker,
+  fetchDiagnostics,
+  setLndAutoRestart,
+  exportCrashHistory,
+  clearCrashHistory,
+  restartLnd,
+  closeDiagnostics,
+  chooseChannelBackupFile,
+  clearChannelBackupFile
 }
 
 const mapStateToProps = state => ({
@@ -72,6 +96,9 @@ const mapStateToProps = state => ({
   info: state.info,
   theme: state.settings.theme,
   balance: state.balance,
+  diagnostics: state.diagnostics,
+  channelbackup: state.channelbackup,
+  showDiagnostics: diagnosticsSelectors.showDiagnostics(state),
   currentTicker: tickerSelectors.currentTicker(state),
   syncPercentage: lndSelectors.syncPercentage(state),
   passwordIsValid: onboardingSelectors.passwordIsValid(state),
@@ -96,6 +123,23 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
     theme: stateProps.theme
   }
 
+  const diagnosticsProps = {
+    theme: stateProps.theme,
+    lndStatus: stateProps.diagnostics.lndStatus,
+    restartAttempt: stateProps.diagnostics.restartAttempt,
+    restartDelay: stateProps.diagnostics.restartDelay,
+    crashes: stateProps.diagnostics.crashes,
+    autoRestart: stateProps.diagnostics.autoRestart,
+    exportedTo: stateProps.diagnostics.exportedTo,
+    error: stateProps.diagnostics.error,
+    fetchDiagnostics: dispatchProps.fetchDiagnostics,
+    setLndAutoRestart: dispatchProps.setLndAutoRestart,
+    exportCrashHistory: dispatchProps.exportCrashHistory,
+    clearCrashHistory: dispatchProps.clearCrashHistory,
+    restartLnd: dispatchProps.restartLnd,
+    closeDiagnostics: dispatchProps.closeDiagnostics
+  }
+
   const connectionTypeProps = {
     connectionType: stateProps.onboarding.connectionType,
     setConnectionType: dispatchProps.setConnectionType
@@ -121,6 +165,11 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
     connectionHost: stateProps.onboarding.connectionHost
   }
 
+  const networkProps = {
+    network: stateProps.onboarding.network,
+    setNetwork: dispatchProps.setNetwork
+  }
+
   const aliasProps = {
     updateAlias: dispatchProps.updateAlias,
     alias: stateProps.onboarding.alias
@@ -170,7 +219,10 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
 
   const recoverFormProps = {
     recoverSeedInput: stateProps.onboarding.recoverSeedInput,
-    updateRecoverSeedInput: dispatchProps.updateRecoverSeedInput
+    updateRecoverSeedInput: dispatchProps.updateRecoverSeedInput,
+    restoreFile: stateProps.channelbackup.restoreFile,
+    chooseChannelBackupFile: dispatchProps.chooseChannelBackupFile,
+    clearChannelBackupFile: dispatchProps.clearChannelBackupFile
   }
 
   const reEnterSeedProps = {
@@ -192,6 +244,7 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
     connectionTypeProps,
     connectionDetailProps,
     connectionConfirmProps,
+    networkProps,
     aliasProps,
     autopilotProps,
     initWalletProps,
@@ -207,7 +260,8 @@ const mergeProps = (stateProps, dispatchProps, ownProps) => {
     ...ownProps,
 
     onboardingProps,
-    syncingProps
+    syncingProps,
+    diagnosticsProps
   }
 }
 
@@ -218,7 +272,21 @@ class Root extends Component {
   }
 
   render() {
-    const { balance, currentTicker, history, lnd, onboardingProps, syncingProps } = this.props
+    const {
+      balance,
+      currentTicker,
+      history,
+      lnd,
+      onboardingProps,
+      syncingProps,
+      showDiagnostics,
+      diagnosticsProps
+    } = this.props
+
+    // If lnd has stopped unexpectedly or the user has asked for diagnostics, show the diagnostics screen.
+    if (showDiagnostics) {
+      return <Diagnostics {...diagnosticsProps} />
+    }
 
     if (!onboardingProps.onboarding.onboarded) {
       return (
@@ -256,6 +324,9 @@ class Root extends Component {
           />
           <App>
             <Switch>
+              <Route path="/routing" component={Routing} />
+              <Route path="/network" component={NetworkExplorer} />
+              <Route path="/sign-verify" component={SignVerify} />
               <Route path="/" component={Activity} />
             </Switch>
           </App>
@@ -272,7 +343,9 @@ Root.propTypes = {
   history: PropTypes.object.isRequired,
   lnd: PropTypes.object.isRequired,
   onboardingProps: PropTypes.object.isRequired,
-  syncingProps: PropTypes.object.isRequired
+  syncingProps: PropTypes.object.isRequired,
+  showDiagnostics: PropTypes.bool.isRequired,
+  diagnosticsProps: PropTypes.object.isRequired
 }
 
 export default hot(module)(
@@ -0,0 +1,35 @@
+import { connect } from 'react-redux'
+import { tickerSelectors } from 'reducers/ticker'
+import {
+  fetchForwardingHistory,
+  setRoutingTimeRange,
+  closeRouting,
+  routingSelectors
+} from 'reducers/routing'
+
+import Routing from 'components/Routing'
+
+const mapDispatchToProps = {
+  fetchForwardingHistory,
+  setRoutingTimeRange,
+  closeRouting
+}
+
+const mapStateToProps = state => ({
+  routing: state.routing,
+  ticker: state.ticker,
+
+  currentTicker: tickerSelectors.currentTicker(state),
+  currencyName: tickerSelectors.currencyName(state),
+
+  totalFees: routingSelectors.totalFees(state),
+  feesOverTime: routingSelectors.feesOverTime(state),
+  topChannels: routingSelectors.topChannels(state),
+  channelPairs: routingSelectors.channelPairs(state),
+  channelNames: routingSelectors.channelNames(state)
+})
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps
+)(Routing)
@@ -0,0 +1,28 @@
+import { connect } from 'react-redux'
+import {
+  setSignVerifyTab,
+  signMessage,
+  verifyMessage,
+  closeSignVerify,
+  signVerifySelectors
+} from 'reducers/signverify'
+
+import SignVerify from 'components/SignVerify'
+
+const mapDispatchToProps = {
+  setSignVerifyTab,
+  signMessage,
+  verifyMessage,
+  closeSignVerify
+}
+
+const mapStateToProps = state => ({
+  signverify: state.signverify,
+
+  verifiedNode: signVerifySelectors.verifiedNode(state)
+})
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps
+)(SignVerify)
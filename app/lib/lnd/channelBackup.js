@@ -0,0 +1,354 @@
+// @flow
+
+import fs from 'fs'
+import { join } from 'path'
+import crypto from 'crypto'
+import { promisify } from 'util'
+import { mainLog } from '../utils/log'
+import LndConfig from './config'
+import { listChannels, pendingChannels } from './methods/channelController'
+import { listPeers, connectPeer } from './methods/peersController'
+import { getInfo, getNodeInfo } from './methods/networkController'
+import { signMessage } from './methods/walletController'
+
+const fsReadFile = promisify(fs.readFile)
+const fsWriteFile = promisify(fs.writeFile)
+const fsRename = promisify(fs.rename)
+const fsStat = promisify(fs.stat)
+
+// Version of the backup file format.
+const BACKUP_VERSION = 1
+
+// Cipher used to encrypt backups.
+const CIPHER = 'aes-256-gcm'
+
+// Message that is signed with the node key to derive the backup encryption key. Signatures are deterministic so the
+// same key can be derived again once the wallet has been restored from its seed.
+const KEY_MESSAGE = 'zap channel backup encryption key'
+
+// Milliseconds to wait for things to settle down before taking a snapshot after a channel event.
+export const BACKUP_DELAY = 5000
+
+type BackupPeer = {
+  pub_key: string,
+  addresses: Array<string>
+}
+
+type BackupChannel = {
+  channel_point: string,
+  chan_id: ?string,
+  remote_pubkey: string,
+  capacity: number,
+  pending: boolean
+}
+
+export type Backup = {
+  version: number,
+  created_at: string,
+  identity_pubkey: string,
+  chain: string,
+  testnet: boolean,
+  channels: Array<BackupChannel>,
+  peers: Array<BackupPeer>
+}
+
+export type RestoreResult = {
+  channels: number,
+  peers: Array<{ pub_key: string, connected: boolean, error?: string }>
+}
+
+/**
+ * Derive the backup encryption key from a signature made with the node key.
+ * @param  {rpc.lnrpc.Lightning} lnd lnd gRPC service.
+ * @return {Promise<Buffer>} 256 bit encryption key.
+ */
+const deriveKey = (lnd: any): Promise<Buffer> =>
+  signMessage(lnd, { msg: KEY_MESSAGE }).then(({ signature }) =>
+    crypto
+      .createHash('sha256')
+      .update(signature)
+      .digest()
+  )
+
+/**
+ * Encrypt a backup.
+ * @param  {Buffer} key Encryption key.
+ * @param  {Backup} backup Backup to encrypt.
+ * @return {Object} Encrypted backup file contents.
+ */
+export const encryptBackup = (key: Buffer, backup: Backup) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv(CIPHER, key, iv)
+  const data = Buffer.concat([cipher.update(JSON.stringify(backup), 'utf8'), cipher.final()])
+  return {
+    version: BACKUP_VERSION,
+    cipher: CIPHER,
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    data: data.toString('base64')
+  }
+}
+
+/**
+ * Decrypt a backup.
+ * @param  {Buffer} key Encryption key.
+ * @param  {Object} file Encrypted backup file contents.
+ * @return {Backup} Decrypted backup.
+ */
+export const decryptBackup = (key: Buffer, file: Object): Backup => {
+  if (file.version !== BACKUP_VERSION || file.cipher !== CIPHER) {
+    throw new Error('Unsupported channel backup file')
+  }
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(file.iv, 'hex'))
+  decipher.setAuthTag(Buffer.from(file.tag, 'hex'))
+  try {
+    const data = Buffer.concat([decipher.update(file.data, 'base64'), decipher.final()])
+    return JSON.parse(data.toString('utf8'))
+  } catch (e) {
+    throw new Error('Unable to decrypt channel backup. Was it created by this wallet?')
+  }
+}
+
+/**
+ * Take a snapshot of our channels along with the details needed to reach the peers that they are with.
+ * @param  {rpc.lnrpc.Lightning} lnd lnd gRPC service.
+ * @return {Promise<Backup>} Channel snapshot.
+ */
+export const createSnapshot = async (lnd: any): Promise<Backup> => {
+  const [info, { channels }, { pending_open_channels }, { peers }] = await Promise.all([
+    getInfo(lnd),
+    listChannels(lnd),
+    pendingChannels(lnd),
+    listPeers(lnd)
+  ])
+
+  const backupChannels = [
+    ...channels.map(channel => ({
+      channel_point: channel.channel_point,
+      chan_id: channel.chan_id,
+      remote_pubkey: channel.remote_pubkey,
+      capacity: channel.capacity,
+      pending: false
+    })),
+    ...pending_open_channels.map(({ channel }) => ({
+      channel_point: channel.channel_point,
+      chan_id: null,
+      remote_pubkey: channel.remote_node_pub,
+      capacity: channel.capacity,
+      pending: true
+    }))
+  ]
+
+  // Collect every address that we know of for each of our channel peers.
+  const pubkeys = [...new Set(backupChannels.map(channel => channel.remote_pubkey))]
+  const backupPeers = await Promise.all(
+    pubkeys.map(async pubkey => {
+      const addresses = peers.filter(peer => peer.pub_key === pubkey).map(peer => peer.address)
+      try {
+        const { node } = await getNodeInfo(lnd, { pubkey })
+        node.addresses.forEach(({ addr }) => addresses.push(addr))
+      } catch (e) {
+        // Nodes that we only have private channels with are not in the graph.
+        mainLog.debug('Unable to fetch node info for %s: %s', pubkey, e.message)
+      }
+      return { pub_key: pubkey, addresses: [...new Set(addresses)] }
+    })
+  )
+
+  return {
+    version: BACKUP_VERSION,
+    created_at: new Date().toISOString(),
+    identity_pubkey: info.identity_pubkey,
+    chain: info.chains[0],
+    testnet: info.testnet,
+    channels: backupChannels,
+    peers: backupPeers
+  }
+}
+
+/**
+ * Read and decrypt a backup file.
+ * @param  {rpc.lnrpc.Lightning} lnd lnd gRPC service.
+ * @param  {String} filePath Path to the backup file.
+ * @return {Promise<Backup>} Decrypted backup.
+ */
+export const readBackup = async (lnd: any, filePath: string): Promise<Backup> => {
+  const file = JSON.parse(await fsReadFile(filePath, 'utf8'))
+  const key = await deriveKey(lnd)
+  return decryptBackup(key, file)
+}
+
+/**
+ * Reconnect to the peers from a backup so that they can force close the channels that we had with them.
+ * @param  {rpc.lnrpc.Lightning} lnd lnd gRPC service.
+ * @param  {String} filePath Path to the backup file.
+ * @return {Promise<RestoreResult>} Details of the peers that we were able to reconnect to.
+ */
+export const restoreBackup = async (lnd: any, filePath: string): Promise<RestoreResult> => {
+  const backup = await readBackup(lnd, filePath)
+  const info = await getInfo(lnd)
+  if (backup.identity_pubkey !== info.identity_pubkey) {
+    throw new Error('This channel backup belongs to a different wallet')
+  }
+
+  const peers = await Promise.all(
+    backup.peers.map(async ({ pub_key, addresses }) => {
+      let error = 'No known addresses'
+      for (const host of addresses) {
+        try {
+          await connectPeer(lnd, { pubkey: pub_key, host })
+          return { pub_key, connected: true }
+        } catch (e) {
+          // We may already be connected if the peer reached out to us first.
+          if (e.details && e.details.includes('already connected')) {
+            return { pub_key, connected: true }
+          }
+          error = e.details || e.message
+        }
+      }
+      mainLog.warn('Unable to reconnect to peer %s from channel backup: %s', pub_key, error)
+      return { pub_key, connected: false, error }
+    })
+  )
+
+  return { channels: backup.channels.length, peers }
+}
+
+/**
+ * Keeps an encrypted channel backup file up to date.
+ */
+class ChannelBackup {
+  lnd: any
+  lndConfig: LndConfig
+  timer: ?TimeoutID
+  lastSnapshot: ?string
+  identityPubkey: ?string
+  chanIds: Set<string>
+
+  constructor(lnd: any, lndConfig: LndConfig) {
+    this.lnd = lnd
+    this.lndConfig = lndConfig
+    this.timer = null
+    this.lastSnapshot = null
+    this.identityPubkey = null
+    this.chanIds = new Set()
+  }
+
+  /**
+   * Path to the backup file for a wallet.
+   * @param  {LndConfig} lndConfig Wallet config.
+   * @return {?String} Path to the backup file, or null if no backup directory has been set.
+   */
+  static filePath(lndConfig: LndConfig): ?string {
+    const { channelBackupDir, currency, network, wallet } = lndConfig
+    if (!channelBackupDir) {
+      return null
+    }
+    return join(channelBackupDir, `zap-channel-backup-${currency}-${network}-${wallet}.json`)
+  }
+
+  /**
+   * Get the date of the last backup for a wallet.
+   * @param  {LndConfig} lndConfig Wallet config.
+   * @return {Promise<?String>} Date of the last backup, or null if there isn't one.
+   */
+  static lastBackup(lndConfig: LndConfig): Promise<?string> {
+    const filePath = ChannelBackup.filePath(lndConfig)
+    if (!filePath) {
+      return Promise.resolve(null)
+    }
+    return fsStat(filePath)
+      .then(stats => stats.mtime.toISOString())
+      .catch(() => null)
+  }
+
+  /**
+   * Take a backup once things have settled down. Calls made whilst a backup is already scheduled are covered by it, so
+   * a steady stream of channel graph updates can't put the backup off indefinitely.
+   */
+  schedule() {
+    if (this.timer) {
+      return
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null
+      this.backup().catch(e => mainLog.warn('Unable to back up channels: %o', e))
+    }, BACKUP_DELAY)
+  }
+
+  /**
+   * Check whether a channel graph update could have changed our channels, which it can only have done if it involves
+   * our node or one of our channels. Until we have taken a snapshot we can't tell, so every update counts.
+   * @param  {Object} update Channel graph update from lnd.
+   * @return {boolean} Whether the update involves our node or one of our channels.
+   */
+  involvesOurChannels({
+    node_updates = [],
+    channel_updates = [],
+    closed_chans = []
+  }: Object): boolean {
+    const { identityPubkey, chanIds } = this
+    if (!identityPubkey) {
+      return true
+    }
+    return (
+      node_updates.some(node => node.identity_key === identityPubkey) ||
+      channel_updates.some(
+        channel =>
+          channel.advertising_node === identityPubkey ||
+          channel.connecting_node === identityPubkey ||
+          chanIds.has(String(channel.chan_id))
+      ) ||
+      closed_chans.some(channel => chanIds.has(String(channel.chan_id)))
+    )
+  }
+
+  /**
+   * Cancel any scheduled backup.
+   */
+  cancel() {
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+  }
+
+  /**
+   * Write the backup file if our channels have changed since the last backup.
+   * @param  {Object} options Backup options.
+   * @param  {boolean} options.force Write the backup file even if our channels have not changed.
+   * @return {Promise<?String>} Path to the backup file if one was written.
+   */
+  async backup({ force = false }: { force?: boolean } = {}): Promise<?string> {
+    const filePath = ChannelBackup.filePath(this.lndConfig)
+    if (!filePath) {
+      return null
+    }
+
+    const snapshot = await createSnapshot(this.lnd)
+    this.identityPubkey = snapshot.identity_pubkey
+    this.chanIds = new Set(
+      snapshot.channels.filter(channel => channel.chan_id).map(channel => String(channel.chan_id))
+    )
+
+    // Only write a new backup if something other than the timestamp has changed.
+    const comparable = JSON.stringify({ ...snapshot, created_at: null })
+    if (!force && comparable === this.lastSnapshot) {
+      return null
+    }
+
+    const key = await deriveKey(this.lnd)
+    const contents = JSON.stringify(encryptBackup(key, snapshot), null, 2)
+
+    // Write to a temporary file first so that we never leave a partially written backup behind.
+    const tmpPath = `${filePath}.tmp`
+    await fsWriteFile(tmpPath, contents)
+    await fsRename(tmpPath, filePath)
+
+    this.lastSnapshot = comparable
+    mainLog.info('Backed up %s channels to %s', snapshot.channels.length, filePath)
+    return filePath
+  }
+}
+
+export default ChannelBackup
@@ -1,12 +1,14 @@
 // @flow
 
 import { join } from 'path'
+import { existsSync, renameSync } from 'fs'
 import { app } from 'electron'
 import Store from 'electron-store'
 import pick from 'lodash.pick'
 import createDebug from 'debug'
 import untildify from 'untildify'
 import tildify from 'tildify'
+import rimraf from 'rimraf'
 import { appRootPath, binaryPath } from './util'
 
 const debug = createDebug('zap:lnd-config')
@@ -27,27 +29,62 @@ const currencties = {
 // Supported networks.
 const networks = {
   mainnet: 'Mainnet',
-  testnet: 'Testnet'
+  testnet: 'Testnet',
+  regtest: 'Regtest',
+  simnet: 'Simnet'
 }
 
+// Supported chain backends.
+const chainBackends = {
+  neutrino: 'Neutrino',
+  btcd: 'Btcd',
+  bitcoind: 'Bitcoind'
+}
+
+// Settings used to configure the chain backend of local connections.
+const chainBackendProps = [
+  'chainBackend',
+  'neutrinoConnect',
+  'neutrinoAddPeer',
+  'backendRpcHost',
+  'backendRpcUser',
+  'backendRpcPass',
+  'zmqPubRawBlock',
+  'zmqPubRawTx'
+]
+
+// Settings used to configure channel backups (all connection types).
+const channelBackupProps = ['channelBackupDir']
+
 // Type definition for for local connection settings.
 type LndConfigSettingsLocalType = {|
   alias?: string,
-  autopilot?: boolean
+  autopilot?: boolean,
+  chainBackend?: $Keys<typeof chainBackends>,
+  neutrinoConnect?: Array<string>,
+  neutrinoAddPeer?: Array<string>,
+  backendRpcHost?: string,
+  backendRpcUser?: string,
+  backendRpcPass?: string,
+  zmqPubRawBlock?: string,
+  zmqPubRawTx?: string,
+  channelBackupDir?: string
 |}
 
 // Type definition for for custom connection settings.
 type LndConfigSettingsCustomType = {|
   host: string,
   cert: string,
-  macaroon: string
+  macaroon: string,
+  channelBackupDir?: string
 |}
 
 // Type definition for for BTCPay Server connection settings.
 type LndConfigSettingsBtcPayServerType = {|
   string: string,
   host: string,
-  macaroon: string
+  macaroon: string,
+  channelBackupDir?: string
 |}
 
 // Type definition for for BTCPay Server connection settings.
@@ -79,6 +116,11 @@ const safeTrim = <T>(val: ?T): ?T => (typeof val === 'string' ? val.trim() : val
 const safeTildify = <T>(val: ?T): ?T => (typeof val === 'string' ? tildify(val) : val)
 const safeUntildify = <T>(val: ?T): ?T => (typeof val === 'string' ? untildify(val) : val)
 
+/**
+ * Wallet names are used as part of the store key and the lnd data dir so they can not contain dots or slashes.
+ */
+const isValidWalletName = (wallet: string) => /^[^./\\]+$/.test(wallet) && wallet.trim() === wallet
+
 /**
  * LndConfig class
  */
@@ -90,16 +132,17 @@ class LndConfig {
     wallet: 'wallet-1'
   }
   static SETTINGS_PROPS = {
-    local: ['alias', 'autopilot'],
-    custom: ['host', 'cert', 'macaroon'],
-    btcpayserver: ['host', 'macaroon', 'string']
+    local: ['alias', 'autopilot', ...chainBackendProps, ...channelBackupProps],
+    custom: ['host', 'cert', 'macaroon', ...channelBackupProps],
+    btcpayserver: ['host', 'macaroon', 'string', ...channelBackupProps]
   }
+  static CHAIN_BACKEND_PROPS = chainBackendProps
   static store = new Store({ name: 'connection' })
 
   // Type descriptor properties.
-  type: string
-  currency: string
-  network: string
+  type: $Keys<typeof types>
+  currency: $Keys<typeof currencties>
+  network: $Keys<typeof networks>
   wallet: string
 
   // User configurable settings.
@@ -110,6 +153,19 @@ class LndConfig {
   alias: ?string
   autopilot: ?boolean
 
+  // Chain backend settings (local only).
+  chainBackend: ?$Keys<typeof chainBackends>
+  neutrinoConnect: ?Array<string>
+  neutrinoAddPeer: ?Array<string>
+  backendRpcHost: ?string
+  backendRpcUser: ?string
+  backendRpcPass: ?string
+  zmqPubRawBlock: ?string
+  zmqPubRawTx: ?string
+
+  // Directory that channel backups are written to.
+  channelBackupDir: ?string
+
   // Read only data properties.
   +key: string
   +binaryPath: string
@@ -250,14 +306,61 @@ class LndConfig {
 
     // For local configs host/cert/macaroon are auto-generated.
     if (this.type === 'local') {
-      const defaultLocalOptions = {
-        host: 'localhost:10009',
-        cert: join(this.lndDir, 'tls.cert'),
-        macaroon: join(this.lndDir, 'data', 'chain', this.currency, this.network, 'admin.macaroon')
-      }
-      debug('Connection type is local. Assigning settings as: %o', defaultLocalOptions)
-      Object.assign(this, defaultLocalOptions)
+      this.setLocalDefaults()
+    }
+  }
+
+  /**
+   * List all configurations that have been saved to the store.
+   * @return {Array<LndConfig>} List of loaded LndConfig objects.
+   */
+  static list(): Array<LndConfig> {
+    const configs = []
+    Object.keys(types).forEach(type => {
+      const currencyConfigs = LndConfig.store.get(type, {})
+      Object.keys(currencyConfigs).forEach(currency => {
+        const networkConfigs = currencyConfigs[currency]
+        Object.keys(networkConfigs).forEach(network => {
+          Object.keys(networkConfigs[network]).forEach(wallet => {
+            const config = new LndConfig({ type, currency, network, wallet })
+            configs.push(config.load())
+          })
+        })
+      })
+    })
+    debug('Found %s saved configs', configs.length)
+    return configs
+  }
+
+  /**
+   * Determine the next available wallet name for a given currency and network.
+   * @param {string} currency config currency (bitcoin|litecoin)
+   * @param {string} network config network (mainnet|testnet)
+   * @return {string} Unused wallet name (eg wallet-2)
+   */
+  static nextWalletName(currency: string, network: string): string {
+    const existing = LndConfig.list()
+      .filter(config => config.currency === currency && config.network === network)
+      .map(config => config.wallet)
+
+    let index = 1
+    while (existing.includes(`wallet-${index}`)) {
+      index += 1
+    }
+    return `wallet-${index}`
+  }
+
+  /**
+   * Assign the auto-generated host/cert/macaroon settings used by local configs.
+   */
+  setLocalDefaults() {
+    const defaultLocalOptions = {
+      host: 'localhost:10009',
+      cert: join(this.lndDir, 'tls.cert'),
+      macaroon: join(this.lndDir, 'data', 'chain', this.currency, this.network, 'admin.macaroon')
     }
+    debug('Connection type is local. Assigning settings as: %o', defaultLocalOptions)
+    Object.assign(this, defaultLocalOptions)
   }
 
   /**
@@ -289,6 +392,58 @@ class LndConfig {
     LndConfig.store.set(this.key, settings)
     return this
   }
+
+  /**
+   * Rename the wallet for this configuration.
+   * Settings are moved to the new key and for local configs the lnd data dir is moved along with them.
+   * @param {string} wallet New wallet name.
+   * @return {LndConfig} Updated LndConfig object.
+   */
+  rename(wallet: string) {
+    if (!isValidWalletName(wallet)) {
+      throw new Error(`Invalid wallet name: ${wallet}`)
+    }
+
+    const oldKey = this.key
+    const oldLndDir = this.lndDir
+    const renamed = new LndConfig({
+      type: this.type,
+      currency: this.currency,
+      network: this.network,
+      wallet
+    })
+    if (LndConfig.store.has(renamed.key)) {
+      throw new Error(`A wallet named ${wallet} already exists`)
+    }
+
+    debug('Renaming %s config to %s', oldKey, renamed.key)
+    this.load()
+    this.wallet = wallet
+
+    if (this.type === 'local') {
+      if (existsSync(oldLndDir)) {
+        renameSync(oldLndDir, this.lndDir)
+      }
+      this.setLocalDefaults()
+    }
+
+    LndConfig.store.delete(oldKey)
+    return this.save()
+  }
+
+  /**
+   * Delete this configuration from the store.
+   * For local configs the lnd data dir, including the wallet itself, is removed as well.
+   */
+  delete() {
+    debug('Deleting %s config', this.key)
+    LndConfig.store.delete(this.key)
+
+    if (this.type === 'local') {
+      debug('Removing lnd data dir %s', this.lndDir)
+      rimraf.sync(this.lndDir)
+    }
+  }
 }
 
 export default LndConfig
@@ -0,0 +1,70 @@
+// @flow
+
+import fs from 'fs'
+import { promisify } from 'util'
+import Store from 'electron-store'
+
+const fsWriteFile = promisify(fs.writeFile)
+
+// Maximum number of crashes to keep in the history.
+export const MAX_CRASHES = 20
+
+export type Crash = {
+  date: string,
+  code: ?number,
+  signal: ?string,
+  lastError: ?string,
+  lndVersion: ?string,
+  network: string,
+  chainBackend: string,
+  stdout: Array<string>,
+  stderr: Array<string>
+}
+
+/**
+ * Rolling history of unexpected lnd exits, persisted across app restarts.
+ */
+class CrashHistory {
+  store: Store
+
+  constructor() {
+    this.store = new Store({ name: 'crashes' })
+  }
+
+  /**
+   * List crashes, most recent first.
+   * @return {Array<Crash>} List of crashes.
+   */
+  list(): Array<Crash> {
+    return this.store.get('crashes', [])
+  }
+
+  /**
+   * Add a crash to the history, dropping the oldest crashes if the history is full.
+   * @param {Crash} crash Crash to add.
+   * @return {Array<Crash>} Updated list of crashes.
+   */
+  add(crash: Crash): Array<Crash> {
+    const crashes = [crash, ...this.list()].slice(0, MAX_CRASHES)
+    this.store.set('crashes', crashes)
+    return crashes
+  }
+
+  /**
+   * Remove all crashes from the history.
+   */
+  clear() {
+    this.store.delete('crashes')
+  }
+
+  /**
+   * Write the crash history to a file as JSON.
+   * @param  {String} filePath Path of the file to write to.
+   * @return {Promise} Promise that resolves once the file has been written.
+   */
+  export(filePath: string): Promise<void> {
+    return fsWriteFile(filePath, JSON.stringify(this.list(), null, 2))
+  }
+}
+
+export default CrashHistory
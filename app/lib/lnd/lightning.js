@@ -12,6 +12,8 @@ import subscribeToTransactions from './subscribe/transactions'
 import subscribeToInvoices from './subscribe/invoices'
 import subscribeToChannelGraph from './subscribe/channelgraph'
 import { getInfo } from './methods/networkController'
+import ChannelBackup, { restoreBackup } from './channelBackup'
+import type { RestoreResult } from './channelBackup'
 
 // Type definition for subscriptions property.
 type LightningSubscriptionsType = {
@@ -20,6 +22,19 @@ type LightningSubscriptionsType = {
   transactions: any
 }
 
+// How often to check that the gRPC connection is still healthy (milliseconds).
+const HEALTH_CHECK_INTERVAL = 30000
+
+// How long to wait for a health check to complete before treating the connection as lost (seconds).
+const HEALTH_CHECK_TIMEOUT = 10
+
+// Delay before the first reconnection attempt, doubled after each failed attempt up to the max (milliseconds).
+const RECONNECT_MIN_DELAY = 1000
+const RECONNECT_MAX_DELAY = 60000
+
+// Methods that open or close channels, after which the channel backup should be updated.
+const CHANNEL_METHODS = ['openChannel', 'closeChannel', 'connectAndOpen']
+
 /**
  * Creates an LND grpc client lightning service.
  * @returns {Lightning}
@@ -29,11 +44,16 @@ class Lightning {
   service: any
   lndConfig: LndConfig
   subscriptions: LightningSubscriptionsType
+  healthCheckTimer: ?IntervalID
+  reconnectTimer: ?TimeoutID
+  reconnectAttempts: number
+  channelBackup: ?ChannelBackup
   _fsm: StateMachine
 
   // Transitions provided by the state machine.
   connect: any
   disconnect: any
+  reconnect: any
   terminate: any
   is: any
   can: any
@@ -48,6 +68,10 @@ class Lightning {
       invoices: null,
       transactions: null
     }
+    this.healthCheckTimer = null
+    this.reconnectTimer = null
+    this.reconnectAttempts = 0
+    this.channelBackup = null
 
     // Initialize the state machine.
     this._fsm()
@@ -118,11 +142,44 @@ class Lightning {
     )
   }
 
+  /**
+   * Once connected, start monitoring the connection. If this was a reconnection, restore our subscriptions.
+   */
+  onAfterConnect(lifecycle: any) {
+    this.reconnectAttempts = 0
+    this.startHealthCheck()
+    this.startChannelBackup()
+
+    if (lifecycle.from === 'reconnecting') {
+      mainLog.info('Reconnected to Lightning gRPC service')
+      this.subscribe(this.mainWindow)
+    }
+
+    this.sendConnectionStatus('connected')
+  }
+
+  /**
+   * The connection has been lost. Tear it down and start trying to reconnect.
+   */
+  onEnterReconnecting() {
+    mainLog.warn('Lost connection to Lightning gRPC service')
+    this.stopHealthCheck()
+    this.stopChannelBackup()
+    this.cancelSubscriptions()
+    if (this.service) {
+      this.service.close()
+    }
+    this.scheduleReconnect()
+  }
+
   /**
    * Discomnnect the gRPC service.
    */
   onBeforeDisconnect() {
     mainLog.info('Disconnecting from Lightning gRPC service')
+    this.stopHealthCheck()
+    this.stopChannelBackup()
+    this.stopReconnecting()
     this.unsubscribe()
     if (this.service) {
       this.service.close()
@@ -134,6 +191,8 @@ class Lightning {
    */
   async onBeforeTerminate() {
     mainLog.info('Shutting down Lightning daemon')
+    this.stopHealthCheck()
+    this.stopChannelBackup()
     this.unsubscribe()
     return new Promise((resolve, reject) => {
       this.service.stopDaemon({}, (err, data) => {
@@ -152,8 +211,15 @@ class Lightning {
   /**
    * Hook up lnd restful methods.
    */
-  registerMethods(event: Event, msg: string, data: any) {
-    return methods(this.service, mainLog, event, msg, data)
+  registerMethods(event: Event, msg: string, data: any, id: ?number) {
+    const request = methods(this.service, mainLog, event, msg, data, id)
+    if (!CHANNEL_METHODS.includes(msg)) {
+      return request
+    }
+    return request.then(result => {
+      this.scheduleChannelBackup()
+      return result
+    })
   }
 
   /**
@@ -174,6 +240,13 @@ class Lightning {
   unsubscribe() {
     mainLog.info('Unsubscribing from Lightning gRPC streams')
     this.mainWindow = null
+    this.cancelSubscriptions()
+  }
+
+  /**
+   * Cancel all bi-directional streams.
+   */
+  cancelSubscriptions() {
     Object.keys(this.subscriptions).forEach(subscription => {
       if (this.subscriptions[subscription]) {
         this.subscriptions[subscription].cancel()
@@ -181,13 +254,153 @@ class Lightning {
       }
     })
   }
+
+  /**
+   * Start keeping the channel backup up to date.
+   */
+  startChannelBackup() {
+    this.stopChannelBackup()
+    this.channelBackup = new ChannelBackup(this.service, this.lndConfig)
+    this.channelBackup.schedule()
+  }
+
+  /**
+   * Stop updating the channel backup.
+   */
+  stopChannelBackup() {
+    if (this.channelBackup) {
+      this.channelBackup.cancel()
+      this.channelBackup = null
+    }
+  }
+
+  /**
+   * Update the channel backup once things have settled down (called whenever our channels may have changed).
+   */
+  scheduleChannelBackup() {
+    if (this.channelBackup) {
+      this.channelBackup.schedule()
+    }
+  }
+
+  /**
+   * Write the channel backup file now.
+   * @return {Promise<?string>} Path to the backup file if one was written.
+   */
+  backupChannels(): Promise<?string> {
+    if (!this.channelBackup) {
+      return Promise.reject(new Error('Unable to back up channels whilst disconnected from lnd'))
+    }
+    return this.channelBackup.backup({ force: true })
+  }
+
+  /**
+   * Reconnect to the peers from a channel backup so that they can force close our channels with them.
+   * @param  {string} filePath Path to the backup file.
+   * @return {Promise<RestoreResult>} Details of the peers that we were able to reconnect to.
+   */
+  restoreChannelBackup(filePath: string): Promise<RestoreResult> {
+    return restoreBackup(this.service, filePath)
+  }
+
+  /**
+   * Periodically check that the gRPC connection is still healthy.
+   */
+  startHealthCheck() {
+    this.stopHealthCheck()
+    this.healthCheckTimer = setInterval(() => this.checkConnection(), HEALTH_CHECK_INTERVAL)
+  }
+
+  /**
+   * Stop checking the health of the gRPC connection.
+   */
+  stopHealthCheck() {
+    if (this.healthCheckTimer) {
+      clearInterval(this.healthCheckTimer)
+      this.healthCheckTimer = null
+    }
+  }
+
+  /**
+   * Ping lnd with a getInfo call and start reconnecting if it does not respond.
+   * @return {Promise<boolean>} Whether the connection is healthy.
+   */
+  checkConnection(): Promise<boolean> {
+    if (!this.is('connected')) {
+      return Promise.resolve(false)
+    }
+
+    return new Promise((resolve, reject) => {
+      this.service.getInfo({}, { deadline: getDeadline(HEALTH_CHECK_TIMEOUT) }, err => {
+        if (err) {
+          return reject(err)
+        }
+        resolve(true)
+      })
+    }).catch(err => {
+      mainLog.warn('Lightning gRPC health check failed: %s', err.message)
+      if (this.can('reconnect')) {
+        this.reconnect()
+      }
+      return false
+    })
+  }
+
+  /**
+   * Schedule the next reconnection attempt, backing off exponentially after each failed attempt.
+   */
+  scheduleReconnect() {
+    const backoff = 2 ** this.reconnectAttempts
+    const delay = Math.min(RECONNECT_MIN_DELAY * backoff, RECONNECT_MAX_DELAY)
+    this.reconnectAttempts += 1
+
+    mainLog.info(
+      'Reconnecting to Lightning gRPC service in %sms (attempt %s)',
+      delay,
+      this.reconnectAttempts
+    )
+    this.sendConnectionStatus('reconnecting', { attempt: this.reconnectAttempts, delay })
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      this.connect().catch(err => {
+        mainLog.warn('Unable to reconnect to Lightning gRPC service: %s', err.message)
+        if (this.is('reconnecting')) {
+          this.scheduleReconnect()
+        }
+      })
+    }, delay)
+  }
+
+  /**
+   * Cancel any pending reconnection attempt.
+   */
+  stopReconnecting() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+    this.reconnectAttempts = 0
+  }
+
+  /**
+   * Let the renderer know about changes to the status of the connection.
+   * @param {string} status Connection status (connected|reconnecting).
+   * @param {Object} data Additional status details.
+   */
+  sendConnectionStatus(status: string, data: Object = {}) {
+    if (this.mainWindow) {
+      this.mainWindow.webContents.send('lightningConnectionStatus', { status, ...data })
+    }
+  }
 }
 
 StateMachine.factory(Lightning, {
   init: 'ready',
   transitions: [
-    { name: 'connect', from: 'ready', to: 'connected' },
-    { name: 'disconnect', from: 'connected', to: 'ready' },
+    { name: 'connect', from: ['ready', 'reconnecting'], to: 'connected' },
+    { name: 'reconnect', from: 'connected', to: 'reconnecting' },
+    { name: 'disconnect', from: ['connected', 'reconnecting'], to: 'ready' },
     { name: 'terminate', from: 'connected', to: 'ready' }
   ]
 })
@@ -19,27 +19,24 @@ function ensurePeerConnected(lnd, pubkey, host) {
  * @return {[type]}         [description]
  */
 export function connectAndOpen(lnd, event, payload) {
-  const { pubkey, host, localamt, private: privateChannel } = payload
+  const { pubkey, host, localamt, private: privateChannel, target_conf, sat_per_byte } = payload
 
-  return ensurePeerConnected(lnd, pubkey, host)
-    .then(() => {
-      const call = lnd.openChannel({
-        node_pubkey: Buffer.from(pubkey, 'hex'),
-        local_funding_amount: Number(localamt),
-        private: privateChannel
-      })
+  return ensurePeerConnected(lnd, pubkey, host).then(() => {
+    const call = lnd.openChannel({
+      node_pubkey: Buffer.from(pubkey, 'hex'),
+      local_funding_amount: Number(localamt),
+      private: privateChannel,
+      target_conf,
+      sat_per_byte
+    })
 
-      call.on('data', data => event.sender.send('pushchannelupdated', { pubkey, data }))
-      call.on('error', error =>
-        event.sender.send('pushchannelerror', { pubkey, error: error.toString() })
-      )
+    call.on('data', data => event.sender.send('pushchannelupdated', { pubkey, data }))
+    call.on('error', error =>
+      event.sender.send('pushchannelerror', { pubkey, error: error.toString() })
+    )
 
-      return call
-    })
-    .catch(err => {
-      event.sender.send('pushchannelerror', { pubkey, error: err.toString() })
-      throw err
-    })
+    return call
+  })
 }
 
 /**
@@ -50,11 +47,13 @@ export function connectAndOpen(lnd, event, payload) {
  * @return {[type]}         [description]
  */
 export function openChannel(lnd, event, payload) {
-  const { pubkey, localamt, pushamt } = payload
+  const { pubkey, localamt, pushamt, target_conf, sat_per_byte } = payload
   const req = {
     node_pubkey: Buffer.from(pubkey, 'hex'),
     local_funding_amount: Number(localamt),
-    push_sat: Number(pushamt)
+    push_sat: Number(pushamt),
+    target_conf,
+    sat_per_byte
   }
 
   return pushopenchannel(lnd, event, req)
@@ -155,6 +154,98 @@ export function pendingChannels(lnd) {
   })
 }
 
+/**
+ * Returns a description of all the closed channels that this node was a participant in
+ * @param  {[type]} lnd [description]
+ * @return {[type]}     [description]
+ */
+export function closedChannels(lnd) {
+  return new Promise((resolve, reject) => {
+    lnd.closedChannels({}, (err, data) => {
+      if (err) {
+        return reject(err)
+      }
+
+      resolve(data)
+    })
+  })
+}
+
+/**
+ * Returns the current fee schedule of each of our channels along with the fees that we have earned recently
+ * @param  {[type]} lnd [description]
+ * @return {[type]}     [description]
+ */
+export function feeReport(lnd) {
+  return new Promise((resolve, reject) => {
+    lnd.feeReport({}, (err, data) => {
+      if (err) {
+        return reject(err)
+      }
+
+      resolve(data)
+    })
+  })
+}
+
+/**
+ * Updates the routing policy of a single channel, or of all of our channels if no channel point is given
+ * @param  {[type]} lnd     [description]
+ * @param  {[type]} payload [description]
+ * @return {[type]}         [description]
+ */
+export function updateChannelPolicy(lnd, payload) {
+  const { channel_point, base_fee_msat, fee_rate, time_lock_delta } = payload
+  const req = {
+    base_fee_msat: Number(base_fee_msat),
+    fee_rate: Number(fee_rate),
+    time_lock_delta: Number(time_lock_delta)
+  }
+
+  if (channel_point) {
+    const [funding_txid_str, output_index] = channel_point.split(':')
+    req.chan_point = { funding_txid_str, output_index: Number(output_index) }
+  } else {
+    req.global = true
+  }
+
+  return new Promise((resolve, reject) => {
+    lnd.updateChannelPolicy(req, (err, data) => {
+      if (err) {
+        return reject(err)
+      }
+
+      resolve(data)
+    })
+  })
+}
+
+/**
+ * Returns the payments that we have forwarded between a start and end time
+ * @param  {[type]} lnd     [description]
+ * @param  {[type]} payload [description]
+ * @return {[type]}         [description]
+ */
+export function forwardingHistory(lnd, payload) {
+  const { start_time, end_time, index_offset, num_max_events } = payload
+  const req = {
+    start_time: Number(start_time),
+    end_time: Number(end_time),
+    index_offset: Number(index_offset),
+    num_max_events: Number(num_max_events)
+  }
+
+  return new Promise((resolve, reject) => {
+    lnd.forwardingHistory(req, (err, data) => {
+      if (err) {
+        return reject(err)
+      }
+
+      resolve(data)
+    })
+  })
+}
+
 /**
  * Returns the latest authenticated network announcement for the given channel
  * @param  {[type]} lnd       [description]
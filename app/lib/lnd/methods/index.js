@@ -1,5 +1,7 @@
-// import grpc from 'grpc'
-
+import crypto from 'crypto'
+import errorToUserFriendly from '../../utils/userFriendlyErrors'
+import { probeRoutes } from '../routeProbe'
+import { queryCircularRoutes } from '../rebalance'
 import * as invoicesController from './invoicesController'
 import * as channelController from './channelController'
 import * as walletController from './walletController'
@@ -7,267 +9,343 @@ import * as peersController from './peersController'
 import * as paymentsController from './paymentsController'
 import * as networkController from './networkController'
 
-// TODO - GetChanInfo
-// TODO - GetTransactions
-// TODO - GetNodeInfo
-// TODO - DescribeGraph
 // TODO - GetNetworkInfo
-// TODO - QueryRoutes
 // TODO - DecodePayReq
-// TODO - SendPayment
 // TODO - DeleteAllPayments
 
-export default function(lnd, log, event, msg, data) {
-  log.info(`Calling lnd method: %o`, { msg, data })
-  switch (msg) {
-    case 'info':
-      networkController
-        .getInfo(lnd)
-        .then(infoData => {
-          event.sender.send('receiveInfo', infoData)
-          event.sender.send('receiveCryptocurrency', infoData.chains[0])
-          return infoData
-        })
-        .catch(error => log.error('info:', error))
-      break
-    case 'describeNetwork':
-      networkController
-        .describeGraph(lnd)
-        .then(networkData => event.sender.send('receiveDescribeNetwork', networkData))
-        .catch(error => log.error('describeGraph:', error))
-      break
-    case 'queryRoutes':
-      // Data looks like { pubkey: String, amount: Number }
-      networkController
-        .queryRoutes(lnd, data)
-        .then(routes => event.sender.send('receiveQueryRoutes', routes))
-        .catch(error => log.error('queryRoutes:', error))
-      break
-    case 'getInvoiceAndQueryRoutes':
-      // Data looks like { pubkey: String, amount: Number }
-      invoicesController
-        .getInvoice(lnd, { pay_req: data.payreq })
-        .then(invoiceData =>
-          networkController.queryRoutes(lnd, {
-            pubkey: invoiceData.destination,
-            amount: invoiceData.num_satoshis
-          })
-        )
-        .then(routes => event.sender.send('receiveInvoiceAndQueryRoutes', routes))
-        .catch(error => log.error('getInvoiceAndQueryRoutes invoice:', error))
-      break
-    case 'newaddress':
-      // Data looks like { address: '' }
-      walletController
-        .newAddress(lnd, data.type)
-        .then(({ address }) => event.sender.send('receiveAddress', { type: data.type, address }))
-        .catch(error => log.error('newaddress:', error))
-      break
-    case 'setAlias':
-      // Data looks like { new_alias: '' }
-      walletController
-        .setAlias(lnd, data)
-        .then(() => event.sender.send('aliasSet'))
-        .catch(error => log.error('setAlias:', error))
-      break
-    case 'peers':
-      // Data looks like { peers: [] }
-      peersController
-        .listPeers(lnd)
-        .then(peersData => event.sender.send('receivePeers', peersData))
-        .catch(error => log.error('peers:', error))
-      break
-    case 'channels':
-      // Data looks like
-      // [
-      //   { channels: [] },
-      //   {
-      //     total_limbo_balance: 0,
-      //     pending_open_channels: [],
-      //     pending_closing_channels: [],
-      //     pending_force_closing_channels: []
-      //   }
-      // ]
-      Promise.all(
-        [channelController.listChannels, channelController.pendingChannels].map(func => func(lnd))
-      )
-        .then(channelsData =>
-          event.sender.send('receiveChannels', {
-            channels: channelsData[0].channels,
-            pendingChannels: channelsData[1]
-          })
-        )
-        .catch(error => log.error('channels:', error))
-      break
-    case 'transactions':
-      // Data looks like { transactions: [] }
-      walletController
-        .getTransactions(lnd)
-        .then(transactionsData => event.sender.send('receiveTransactions', transactionsData))
-        .catch(error => log.error('transactions:', error))
-      break
-    case 'payments':
-      // Data looks like { payments: [] }
-      paymentsController
-        .listPayments(lnd)
-        .then(paymentsData => event.sender.send('receivePayments', paymentsData))
-        .catch(error => log.error('payments:', error))
-      break
-    case 'invoices':
-      // Data looks like { invoices: [] }
-      invoicesController
-        .listInvoices(lnd)
-        .then(invoicesData => event.sender.send('receiveInvoices', invoicesData))
-        .catch(error => log.error('invoices:', error))
-      break
-    case 'invoice':
-      // Data looks like { invoices: [] }
-      invoicesController
-        .getInvoice(lnd, { pay_req: data.payreq })
-        .then(invoiceData => event.sender.send('receiveInvoice', invoiceData))
-        .catch(error => log.error('invoice:', error))
-      break
-    case 'balance':
-      // Balance looks like [ { balance: '129477456' }, { balance: '243914' } ]
-      Promise.all(
-        [walletController.walletBalance, channelController.channelBalance].map(func => func(lnd))
-      )
-        .then(balance => {
-          event.sender.send('receiveBalance', {
-            walletBalance: balance[0].total_balance,
-            channelBalance: balance[1].balance
-          })
-          return balance
-        })
-        .catch(error => log.error('balance:', error))
-      break
-    case 'createInvoice':
-      // Invoice looks like { r_hash: Buffer, payment_request: '' }
-      // { memo, value } = data
-      invoicesController
-        .addInvoice(lnd, data)
-        .then(newinvoice =>
-          invoicesController
-            .getInvoice(lnd, { pay_req: newinvoice.payment_request })
-            .then(decodedInvoice =>
-              event.sender.send(
-                'createdInvoice',
-                Object.assign(decodedInvoice, {
-                  memo: data.memo,
-                  value: data.value,
-                  r_hash: Buffer.from(newinvoice.r_hash, 'hex').toString('hex'),
-                  payment_request: newinvoice.payment_request,
-                  creation_date: Date.now() / 1000
-                })
-              )
-            )
-            .catch(error => {
-              log.error('decodedInvoice:', error)
-              event.sender.send('invoiceFailed', { error: error.toString() })
-            })
-        )
-        .catch(error => {
-          log.error('addInvoice:', error)
-          event.sender.send('invoiceFailed', { error: error.toString() })
-        })
-      break
-    case 'sendPayment':
-      // Payment looks like { payment_preimage: Buffer, payment_route: Object }
-      // { paymentRequest } = data
-      paymentsController
-        .sendPaymentSync(lnd, data)
-        .then(payment => {
-          log.info('payment:', payment)
-          const { payment_route } = payment
-          log.info('payinvoice success:', payment_route)
-          event.sender.send('paymentSuccessful', Object.assign(data, { payment_route }))
-          return payment
-        })
-        .catch(error => {
-          log.error('error: ', error)
-          event.sender.send('paymentFailed', { error: error.toString() })
-        })
-      break
-    case 'sendCoins':
-      // Transaction looks like { txid: String }
-      // { amount, addr } = data
-      walletController
-        .sendCoins(lnd, data)
-        .then(({ txid }) =>
-          event.sender.send('transactionSuccessful', { amount: data.amount, addr: data.addr, txid })
-        )
-        .catch(error => {
-          log.error('error: ', error)
-          event.sender.send('transactionError', { error: error.toString() })
-        })
-      break
-    case 'openChannel':
-      // Response is empty. Streaming updates on channel status and updates
-      // { pubkey, localamt, pushamt } = data
-      channelController
-        .openChannel(lnd, event, data)
-        .then(channel => {
-          log.info('CHANNEL: ', channel)
-          event.sender.send('channelSuccessful', { channel })
-          return channel
-        })
-        .catch(error => log.error('openChannel:', error))
-      break
-    case 'closeChannel':
-      // Response is empty. Streaming updates on channel status and updates
-      // { channel_point, force } = data
-      channelController
-        .closeChannel(lnd, event, data)
-        .then(result => {
-          log.info('CLOSE CHANNEL: ', result)
-          event.sender.send('closeChannelSuccessful')
-          return result
-        })
-        .catch(error => log.error('closeChannel:', error))
-      break
-    case 'connectPeer':
-      // Returns a peer_id. Pass the pubkey, host and peer_id so we can add a new peer to the list
-      // { pubkey, host } = data
-      peersController
-        .connectPeer(lnd, data)
-        .then(peer => {
-          const { peer_id } = peer
-          log.info('peer_id: ', peer_id)
-          event.sender.send('connectSuccess', { pub_key: data.pubkey, address: data.host, peer_id })
-          return peer
-        })
-        .catch(error => {
-          event.sender.send('connectFailure', { error: error.toString() })
-          log.error('connectPeer:', error)
-        })
-      break
-    case 'disconnectPeer':
-      // Empty response. Pass back pubkey on success to remove it from the peers list
-      // { pubkey } = data
-      peersController
-        .disconnectPeer(lnd, data)
-        .then(() => {
-          log.info('pubkey: ', data.pubkey)
-          event.sender.send('disconnectSuccess', { pubkey: data.pubkey })
-          return null
-        })
-        .catch(error => log.error('disconnectPeer:', error))
-      break
-    case 'connectAndOpen':
-      // Connects to a peer if we aren't connected already and then attempt to open a channel
-      // {} = data
-      channelController
-        .connectAndOpen(lnd, event, data)
-        .then(channelData => {
-          log.info('connectAndOpen data: ', channelData)
-          // event.sender.send('connectSuccess', { pub_key: data.pubkey, address: data.host, peer_id })
-          return channelData
-        })
-        .catch(error => {
-          // event.sender.send('connectFailure', { error: error.toString() })
-          log.error('connectAndOpen:', error)
-        })
-      break
-    default:
+// gRPC status code for calls to methods that do not exist.
+// See https://github.com/grpc/grpc/blob/master/doc/statuscodes.md
+const UNIMPLEMENTED = 12
+
+// lnd address type for nested pay to witness key hash addresses, which can be paid from any wallet.
+const NESTED_PUBKEY_HASH = 1
+
+// Longest memo, in bytes, that lnd will store with an invoice.
+const MAX_MEMO_BYTES = 1024
+
+// Cut a memo down to the longest that lnd will store, without leaving half of a multi-byte character at the end.
+const truncateMemo = memo => {
+  const bytes = Buffer.from(memo)
+  if (bytes.length <= MAX_MEMO_BYTES) {
+    return memo
   }
+  return bytes
+    .slice(0, MAX_MEMO_BYTES)
+    .toString()
+    .replace(/\uFFFD+$/, '')
+}
+
+/**
+ * Registry of lnd methods that can be called from the renderer process.
+ *
+ * Each method is called with the lnd gRPC service, the data sent along with the request and the ipc event (used by
+ * methods that stream updates back to the renderer). The value that the returned promise resolves with is sent back to
+ * the renderer as the response, so it must be serializable.
+ */
+export const registry = {
+  // Response looks like { identity_pubkey: String, chains: [], ... }
+  // The node's chain is also pushed to the renderer so that it can set the active cryptocurrency.
+  info: (lnd, data, event) =>
+    networkController.getInfo(lnd).then(infoData => {
+      event.sender.send('receiveCryptocurrency', infoData.chains[0])
+      return infoData
+    }),
+
+  // Response looks like { nodes: [], edges: [] }
+  describeNetwork: lnd => networkController.describeGraph(lnd),
+
+  // Data looks like { pubkey: String }
+  // Response looks like { node: { pub_key: String, alias: String, addresses: [] }, num_channels: 0, total_capacity: 0 }
+  nodeInfo: (lnd, data) => networkController.getNodeInfo(lnd, data),
+
+  // Data looks like { chanId: Number }
+  // Response looks like { channel_id: Number, capacity: Number, node1_pub: String, node1_policy: {}, node2_pub: ... }
+  chanInfo: (lnd, data) => channelController.getChanInfo(lnd, data),
+
+  // Data looks like { pubkey: String, amount: Number }
+  queryRoutes: (lnd, data) => networkController.queryRoutes(lnd, data),
+
+  // Data looks like { payreq: String, num_routes: Number }
+  // Routes are found for the final time-lock that the invoice asks for, so that they can be paid over directly. There
+  // are no routes for invoices that don't ask for an amount, as we don't know how much will be sent over them.
+  getInvoiceAndQueryRoutes: (lnd, data) =>
+    invoicesController.getInvoice(lnd, { pay_req: data.payreq }).then(invoiceData => {
+      if (!Number(invoiceData.num_satoshis)) {
+        return { routes: [] }
+      }
+      return networkController.queryRoutes(lnd, {
+        pubkey: invoiceData.destination,
+        amount: invoiceData.num_satoshis,
+        num_routes: data.num_routes,
+        final_cltv_delta: invoiceData.cltv_expiry
+      })
+    }),
+
+  // Data looks like { pubkey: String, amount: Number, num_routes: Number }
+  // Response looks like { pubkey: String, amount: Number, probes: [{ route, outcome, reachedHops, error }] }
+  // A destination that there is no route to at all gets an empty list of probes.
+  probeRoutes: (lnd, { pubkey, amount, num_routes }) =>
+    networkController
+      .queryRoutes(lnd, { pubkey, amount, num_routes })
+      .catch(error => {
+        if (/unable to find a path/i.test(error.message)) {
+          return { routes: [] }
+        }
+        throw error
+      })
+      .then(({ routes }) => probeRoutes(lnd, routes))
+      .then(probes => ({ pubkey, amount, probes })),
+
+  // Data looks like { outgoing_chan_id: Number, incoming_chan_id: Number, incoming_pubkey: String, amount: Number,
+  //   fee_limit: Number, final_cltv_delta: Number, num_routes: Number }
+  // Response looks like { routes: [] }
+  // Routes pay ourselves, leaving through the outgoing channel and coming back through the incoming one.
+  queryRebalanceRoutes: (lnd, data) => queryCircularRoutes(lnd, data).then(routes => ({ routes })),
+
+  // Response looks like { type: Number, address: String }
+  newaddress: (lnd, data) =>
+    walletController
+      .newAddress(lnd, data.type)
+      .then(({ address }) => ({ type: data.type, address })),
+
+  // Data looks like { new_alias: '' }
+  setAlias: (lnd, data) => walletController.setAlias(lnd, data),
+
+  // Data looks like { msg: String }
+  // Response looks like { signature: String }
+  signMessage: (lnd, data) => walletController.signMessage(lnd, data),
+
+  // Data looks like { msg: String, signature: String }
+  // Response looks like { valid: Boolean, pubkey: String }
+  verifyMessage: (lnd, data) => walletController.verifyMessage(lnd, data),
+
+  // Response looks like { peers: [] }
+  peers: lnd => peersController.listPeers(lnd),
+
+  // Response looks like
+  // {
+  //   channels: [],
+  //   pendingChannels: {
+  //     total_limbo_balance: 0,
+  //     pending_open_channels: [],
+  //     pending_closing_channels: [],
+  //     pending_force_closing_channels: []
+  //   }
+  // }
+  channels: lnd =>
+    Promise.all([channelController.listChannels(lnd), channelController.pendingChannels(lnd)]).then(
+      ([{ channels }, pendingChannels]) => ({ channels, pendingChannels })
+    ),
+
+  // Response looks like { channels: [] }
+  closedChannels: lnd => channelController.closedChannels(lnd),
+
+  // Response looks like
+  // {
+  //   channel_fees: [{ channel_point: String, base_fee_msat: Number, fee_per_mil: Number, time_lock_delta: Number }],
+  //   day_fee_sum: Number,
+  //   week_fee_sum: Number,
+  //   month_fee_sum: Number
+  // }
+  // The fee report doesn't include time lock deltas, so they are taken from our side of each channel's graph edge.
+  feeReport: async lnd => {
+    const [report, { identity_pubkey }, { channels }] = await Promise.all([
+      channelController.feeReport(lnd),
+      networkController.getInfo(lnd),
+      channelController.listChannels(lnd)
+    ])
+
+    const getTimeLockDelta = async channelPoint => {
+      const channel = channels.find(c => c.channel_point === channelPoint)
+      if (!channel) {
+        return null
+      }
+      const edge = await channelController.getChanInfo(lnd, { chanId: channel.chan_id })
+      const policy = edge.node1_pub === identity_pubkey ? edge.node1_policy : edge.node2_policy
+      return policy ? policy.time_lock_delta : null
+    }
+
+    const channel_fees = await Promise.all(
+      report.channel_fees.map(async ({ chan_point, base_fee_msat, fee_per_mil }) => ({
+        channel_point: chan_point,
+        base_fee_msat,
+        fee_per_mil,
+        time_lock_delta: await getTimeLockDelta(chan_point).catch(() => null)
+      }))
+    )
+
+    return {
+      channel_fees,
+      day_fee_sum: report.day_fee_sum,
+      week_fee_sum: report.week_fee_sum,
+      month_fee_sum: report.month_fee_sum
+    }
+  },
+
+  // Data looks like { channel_point: ?String, base_fee_msat: Number, fee_rate: Number, time_lock_delta: Number }
+  // The policy of all of our channels is updated if no channel point is given.
+  updateChannelPolicy: (lnd, data) =>
+    channelController.updateChannelPolicy(lnd, data).then(() => data),
+
+  // Data looks like { start_time: Number, end_time: Number, index_offset: Number, num_max_events: Number }
+  // Response looks like { forwarding_events: [], last_offset_index: Number }
+  forwardingHistory: (lnd, data) => channelController.forwardingHistory(lnd, data),
+
+  // Response looks like { transactions: [] }
+  transactions: lnd => walletController.getTransactions(lnd),
+
+  // Response looks like { payments: [] }
+  payments: lnd => paymentsController.listPayments(lnd),
+
+  // Response looks like { invoices: [] }
+  invoices: lnd => invoicesController.listInvoices(lnd),
+
+  // Data looks like { payreq: String }
+  invoice: (lnd, data) => invoicesController.getInvoice(lnd, { pay_req: data.payreq }),
+
+  // Response looks like { walletBalance: String, channelBalance: String }
+  balance: lnd =>
+    Promise.all([walletController.walletBalance(lnd), channelController.channelBalance(lnd)]).then(
+      ([walletBalance, channelBalance]) => ({
+        walletBalance: walletBalance.total_balance,
+        channelBalance: channelBalance.balance
+      })
+    ),
+
+  // Data looks like { memo: String, value: Number, private: Boolean, expiry: Number, cltv_expiry: Number,
+  //   use_fallback_addr: Boolean, use_description_hash: Boolean }
+  // Response is the decoded invoice along with the details of the newly created invoice.
+  // With use_fallback_addr the invoice can also be paid on-chain to a new address from our wallet. With
+  // use_description_hash the invoice commits to a hash of the memo instead of the memo itself, which lets it carry
+  // descriptions that are too long to fit in a payment request. lnd leaves the memo out of the payment request when
+  // there is a description hash, so we still keep as much of it as lnd will store for our own records.
+  createInvoice: async (lnd, data) => {
+    const { use_fallback_addr, use_description_hash, ...invoice } = data
+    if (use_fallback_addr) {
+      const { address } = await walletController.newAddress(lnd, NESTED_PUBKEY_HASH)
+      invoice.fallback_addr = address
+    }
+    if (use_description_hash) {
+      invoice.description_hash = crypto
+        .createHash('sha256')
+        .update(data.memo)
+        .digest()
+      invoice.memo = truncateMemo(data.memo)
+    }
+    const newInvoice = await invoicesController.addInvoice(lnd, invoice)
+    const decodedInvoice = await invoicesController.getInvoice(lnd, {
+      pay_req: newInvoice.payment_request
+    })
+    return Object.assign(decodedInvoice, {
+      memo: data.memo,
+      value: data.value,
+      r_hash: Buffer.from(newInvoice.r_hash, 'hex').toString('hex'),
+      payment_request: newInvoice.payment_request,
+      creation_date: Date.now() / 1000,
+      private: data.private
+    })
+  },
+
+  // Data looks like { paymentRequest: String, amt: Number, fee_limit: { fixed: Number } | { percent: Number } }
+  // Response looks like { paymentRequest: String, payment_route: Object }
+  // Without a fee_limit lnd will pay any routing fee. amt is only needed for invoices that don't ask for an amount.
+  sendPayment: (lnd, data) =>
+    paymentsController
+      .sendPaymentSync(lnd, data)
+      .then(({ payment_route }) => Object.assign(data, { payment_route })),
+
+  // Data looks like { payment_hash_string: String, routes: [] }
+  // Response looks like { payment_hash_string: String, payment_route: Object }
+  // lnd tries the routes in order until one of them succeeds.
+  sendToRoute: (lnd, data) =>
+    paymentsController.sendToRouteSync(lnd, data).then(({ payment_route }) => ({
+      payment_hash_string: data.payment_hash_string,
+      payment_route
+    })),
+
+  // Data looks like { amount: Number, addr: String, target_conf: Number, sat_per_byte: Number }
+  // Response looks like { amount: Number, addr: String, txid: String }
+  sendCoins: (lnd, data) =>
+    walletController
+      .sendCoins(lnd, data)
+      .then(({ txid }) => ({ amount: data.amount, addr: data.addr, txid })),
+
+  // Data looks like { AddrToAmount: { [addr: String]: Number }, target_conf: Number, sat_per_byte: Number }
+  // Response looks like { amount: Number, txid: String }
+  sendMany: (lnd, data) =>
+    walletController.sendMany(lnd, data).then(({ txid }) => ({
+      amount: Object.values(data.AddrToAmount).reduce((total, amount) => total + amount, 0),
+      txid
+    })),
+
+  // Data looks like { pubkey: String, localamt: Number, pushamt: Number, target_conf: Number, sat_per_byte: Number }
+  // Channel status updates are streamed back to the renderer as push events.
+  openChannel: (lnd, data, event) =>
+    channelController.openChannel(lnd, event, data).then(() => ({ pubkey: data.pubkey })),
+
+  // Data looks like { channel_point: { funding_txid: String, output_index: Number }, chan_id: String, force: Boolean }
+  // Channel status updates are streamed back to the renderer as push events.
+  closeChannel: (lnd, data, event) =>
+    channelController.closeChannel(lnd, event, data).then(() => ({ chan_id: data.chan_id })),
+
+  // Data looks like { pubkey: String, host: String }
+  // Response looks like { pub_key: String, address: String, peer_id: Number }
+  connectPeer: (lnd, data) =>
+    peersController
+      .connectPeer(lnd, data)
+      .then(({ peer_id }) => ({ pub_key: data.pubkey, address: data.host, peer_id })),
+
+  // Data looks like { pubkey: String }
+  disconnectPeer: (lnd, data) =>
+    peersController.disconnectPeer(lnd, data).then(() => ({ pubkey: data.pubkey })),
+
+  // Connects to a peer if we aren't connected already and then attempt to open a channel.
+  // Data looks like { pubkey: String, host: String, localamt: Number, private: Boolean, target_conf: Number,
+  //   sat_per_byte: Number }
+  // Channel status updates are streamed back to the renderer as push events.
+  connectAndOpen: (lnd, data, event) =>
+    channelController.connectAndOpen(lnd, event, data).then(() => ({ pubkey: data.pubkey }))
+}
+
+/**
+ * Convert an error into a structured error that can be sent to the renderer process.
+ * @param  {Error|string} error Error thrown by an lnd method (gRPC errors include a status code and details).
+ * @return {Object} Structured error with a gRPC status code, details and a user friendly message.
+ */
+export const serializeError = error => {
+  const { code, details } = error || {}
+  const message = String(error)
+  return {
+    code,
+    details: details || (error && error.message) || message,
+    message: errorToUserFriendly(message)
+  }
+}
+
+/**
+ * Call an lnd method and send the result (or error) back to the renderer process as an `lndResponse` event.
+ * @param  {rpc.lnrpc.Lightning} lnd lnd gRPC service.
+ * @param  {Object} log Logger.
+ * @param  {Event} event ipc event that the request was received with.
+ * @param  {string} msg Name of the method to call.
+ * @param  {*} data Data to pass to the method.
+ * @param  {number} id Request id used by the renderer to correlate the response with the request.
+ * @return {Promise} Promise that resolves once the response has been sent.
+ */
+export default function(lnd, log, event, msg, data, id) {
+  log.info(`Calling lnd method: %o`, { id, msg, data })
+
+  const method = registry[msg]
+  const request = method
+    ? Promise.resolve().then(() => method(lnd, data, event))
+    : Promise.reject(
+        Object.assign(new Error(`Unknown lnd method: ${msg}`), { code: UNIMPLEMENTED })
+      )
+
+  return request
+    .then(result => event.sender.send('lndResponse', { id, msg, result }))
+    .catch(error => {
+      log.error(`${msg}:`, error)
+      event.sender.send('lndResponse', { id, msg, error: serializeError(error) })
+    })
 }
@@ -5,11 +5,27 @@ import pushinvoices from '../push/subscribeinvoice'
  * @param  lnd   [description]
  * @param  memo  [description]
  * @param  value [description]
+ * @param  expiry [description]
+ * @param  fallback_addr [description]
+ * @param  cltv_expiry [description]
+ * @param  description_hash [description]
  * @return     [description]
  */
-export function addInvoice(lnd, { memo, value, private: privateInvoice }) {
+export function addInvoice(
+  lnd,
+  { memo, value, private: privateInvoice, expiry, fallback_addr, cltv_expiry, description_hash }
+) {
+  const invoice = {
+    memo,
+    value,
+    private: privateInvoice,
+    expiry,
+    fallback_addr,
+    cltv_expiry,
+    description_hash
+  }
   return new Promise((resolve, reject) => {
-    lnd.addInvoice({ memo, value, private: privateInvoice }, (err, data) => {
+    lnd.addInvoice(invoice, (err, data) => {
       if (err) {
         return reject(err)
       }
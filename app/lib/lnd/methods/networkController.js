@@ -53,14 +53,17 @@ export function describeGraph(lnd) {
 /**
  * Attempts to query the daemon’s Channel Router for a possible route to a
  * target destination capable of carrying a specific amount of satoshis
- * @param  {[type]} lnd    [description]
- * @param  {[type]} pubkey [description]
- * @param  {[type]} amount [description]
- * @return {[type]}        [description]
+ * @param  {[type]} lnd              [description]
+ * @param  {[type]} pubkey           [description]
+ * @param  {[type]} amount           [description]
+ * @param  {[type]} num_routes       [description]
+ * @param  {[type]} final_cltv_delta [description]
+ * @return {[type]}                  [description]
  */
-export function queryRoutes(lnd, { pubkey, amount }) {
+export function queryRoutes(lnd, { pubkey, amount, num_routes, final_cltv_delta }) {
   return new Promise((resolve, reject) => {
-    lnd.queryRoutes({ pub_key: pubkey, amt: amount }, (err, data) => {
+    const request = { pub_key: pubkey, amt: amount, num_routes, final_cltv_delta }
+    lnd.queryRoutes(request, (err, data) => {
       if (err) {
         return reject(err)
       }
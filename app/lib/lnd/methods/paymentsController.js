@@ -2,11 +2,34 @@
  * Dispatches a bi-directional streaming RPC for sending payments through the Lightning Network.
  * @param  {[type]} lnd            [description]
  * @param  {[type]} paymentRequest [description]
+ * @param  {[type]} amt            [description]
+ * @param  {[type]} fee_limit      [description]
  * @return {[type]}                [description]
  */
-export function sendPaymentSync(lnd, { paymentRequest }) {
+export function sendPaymentSync(lnd, { paymentRequest, amt, fee_limit }) {
+  const request = { payment_request: paymentRequest, amt, fee_limit }
   return new Promise((resolve, reject) => {
-    lnd.sendPaymentSync({ payment_request: paymentRequest }, (error, data) => {
+    lnd.sendPaymentSync(request, (error, data) => {
+      if (error) {
+        return reject(error)
+      } else if (!data || !data.payment_route) {
+        return reject(data.payment_error)
+      }
+      resolve(data)
+    })
+  })
+}
+
+/**
+ * Sends a payment over a set of routes chosen by the caller, trying each of them in turn until one succeeds
+ * @param  {[type]} lnd                 [description]
+ * @param  {[type]} payment_hash_string [description]
+ * @param  {[type]} routes              [description]
+ * @return {[type]}                     [description]
+ */
+export function sendToRouteSync(lnd, { payment_hash_string, routes }) {
+  return new Promise((resolve, reject) => {
+    lnd.sendToRouteSync({ payment_hash_string, routes }, (error, data) => {
       if (error) {
         return reject(error)
       } else if (!data || !data.payment_route) {
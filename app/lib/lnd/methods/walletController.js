@@ -69,14 +69,36 @@ export function getTransactions(lnd) {
 
 /**
  * Executes a request to send coins to a particular address
- * @param  {[type]} lnd    [description]
- * @param  {[type]} addr   [description]
- * @param  {[type]} amount [description]
- * @return {[type]}        [description]
+ * @param  {[type]} lnd          [description]
+ * @param  {[type]} addr         [description]
+ * @param  {[type]} amount       [description]
+ * @param  {[type]} target_conf  [description]
+ * @param  {[type]} sat_per_byte [description]
+ * @return {[type]}              [description]
  */
-export function sendCoins(lnd, { addr, amount }) {
+export function sendCoins(lnd, { addr, amount, target_conf, sat_per_byte }) {
   return new Promise((resolve, reject) => {
-    lnd.sendCoins({ addr, amount }, (err, data) => {
+    lnd.sendCoins({ addr, amount, target_conf, sat_per_byte }, (err, data) => {
+      if (err) {
+        return reject(err)
+      }
+
+      resolve(data)
+    })
+  })
+}
+
+/**
+ * Executes a request to send coins to many addresses in a single transaction
+ * @param  {[type]} lnd          [description]
+ * @param  {[type]} AddrToAmount [description]
+ * @param  {[type]} target_conf  [description]
+ * @param  {[type]} sat_per_byte [description]
+ * @return {[type]}              [description]
+ */
+export function sendMany(lnd, { AddrToAmount, target_conf, sat_per_byte }) {
+  return new Promise((resolve, reject) => {
+    lnd.sendMany({ AddrToAmount, target_conf, sat_per_byte }, (err, data) => {
       if (err) {
         return reject(err)
       }
@@ -102,6 +124,43 @@ export function setAlias(lnd, { new_alias }) {
   })
 }
 
+/**
+ * Signs a message with the node's private key
+ * @param  {[type]} lnd [description]
+ * @param  {[type]} msg [description]
+ * @return {[type]}     [description]
+ */
+export function signMessage(lnd, { msg }) {
+  return new Promise((resolve, reject) => {
+    lnd.signMessage({ msg: Buffer.from(msg, 'utf8') }, (err, data) => {
+      if (err) {
+        return reject(err)
+      }
+
+      resolve(data)
+    })
+  })
+}
+
+/**
+ * Verifies a signature over a message and recovers the public key of the node that signed it
+ * @param  {[type]} lnd       [description]
+ * @param  {[type]} msg       [description]
+ * @param  {[type]} signature [description]
+ * @return {[type]}           [description]
+ */
+export function verifyMessage(lnd, { msg, signature }) {
+  return new Promise((resolve, reject) => {
+    lnd.verifyMessage({ msg: Buffer.from(msg, 'utf8'), signature }, (err, data) => {
+      if (err) {
+        return reject(err)
+      }
+
+      resolve(data)
+    })
+  })
+}
+
 /**
  * Generates a seed for the wallet
  */
@@ -133,6 +192,29 @@ export function unlockWallet(walletUnlocker, { wallet_password }) {
   })
 }
 
+/**
+ * Changes the password of a locked wallet, which also unlocks it
+ * @param  {[type]} current_password [description]
+ * @param  {[type]} new_password [description]
+ */
+export function changePassword(walletUnlocker, { current_password, new_password }) {
+  return new Promise((resolve, reject) => {
+    walletUnlocker.changePassword(
+      {
+        current_password: Buffer.from(current_password),
+        new_password: Buffer.from(new_password)
+      },
+      (err, data) => {
+        if (err) {
+          return reject(err)
+        }
+
+        resolve(data)
+      }
+    )
+  })
+}
+
 /**
  * Unlocks a wallet with a password
  * @param  {[type]} password [description]
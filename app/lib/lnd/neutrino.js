@@ -7,6 +7,7 @@ import getPort from 'get-port'
 import { mainLog, lndLog, lndLogGetLevel } from '../utils/log'
 import { fetchBlockHeight } from './util'
 import LndConfig from './config'
+import type { Crash } from './crashHistory'
 
 // Sync statuses
 const CHAIN_SYNC_PENDING = 'chain-sync-pending'
@@ -23,6 +24,16 @@ const GOT_CURRENT_BLOCK_HEIGHT = 'got-current-block-height'
 const GOT_LND_BLOCK_HEIGHT = 'got-lnd-block-height'
 const GOT_LND_CFILTER_HEIGHT = 'got-lnd-cfilter-height'
 
+// Number of lines of lnd output to keep for crash reports.
+const MAX_OUTPUT_LINES = 50
+
+// Neutrino peers to connect to when none have been configured. Private networks (regtest, simnet) have no
+// default peers, so a node must be configured explicitly to sync from.
+const DEFAULT_NEUTRINO_PEERS: { [network: string]: string } = {
+  mainnet: 'mainnet1-btcd.zaphq.io',
+  testnet: 'testnet1-btcd.zaphq.io'
+}
+
 /**
  * Wrapper class for Lnd to run and monitor it in Neutrino mode.
  * @extends EventEmitter
@@ -37,6 +48,9 @@ class Neutrino extends EventEmitter {
   lndBlockHeight: number
   lndCfilterHeight: number
   lastError: ?string
+  lndVersion: ?string
+  recentStdout: Array<string>
+  recentStderr: Array<string>
 
   constructor(lndConfig: LndConfig) {
     super()
@@ -49,6 +63,9 @@ class Neutrino extends EventEmitter {
     this.lndBlockHeight = 0
     this.lndCfilterHeight = 0
     this.lastError = null
+    this.lndVersion = null
+    this.recentStdout = []
+    this.recentStderr = []
   }
 
   static incrementIfHigher = (context: any, property: string, newVal: any): boolean => {
@@ -60,6 +77,70 @@ class Neutrino extends EventEmitter {
     return false
   }
 
+  static appendOutput = (lines: Array<string>, line: string) => {
+    lines.push(line)
+    if (lines.length > MAX_OUTPUT_LINES) {
+      lines.shift()
+    }
+  }
+
+  /**
+   * Build the lnd command line args for the configured chain backend.
+   * @return {Array<string>} List of chain backend args.
+   */
+  chainBackendArgs(): Array<string> {
+    const {
+      network,
+      neutrinoConnect,
+      neutrinoAddPeer,
+      backendRpcHost,
+      backendRpcUser,
+      backendRpcPass,
+      zmqPubRawBlock,
+      zmqPubRawTx
+    } = this.lndConfig
+    const chainBackend = this.lndConfig.chainBackend || 'neutrino'
+    const args = [`--bitcoin.node=${chainBackend}`]
+
+    switch (chainBackend) {
+      case 'btcd':
+      case 'bitcoind':
+        if (backendRpcHost) {
+          args.push(`--${chainBackend}.rpchost=${backendRpcHost}`)
+        }
+        if (backendRpcUser) {
+          args.push(`--${chainBackend}.rpcuser=${backendRpcUser}`)
+        }
+        if (backendRpcPass) {
+          args.push(`--${chainBackend}.rpcpass=${backendRpcPass}`)
+        }
+        // ZMQ notifications are only supported by bitcoind.
+        if (chainBackend === 'bitcoind' && zmqPubRawBlock) {
+          args.push(`--bitcoind.zmqpubrawblock=${zmqPubRawBlock}`)
+        }
+        if (chainBackend === 'bitcoind' && zmqPubRawTx) {
+          args.push(`--bitcoind.zmqpubrawtx=${zmqPubRawTx}`)
+        }
+        break
+
+      default: {
+        // Fall back to our own neutrino nodes if no peers have been configured.
+        let connect = []
+        if (neutrinoConnect && neutrinoConnect.length) {
+          connect = neutrinoConnect
+        } else if (DEFAULT_NEUTRINO_PEERS[network]) {
+          connect = [DEFAULT_NEUTRINO_PEERS[network]]
+        }
+        connect.forEach(host => args.push(`--neutrino.connect=${host}`))
+        if (neutrinoAddPeer) {
+          neutrinoAddPeer.forEach(host => args.push(`--neutrino.addpeer=${host}`))
+        }
+      }
+    }
+
+    return args
+  }
+
   /**
    * Start the Lnd process in Neutrino mode.
    * @return {Number} PID of the Lnd process that was started.
@@ -101,20 +182,20 @@ class Neutrino extends EventEmitter {
       `${this.lndConfig.alias ? `--alias=${this.lndConfig.alias}` : ''}`
     ]
 
-    // Configure neutrino backend.
-    if (this.lndConfig.network === 'mainnet') {
-      neutrinoArgs.push('--neutrino.connect=mainnet1-btcd.zaphq.io')
-      // neutrinoArgs.push('--neutrino.connect=mainnet2-btcd.zaphq.io')
-    } else {
-      neutrinoArgs.push('--neutrino.connect=testnet1-btcd.zaphq.io')
-      // neutrinoArgs.push('--neutrino.connect=testnet2-btcd.zaphq.io')
-    }
+    // Configure the bitcoin network.
+    neutrinoArgs.push(`--bitcoin.${this.lndConfig.network}`)
+
+    // Configure chain backend.
+    neutrinoArgs.push(...this.chainBackendArgs())
 
     // Log the final config.
     mainLog.info(
       'Spawning Neutrino process: %s %s',
       this.lndConfig.binaryPath,
-      neutrinoArgs.filter(v => v != '').join(' ')
+      neutrinoArgs
+        .filter(v => v != '')
+        .map(v => v.replace(/(rpcpass=).*/, '$1******'))
+        .join(' ')
     )
 
     // Spawn lnd process.
@@ -136,6 +217,7 @@ class Neutrino extends EventEmitter {
     // Listen for when neutrino prints data to stderr.
     this.process.stderr.pipe(split2()).on('data', line => {
       lndLog.error(line)
+      Neutrino.appendOutput(this.recentStderr, line)
       if (line.startsWith('panic:')) {
         this.lastError = line
       }
@@ -145,10 +227,19 @@ class Neutrino extends EventEmitter {
     this.process.stdout.pipe(split2()).on('data', line => {
       const level = lndLogGetLevel(line)
       lndLog[level](line)
+      Neutrino.appendOutput(this.recentStdout, line)
       if (level === 'error') {
         this.lastError = line.split('[ERR] LTND:')[1]
       }
 
+      // Keep track of the lnd version so that it can be included in crash reports.
+      if (!this.lndVersion) {
+        const match = line.match(/LTND: Version:? ([^\s,]+)/)
+        if (match) {
+          this.lndVersion = match[1]
+        }
+      }
+
       // password RPC server listening (wallet unlocker started).
       if (!this.walletUnlockerGrpcActive && !this.lightningGrpcActive) {
         if (line.includes('RPC server listening on') && line.includes('password')) {
@@ -201,7 +292,7 @@ class Neutrino extends EventEmitter {
           // The height returned from the LND log output may not be the actual current block height (this is the case
           // when BTCD is still in the middle of syncing the blockchain) so try to fetch thhe current height from from
           // some block explorers just incase.
-          fetchBlockHeight()
+          fetchBlockHeight(this.lndConfig.network)
             .then(height => (height > btcdHeight ? this.setCurrentBlockHeight(height) : null))
             // If we were unable to fetch from bock explorers at least we already have what BTCd gave us so just warn.
             .catch(err => mainLog.warn(`Unable to fetch block height: ${err.message}`))
@@ -268,6 +359,26 @@ class Neutrino extends EventEmitter {
     }
   }
 
+  /**
+   * Build a crash report for an unexpected exit of the Lnd process.
+   * @param  {Number} code Exit code.
+   * @param  {String} signal Signal that terminated the process.
+   * @return {Crash} Crash report.
+   */
+  getCrashReport(code: ?number, signal: ?string): Crash {
+    return {
+      date: new Date().toISOString(),
+      code,
+      signal,
+      lastError: this.lastError,
+      lndVersion: this.lndVersion,
+      network: this.lndConfig.network,
+      chainBackend: this.lndConfig.chainBackend || 'neutrino',
+      stdout: [...this.recentStdout],
+      stderr: [...this.recentStderr]
+    }
+  }
+
   /**
    * Check if the current state matches the passted in state.
    * @param  {String} state State to compare against the current state.
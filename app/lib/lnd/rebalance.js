@@ -0,0 +1,112 @@
+import * as channelController from './methods/channelController'
+import * as networkController from './methods/networkController'
+
+// Rebalancing moves funds out of one of our channels and back in through another by paying ourselves over a route
+// that leaves through the first channel and comes back through the second. lnd won't find routes back to ourselves,
+// so we find routes to the peer at the other end of the incoming channel instead and add the last hop home ourselves.
+
+/**
+ * The fee that a node charges to forward an amount over a channel, rounded up to whole satoshis.
+ * @param  {Object} policy Routing policy of the node for the channel.
+ * @param  {Number} amount Amount that the node forwards, in satoshis.
+ * @return {Number} Fee in satoshis.
+ */
+export const forwardingFee = (policy, amount) =>
+  Math.ceil((policy.fee_base_msat + (amount * 1000 * policy.fee_rate_milli_msat) / 1000000) / 1000)
+
+/**
+ * Extend a route to the peer at the other end of a channel with a hop over that channel back to us. The route must
+ * deliver the amount and the peer's fee, which becomes what the peer earns for forwarding it, so none of the earlier
+ * hops change.
+ * @param  {Object} route Route from QueryRoutes to the peer.
+ * @param  {Object} channel Channel to come back over.
+ * @param  {Number} channel.chanId Id of the channel.
+ * @param  {Number} channel.capacity Capacity of the channel.
+ * @param  {Object} channel.policy Routing policy of the peer for the channel.
+ * @param  {Number} amount Amount to send back to us, in satoshis.
+ * @return {Object} Route that ends at our own node.
+ */
+export const closeRoute = (route, { chanId, capacity, policy }, amount) => {
+  const hops = route.hops.slice(0, -1)
+  const last = route.hops[route.hops.length - 1]
+  const fee = last.amt_to_forward - amount
+  // The peer has to send the payment on with the time-lock that we asked for, which is the time-lock that it gets the
+  // payment with less its own delta.
+  const expiry = last.expiry - policy.time_lock_delta
+
+  hops.push(
+    {
+      ...last,
+      amt_to_forward: amount,
+      fee,
+      amt_to_forward_msat: amount * 1000,
+      fee_msat: fee * 1000,
+      expiry
+    },
+    {
+      chan_id: chanId,
+      chan_capacity: capacity,
+      amt_to_forward: amount,
+      fee: 0,
+      expiry,
+      amt_to_forward_msat: amount * 1000,
+      fee_msat: 0
+    }
+  )
+
+  return {
+    ...route,
+    hops,
+    total_fees: route.total_amt - amount,
+    total_fees_msat: route.total_amt_msat - amount * 1000
+  }
+}
+
+/**
+ * Find routes that pay an amount to ourselves, leaving through one of our channels and coming back through another.
+ * @param  {Object} lnd gRPC service.
+ * @param  {Object} data Request.
+ * @param  {Number} data.outgoing_chan_id Channel that the payment must leave through.
+ * @param  {Number} data.incoming_chan_id Channel that the payment must come back through.
+ * @param  {String} data.incoming_pubkey Pubkey of the peer at the other end of the incoming channel.
+ * @param  {Number} data.amount Amount to move between the channels, in satoshis.
+ * @param  {Number} data.fee_limit Most that we are willing to pay in fees, in satoshis.
+ * @param  {Number} data.final_cltv_delta Time-lock delta of the invoice that is being paid.
+ * @param  {Number} data.num_routes Number of routes for lnd to look for.
+ * @return {Promise<Object[]>} Circular routes within the fee limit, cheapest first.
+ */
+export async function queryCircularRoutes(lnd, data) {
+  const { outgoing_chan_id, incoming_chan_id, incoming_pubkey, amount, fee_limit } = data
+
+  const chanInfo = await channelController.getChanInfo(lnd, { chanId: incoming_chan_id })
+  const policy =
+    chanInfo.node1_pub === incoming_pubkey ? chanInfo.node1_policy : chanInfo.node2_policy
+  if (!policy || policy.disabled) {
+    return []
+  }
+
+  const { routes } = await networkController
+    .queryRoutes(lnd, {
+      pubkey: incoming_pubkey,
+      amount: amount + forwardingFee(policy, amount),
+      num_routes: data.num_routes,
+      final_cltv_delta: data.final_cltv_delta + policy.time_lock_delta
+    })
+    .catch(error => {
+      if (/unable to find a path/i.test(error.message)) {
+        return { routes: [] }
+      }
+      throw error
+    })
+
+  const channel = { chanId: incoming_chan_id, capacity: chanInfo.capacity, policy }
+  return routes
+    .filter(
+      route =>
+        String(route.hops[0].chan_id) === String(outgoing_chan_id) &&
+        route.hops.every(hop => String(hop.chan_id) !== String(incoming_chan_id))
+    )
+    .map(route => closeRoute(route, channel, amount))
+    .filter(route => route.total_fees <= fee_limit)
+    .sort((a, b) => a.total_fees - b.total_fees)
+}
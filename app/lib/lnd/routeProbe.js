@@ -0,0 +1,126 @@
+import crypto from 'crypto'
+import * as paymentsController from './methods/paymentsController'
+
+// Probes are payments with a payment hash that nobody knows the preimage for, so they always fail, but where they fail
+// tells us how far a real payment would get. One that gets to its destination fails there because of the unknown
+// payment hash, whilst one that can't get over a channel for lack of balance fails there with a temporary channel
+// failure.
+
+// Outcomes of probing a route.
+export const PROBE_REACHED = 'reached'
+export const PROBE_INSUFFICIENT_LIQUIDITY = 'insufficient_liquidity'
+export const PROBE_FAILED = 'failed'
+
+/**
+ * Work out what the failure of a probe means from the error that lnd sent back for it.
+ * @param  {Error|String} error Error or payment error from SendToRouteSync.
+ * @return {String} One of the probe outcomes.
+ */
+export const classifyProbeError = error => {
+  const message = String(error && error.message ? error.message : error)
+  if (/UnknownPaymentHash|IncorrectOrUnknownPaymentDetails|unknown payment hash/i.test(message)) {
+    return PROBE_REACHED
+  }
+  if (/TemporaryChannelFailure|insufficient/i.test(message)) {
+    return PROBE_INSUFFICIENT_LIQUIDITY
+  }
+  return PROBE_FAILED
+}
+
+/**
+ * Cut a route short so that it ends at one of the nodes along the way. The channels before the new destination carry
+ * the same amounts as they do in the full route, so the shorter route fails in the same place if the full one does.
+ * @param  {Object} route Route from QueryRoutes.
+ * @param  {Number} hopCount Number of hops to keep.
+ * @return {Object} Route that pays the amount that the node at the end of the last hop would have received.
+ */
+export const truncateRoute = (route, hopCount) => {
+  if (hopCount >= route.hops.length) {
+    return route
+  }
+
+  const hops = route.hops.slice(0, hopCount)
+  const last = hops[hopCount - 1]
+  const amount = last.amt_to_forward + last.fee
+  const amountMsat = last.amt_to_forward_msat + last.fee_msat
+  // The final node checks that the time-lock of the payment is the one that it was sent with.
+  const expiry = hopCount > 1 ? hops[hopCount - 2].expiry : route.total_time_lock
+  hops[hopCount - 1] = {
+    ...last,
+    amt_to_forward: amount,
+    fee: 0,
+    amt_to_forward_msat: amountMsat,
+    fee_msat: 0,
+    expiry
+  }
+
+  return {
+    ...route,
+    hops,
+    total_fees: route.total_amt - amount,
+    total_fees_msat: route.total_amt_msat - amountMsat
+  }
+}
+
+// Send a probe over a route and find out how it failed.
+const sendProbe = (lnd, route) =>
+  paymentsController
+    .sendToRouteSync(lnd, {
+      payment_hash_string: crypto.randomBytes(32).toString('hex'),
+      routes: [route]
+    })
+    .then(() => ({ outcome: PROBE_REACHED, error: null }))
+    .catch(error => ({
+      outcome: classifyProbeError(error),
+      error: String(error && error.message ? error.message : error)
+    }))
+
+/**
+ * Probe a route to find out whether a payment over it would get to its destination. If it wouldn't, shorter routes to
+ * the nodes along the way are probed to find the first hop that the payment can't get over.
+ * @param  {Object} lnd gRPC service.
+ * @param  {Object} route Route from QueryRoutes.
+ * @return {Promise<Object>} { outcome: String, reachedHops: Number, error: ?String }
+ */
+export function probeRoute(lnd, route) {
+  const hopCount = route.hops.length
+
+  // Binary search between the number of hops that a probe is known to get over and the number that it is known not to.
+  const search = (reached, failed, failure) => {
+    if (failed - reached <= 1) {
+      return Promise.resolve({ ...failure, reachedHops: reached })
+    }
+    const middle = Math.floor((reached + failed) / 2)
+    return sendProbe(lnd, truncateRoute(route, middle)).then(result => {
+      if (result.outcome === PROBE_REACHED) {
+        return search(middle, failed, failure)
+      }
+      return search(reached, middle, result)
+    })
+  }
+
+  return sendProbe(lnd, route).then(result => {
+    if (result.outcome === PROBE_REACHED) {
+      return { ...result, reachedHops: hopCount }
+    }
+    return search(0, hopCount, result)
+  })
+}
+
+/**
+ * Probe a list of routes. Probes are sent one at a time, as payments that are in flight at once would compete for the
+ * same balances.
+ * @param  {Object} lnd gRPC service.
+ * @param  {Object[]} routes Routes from QueryRoutes.
+ * @return {Promise<Object[]>} The outcome of probing each of the routes, along with the route.
+ */
+export function probeRoutes(lnd, routes) {
+  const probes = []
+  return routes
+    .reduce(
+      (promise, route) =>
+        promise.then(() => probeRoute(lnd, route)).then(probe => probes.push({ ...probe, route })),
+      Promise.resolve()
+    )
+    .then(() => probes)
+}
@@ -9,9 +9,19 @@ export default function subscribeToChannelGraph() {
     if (this.mainWindow) {
       this.mainWindow.send('channelGraphData', { channelGraphData })
     }
+    // Our own channels may have been opened or closed.
+    if (this.channelBackup && this.channelBackup.involvesOurChannels(channelGraphData)) {
+      this.scheduleChannelBackup()
+    }
   })
   call.on('end', () => mainLog.info('end'))
-  call.on('error', error => error.code !== status.CANCELLED && mainLog.error(error))
+  call.on('error', error => {
+    if (error.code !== status.CANCELLED) {
+      mainLog.error(error)
+      // The stream may have failed because we have lost our connection to lnd.
+      this.checkConnection()
+    }
+  })
   call.on('status', channelGraphStatus => {
     mainLog.info('CHANNELGRAPHSTATUS:', channelGraphStatus)
     if (this.mainWindow) {
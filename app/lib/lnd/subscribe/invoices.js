@@ -11,7 +11,13 @@ export default function subscribeToInvoices() {
     }
   })
   call.on('end', () => mainLog.info('end'))
-  call.on('error', error => error.code !== status.CANCELLED && mainLog.error(error))
+  call.on('error', error => {
+    if (error.code !== status.CANCELLED) {
+      mainLog.error(error)
+      // The stream may have failed because we have lost our connection to lnd.
+      this.checkConnection()
+    }
+  })
   call.on('status', status => mainLog.info('INVOICE STATUS:', status))
 
   return call
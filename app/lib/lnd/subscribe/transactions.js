@@ -9,9 +9,17 @@ export default function subscribeToTransactions() {
     if (this.mainWindow) {
       this.mainWindow.send('newTransaction', { transaction })
     }
+    // New transactions may be channel funding or closing transactions.
+    this.scheduleChannelBackup()
   })
   call.on('end', () => mainLog.info('end'))
-  call.on('error', error => error.code !== status.CANCELLED && mainLog.error(error))
+  call.on('error', error => {
+    if (error.code !== status.CANCELLED) {
+      mainLog.error(error)
+      // The stream may have failed because we have lost our connection to lnd.
+      this.checkConnection()
+    }
+  })
   call.on('status', status => mainLog.info('TRANSACTION STATUS: ', status))
 
   return call
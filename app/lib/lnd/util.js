@@ -59,23 +59,40 @@ export const binaryPath = () => {
 
 /**
  * Helper function to get the current block height.
+ * @param {string} network The network to fetch the block height for (mainnet|testnet|regtest|simnet).
  * @return {Number} The current block height.
  */
-export const fetchBlockHeight = () => {
-  const sources = [
-    {
-      baseUrl: `https://testnet-api.smartbit.com.au/v1/blockchain/blocks?limit=1`,
-      path: 'blocks[0].height'
-    },
-    {
-      baseUrl: `https://tchain.api.btc.com/v3/block/latest`,
-      path: 'data.height'
-    },
-    {
-      baseUrl: `https://api.blockcypher.com/v1/btc/test3`,
-      path: 'height'
-    }
-  ]
+export const fetchBlockHeight = (network = 'testnet') => {
+  const sources = {
+    testnet: [
+      {
+        baseUrl: `https://testnet-api.smartbit.com.au/v1/blockchain/blocks?limit=1`,
+        path: 'blocks[0].height'
+      },
+      {
+        baseUrl: `https://tchain.api.btc.com/v3/block/latest`,
+        path: 'data.height'
+      },
+      {
+        baseUrl: `https://api.blockcypher.com/v1/btc/test3`,
+        path: 'height'
+      }
+    ],
+    mainnet: [
+      {
+        baseUrl: `https://api.smartbit.com.au/v1/blockchain/blocks?limit=1`,
+        path: 'blocks[0].height'
+      },
+      {
+        baseUrl: `https://chain.api.btc.com/v3/block/latest`,
+        path: 'data.height'
+      },
+      {
+        baseUrl: `https://api.blockcypher.com/v1/btc/main`,
+        path: 'height'
+      }
+    ]
+  }
   const fetchData = (baseUrl, path) => {
     mainLog.info(`Fetching current block height from ${baseUrl}`)
     return axios({
@@ -93,7 +110,12 @@ export const fetchBlockHeight = () => {
       })
   }
 
-  return Promise.race(sources.map(source => fetchData(source.baseUrl, source.path)))
+  // There are no public block explorers for private networks such as regtest and simnet.
+  if (!sources[network]) {
+    return Promise.reject(new Error(`No block explorers available for ${network}`))
+  }
+
+  return Promise.race(sources[network].map(source => fetchData(source.baseUrl, source.path)))
 }
 
 /**
@@ -13,6 +13,14 @@ export default function(walletUnlocker, log, event, msg, data, lndConfig) {
     return error
   }
 
+  // Only the own properties of errors make it across IPC, so send the app a plain object that it can display.
+  const passwordError = error => ({
+    code: error.code,
+    message: /invalid passphrase/.test(error.details)
+      ? 'Incorrect password'
+      : error.details || error.message
+  })
+
   log.info(`Calling walletUnlocker method '${msg}'`)
   switch (msg) {
     case 'genSeed':
@@ -33,6 +41,12 @@ export default function(walletUnlocker, log, event, msg, data, lndConfig) {
         .then(() => event.sender.send('walletCreated'))
         .catch(error => log.error('initWallet:', error))
       break
+    case 'changePassword':
+      walletController
+        .changePassword(walletUnlocker, data)
+        .then(() => event.sender.send('passwordChanged'))
+        .catch(error => event.sender.send('changePasswordError', passwordError(error)))
+      break
     default:
   }
 }
@@ -35,3 +35,13 @@ export function requestSuggestedNodes() {
     url: BASE_URL
   }).then(response => response.data)
 }
+
+// Recommended on-chain fee rates in satoshis per byte, for confirmation in the next block, within half an hour and
+// within an hour.
+export function requestFeeRates() {
+  const BASE_URL = `${scheme}bitcoinfees.earn.com/api/v1/fees/recommended`
+  return axios({
+    method: 'get',
+    url: BASE_URL
+  }).then(response => response.data)
+}
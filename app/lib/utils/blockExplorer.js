@@ -1,9 +1,11 @@
 import { shell } from 'electron'
 
-const showTransaction = (network, txid) => shell.openExternal(`${network.explorerUrl}/tx/${txid}`)
+// Private networks (regtest, simnet) have no public block explorer to link to.
+const showTransaction = (network, txid) =>
+  network.explorerUrl && shell.openExternal(`${network.explorerUrl}/tx/${txid}`)
 
 const showBlock = (network, blockHash) =>
-  shell.openExternal(`${network.explorerUrl}/block/${blockHash}`)
+  network.explorerUrl && shell.openExternal(`${network.explorerUrl}/block/${blockHash}`)
 
 const showChannelClosing = channel => showTransaction(channel.closing_txid)
 
@@ -0,0 +1,235 @@
+// Positions for the nodes of the channel graph, so that it can be drawn on a canvas. Laying out the whole graph in one
+// go would freeze the UI for large graphs, so nodes start out on a spiral with the best connected nodes in the middle
+// and are then moved closer to their peers a step at a time, which can be spread across animation frames.
+//
+// Layouts are kept in typed arrays and updated in place, as they are redrawn far too often to copy.
+
+// Distance between neighbouring nodes on the initial spiral.
+const SPACING = 8
+
+// Angle between successive nodes on the initial spiral, which spreads them out evenly.
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5))
+
+// Channels pull their nodes towards this distance apart.
+const SPRING_LENGTH = 20
+const SPRING_STRENGTH = 0.05
+
+// Nodes push each other apart, but only when they are within a cell of each other so that each step stays close to
+// linear in the size of the graph.
+const REPULSION = 20
+const CELL_SIZE = 40
+
+// Furthest a node may move in a single step. This cools after each step so that the layout settles down.
+const INITIAL_TEMPERATURE = 10
+const COOLING = 0.98
+
+// Number of steps after which a layout is considered settled.
+export const MAX_LAYOUT_STEPS = 250
+
+// Number of steps to settle a layout for after nodes have been added to the graph. The rest of the graph is already in
+// place, so this only needs to be long enough for new nodes to find their spot.
+export const UPDATE_LAYOUT_STEPS = 50
+
+// Indexes of the nodes at either end of a channel, or null if it doesn't link two different nodes of the graph.
+const edgeEnds = (index, edge) => {
+  const source = index[edge.node1_pub]
+  const target = index[edge.node2_pub]
+  if (source === undefined || target === undefined || source === target) {
+    return null
+  }
+  return [source, target]
+}
+
+/**
+ * Create a layout for the nodes and edges of the channel graph. Nodes that are in a previous layout keep their
+ * position, so that the graph doesn't jump around when it is updated, and new nodes start out next to a peer.
+ */
+export const createLayout = (nodes, edges, previous) => {
+  const pubkeys = nodes.map(node => node.pub_key)
+  const index = {}
+  pubkeys.forEach((pubkey, i) => {
+    index[pubkey] = i
+  })
+
+  const degree = new Int32Array(pubkeys.length)
+  const links = []
+  edges.forEach(edge => {
+    const ends = edgeEnds(index, edge)
+    if (!ends) {
+      return
+    }
+    const [source, target] = ends
+    degree[source] += 1
+    degree[target] += 1
+    links.push(source, target)
+  })
+
+  const x = new Float32Array(pubkeys.length)
+  const y = new Float32Array(pubkeys.length)
+  const placed = new Uint8Array(pubkeys.length)
+  const order = pubkeys.map((pubkey, i) => i).sort((a, b) => degree[b] - degree[a])
+  order.forEach((i, rank) => {
+    const previousIndex = previous ? previous.index[pubkeys[i]] : undefined
+    if (previousIndex !== undefined) {
+      x[i] = previous.x[previousIndex]
+      y[i] = previous.y[previousIndex]
+      placed[i] = 1
+      return
+    }
+    const radius = SPACING * Math.sqrt(rank)
+    x[i] = radius * Math.cos(rank * GOLDEN_ANGLE)
+    y[i] = radius * Math.sin(rank * GOLDEN_ANGLE)
+  })
+
+  const placeNextToPeer = (node, peer) => {
+    if (!placed[node] && placed[peer] === 1) {
+      x[node] = x[peer] + SPRING_LENGTH * Math.cos(node)
+      y[node] = y[peer] + SPRING_LENGTH * Math.sin(node)
+      placed[node] = 2
+    }
+  }
+  if (previous) {
+    for (let l = 0; l < links.length; l += 2) {
+      placeNextToPeer(links[l], links[l + 1])
+      placeNextToPeer(links[l + 1], links[l])
+    }
+  }
+
+  // Carry on from where the previous layout had got to, giving any new nodes some time to settle.
+  let steps = 0
+  if (previous) {
+    const hasNewNodes = placed.some(p => p !== 1)
+    steps = hasNewNodes
+      ? Math.min(previous.steps, MAX_LAYOUT_STEPS - UPDATE_LAYOUT_STEPS)
+      : previous.steps
+  }
+  return {
+    pubkeys,
+    index,
+    degree,
+    links: Int32Array.from(links),
+    x,
+    y,
+    temperature: INITIAL_TEMPERATURE * Math.pow(COOLING, steps),
+    steps
+  }
+}
+
+export const isLayoutSettled = layout => layout.steps >= MAX_LAYOUT_STEPS
+
+/**
+ * Check whether a layout has the same nodes and channels as the graph, in which case it doesn't need to be rebuilt.
+ * Most graph updates only change the fee policies of channels or the details of nodes.
+ */
+export const hasSameTopology = (layout, nodes, edges) => {
+  const { pubkeys, index, links } = layout
+  if (pubkeys.length !== nodes.length || nodes.some((node, i) => node.pub_key !== pubkeys[i])) {
+    return false
+  }
+  let l = 0
+  const sameLinks = edges.every(edge => {
+    const ends = edgeEnds(index, edge)
+    if (!ends) {
+      return true
+    }
+    const same = links[l] === ends[0] && links[l + 1] === ends[1]
+    l += 2
+    return same
+  })
+  return sameLinks && l === links.length
+}
+
+/**
+ * Move the nodes of a layout a step closer to their peers and further from the nodes around them.
+ */
+export const stepLayout = layout => {
+  const { x, y, links } = layout
+  const count = x.length
+  const dx = new Float32Array(count)
+  const dy = new Float32Array(count)
+
+  const cells = new Map()
+  const cellKey = (cx, cy) => `${cx}:${cy}`
+  for (let i = 0; i < count; i += 1) {
+    const key = cellKey(Math.floor(x[i] / CELL_SIZE), Math.floor(y[i] / CELL_SIZE))
+    const cell = cells.get(key)
+    if (cell) {
+      cell.push(i)
+    } else {
+      cells.set(key, [i])
+    }
+  }
+
+  for (let i = 0; i < count; i += 1) {
+    const cx = Math.floor(x[i] / CELL_SIZE)
+    const cy = Math.floor(y[i] / CELL_SIZE)
+    for (let ox = -1; ox <= 1; ox += 1) {
+      for (let oy = -1; oy <= 1; oy += 1) {
+        const cell = cells.get(cellKey(cx + ox, cy + oy)) || []
+        cell.forEach(j => {
+          if (j <= i) {
+            return
+          }
+          let ddx = x[i] - x[j]
+          let ddy = y[i] - y[j]
+          let distanceSquared = ddx * ddx + ddy * ddy
+          // Separate nodes that are on top of each other in a direction that is fixed for the pair.
+          if (distanceSquared < 0.01) {
+            ddx = Math.cos(i + j)
+            ddy = Math.sin(i + j)
+            distanceSquared = 1
+          }
+          const force = REPULSION / distanceSquared
+          dx[i] += ddx * force
+          dy[i] += ddy * force
+          dx[j] -= ddx * force
+          dy[j] -= ddy * force
+        })
+      }
+    }
+  }
+
+  for (let l = 0; l < links.length; l += 2) {
+    const source = links[l]
+    const target = links[l + 1]
+    const ddx = x[target] - x[source]
+    const ddy = y[target] - y[source]
+    const distance = Math.sqrt(ddx * ddx + ddy * ddy) || 1
+    const force = ((distance - SPRING_LENGTH) * SPRING_STRENGTH) / distance
+    dx[source] += ddx * force
+    dy[source] += ddy * force
+    dx[target] -= ddx * force
+    dy[target] -= ddy * force
+  }
+
+  for (let i = 0; i < count; i += 1) {
+    const distance = Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i])
+    if (distance > 0) {
+      const scale = Math.min(distance, layout.temperature) / distance
+      x[i] += dx[i] * scale
+      y[i] += dy[i] * scale
+    }
+  }
+
+  layout.temperature *= COOLING
+  layout.steps += 1
+  return layout
+}
+
+/**
+ * The index of the node closest to a point in the layout, or -1 if there are none within the given distance.
+ */
+export const findNearestNode = (layout, px, py, maxDistance) => {
+  let nearest = -1
+  let nearestDistanceSquared = maxDistance * maxDistance
+  for (let i = 0; i < layout.x.length; i += 1) {
+    const ddx = layout.x[i] - px
+    const ddy = layout.y[i] - py
+    const distanceSquared = ddx * ddx + ddy * ddy
+    if (distanceSquared <= nearestDistanceSquared) {
+      nearest = i
+      nearestDistanceSquared = distanceSquared
+    }
+  }
+  return nearest
+}
@@ -0,0 +1,138 @@
+// Scores for the nodes of the channel graph, so that we can recommend nodes to open channels with without relying on
+// a list from a remote server. Each node is rated between 0 and 1 on a number of measures that are each normalised
+// across the graph, and the score is a weighted sum of them.
+
+// How much each measure counts towards the score. These add up to 1.
+export const SCORE_WEIGHTS = {
+  capacity: 0.25,
+  channels: 0.15,
+  centrality: 0.25,
+  uptime: 0.2,
+  fees: 0.15
+}
+
+// Nodes re-announce themselves regularly, so one that we haven't heard from in this many seconds is likely gone.
+const MAX_UPDATE_AGE = 14 * 24 * 60 * 60
+
+// Fee rate, in millionths, at which a node's fee score drops to a half.
+const FEE_RATE_SCALE = 1000
+
+// Centrality is the share of random walks over channels that end up at a node, found by repeatedly spreading each
+// node's share to its peers. A handful of iterations is enough to tell hubs apart from the rest.
+const CENTRALITY_ITERATIONS = 20
+const CENTRALITY_DAMPING = 0.85
+
+const median = values => {
+  if (!values.length) {
+    return null
+  }
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+// Scale values so that the largest is 1. Sizes are spread over orders of magnitude, so those are compared on a log
+// scale.
+const normalise = (values, log) => {
+  const scaled = log ? values.map(value => Math.log1p(value)) : values
+  const max = Math.max(0, ...scaled)
+  return max > 0 ? scaled.map(value => value / max) : scaled.map(() => 0)
+}
+
+/**
+ * Work out how central each node is to the graph.
+ * @param  {Number} count Number of nodes.
+ * @param  {Number[]} links Pairs of indexes of the nodes at either end of each channel.
+ * @param  {Int32Array} degree Number of channels of each node.
+ * @return {Float64Array} Centrality of each node.
+ */
+const centralities = (count, links, degree) => {
+  let rank = new Float64Array(count).fill(1 / count)
+  for (let iteration = 0; iteration < CENTRALITY_ITERATIONS; iteration += 1) {
+    const next = new Float64Array(count).fill((1 - CENTRALITY_DAMPING) / count)
+    for (let l = 0; l < links.length; l += 2) {
+      const a = links[l]
+      const b = links[l + 1]
+      next[b] += (CENTRALITY_DAMPING * rank[a]) / degree[a]
+      next[a] += (CENTRALITY_DAMPING * rank[b]) / degree[b]
+    }
+    rank = next
+  }
+  return rank
+}
+
+/**
+ * Score the nodes of the channel graph.
+ * @param  {Object[]} nodes Nodes from describeGraph.
+ * @param  {Object[]} edges Edges from describeGraph.
+ * @param  {Number} now Current time, in seconds.
+ * @return {Object[]} { pubkey: String, score: Number, measures: Object } for each node, highest score first.
+ */
+export const scoreNodes = (nodes, edges, now) => {
+  const index = {}
+  nodes.forEach((node, i) => {
+    index[node.pub_key] = i
+  })
+
+  const degree = new Int32Array(nodes.length)
+  const capacity = new Array(nodes.length).fill(0)
+  const feeRates = nodes.map(() => [])
+  const policyCount = new Int32Array(nodes.length)
+  const enabledCount = new Int32Array(nodes.length)
+  const links = []
+
+  // Fee policies are those that each node sets for forwarding out over its own end of the channel.
+  const addPolicy = (i, policy) => {
+    if (!policy) {
+      return
+    }
+    policyCount[i] += 1
+    if (!policy.disabled) {
+      enabledCount[i] += 1
+      feeRates[i].push(Number(policy.fee_rate_milli_msat))
+    }
+  }
+
+  edges.forEach(edge => {
+    const a = index[edge.node1_pub]
+    const b = index[edge.node2_pub]
+    if (a === undefined || b === undefined || a === b) {
+      return
+    }
+    degree[a] += 1
+    degree[b] += 1
+    capacity[a] += Number(edge.capacity)
+    capacity[b] += Number(edge.capacity)
+    links.push(a, b)
+    addPolicy(a, edge.node1_policy)
+    addPolicy(b, edge.node2_policy)
+  })
+
+  const capacityScores = normalise(capacity, true)
+  const channelScores = normalise(Array.from(degree), true)
+  const centralityScores = normalise(Array.from(centralities(nodes.length, links, degree)), false)
+
+  return nodes
+    .map((node, i) => {
+      const age = Math.max(0, now - node.last_update)
+      const medianFeeRate = median(feeRates[i])
+      const measures = {
+        capacity: capacityScores[i],
+        channels: channelScores[i],
+        centrality: centralityScores[i],
+        uptime: Math.max(0, 1 - age / MAX_UPDATE_AGE),
+        // Nodes with no enabled channels can't forward anything, however cheap they claim to be.
+        fees:
+          medianFeeRate === null
+            ? 0
+            : (enabledCount[i] / policyCount[i]) *
+              (FEE_RATE_SCALE / (FEE_RATE_SCALE + medianFeeRate))
+      }
+      const score = Object.keys(SCORE_WEIGHTS).reduce(
+        (sum, measure) => sum + SCORE_WEIGHTS[measure] * measures[measure],
+        0
+      )
+      return { pubkey: node.pub_key, score, measures }
+    })
+    .sort((a, b) => b.score - a.score)
+}
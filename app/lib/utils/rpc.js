@@ -0,0 +1,86 @@
+import { ipcRenderer } from 'electron'
+
+// Default number of milliseconds to wait for a response from the main process.
+export const DEFAULT_TIMEOUT = 30000
+
+// gRPC status code for requests that did not complete in time.
+// See https://github.com/grpc/grpc/blob/master/doc/statuscodes.md
+export const DEADLINE_EXCEEDED = 4
+
+// Requests that are waiting for a response, keyed by request id.
+const pendingRequests = {}
+let lastRequestId = 0
+let listening = false
+
+/**
+ * Create an Error from a structured error received from the main process.
+ * @param  {Object} error Structured error.
+ * @param  {number} error.code gRPC status code.
+ * @param  {string} error.details Error details.
+ * @param  {string} error.message User friendly error message.
+ * @return {Error} Error with `code` and `details` properties.
+ */
+export const createRpcError = ({ code, details, message }) =>
+  Object.assign(new Error(message), { code, details })
+
+/**
+ * Settle the pending request that a response from the main process belongs to.
+ * @param  {Event} event ipc event.
+ * @param  {Object} response Response from the main process.
+ * @param  {number} response.id Id of the request that this is a response to.
+ * @param  {*} response.result Result of the request, if successful.
+ * @param  {Object} response.error Structured error, if unsuccessful.
+ */
+export const handleLndResponse = (event, { id, result, error }) => {
+  const request = pendingRequests[id]
+  if (!request) {
+    return
+  }
+
+  delete pendingRequests[id]
+  clearTimeout(request.timer)
+
+  if (error) {
+    request.reject(createRpcError(error))
+  } else {
+    request.resolve(result)
+  }
+}
+
+/**
+ * Call an lnd method in the main process.
+ * @param  {string} msg Name of the method to call.
+ * @param  {*} data Data to pass to the method.
+ * @param  {Object} options Request options.
+ * @param  {number} options.timeout Milliseconds to wait for a response before rejecting. Pass 0 to wait indefinitely.
+ * @return {Promise} Promise that resolves with the result of the call or rejects with an Error that has `code` and
+ * `details` properties.
+ */
+export const lndRequest = (msg, data, { timeout = DEFAULT_TIMEOUT } = {}) => {
+  if (!listening) {
+    ipcRenderer.on('lndResponse', handleLndResponse)
+    listening = true
+  }
+
+  lastRequestId += 1
+  const id = lastRequestId
+
+  return new Promise((resolve, reject) => {
+    const timer =
+      timeout > 0
+        ? setTimeout(() => {
+            delete pendingRequests[id]
+            reject(
+              createRpcError({
+                code: DEADLINE_EXCEEDED,
+                details: `${msg} timed out after ${timeout}ms`,
+                message: 'The request to your node timed out. Please try again.'
+              })
+            )
+          }, timeout)
+        : null
+
+    pendingRequests[id] = { resolve, reject, timer }
+    ipcRenderer.send('lnd', { id, msg, data })
+  })
+}
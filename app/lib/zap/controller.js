@@ -1,5 +1,6 @@
 // @flow
 
+import { dirname } from 'path'
 import { app, ipcMain, dialog, BrowserWindow } from 'electron'
 import pick from 'lodash.pick'
 import Store from 'electron-store'
@@ -10,9 +11,20 @@ import LndConfig from '../lnd/config'
 import Lightning from '../lnd/lightning'
 import Neutrino from '../lnd/neutrino'
 import WalletUnlocker from '../lnd/walletUnlocker'
+import CrashHistory from '../lnd/crashHistory'
+import ChannelBackup from '../lnd/channelBackup'
+import type { Crash } from '../lnd/crashHistory'
+
+// Number of times to automatically restart lnd after it crashes before giving up.
+const MAX_RESTART_ATTEMPTS = 5
+
+// Milliseconds to wait before restarting lnd (doubled after each consecutive crash).
+const RESTART_MIN_DELAY = 2000
+const RESTART_MAX_DELAY = 60000
 
 type onboardingOptions = {
   type: 'local' | 'custom' | 'btcpayserver',
+  network?: 'mainnet' | 'testnet' | 'regtest' | 'simnet',
   host?: string,
   cert?: string,
   macaroon?: string,
@@ -20,6 +32,13 @@ type onboardingOptions = {
   autopilot?: boolean
 }
 
+type walletOptions = {
+  type: 'local' | 'custom' | 'btcpayserver',
+  currency: string,
+  network: string,
+  wallet: string
+}
+
 const grpcSslCipherSuites = connectionType =>
   (connectionType === 'btcpayserver'
     ? [
@@ -56,6 +75,13 @@ class ZapController {
   walletUnlocker: WalletUnlocker
   splashScreenTime: number
   lndConfig: LndConfig
+  crashHistory: CrashHistory
+  restartAttempts: number
+  restartTimer: ?TimeoutID
+  isRestartingLnd: boolean
+  isLockingWallet: boolean
+  isChangingPassword: boolean
+  pendingChannelRestore: ?string
   _fsm: StateMachine
 
   // Transitions provided by the state machine.
@@ -64,6 +90,8 @@ class ZapController {
   connectLnd: any
   terminate: any
   is: any
+  can: any
+  state: string
 
   /**
    * Create a new ZapController instance.
@@ -82,6 +110,19 @@ class ZapController {
     // Initialise the controler with the current active config.
     this.lndConfig = new LndConfig()
     this.lndConfig.load()
+
+    // Keep track of lnd crashes so that we can restart lnd and report on them.
+    this.crashHistory = new CrashHistory()
+    this.restartAttempts = 0
+    this.restartTimer = null
+    this.isRestartingLnd = false
+
+    // Keep track of lnd being restarted so that the wallet password can be changed.
+    this.isLockingWallet = false
+    this.isChangingPassword = false
+
+    // Channel backup to restore once the wallet has been recovered from its seed.
+    this.pendingChannelRestore = null
   }
 
   /**
@@ -133,6 +174,12 @@ class ZapController {
     // Register IPC listeners so that we can react to instructions coming from the app.
     this._registerIpcListeners()
 
+    // Make sure that we don't restart a crashed lnd instance that we are moving away from.
+    this.cancelLndRestart()
+
+    // Abandon any password change for the wallet that we are moving away from.
+    this.isChangingPassword = false
+
     // Disconnect any pre-existing lightning wallet connection.
     if (lifecycle.from === 'connected' && this.lightning && this.lightning.can('disconnect')) {
       this.lightning.disconnect()
@@ -158,6 +205,7 @@ class ZapController {
     mainLog.debug('[FSM] onBeforeStartLnd...')
 
     mainLog.info('Starting new lnd instance')
+    mainLog.info(' > network:', this.lndConfig.network)
     mainLog.info(' > alias:', this.lndConfig.alias)
     mainLog.info(' > autopilot:', this.lndConfig.autopilot)
 
@@ -210,6 +258,9 @@ class ZapController {
   async onTerminated(lifecycle: any) {
     mainLog.debug('[FSM] onTerminated...')
 
+    // Make sure that we don't restart a crashed lnd instance whilst shutting down.
+    this.cancelLndRestart()
+
     // Disconnect from any existing lightning wallet connection.
     if (lifecycle.from === 'connected' && this.lightning && this.lightning.can('disconnect')) {
       this.lightning.disconnect()
@@ -262,8 +313,14 @@ class ZapController {
         this.walletUnlocker.registerMethods(event, msg, data)
       )
 
-      // Notify the renderer that the wallet unlocker is active.
-      this.sendMessage('walletUnlockerGrpcActive')
+      // Notify the renderer that the wallet unlocker is active. If lnd was restarted so that the wallet password can
+      // be changed, the app is waiting to change it rather than to go through the unlock flow.
+      if (this.isChangingPassword) {
+        this.isChangingPassword = false
+        this.sendMessage('walletLocked')
+      } else {
+        this.sendMessage('walletUnlockerGrpcActive')
+      }
     } catch (err) {
       mainLog.warn('Unable to connect to WalletUnlocker gRPC interface: %o', err)
       throw err
@@ -284,10 +341,22 @@ class ZapController {
       this.lightning.subscribe(this.mainWindow)
 
       // Listen for all gRPC restful methods and pass to gRPC.
-      ipcMain.on('lnd', (event, { msg, data }) => this.lightning.registerMethods(event, msg, data))
+      ipcMain.on('lnd', (event, { id, msg, data }) =>
+        this.lightning.registerMethods(event, msg, data, id)
+      )
 
       // Let the renderer know that we are connected.
       this.sendMessage('lightningGrpcActive')
+
+      // The wallet is up and running again so lnd gets a fresh set of restart attempts next time it crashes.
+      this.restartAttempts = 0
+      this.isChangingPassword = false
+
+      // If the wallet was recovered from its seed, reconnect to the peers from the channel backup.
+      if (this.pendingChannelRestore) {
+        this.restoreChannelBackup(this.pendingChannelRestore)
+        this.pendingChannelRestore = null
+      }
     } catch (err) {
       mainLog.warn('Unable to connect to Lighitnng gRPC interface: %o', err)
       throw err
@@ -312,17 +381,21 @@ class ZapController {
 
     this.neutrino.on('exit', (code, signal, lastError) => {
       mainLog.info(`Lnd process has shut down (code: ${code}, signal: ${signal})`)
-      if (this.is('running') || this.is('connected')) {
-        dialog.showMessageBox({
-          type: 'error',
-          message: `Lnd has unexpectedly quit:\n\nError code: ${code}\nExit signal: ${signal}\nLast error: ${lastError}`
-        })
-        this.terminate()
+      if ((this.is('running') || this.is('connected')) && !this.isLockingWallet) {
+        mainLog.error(`Lnd has unexpectedly quit (last error: ${lastError})`)
+        this.handleLndCrash(this.neutrino.getCrashReport(code, signal))
       }
     })
 
     this.neutrino.on('wallet-unlocker-grpc-active', () => {
       mainLog.info('Wallet unlocker gRPC active')
+
+      // If lnd was restarted after a crash, let the app know that it needs to go back through the unlock flow.
+      if (this.isRestartingLnd) {
+        this.isRestartingLnd = false
+        this.sendMessage('lndRestarted')
+      }
+
       this.startWalletUnlocker()
     })
 
@@ -389,7 +462,7 @@ class ZapController {
 
       // The Lightning service is only active once the wallet has been unlocked and a gRPC connection has been made.
       // If it is active, disconnect from it before we terminate neutrino.
-      if (this.lightning && this.lightning.can('terminate')) {
+      if (this.lightning && this.lightning.can('disconnect')) {
         await this.lightning.disconnect()
       }
       // Kill the Neutrino process (sends SIGINT to Neutrino process)
@@ -398,21 +471,244 @@ class ZapController {
   }
 
   /**
-   * Start or connect to lnd process after onboarding has been completed by the app.
+   * Record an unexpected lnd exit and schedule a restart if automatic restarts are enabled.
+   * @param {Crash} crash Crash report.
    */
-  finishOnboarding(options: onboardingOptions) {
-    mainLog.info('Finishing onboarding')
-    // Save the lnd config options that we got from the renderer.
-    this.lndConfig = new LndConfig({
-      type: options.type,
-      currency: 'bitcoin',
-      network: 'testnet',
-      wallet: 'wallet-1',
-      settings: pick(options, LndConfig.SETTINGS_PROPS[options.type])
+  handleLndCrash(crash: Crash) {
+    this.crashHistory.add(crash)
+
+    // Close out connections to the lnd instance that has gone away.
+    this.stopLndServices()
+
+    const settings = new Store({ name: 'settings' })
+    const autoRestart = settings.get('lndAutoRestart', true)
+
+    if (!autoRestart || this.restartAttempts >= MAX_RESTART_ATTEMPTS) {
+      mainLog.warn(
+        'Not restarting lnd (auto restart: %s, attempts: %s)',
+        autoRestart,
+        this.restartAttempts
+      )
+      this.sendMessage('lndCrashed', { crash, restarting: false })
+      return
+    }
+
+    const backoff = 2 ** this.restartAttempts
+    const delay = Math.min(RESTART_MIN_DELAY * backoff, RESTART_MAX_DELAY)
+    this.restartAttempts += 1
+
+    mainLog.info('Restarting lnd in %sms (attempt %s)', delay, this.restartAttempts)
+    this.sendMessage('lndCrashed', {
+      crash,
+      restarting: true,
+      attempt: this.restartAttempts,
+      delay
     })
-    this.lndConfig.save()
+    this.restartTimer = setTimeout(() => this.restartLnd(), delay)
+  }
 
-    // Set as the active config.
+  /**
+   * Start a new lnd instance to replace one that has crashed.
+   * @return {Promise} Promise that resolves once lnd has been started.
+   */
+  restartLnd() {
+    this.cancelLndRestart()
+
+    if (!this.is('running') || (this.neutrino && this.neutrino.process)) {
+      mainLog.warn('Unable to restart lnd (state: %s)', this.state)
+      return Promise.resolve()
+    }
+
+    mainLog.info('Restarting lnd...')
+    this.isRestartingLnd = true
+    return this.startNeutrino().catch(e => {
+      mainLog.error('Unable to restart lnd: %o', e)
+      this.isRestartingLnd = false
+      this.sendMessage('lndRestartError', e.message)
+    })
+  }
+
+  /**
+   * Restart lnd so that the wallet is locked, as lnd only allows the wallet password to be changed whilst it is locked.
+   * The app is sent a `walletLocked` message once the password can be changed.
+   * @return {Promise} Promise that resolves once lnd has been restarted.
+   */
+  async lockWallet() {
+    if (this.lndConfig.type !== 'local' || !this.is('running')) {
+      this.sendMessage('changePasswordError', {
+        message: 'The password can only be changed for wallets that Zap runs locally'
+      })
+      return
+    }
+
+    mainLog.info('Restarting lnd to change the wallet password...')
+    this.cancelLndRestart()
+    this.isChangingPassword = true
+    this.isLockingWallet = true
+    this.stopLndServices()
+    await this.shutdownNeutrino()
+    this.isLockingWallet = false
+
+    return this.startNeutrino().catch(e => {
+      mainLog.error('Unable to restart lnd: %o', e)
+      this.isChangingPassword = false
+      this.sendMessage('lndRestartError', e.message)
+      this.sendMessage('changePasswordError', { message: e.message })
+    })
+  }
+
+  /**
+   * Cancel any scheduled lnd restart.
+   */
+  cancelLndRestart() {
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer)
+      this.restartTimer = null
+    }
+  }
+
+  /**
+   * Close out gRPC connections to lnd and stop listening for requests from the app.
+   */
+  stopLndServices() {
+    if (this.lightning && this.lightning.can('disconnect')) {
+      this.lightning.disconnect()
+    }
+    if (this.walletUnlocker && this.walletUnlocker.can('disconnect')) {
+      this.walletUnlocker.disconnect()
+    }
+    ipcMain.removeAllListeners('walletUnlocker')
+    ipcMain.removeAllListeners('lnd')
+  }
+
+  /**
+   * Send the crash history and supervisor settings to the app.
+   */
+  sendDiagnostics() {
+    const settings = new Store({ name: 'settings' })
+    this.sendMessage('receiveDiagnostics', {
+      crashes: this.crashHistory.list(),
+      autoRestart: settings.get('lndAutoRestart', true)
+    })
+  }
+
+  /**
+   * Enable or disable automatic restarts of lnd after it crashes.
+   * @param {boolean} enabled Boolean indicating whether lnd should be restarted automatically.
+   */
+  setLndAutoRestart(enabled: boolean) {
+    const settings = new Store({ name: 'settings' })
+    settings.set('lndAutoRestart', Boolean(enabled))
+  }
+
+  /**
+   * Ask the user where to save the crash history and write it to the chosen file.
+   */
+  exportCrashHistory() {
+    const options = {
+      title: 'Export crash history',
+      defaultPath: `zap-crash-history-${new Date().toISOString().slice(0, 10)}.json`,
+      filters: [{ name: 'JSON', extensions: ['json'] }]
+    }
+    dialog.showSaveDialog(this.mainWindow, options, filePath => {
+      if (!filePath) {
+        return
+      }
+      this.crashHistory
+        .export(filePath)
+        .then(() => this.sendMessage('crashHistoryExported', filePath))
+        .catch(e => {
+          mainLog.warn('Unable to export crash history: %o', e)
+          this.sendMessage('diagnosticsError', e.message)
+        })
+    })
+  }
+
+  /**
+   * Send the channel backup settings for the current wallet to the app.
+   */
+  async sendChannelBackup() {
+    this.sendMessage('receiveChannelBackup', {
+      dir: this.lndConfig.channelBackupDir || null,
+      lastBackup: await ChannelBackup.lastBackup(this.lndConfig)
+    })
+  }
+
+  /**
+   * Ask the user for a directory to write channel backups to and take a backup straight away.
+   */
+  chooseChannelBackupDir() {
+    const options = {
+      title: 'Choose channel backup folder',
+      properties: ['openDirectory', 'createDirectory']
+    }
+    dialog.showOpenDialog(this.mainWindow, options, paths => {
+      if (!paths || !paths.length) {
+        return
+      }
+      this.lndConfig.channelBackupDir = paths[0]
+      this.lndConfig.save()
+      this.backupChannels()
+    })
+  }
+
+  /**
+   * Write the channel backup file now.
+   */
+  backupChannels() {
+    const backup = this.lightning
+      ? this.lightning.backupChannels()
+      : Promise.reject(new Error('Unable to back up channels until your wallet has been unlocked'))
+
+    return backup.then(() => this.sendChannelBackup()).catch(e => {
+      mainLog.warn('Unable to back up channels: %o', e)
+      this.sendMessage('channelBackupError', e.message)
+      this.sendChannelBackup()
+    })
+  }
+
+  /**
+   * Ask the user for a channel backup file to restore once their wallet has been recovered.
+   */
+  chooseChannelBackupFile() {
+    const options = {
+      title: 'Choose channel backup file',
+      properties: ['openFile'],
+      filters: [{ name: 'JSON', extensions: ['json'] }]
+    }
+    dialog.showOpenDialog(this.mainWindow, options, paths => {
+      if (paths && paths.length) {
+        this.sendMessage('channelBackupFileChosen', paths[0])
+      }
+    })
+  }
+
+  /**
+   * Reconnect to the peers from a channel backup so that they can force close our channels with them.
+   * @param {string} filePath Path to the backup file.
+   */
+  restoreChannelBackup(filePath: string) {
+    mainLog.info('Restoring channel backup from %s', filePath)
+
+    // Keep backing up to the same place.
+    if (!this.lndConfig.channelBackupDir) {
+      this.lndConfig.channelBackupDir = dirname(filePath)
+      this.lndConfig.save()
+    }
+
+    return this.lightning
+      .restoreChannelBackup(filePath)
+      .then(result => this.sendMessage('channelBackupRestored', result))
+      .catch(e => {
+        mainLog.warn('Unable to restore channel backup: %o', e)
+        this.sendMessage('channelBackupRestoreError', e.message)
+      })
+  }
+
+  /**
+   * Save the current lnd config as the active connection.
+   */
+  saveActiveConnection() {
     const settings = new Store({ name: 'settings' })
     settings.set('activeConnection', {
       type: this.lndConfig.type,
@@ -421,6 +717,30 @@ class ZapController {
       wallet: this.lndConfig.wallet
     })
     mainLog.info('Saved active connection as: %o', settings.get('activeConnection'))
+  }
+
+  /**
+   * Start or connect to lnd process after onboarding has been completed by the app.
+   */
+  finishOnboarding(options: onboardingOptions) {
+    mainLog.info('Finishing onboarding')
+    // Save the lnd config options that we got from the renderer.
+    // Settings that are not part of onboarding (eg. the chain backend) are loaded from the store and preserved.
+    // Wallet names are only unique within a network, so if a different network has been chosen then pick a name that
+    // isn't in use there rather than take over an existing wallet with the same name.
+    const { currency } = this.lndConfig
+    const network = options.network || this.lndConfig.network
+    const wallet =
+      network === this.lndConfig.network
+        ? this.lndConfig.wallet
+        : LndConfig.nextWalletName(currency, network)
+    this.lndConfig = new LndConfig({ type: options.type, currency, network, wallet })
+    this.lndConfig.load()
+    Object.assign(this.lndConfig, pick(options, LndConfig.SETTINGS_PROPS[options.type]))
+    this.lndConfig.save()
+
+    // Set as the active config.
+    this.saveActiveConnection()
 
     // Set up SSL with the cypher suits that we need based on the connection type.
     process.env.GRPC_SSL_CIPHER_SUITES =
@@ -431,12 +751,169 @@ class ZapController {
     return options.type === 'local' ? this.startLnd() : this.connectLnd()
   }
 
+  /**
+   * Send the list of saved wallets to the app.
+   */
+  sendWallets() {
+    const wallets = LndConfig.list().map(config => ({
+      key: config.key,
+      type: config.type,
+      currency: config.currency,
+      network: config.network,
+      wallet: config.wallet,
+      alias: config.alias,
+      host: config.host
+    }))
+    this.sendMessage('receiveWallets', { wallets, activeWallet: this.lndConfig.key })
+  }
+
+  /**
+   * Switch to a different wallet.
+   * The active lnd connection is closed out by going back through onboarding with the new config.
+   * @param {LndConfig} lndConfig config to switch to.
+   * @return {boolean} Boolean indicating whether the switch was started.
+   */
+  switchWallet(lndConfig: LndConfig) {
+    if (!this.can('startOnboarding')) {
+      mainLog.warn('Unable to switch wallets while a state transition is in progress')
+      return false
+    }
+    mainLog.info('Switching to wallet: %s', lndConfig.key)
+    this.lndConfig = lndConfig
+    this.startOnboarding()
+    return true
+  }
+
+  /**
+   * Create a new wallet and start onboarding with it.
+   * The config is not saved until onboarding has completed and the connection type is known.
+   */
+  createWallet() {
+    const { currency, network } = this.lndConfig
+    const wallet = LndConfig.nextWalletName(currency, network)
+    this.switchWallet(new LndConfig({ type: 'local', currency, network, wallet }))
+  }
+
+  /**
+   * Make a saved wallet the active connection and start onboarding with it.
+   * @param {walletOptions} options wallet to activate.
+   */
+  setActiveWallet(options: walletOptions) {
+    const lndConfig = new LndConfig(pick(options, ['type', 'currency', 'network', 'wallet']))
+    lndConfig.load()
+    if (this.switchWallet(lndConfig)) {
+      this.saveActiveConnection()
+    }
+  }
+
+  /**
+   * Rename a saved wallet.
+   * @param {walletOptions} options wallet to rename.
+   * @param {string} name new wallet name.
+   */
+  renameWallet(options: walletOptions, name: string) {
+    const lndConfig = new LndConfig(pick(options, ['type', 'currency', 'network', 'wallet']))
+    if (lndConfig.key === this.lndConfig.key) {
+      throw new Error('The active wallet can not be renamed')
+    }
+    lndConfig.rename(name)
+  }
+
+  /**
+   * Delete a saved wallet along with its data.
+   * @param {walletOptions} options wallet to delete.
+   */
+  deleteWallet(options: walletOptions) {
+    const lndConfig = new LndConfig(pick(options, ['type', 'currency', 'network', 'wallet']))
+    if (lndConfig.key === this.lndConfig.key) {
+      throw new Error('The active wallet can not be deleted')
+    }
+    lndConfig.delete()
+  }
+
+  /**
+   * Send the chain backend settings for the current wallet to the app.
+   */
+  sendChainBackend() {
+    this.sendMessage('receiveChainBackend', {
+      editable: this.lndConfig.type === 'local',
+      settings: pick(this.lndConfig, LndConfig.CHAIN_BACKEND_PROPS)
+    })
+  }
+
+  /**
+   * Save chain backend settings for the current wallet.
+   * The new settings are used the next time that lnd is started.
+   * @param {Object} settings chain backend settings.
+   */
+  saveChainBackend(settings: Object) {
+    if (this.lndConfig.type !== 'local') {
+      throw new Error('The chain backend can only be configured for local wallets')
+    }
+    Object.assign(this.lndConfig, pick(settings, LndConfig.CHAIN_BACKEND_PROPS))
+    this.lndConfig.save()
+  }
+
   /**
    * Add IPC event listeners...
    */
   _registerIpcListeners() {
     ipcMain.on('startLnd', (event, options: onboardingOptions) => this.finishOnboarding(options))
     ipcMain.on('startLightningWallet', () => this.startLightningWallet())
+    ipcMain.on('listWallets', () => this.sendWallets())
+    ipcMain.on('createWallet', () => this.createWallet())
+    ipcMain.on('setActiveWallet', (event, options: walletOptions) => this.setActiveWallet(options))
+    ipcMain.on('renameWallet', (event, { wallet, name }) => {
+      try {
+        this.renameWallet(wallet, name)
+      } catch (e) {
+        mainLog.warn('Unable to rename wallet: %o', e)
+        this.sendMessage('walletsError', e.message)
+      }
+      this.sendWallets()
+    })
+    ipcMain.on('deleteWallet', (event, options: walletOptions) => {
+      try {
+        this.deleteWallet(options)
+      } catch (e) {
+        mainLog.warn('Unable to delete wallet: %o', e)
+        this.sendMessage('walletsError', e.message)
+      }
+      this.sendWallets()
+    })
+    ipcMain.on('fetchChainBackend', () => this.sendChainBackend())
+    ipcMain.on('saveChainBackend', (event, settings) => {
+      try {
+        this.saveChainBackend(settings)
+        this.sendMessage('chainBackendSaved')
+      } catch (e) {
+        mainLog.warn('Unable to save chain backend settings: %o', e)
+        this.sendMessage('chainBackendError', e.message)
+      }
+      this.sendChainBackend()
+    })
+    ipcMain.on('fetchDiagnostics', () => this.sendDiagnostics())
+    ipcMain.on('setLndAutoRestart', (event, enabled) => {
+      this.setLndAutoRestart(enabled)
+      this.sendDiagnostics()
+    })
+    ipcMain.on('clearCrashHistory', () => {
+      this.crashHistory.clear()
+      this.sendDiagnostics()
+    })
+    ipcMain.on('exportCrashHistory', () => this.exportCrashHistory())
+    ipcMain.on('restartLnd', () => {
+      this.restartAttempts = 0
+      this.restartLnd()
+    })
+    ipcMain.on('lockWallet', () => this.lockWallet())
+    ipcMain.on('fetchChannelBackup', () => this.sendChannelBackup())
+    ipcMain.on('chooseChannelBackupDir', () => this.chooseChannelBackupDir())
+    ipcMain.on('backupChannels', () => this.backupChannels())
+    ipcMain.on('chooseChannelBackupFile', () => this.chooseChannelBackupFile())
+    ipcMain.on('setChannelBackupRestore', (event, filePath) => {
+      this.pendingChannelRestore = filePath || null
+    })
   }
 
   /**
@@ -445,6 +922,24 @@ class ZapController {
   _removeIpcListeners() {
     ipcMain.removeAllListeners('startLnd')
     ipcMain.removeAllListeners('startLightningWallet')
+    ipcMain.removeAllListeners('listWallets')
+    ipcMain.removeAllListeners('createWallet')
+    ipcMain.removeAllListeners('setActiveWallet')
+    ipcMain.removeAllListeners('renameWallet')
+    ipcMain.removeAllListeners('deleteWallet')
+    ipcMain.removeAllListeners('fetchChainBackend')
+    ipcMain.removeAllListeners('saveChainBackend')
+    ipcMain.removeAllListeners('fetchDiagnostics')
+    ipcMain.removeAllListeners('setLndAutoRestart')
+    ipcMain.removeAllListeners('clearCrashHistory')
+    ipcMain.removeAllListeners('exportCrashHistory')
+    ipcMain.removeAllListeners('restartLnd')
+    ipcMain.removeAllListeners('lockWallet')
+    ipcMain.removeAllListeners('fetchChannelBackup')
+    ipcMain.removeAllListeners('chooseChannelBackupDir')
+    ipcMain.removeAllListeners('backupChannels')
+    ipcMain.removeAllListeners('chooseChannelBackupFile')
+    ipcMain.removeAllListeners('setChannelBackupRestore')
     ipcMain.removeAllListeners('walletUnlocker')
     ipcMain.removeAllListeners('lnd')
   }
@@ -180,6 +180,7 @@ export default class ZapMenuBuilder {
       subMenuEdit,
       subMenuView,
       subMenuWindow,
+      this.buildToolsMenu(),
       subMenuHelp,
       this.buildLanguageMenu()
     ]
@@ -240,6 +241,7 @@ export default class ZapMenuBuilder {
                 }
               ]
       },
+      this.buildToolsMenu(),
       {
         label: 'Help',
         submenu: [
@@ -275,6 +277,18 @@ export default class ZapMenuBuilder {
     return templateDefault
   }
 
+  buildToolsMenu() {
+    return {
+      label: 'Tools',
+      submenu: [
+        {
+          label: 'Sign / Verify Message',
+          click: () => this.mainWindow.webContents.send('openSignVerify')
+        }
+      ]
+    }
+  }
+
   buildLanguageMenu() {
     return {
       label: 'Language',
@@ -10,7 +10,8 @@ const initialState = {
     { key: 'ALL_ACTIVITY', name: 'all' },
     { key: 'SENT_ACTIVITY', name: 'sent' },
     { key: 'REQUESTED_ACTIVITY', name: 'requested' },
-    { key: 'PENDING_ACTIVITY', name: 'pending' }
+    { key: 'PENDING_ACTIVITY', name: 'pending' },
+    { key: 'FORWARDED_ACTIVITY', name: 'forwarded' }
   ],
   modal: {
     itemType: null,
@@ -136,6 +137,7 @@ const showExpiredSelector = state => state.activity.showExpiredRequests
 const paymentsSelector = state => state.payment.payments
 const invoicesSelector = state => state.invoice.invoices
 const transactionsSelector = state => state.transaction.transactions
+const forwardsSelector = state => state.routing.forwardingEvents
 const modalItemTypeSelector = state => state.activity.modal.itemType
 const modalItemIdSelector = state => state.activity.modal.itemId
 
@@ -148,9 +150,10 @@ activitySelectors.activityModalItem = createSelector(
   paymentsSelector,
   invoicesSelector,
   transactionsSelector,
+  forwardsSelector,
   modalItemTypeSelector,
   modalItemIdSelector,
-  (payments, invoices, transactions, itemType, itemId) => {
+  (payments, invoices, transactions, forwards, itemType, itemId) => {
     switch (itemType) {
       case 'INVOICE':
         return invoices.find(invoice => invoice.payment_request === itemId)
@@ -158,18 +161,24 @@ activitySelectors.activityModalItem = createSelector(
         return transactions.find(transaction => transaction.tx_hash === itemId)
       case 'PAYMENT':
         return payments.find(payment => payment.payment_hash === itemId)
+      case 'FORWARD':
+        return forwards.find(forward => forward.id === itemId)
       default:
         return null
     }
   }
 )
 
-// helper function that returns invoice, payment or transaction timestamp
+// helper function that returns invoice, payment, transaction or forward timestamp
 function returnTimestamp(transaction) {
   // if on-chain txn
   if (Object.prototype.hasOwnProperty.call(transaction, 'time_stamp')) {
     return transaction.time_stamp
   }
+  // if forwarded payment
+  if (Object.prototype.hasOwnProperty.call(transaction, 'chan_id_out')) {
+    return transaction.timestamp
+  }
   // if invoice that has been paid
   if (transaction.settled) {
     return transaction.settle_date
@@ -237,23 +246,28 @@ const allActivity = createSelector(
   paymentsSelector,
   invoicesSelector,
   transactionsSelector,
+  forwardsSelector,
   showExpiredSelector,
-  (searchText, payments, invoices, transactions, showExpired) => {
+  (searchText, payments, invoices, transactions, forwards, showExpired) => {
     const filteredInvoices = invoices.filter(
       invoice => showExpired || invoice.settled || !invoiceExpired(invoice)
     )
 
-    const searchedArr = [...payments, ...filteredInvoices, ...transactions].filter(tx => {
-      if (
-        (tx.tx_hash && tx.tx_hash.includes(searchText)) ||
-        (tx.payment_hash && tx.payment_hash.includes(searchText)) ||
-        (tx.payment_request && tx.payment_request.includes(searchText))
-      ) {
-        return true
+    const searchedArr = [...payments, ...filteredInvoices, ...transactions, ...forwards].filter(
+      tx => {
+        if (
+          (tx.tx_hash && tx.tx_hash.includes(searchText)) ||
+          (tx.payment_hash && tx.payment_hash.includes(searchText)) ||
+          (tx.payment_request && tx.payment_request.includes(searchText)) ||
+          (tx.chan_id_in && String(tx.chan_id_in).includes(searchText)) ||
+          (tx.chan_id_out && String(tx.chan_id_out).includes(searchText))
+        ) {
+          return true
+        }
+
+        return false
       }
-
-      return false
-    })
+    )
 
     if (!searchedArr.length) {
       return []
@@ -281,11 +295,14 @@ const pendingActivity = createSelector(invoicesSelector, invoices =>
   groupAll(invoices.filter(invoice => !invoice.settled && !invoiceExpired(invoice)))
 )
 
+const forwardedActivity = createSelector(forwardsSelector, forwards => groupAll(forwards))
+
 const FILTERS = {
   ALL_ACTIVITY: allActivity,
   SENT_ACTIVITY: sentActivity,
   REQUESTED_ACTIVITY: invoiceActivity,
-  PENDING_ACTIVITY: pendingActivity
+  PENDING_ACTIVITY: pendingActivity,
+  FORWARDED_ACTIVITY: forwardedActivity
 }
 
 activitySelectors.currentActivity = createSelector(filterSelector, filter => FILTERS[filter.key])
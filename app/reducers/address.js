@@ -1,5 +1,6 @@
-import { ipcRenderer } from 'electron'
 import Store from 'electron-store'
+import { lndRequest } from 'lib/utils/rpc'
+import { setError } from './error'
 
 // ------------------------------------
 // Constants
@@ -61,10 +62,12 @@ export const walletAddress = type => (dispatch, getState) => {
 // Send IPC event for getinfo
 export const newAddress = type => dispatch => {
   dispatch(getAddress())
-  ipcRenderer.send('lnd', { msg: 'newaddress', data: { type: addressTypes[type] } })
+  return lndRequest('newaddress', { type: addressTypes[type] })
+    .then(data => dispatch(receiveAddress(null, data)))
+    .catch(error => dispatch(setError(error.message)))
 }
 
-// Receive IPC event for info
+// Receive new address
 export const receiveAddress = (event, data) => (dispatch, getState) => {
   const state = getState()
   const pubKey = state.info.data.identity_pubkey
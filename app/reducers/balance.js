@@ -1,4 +1,5 @@
-import { ipcRenderer } from 'electron'
+import { lndRequest } from 'lib/utils/rpc'
+import { setError } from './error'
 // ------------------------------------
 // Constants
 // ------------------------------------
@@ -17,10 +18,12 @@ export function getBalance() {
 // Send IPC event for balance
 export const fetchBalance = () => async dispatch => {
   dispatch(getBalance())
-  ipcRenderer.send('lnd', { msg: 'balance' })
+  return lndRequest('balance')
+    .then(balance => dispatch(receiveBalance(null, balance)))
+    .catch(error => dispatch(setError(error.message)))
 }
 
-// Receive IPC event for balance
+// Receive balance
 export const receiveBalance = (event, { walletBalance, channelBalance }) => dispatch => {
   dispatch({ type: RECEIVE_BALANCE, walletBalance, channelBalance })
 }
@@ -0,0 +1,149 @@
+import { createSelector } from 'reselect'
+import { ipcRenderer } from 'electron'
+import { setError } from './error'
+
+// ------------------------------------
+// Constants
+// ------------------------------------
+export const FETCH_CHAIN_BACKEND = 'FETCH_CHAIN_BACKEND'
+export const RECEIVE_CHAIN_BACKEND = 'RECEIVE_CHAIN_BACKEND'
+
+export const UPDATE_CHAIN_BACKEND_SETTING = 'UPDATE_CHAIN_BACKEND_SETTING'
+export const ADD_CHAIN_BACKEND_PEER = 'ADD_CHAIN_BACKEND_PEER'
+export const REMOVE_CHAIN_BACKEND_PEER = 'REMOVE_CHAIN_BACKEND_PEER'
+
+export const SAVE_CHAIN_BACKEND = 'SAVE_CHAIN_BACKEND'
+export const CHAIN_BACKEND_SAVED = 'CHAIN_BACKEND_SAVED'
+export const CHAIN_BACKEND_ERROR = 'CHAIN_BACKEND_ERROR'
+
+// ------------------------------------
+// Actions
+// ------------------------------------
+export function updateChainBackendSetting(key, value) {
+  return {
+    type: UPDATE_CHAIN_BACKEND_SETTING,
+    key,
+    value
+  }
+}
+
+export function addChainBackendPeer(key, host) {
+  return {
+    type: ADD_CHAIN_BACKEND_PEER,
+    key,
+    host: host.trim()
+  }
+}
+
+export function removeChainBackendPeer(key, host) {
+  return {
+    type: REMOVE_CHAIN_BACKEND_PEER,
+    key,
+    host
+  }
+}
+
+// Send IPC event for the chain backend settings of the current wallet
+export const fetchChainBackend = () => dispatch => {
+  dispatch({ type: FETCH_CHAIN_BACKEND })
+  ipcRenderer.send('fetchChainBackend')
+}
+
+// Receive IPC event for the chain backend settings of the current wallet
+export const receiveChainBackend = (event, { editable, settings }) => dispatch =>
+  dispatch({ type: RECEIVE_CHAIN_BACKEND, editable, settings })
+
+// Send IPC event to save the chain backend settings
+export const saveChainBackend = () => (dispatch, getState) => {
+  dispatch({ type: SAVE_CHAIN_BACKEND })
+  ipcRenderer.send('saveChainBackend', getState().chainbackend.settings)
+}
+
+// Receive IPC event for chain backend settings having been saved
+export const chainBackendSaved = () => dispatch => dispatch({ type: CHAIN_BACKEND_SAVED })
+
+// Receive IPC event for errors saving the chain backend settings
+export const chainBackendError = (event, error) => dispatch => {
+  dispatch({ type: CHAIN_BACKEND_ERROR })
+  dispatch(setError(error))
+}
+
+// ------------------------------------
+// Action Handlers
+// ------------------------------------
+const ACTION_HANDLERS = {
+  [FETCH_CHAIN_BACKEND]: state => ({ ...state, saved: false }),
+  [RECEIVE_CHAIN_BACKEND]: (state, { editable, settings }) => ({
+    ...state,
+    editable,
+    settings: { ...initialState.settings, ...settings }
+  }),
+
+  [UPDATE_CHAIN_BACKEND_SETTING]: (state, { key, value }) => ({
+    ...state,
+    saved: false,
+    settings: { ...state.settings, [key]: value }
+  }),
+  [ADD_CHAIN_BACKEND_PEER]: (state, { key, host }) => ({
+    ...state,
+    saved: false,
+    settings: {
+      ...state.settings,
+      [key]: state.settings[key].includes(host)
+        ? state.settings[key]
+        : [...state.settings[key], host]
+    }
+  }),
+  [REMOVE_CHAIN_BACKEND_PEER]: (state, { key, host }) => ({
+    ...state,
+    saved: false,
+    settings: { ...state.settings, [key]: state.settings[key].filter(h => h !== host) }
+  }),
+
+  [SAVE_CHAIN_BACKEND]: state => ({ ...state, saving: true }),
+  [CHAIN_BACKEND_SAVED]: state => ({ ...state, saving: false, saved: true }),
+  [CHAIN_BACKEND_ERROR]: state => ({ ...state, saving: false })
+}
+
+// ------------------------------------
+// Selectors
+// ------------------------------------
+const chainBackendSelectors = {}
+const chainBackendSelector = state => state.chainbackend.settings.chainBackend
+
+chainBackendSelectors.isNeutrino = createSelector(
+  chainBackendSelector,
+  chainBackend => chainBackend === 'neutrino'
+)
+
+chainBackendSelectors.supportsZmq = createSelector(
+  chainBackendSelector,
+  chainBackend => chainBackend === 'bitcoind'
+)
+
+export { chainBackendSelectors }
+
+// ------------------------------------
+// Reducer
+// ------------------------------------
+const initialState = {
+  editable: false,
+  saving: false,
+  saved: false,
+  settings: {
+    chainBackend: 'neutrino',
+    neutrinoConnect: [],
+    neutrinoAddPeer: [],
+    backendRpcHost: '',
+    backendRpcUser: '',
+    backendRpcPass: '',
+    zmqPubRawBlock: '',
+    zmqPubRawTx: ''
+  }
+}
+
+export default function chainBackendReducer(state = initialState, action) {
+  const handler = ACTION_HANDLERS[action.type]
+
+  return handler ? handler(state, action) : state
+}
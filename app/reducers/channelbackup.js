@@ -0,0 +1,134 @@
+import { ipcRenderer } from 'electron'
+import { showNotification } from 'lib/utils/notifications'
+import { setError } from './error'
+
+// ------------------------------------
+// Constants
+// ------------------------------------
+export const FETCH_CHANNEL_BACKUP = 'FETCH_CHANNEL_BACKUP'
+export const RECEIVE_CHANNEL_BACKUP = 'RECEIVE_CHANNEL_BACKUP'
+
+export const BACKUP_CHANNELS = 'BACKUP_CHANNELS'
+export const CHANNEL_BACKUP_ERROR = 'CHANNEL_BACKUP_ERROR'
+
+export const SET_CHANNEL_BACKUP_FILE = 'SET_CHANNEL_BACKUP_FILE'
+export const RESTORING_CHANNEL_BACKUP = 'RESTORING_CHANNEL_BACKUP'
+export const CHANNEL_BACKUP_RESTORED = 'CHANNEL_BACKUP_RESTORED'
+export const CHANNEL_BACKUP_RESTORE_ERROR = 'CHANNEL_BACKUP_RESTORE_ERROR'
+
+// ------------------------------------
+// Actions
+// ------------------------------------
+
+// Send IPC event for the channel backup settings of the current wallet
+export const fetchChannelBackup = () => dispatch => {
+  dispatch({ type: FETCH_CHANNEL_BACKUP })
+  ipcRenderer.send('fetchChannelBackup')
+}
+
+// Receive IPC event for the channel backup settings of the current wallet
+export const receiveChannelBackup = (event, { dir, lastBackup }) => dispatch =>
+  dispatch({ type: RECEIVE_CHANNEL_BACKUP, dir, lastBackup })
+
+// Send IPC event to choose the directory that channel backups are written to
+export const chooseChannelBackupDir = () => () => ipcRenderer.send('chooseChannelBackupDir')
+
+// Send IPC event to write the channel backup file now
+export const backupChannels = () => dispatch => {
+  dispatch({ type: BACKUP_CHANNELS })
+  ipcRenderer.send('backupChannels')
+}
+
+// Receive IPC event for errors backing up channels
+export const channelBackupError = (event, error) => dispatch => {
+  dispatch({ type: CHANNEL_BACKUP_ERROR })
+  dispatch(setError(error))
+}
+
+// Send IPC event to choose a channel backup file to restore
+export const chooseChannelBackupFile = () => () => ipcRenderer.send('chooseChannelBackupFile')
+
+// Receive IPC event for the channel backup file that the user has chosen to restore
+export const channelBackupFileChosen = (event, filePath) => dispatch =>
+  dispatch({ type: SET_CHANNEL_BACKUP_FILE, filePath })
+
+export function clearChannelBackupFile() {
+  return {
+    type: SET_CHANNEL_BACKUP_FILE,
+    filePath: null
+  }
+}
+
+// Ask the main process to restore the chosen channel backup once the wallet has been recovered
+export const restoreChannelBackup = () => (dispatch, getState) => {
+  const { restoreFile } = getState().channelbackup
+  if (restoreFile) {
+    dispatch({ type: RESTORING_CHANNEL_BACKUP })
+  }
+  ipcRenderer.send('setChannelBackupRestore', restoreFile)
+}
+
+// Receive IPC event for the result of restoring a channel backup
+export const channelBackupRestored = (event, { channels, peers }) => dispatch => {
+  dispatch({ type: CHANNEL_BACKUP_RESTORED, result: { channels, peers } })
+
+  const connected = peers.filter(peer => peer.connected).length
+  showNotification(
+    'Channel backup restored',
+    `Reconnected to ${connected} of ${
+      peers.length
+    } peers. They can now close your ${channels} channels.`
+  )
+}
+
+// Receive IPC event for errors restoring a channel backup
+export const channelBackupRestoreError = (event, error) => dispatch => {
+  dispatch({ type: CHANNEL_BACKUP_RESTORE_ERROR })
+  dispatch(setError(error))
+}
+
+// ------------------------------------
+// Action Handlers
+// ------------------------------------
+const ACTION_HANDLERS = {
+  [FETCH_CHANNEL_BACKUP]: state => ({ ...state, loading: true }),
+  [RECEIVE_CHANNEL_BACKUP]: (state, { dir, lastBackup }) => ({
+    ...state,
+    loading: false,
+    backingUp: false,
+    dir,
+    lastBackup
+  }),
+
+  [BACKUP_CHANNELS]: state => ({ ...state, backingUp: true }),
+  [CHANNEL_BACKUP_ERROR]: state => ({ ...state, backingUp: false }),
+
+  [SET_CHANNEL_BACKUP_FILE]: (state, { filePath }) => ({ ...state, restoreFile: filePath }),
+  [RESTORING_CHANNEL_BACKUP]: state => ({ ...state, restoring: true, restoreResult: null }),
+  [CHANNEL_BACKUP_RESTORED]: (state, { result }) => ({
+    ...state,
+    restoring: false,
+    restoreFile: null,
+    restoreResult: result
+  }),
+  [CHANNEL_BACKUP_RESTORE_ERROR]: state => ({ ...state, restoring: false })
+}
+
+// ------------------------------------
+// Reducer
+// ------------------------------------
+const initialState = {
+  loading: false,
+  backingUp: false,
+  dir: null,
+  lastBackup: null,
+  restoreFile: null,
+  restoring: false,
+  restoreResult: null
+}
+
+export default function channelBackupReducer(state = initialState, action) {
+  const handler = ACTION_HANDLERS[action.type]
+
+  return handler ? handler(state, action) : state
+}
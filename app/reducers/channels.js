@@ -1,10 +1,12 @@
 import { createSelector } from 'reselect'
-import { ipcRenderer } from 'electron'
 import Store from 'electron-store'
 import { btc } from 'lib/utils'
+import { lndRequest } from 'lib/utils/rpc'
 import { showNotification } from 'lib/utils/notifications'
 import { requestSuggestedNodes } from 'lib/utils/api'
 import { setError } from './error'
+import { feeRatesSelectors } from './feerates'
+import { queueGraphUpdate, networkSelectors } from './network'
 
 // ------------------------------------
 // Constants
@@ -16,6 +18,9 @@ export const SET_CHANNEL = 'SET_CHANNEL'
 export const GET_CHANNELS = 'GET_CHANNELS'
 export const RECEIVE_CHANNELS = 'RECEIVE_CHANNELS'
 
+export const GET_CLOSED_CHANNELS = 'GET_CLOSED_CHANNELS'
+export const RECEIVE_CLOSED_CHANNELS = 'RECEIVE_CLOSED_CHANNELS'
+
 export const OPENING_CHANNEL = 'OPENING_CHANNEL'
 export const OPENING_SUCCESSFUL = 'OPENING_SUCCESSFUL'
 export const OPENING_FAILURE = 'OPENING_FAILURE'
@@ -41,6 +46,7 @@ export const SET_SELECTED_CHANNEL = 'SET_SELECTED_CHANNEL'
 
 export const GET_SUGGESTED_NODES = 'GET_SUGGESTED_NODES'
 export const RECEIVE_SUGGESTED_NODES = 'RECEIVE_SUGGESTED_NODES'
+export const SUGGESTED_NODES_FAILURE = 'SUGGESTED_NODES_FAILURE'
 
 // ------------------------------------
 // Actions
@@ -65,6 +71,12 @@ export function getChannels() {
   }
 }
 
+export function getClosedChannels() {
+  return {
+    type: GET_CLOSED_CHANNELS
+  }
+}
+
 export function openingChannel() {
   return {
     type: OPENING_CHANNEL
@@ -151,27 +163,72 @@ export function receiveSuggestedNodes(suggestedNodes) {
   }
 }
 
+export function suggestedNodesFailure() {
+  return {
+    type: SUGGESTED_NODES_FAILURE
+  }
+}
+
+// The suggested nodes list isn't available when we are offline, in which case we suggest nodes from the network graph
+// instead, so there is no need to show an error.
 export const fetchSuggestedNodes = () => async dispatch => {
   dispatch(getSuggestedNodes())
-  const suggestedNodes = await requestSuggestedNodes()
-
-  dispatch(receiveSuggestedNodes(suggestedNodes))
+  try {
+    const suggestedNodes = await requestSuggestedNodes()
+    dispatch(receiveSuggestedNodes(suggestedNodes))
+  } catch (error) {
+    dispatch(suggestedNodesFailure())
+  }
 }
 
 // Send IPC event for peers
 export const fetchChannels = () => async dispatch => {
   dispatch(getChannels())
-  ipcRenderer.send('lnd', { msg: 'channels' })
-}
+  return lndRequest('channels')
+    .then(channels => dispatch(receiveChannels(null, channels)))
+    .catch(error => dispatch(setError(error.message)))
+}
+
+// Receive channels
+export const receiveChannels = (event, { channels, pendingChannels }) => (dispatch, getState) => {
+  const closingChannelPoints = ({
+    pending_closing_channels = [],
+    pending_force_closing_channels = [],
+    waiting_close_channels = []
+  }) =>
+    [...pending_closing_channels, ...pending_force_closing_channels, ...waiting_close_channels].map(
+      pendingChannel => pendingChannel.channel.channel_point
+    )
+
+  const previouslyClosing = closingChannelPoints(getState().channels.pendingChannels)
+  const stillClosing = closingChannelPoints(pendingChannels)
 
-// Receive IPC event for channels
-export const receiveChannels = (event, { channels, pendingChannels }) => dispatch =>
   dispatch({ type: RECEIVE_CHANNELS, channels, pendingChannels })
 
+  // Once a channel has finished closing it is no longer returned as a pending channel, so fetch the closed channels to
+  // pick it up from there.
+  if (previouslyClosing.some(channelPoint => !stillClosing.includes(channelPoint))) {
+    dispatch(fetchClosedChannels())
+  }
+}
+
+// Send IPC event for closed channels
+export const fetchClosedChannels = () => async dispatch => {
+  dispatch(getClosedChannels())
+  return lndRequest('closedChannels')
+    .then(({ channels }) => dispatch(receiveClosedChannels(channels)))
+    .catch(error => dispatch(setError(error.message)))
+}
+
+// Receive closed channels
+export const receiveClosedChannels = closedChannels => dispatch =>
+  dispatch({ type: RECEIVE_CLOSED_CHANNELS, closedChannels })
+
 // Send IPC event for opening a channel
 export const openChannel = ({ pubkey, host, local_amt }) => (dispatch, getState) => {
   const state = getState()
   const localamt = btc.convert(state.ticker.currency, 'sats', local_amt)
+  const feeOptions = feeRatesSelectors.feeOptions(state)
 
   dispatch(openingChannel())
   dispatch(addLoadingPubkey(pubkey))
@@ -182,10 +239,14 @@ export const openChannel = ({ pubkey, host, local_amt }) => (dispatch, getState)
   const store = new Store({ name: 'settings' })
   const { type } = store.get('activeConnection', {})
 
-  ipcRenderer.send('lnd', {
-    msg: 'connectAndOpen',
-    data: { pubkey, host, localamt, private: type === 'local' }
-  })
+  // Channel status updates are pushed to us over IPC once the channel open request has been accepted.
+  return lndRequest('connectAndOpen', {
+    pubkey,
+    host,
+    localamt,
+    private: type === 'local',
+    ...feeOptions
+  }).catch(error => dispatch(pushchannelerror(null, { pubkey, error: error.message })))
 }
 
 // TODO: Decide how to handle streamed updates for channels
@@ -225,16 +286,16 @@ export const closeChannel = ({ channel_point, chan_id, force }) => dispatch => {
   dispatch(addClosingChanId(chan_id))
 
   const [funding_txid, output_index] = channel_point.split(':')
-  ipcRenderer.send('lnd', {
-    msg: 'closeChannel',
-    data: {
-      channel_point: {
-        funding_txid,
-        output_index
-      },
-      force
-    }
+  return lndRequest('closeChannel', {
+    channel_point: {
+      funding_txid,
+      output_index
+    },
+    chan_id,
+    force
   })
+    .then(() => dispatch(closeChannelSuccessful()))
+    .catch(error => dispatch(pushclosechannelerror(null, { error: error.message, chan_id })))
 }
 
 // TODO: Decide how to handle streamed updates for closing channels
@@ -268,16 +329,14 @@ export const pushclosechannelstatus = () => dispatch => {
 // IPC event for channel graph data
 export const channelGraphData = (event, data) => (dispatch, getState) => {
   const { info } = getState()
-  const {
-    channelGraphData: { channel_updates }
-  } = data
+  const { channelGraphData } = data
+  const { channel_updates } = channelGraphData
+
+  // Keep our copy of the network graph up to date without fetching the whole graph again
+  dispatch(queueGraphUpdate(channelGraphData))
 
   // if there are any new channel updates
   if (channel_updates.length) {
-    // The network has updated, so fetch a new result
-    // TODO: can't do this now because of the SVG performance issues, after we fix this we can uncomment the line below
-    // dispatch(fetchDescribeNetwork())
-
     // loop through the channel updates
     for (let i = 0; i < channel_updates.length; i += 1) {
       const channel_update = channel_updates[i]
@@ -340,6 +399,13 @@ const ACTION_HANDLERS = {
     pendingChannels
   }),
 
+  [GET_CLOSED_CHANNELS]: state => ({ ...state, closedChannelsLoading: true }),
+  [RECEIVE_CLOSED_CHANNELS]: (state, { closedChannels }) => ({
+    ...state,
+    closedChannelsLoading: false,
+    closedChannels
+  }),
+
   [OPENING_CHANNEL]: state => ({ ...state, openingChannel: true }),
   [OPENING_FAILURE]: state => ({ ...state, openingChannel: false }),
 
@@ -383,7 +449,8 @@ const ACTION_HANDLERS = {
     ...state,
     suggestedNodesLoading: false,
     suggestedNodes
-  })
+  }),
+  [SUGGESTED_NODES_FAILURE]: state => ({ ...state, suggestedNodesLoading: false })
 }
 
 const channelsSelectors = {}
@@ -397,10 +464,13 @@ const pendingWaitingCloseChannelsSelector = state =>
 const pendingForceClosedChannelsSelector = state =>
   state.channels.pendingChannels.pending_force_closing_channels
 const waitingCloseChannelsSelector = state => state.channels.pendingChannels.waiting_close_channels
+const closedChannelsSelector = state => state.channels.closedChannels
 const channelSearchQuerySelector = state => state.channels.searchQuery
 const filtersSelector = state => state.channels.filters
 const filterSelector = state => state.channels.filter
 const nodesSelector = state => state.network.nodes
+const suggestedNodesSelector = state => state.channels.suggestedNodes
+const networkIdSelector = state => state.info.network.id
 
 const channelMatchesQuery = (channel, nodes, searchQuery) => {
   const node = nodes.find(n => channel.remote_pubkey === n.pub_key)
@@ -472,6 +542,27 @@ channelsSelectors.channelNodes = createSelector(
   }
 )
 
+// Nodes to suggest opening a channel with. The list from our server only covers the public networks and needs us to be
+// online, so otherwise we fall back to the best nodes in the network graph.
+channelsSelectors.suggestedNodes = createSelector(
+  suggestedNodesSelector,
+  networkIdSelector,
+  networkSelectors.recommendedNodes,
+  (suggestedNodes, networkId, recommendedNodes) => {
+    const serverNodes = suggestedNodes[networkId]
+    if (serverNodes && serverNodes.length) {
+      return serverNodes
+    }
+
+    return recommendedNodes.map(node => ({
+      pubkey: node.pub_key,
+      host: node.addresses[0].addr,
+      nickname: node.alias || node.pub_key.substring(0, 10),
+      description: ''
+    }))
+  }
+)
+
 const allChannels = createSelector(
   channelsSelectors.activeChannels,
   channelsSelectors.nonActiveChannels,
@@ -525,6 +616,7 @@ export const currentChannels = createSelector(
   channelsSelector,
   pendingOpenChannelsSelector,
   channelsSelectors.closingPendingChannels,
+  closedChannelsSelector,
   filterSelector,
   channelSearchQuerySelector,
   nodesSelector,
@@ -535,6 +627,7 @@ export const currentChannels = createSelector(
     openChannels,
     pendingOpenChannels,
     pendingClosedChannels,
+    closedChannels,
     channelFilter,
     searchQuery,
     nodes
@@ -554,6 +647,8 @@ export const currentChannels = createSelector(
           return pendingOpenChannels
         case 'CLOSING_PENDING_CHANNELS':
           return pendingClosedChannels
+        case 'CLOSED_CHANNELS':
+          return closedChannels
         default:
           return []
       }
@@ -581,6 +676,8 @@ const initialState = {
     pending_force_closing_channels: [],
     waiting_close_channels: []
   },
+  closedChannelsLoading: false,
+  closedChannels: [],
   channel: null,
   channelForm: {
     isOpen: false,
@@ -600,7 +697,8 @@ const initialState = {
     { key: 'ACTIVE_CHANNELS', name: 'Online' },
     { key: 'NON_ACTIVE_CHANNELS', name: 'Offline' },
     { key: 'OPEN_PENDING_CHANNELS', name: 'Pending' },
-    { key: 'CLOSING_PENDING_CHANNELS', name: 'Closing' }
+    { key: 'CLOSING_PENDING_CHANNELS', name: 'Closing' },
+    { key: 'CLOSED_CHANNELS', name: 'Closed' }
   ],
 
   loadingChannelPubkeys: [],
@@ -1,6 +1,7 @@
 import { createSelector } from 'reselect'
 import { btc } from 'lib/utils'
 import { tickerSelectors } from './ticker'
+import { networkSelectors } from './network'
 
 // Initial State
 const initialState = {
@@ -219,24 +220,26 @@ const contactableFirst = (a, b) => {
 contactFormSelectors.filteredNetworkNodes = createSelector(
   networkNodesSelector,
   searchQuerySelector,
-  (nodes, searchQuery) => {
-    // If there is no search query default to showing the first 20 nodes from the nodes array
-    // (performance hit to render the entire thing by default)
-    // if (!searchQuery.length) { return nodes.sort(contactableFirst).slice(0, 20) }
-
-    // return an empty array if there is no search query
+  networkSelectors.nodeScores,
+  networkSelectors.recommendedNodes,
+  (nodes, searchQuery, scores, recommendedNodes) => {
+    // if there is no search query we show the nodes that we recommend opening a channel with
     if (!searchQuery.length) {
-      return []
+      return recommendedNodes
     }
 
     // if there is an '@' in the search query we are assuming they are using the format pubkey@host
     // we can ignore the '@' and the host and just grab the pubkey for our search
     const query = searchQuery.includes('@') ? searchQuery.split('@')[0] : searchQuery
 
-    // list of the nodes
+    // list of the nodes, with the best scoring nodes first among those that are equally contactable. nodes that
+    // haven't been scored go after those that have.
+    const rank = new Map(scores.map(({ pubkey }, index) => [pubkey, index]))
+    const rankOf = node => (rank.has(node.pub_key) ? rank.get(node.pub_key) : Infinity)
+    const byRank = (a, b) => (rankOf(a) === rankOf(b) ? 0 : rankOf(a) - rankOf(b))
     const list = nodes
       .filter(node => node.alias.includes(query) || node.pub_key.includes(query))
-      .sort(contactableFirst)
+      .sort((a, b) => contactableFirst(a, b) || byRank(a, b))
 
     // if we don't limit the nodes returned then we take a huge performance hit
     // rendering thousands of nodes potentially, so we just render 20 for the time being
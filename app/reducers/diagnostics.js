@@ -0,0 +1,174 @@
+import { ipcRenderer } from 'electron'
+import { ONBOARDING_STARTED } from './onboarding'
+import { resetLnd } from './lnd'
+import { setSettingsOpen, disableSubMenu } from './settings'
+
+// ------------------------------------
+// Constants
+// ------------------------------------
+export const FETCH_DIAGNOSTICS = 'FETCH_DIAGNOSTICS'
+export const RECEIVE_DIAGNOSTICS = 'RECEIVE_DIAGNOSTICS'
+
+export const SET_DIAGNOSTICS_OPEN = 'SET_DIAGNOSTICS_OPEN'
+export const SET_LND_AUTO_RESTART = 'SET_LND_AUTO_RESTART'
+
+export const LND_CRASHED = 'LND_CRASHED'
+export const RESTARTING_LND = 'RESTARTING_LND'
+export const LND_RESTARTED = 'LND_RESTARTED'
+export const LND_RESTART_FAILED = 'LND_RESTART_FAILED'
+
+export const EXPORT_CRASH_HISTORY = 'EXPORT_CRASH_HISTORY'
+export const CRASH_HISTORY_EXPORTED = 'CRASH_HISTORY_EXPORTED'
+export const SET_DIAGNOSTICS_ERROR = 'SET_DIAGNOSTICS_ERROR'
+
+// ------------------------------------
+// Actions
+// ------------------------------------
+
+// Send IPC event for the crash history and supervisor settings
+export const fetchDiagnostics = () => dispatch => {
+  dispatch({ type: FETCH_DIAGNOSTICS })
+  ipcRenderer.send('fetchDiagnostics')
+}
+
+// Receive IPC event for the crash history and supervisor settings
+export const receiveDiagnostics = (event, { crashes, autoRestart }) => dispatch =>
+  dispatch({ type: RECEIVE_DIAGNOSTICS, crashes, autoRestart })
+
+export const openDiagnostics = () => dispatch => {
+  dispatch(disableSubMenu())
+  dispatch(setSettingsOpen(false))
+  dispatch({ type: SET_DIAGNOSTICS_OPEN, diagnosticsOpen: true })
+  dispatch(fetchDiagnostics())
+}
+
+export function closeDiagnostics() {
+  return {
+    type: SET_DIAGNOSTICS_OPEN,
+    diagnosticsOpen: false
+  }
+}
+
+export const setLndAutoRestart = autoRestart => dispatch => {
+  dispatch({ type: SET_LND_AUTO_RESTART, autoRestart })
+  ipcRenderer.send('setLndAutoRestart', autoRestart)
+}
+
+export const clearCrashHistory = () => dispatch => {
+  dispatch({ type: FETCH_DIAGNOSTICS })
+  ipcRenderer.send('clearCrashHistory')
+}
+
+export const exportCrashHistory = () => dispatch => {
+  dispatch({ type: EXPORT_CRASH_HISTORY })
+  ipcRenderer.send('exportCrashHistory')
+}
+
+// Ask the main process to start a new lnd instance after it has crashed
+export const restartLnd = () => dispatch => {
+  dispatch({ type: RESTARTING_LND, attempt: 0, delay: 0 })
+  ipcRenderer.send('restartLnd')
+}
+
+// Receive IPC event for when the lnd process exits unexpectedly
+export const lndCrashed = (event, { restarting, attempt = 0, delay = 0 }) => dispatch => {
+  // Forget about the lnd instance that has gone away.
+  dispatch(resetLnd())
+
+  if (restarting) {
+    dispatch({ type: RESTARTING_LND, attempt, delay })
+  } else {
+    dispatch({ type: LND_CRASHED })
+  }
+
+  // Refresh the crash history so that it includes the new crash.
+  dispatch(fetchDiagnostics())
+}
+
+// Receive IPC event for when lnd has been restarted and is waiting for the wallet to be unlocked
+export const lndRestarted = () => dispatch => {
+  dispatch({ type: LND_RESTARTED })
+
+  // Send the user back through onboarding so that they can unlock their wallet again.
+  dispatch({ type: ONBOARDING_STARTED })
+}
+
+// Receive IPC event for when lnd could not be restarted
+export const lndRestartError = (event, error) => dispatch =>
+  dispatch({ type: LND_RESTART_FAILED, error })
+
+// Receive IPC event for when the crash history has been exported
+export const crashHistoryExported = (event, filePath) => dispatch =>
+  dispatch({ type: CRASH_HISTORY_EXPORTED, filePath })
+
+// Receive IPC event for errors from the diagnostics tools
+export const diagnosticsError = (event, error) => dispatch =>
+  dispatch({ type: SET_DIAGNOSTICS_ERROR, error })
+
+// ------------------------------------
+// Action Handlers
+// ------------------------------------
+const ACTION_HANDLERS = {
+  [FETCH_DIAGNOSTICS]: state => ({ ...state, diagnosticsLoading: true }),
+  [RECEIVE_DIAGNOSTICS]: (state, { crashes, autoRestart }) => ({
+    ...state,
+    diagnosticsLoading: false,
+    crashes,
+    autoRestart
+  }),
+
+  [SET_DIAGNOSTICS_OPEN]: (state, { diagnosticsOpen }) => ({
+    ...state,
+    diagnosticsOpen,
+    exportedTo: null,
+    error: null
+  }),
+  [SET_LND_AUTO_RESTART]: (state, { autoRestart }) => ({ ...state, autoRestart }),
+
+  [LND_CRASHED]: state => ({ ...state, lndStatus: 'crashed', restartAttempt: 0, restartDelay: 0 }),
+  [RESTARTING_LND]: (state, { attempt, delay }) => ({
+    ...state,
+    lndStatus: 'restarting',
+    restartAttempt: attempt,
+    restartDelay: delay,
+    error: null
+  }),
+  [LND_RESTARTED]: state => ({ ...state, lndStatus: 'running', diagnosticsOpen: false }),
+  [LND_RESTART_FAILED]: (state, { error }) => ({ ...state, lndStatus: 'crashed', error }),
+
+  [EXPORT_CRASH_HISTORY]: state => ({ ...state, exportedTo: null, error: null }),
+  [CRASH_HISTORY_EXPORTED]: (state, { filePath }) => ({ ...state, exportedTo: filePath }),
+  [SET_DIAGNOSTICS_ERROR]: (state, { error }) => ({ ...state, error })
+}
+
+// ------------------------------------
+// Selectors
+// ------------------------------------
+const diagnosticsSelectors = {}
+
+// The diagnostics screen is shown when opened by the user and whenever lnd is not running.
+diagnosticsSelectors.showDiagnostics = state =>
+  state.diagnostics.diagnosticsOpen || state.diagnostics.lndStatus !== 'running'
+
+export { diagnosticsSelectors }
+
+// ------------------------------------
+// Reducer
+// ------------------------------------
+const initialState = {
+  diagnosticsLoading: false,
+  diagnosticsOpen: false,
+  crashes: [],
+  autoRestart: true,
+  lndStatus: 'running',
+  restartAttempt: 0,
+  restartDelay: 0,
+  exportedTo: null,
+  error: null
+}
+
+export default function diagnosticsReducer(state = initialState, action) {
+  const handler = ACTION_HANDLERS[action.type]
+
+  return handler ? handler(state, action) : state
+}
@@ -0,0 +1,248 @@
+import { createSelector } from 'reselect'
+import { push } from 'react-router-redux'
+import { lndRequest } from 'lib/utils/rpc'
+import { setError } from './error'
+import { setSettingsOpen, disableSubMenu } from './settings'
+
+// Number of nodes or channels to list for a search. The graph can have tens of thousands of them, and the best
+// connected are listed first, so there is no point rendering the rest.
+export const MAX_SEARCH_RESULTS = 100
+
+// ------------------------------------
+// Constants
+// ------------------------------------
+export const SET_EXPLORER_TAB = 'SET_EXPLORER_TAB'
+export const SET_EXPLORER_SEARCH_QUERY = 'SET_EXPLORER_SEARCH_QUERY'
+
+export const GET_NODE_INFO = 'GET_NODE_INFO'
+export const RECEIVE_NODE_INFO = 'RECEIVE_NODE_INFO'
+export const NODE_INFO_FAILED = 'NODE_INFO_FAILED'
+
+export const GET_CHAN_INFO = 'GET_CHAN_INFO'
+export const RECEIVE_CHAN_INFO = 'RECEIVE_CHAN_INFO'
+export const CHAN_INFO_FAILED = 'CHAN_INFO_FAILED'
+export const CLEAR_SELECTED_CHAN = 'CLEAR_SELECTED_CHAN'
+
+// ------------------------------------
+// Actions
+// ------------------------------------
+export function setExplorerTab(tab) {
+  return {
+    type: SET_EXPLORER_TAB,
+    tab
+  }
+}
+
+export function setExplorerSearchQuery(searchQuery) {
+  return {
+    type: SET_EXPLORER_SEARCH_QUERY,
+    searchQuery
+  }
+}
+
+export function clearSelectedChan() {
+  return {
+    type: CLEAR_SELECTED_CHAN
+  }
+}
+
+export const openNetworkExplorer = () => dispatch => {
+  dispatch(disableSubMenu())
+  dispatch(setSettingsOpen(false))
+  return dispatch(push('/network'))
+}
+
+export const closeNetworkExplorer = () => dispatch => dispatch(push('/'))
+
+// Send IPC event for the details of a node in the graph
+export const fetchNodeInfo = pubkey => dispatch => {
+  dispatch({ type: GET_NODE_INFO, pubkey })
+  return lndRequest('nodeInfo', { pubkey })
+    .then(nodeInfo => dispatch({ type: RECEIVE_NODE_INFO, pubkey, nodeInfo }))
+    .catch(error => {
+      dispatch({ type: NODE_INFO_FAILED, pubkey })
+      dispatch(setError(error.message))
+    })
+}
+
+// Send IPC event for the details of a channel in the graph, including the routing policies of both of its nodes
+export const fetchChanInfo = chanId => dispatch => {
+  dispatch({ type: GET_CHAN_INFO, chanId })
+  return lndRequest('chanInfo', { chanId })
+    .then(chanInfo => dispatch({ type: RECEIVE_CHAN_INFO, chanId, chanInfo }))
+    .catch(error => {
+      dispatch({ type: CHAN_INFO_FAILED, chanId })
+      dispatch(setError(error.message))
+    })
+}
+
+// ------------------------------------
+// Action Handlers
+// ------------------------------------
+const ACTION_HANDLERS = {
+  [SET_EXPLORER_TAB]: (state, { tab }) => ({ ...state, tab }),
+  [SET_EXPLORER_SEARCH_QUERY]: (state, { searchQuery }) => ({ ...state, searchQuery }),
+
+  // Selecting a node closes the channel inspector, so that the node's details are shown.
+  [GET_NODE_INFO]: (state, { pubkey }) => ({
+    ...state,
+    selectedNode: pubkey,
+    nodeInfo: null,
+    nodeInfoLoading: true,
+    selectedChan: null,
+    chanInfo: null
+  }),
+  // Ignore responses for a node that has since been replaced by another selection, here and for channels below.
+  [RECEIVE_NODE_INFO]: (state, { pubkey, nodeInfo }) => {
+    if (pubkey !== state.selectedNode) {
+      return state
+    }
+    return { ...state, nodeInfoLoading: false, nodeInfo }
+  },
+  [NODE_INFO_FAILED]: (state, { pubkey }) => {
+    if (pubkey !== state.selectedNode) {
+      return state
+    }
+    return { ...state, nodeInfoLoading: false }
+  },
+
+  [GET_CHAN_INFO]: (state, { chanId }) => ({
+    ...state,
+    selectedChan: chanId,
+    chanInfo: null,
+    chanInfoLoading: true
+  }),
+  [RECEIVE_CHAN_INFO]: (state, { chanId, chanInfo }) => {
+    if (chanId !== state.selectedChan) {
+      return state
+    }
+    return { ...state, chanInfoLoading: false, chanInfo }
+  },
+  [CHAN_INFO_FAILED]: (state, { chanId }) => {
+    if (chanId !== state.selectedChan) {
+      return state
+    }
+    return { ...state, chanInfoLoading: false }
+  },
+  [CLEAR_SELECTED_CHAN]: state => ({
+    ...state,
+    selectedChan: null,
+    chanInfo: null,
+    chanInfoLoading: false
+  })
+}
+
+// ------------------------------------
+// Selectors
+// ------------------------------------
+const explorerSelectors = {}
+const searchQuerySelector = state => state.explorer.searchQuery
+const selectedNodeSelector = state => state.explorer.selectedNode
+const nodesSelector = state => state.network.nodes
+const edgesSelector = state => state.network.edges
+
+const normalizeQuery = searchQuery => searchQuery.trim().toLowerCase()
+
+explorerSelectors.nodeAliases = createSelector(nodesSelector, nodes => {
+  const aliases = {}
+  nodes.forEach(node => {
+    aliases[node.pub_key] = node.alias
+  })
+  return aliases
+})
+
+// Number of channels and total capacity of each node in the graph, keyed by pubkey.
+explorerSelectors.nodeStats = createSelector(edgesSelector, edges => {
+  const stats = {}
+  const addChannel = (pubkey, capacity) => {
+    const nodeStats = stats[pubkey] || { channels: 0, capacity: 0 }
+    stats[pubkey] = { channels: nodeStats.channels + 1, capacity: nodeStats.capacity + capacity }
+  }
+  edges.forEach(edge => {
+    addChannel(edge.node1_pub, Number(edge.capacity))
+    addChannel(edge.node2_pub, Number(edge.capacity))
+  })
+  return stats
+})
+
+// Nodes with an alias that contains the search query or a pubkey that starts with it, biggest first.
+explorerSelectors.searchNodes = createSelector(
+  nodesSelector,
+  explorerSelectors.nodeStats,
+  searchQuerySelector,
+  (nodes, nodeStats, searchQuery) => {
+    const query = normalizeQuery(searchQuery)
+    return nodes
+      .filter(node => node.alias.toLowerCase().includes(query) || node.pub_key.startsWith(query))
+      .map(node => ({ ...node, ...(nodeStats[node.pub_key] || { channels: 0, capacity: 0 }) }))
+      .sort((a, b) => b.capacity - a.capacity)
+      .slice(0, MAX_SEARCH_RESULTS)
+  }
+)
+
+// Channels with an id or channel point that starts with the search query, or between nodes that match it.
+explorerSelectors.searchChannels = createSelector(
+  edgesSelector,
+  explorerSelectors.nodeAliases,
+  searchQuerySelector,
+  (edges, nodeAliases, searchQuery) => {
+    const query = normalizeQuery(searchQuery)
+    const nodeMatches = pubkey =>
+      pubkey.startsWith(query) || (nodeAliases[pubkey] || '').toLowerCase().includes(query)
+    return edges
+      .filter(
+        edge =>
+          String(edge.channel_id).startsWith(query) ||
+          edge.chan_point.startsWith(query) ||
+          nodeMatches(edge.node1_pub) ||
+          nodeMatches(edge.node2_pub)
+      )
+      .sort((a, b) => b.capacity - a.capacity)
+      .slice(0, MAX_SEARCH_RESULTS)
+  }
+)
+
+// The channels of the selected node, along with the peer on the other end of each one, biggest first.
+explorerSelectors.selectedNodeChannels = createSelector(
+  edgesSelector,
+  selectedNodeSelector,
+  (edges, selectedNode) => {
+    if (!selectedNode) {
+      return []
+    }
+    return edges
+      .filter(edge => edge.node1_pub === selectedNode || edge.node2_pub === selectedNode)
+      .map(edge => ({
+        ...edge,
+        peer: edge.node1_pub === selectedNode ? edge.node2_pub : edge.node1_pub
+      }))
+      .sort((a, b) => b.capacity - a.capacity)
+  }
+)
+
+export { explorerSelectors }
+
+// ------------------------------------
+// Reducer
+// ------------------------------------
+const initialState = {
+  tab: 'NODES',
+  tabs: [
+    { key: 'NODES', name: 'nodes' },
+    { key: 'CHANNELS', name: 'channels' },
+    { key: 'PROBE', name: 'probe' }
+  ],
+  searchQuery: '',
+  selectedNode: null,
+  nodeInfo: null,
+  nodeInfoLoading: false,
+  selectedChan: null,
+  chanInfo: null,
+  chanInfoLoading: false
+}
+
+export default function explorerReducer(state = initialState, action) {
+  const handler = ACTION_HANDLERS[action.type]
+
+  return handler ? handler(state, action) : state
+}
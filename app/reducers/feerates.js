@@ -0,0 +1,186 @@
+import { createSelector } from 'reselect'
+import { requestFeeRates } from 'lib/utils/api'
+import { infoSelectors } from './info'
+
+// Virtual size in bytes of the parts of a transaction that spends from a segwit wallet. Outputs are sized for the
+// largest of the common address types so that estimates err on the high side.
+const TX_OVERHEAD_VBYTES = 11
+const TX_INPUT_VBYTES = 68
+const TX_OUTPUT_VBYTES = 34
+
+// Confirmation targets in blocks for each of the fee presets. The fee rates that we fetch are for confirmation within
+// the next block, half an hour and an hour, which line up with these targets.
+export const TARGET_CONFS = {
+  fast: 1,
+  normal: 3,
+  slow: 6
+}
+
+// Estimate the fee in satoshis for a transaction that pays to a number of outputs plus change, from a single input.
+export const estimateTransactionFee = (outputCount, satPerByte) =>
+  (TX_OVERHEAD_VBYTES + TX_INPUT_VBYTES + TX_OUTPUT_VBYTES * (outputCount + 1)) * satPerByte
+
+// ------------------------------------
+// Constants
+// ------------------------------------
+export const GET_FEE_RATES = 'GET_FEE_RATES'
+export const RECEIVE_FEE_RATES = 'RECEIVE_FEE_RATES'
+export const FEE_RATES_FAILED = 'FEE_RATES_FAILED'
+export const FEE_RATES_UNAVAILABLE = 'FEE_RATES_UNAVAILABLE'
+
+export const SET_FEE_PRESET = 'SET_FEE_PRESET'
+export const SET_CUSTOM_FEE_RATE = 'SET_CUSTOM_FEE_RATE'
+
+// ------------------------------------
+// Actions
+// ------------------------------------
+export function getFeeRates() {
+  return {
+    type: GET_FEE_RATES
+  }
+}
+
+export function receiveFeeRates({ fastestFee, halfHourFee, hourFee }) {
+  return {
+    type: RECEIVE_FEE_RATES,
+    feeRates: {
+      fast: fastestFee,
+      normal: halfHourFee,
+      slow: hourFee
+    }
+  }
+}
+
+export function setFeePreset(preset) {
+  return {
+    type: SET_FEE_PRESET,
+    preset
+  }
+}
+
+export function setCustomFeeRate(customFeeRate) {
+  return {
+    type: SET_CUSTOM_FEE_RATE,
+    customFeeRate
+  }
+}
+
+// Fee rates are only used for estimates, so if they can't be fetched we carry on without them. The rates we fetch are
+// for mainnet, so don't use them to estimate fees on any other network.
+export const fetchFeeRates = () => (dispatch, getState) => {
+  if (infoSelectors.networkSelector(getState()).id !== 'mainnet') {
+    dispatch({ type: FEE_RATES_UNAVAILABLE })
+    return Promise.resolve()
+  }
+
+  dispatch(getFeeRates())
+  return requestFeeRates()
+    .then(feeRates => dispatch(receiveFeeRates(feeRates)))
+    .catch(() => dispatch({ type: FEE_RATES_FAILED }))
+}
+
+// ------------------------------------
+// Action Handlers
+// ------------------------------------
+const ACTION_HANDLERS = {
+  [GET_FEE_RATES]: state => ({ ...state, feeRatesLoading: true }),
+  [RECEIVE_FEE_RATES]: (state, { feeRates }) => ({
+    ...state,
+    feeRatesLoading: false,
+    feeRatesAvailable: true,
+    feeRates
+  }),
+  [FEE_RATES_FAILED]: state => ({
+    ...state,
+    feeRatesLoading: false,
+    feeRatesAvailable: Boolean(state.feeRates)
+  }),
+  [FEE_RATES_UNAVAILABLE]: state => ({ ...state, feeRatesAvailable: false, feeRates: null }),
+
+  [SET_FEE_PRESET]: (state, { preset }) => ({ ...state, preset }),
+  [SET_CUSTOM_FEE_RATE]: (state, { customFeeRate }) => ({ ...state, customFeeRate })
+}
+
+// ------------------------------------
+// Selectors
+// ------------------------------------
+const feeRatesSelectors = {}
+const feeRatesSelector = state => state.feerates.feeRates
+const presetSelector = state => state.feerates.preset
+const customFeeRateSelector = state => state.feerates.customFeeRate
+
+feeRatesSelectors.customFeeRateIsValid = createSelector(
+  presetSelector,
+  customFeeRateSelector,
+  (preset, customFeeRate) => preset !== 'custom' || /^[1-9]\d*$/.test(customFeeRate)
+)
+
+// The fee rate in satoshis per byte that the selected fee will pay, if we know it.
+feeRatesSelectors.selectedFeeRate = createSelector(
+  feeRatesSelector,
+  presetSelector,
+  customFeeRateSelector,
+  feeRatesSelectors.customFeeRateIsValid,
+  (feeRates, preset, customFeeRate, customFeeRateIsValid) => {
+    if (preset === 'custom') {
+      return customFeeRateIsValid ? Number(customFeeRate) : null
+    }
+    return feeRates ? feeRates[preset] : null
+  }
+)
+
+// Estimated fee in satoshis for a transaction with a single payment output, such as an on-chain payment or a channel
+// funding transaction, if we know the selected fee rate.
+feeRatesSelectors.estimatedFee = createSelector(
+  feeRatesSelectors.selectedFeeRate,
+  feeRate => (feeRate ? estimateTransactionFee(1, feeRate) : null)
+)
+
+// How soon a transaction paying the selected fee should confirm: one of the presets, 'slower' if a custom fee rate is
+// below all of them, or null if we don't know.
+feeRatesSelectors.confirmationTime = createSelector(
+  feeRatesSelector,
+  presetSelector,
+  feeRatesSelectors.selectedFeeRate,
+  (feeRates, preset, feeRate) => {
+    if (preset !== 'custom') {
+      return preset
+    }
+    if (!feeRates || !feeRate) {
+      return null
+    }
+    return Object.keys(TARGET_CONFS).find(key => feeRate >= feeRates[key]) || 'slower'
+  }
+)
+
+// Fee parameters for lnd requests that create on-chain transactions. lnd takes either a confirmation target or a
+// fee rate, but not both.
+feeRatesSelectors.feeOptions = createSelector(
+  presetSelector,
+  feeRatesSelectors.selectedFeeRate,
+  (preset, feeRate) => {
+    if (preset === 'custom') {
+      return { sat_per_byte: feeRate }
+    }
+    return { target_conf: TARGET_CONFS[preset] }
+  }
+)
+
+export { feeRatesSelectors }
+
+// ------------------------------------
+// Reducer
+// ------------------------------------
+const initialState = {
+  feeRatesLoading: false,
+  feeRatesAvailable: true,
+  feeRates: null,
+  preset: 'normal',
+  customFeeRate: ''
+}
+
+export default function feeRatesReducer(state = initialState, action) {
+  const handler = ACTION_HANDLERS[action.type]
+
+  return handler ? handler(state, action) : state
+}
@@ -0,0 +1,129 @@
+import { createSelector } from 'reselect'
+import { lndRequest } from 'lib/utils/rpc'
+import { setError } from './error'
+
+// ------------------------------------
+// Constants
+// ------------------------------------
+export const GET_FEE_REPORT = 'GET_FEE_REPORT'
+export const RECEIVE_FEE_REPORT = 'RECEIVE_FEE_REPORT'
+
+export const UPDATING_CHANNEL_POLICY = 'UPDATING_CHANNEL_POLICY'
+export const CHANNEL_POLICY_UPDATED = 'CHANNEL_POLICY_UPDATED'
+export const CHANNEL_POLICY_FAILED = 'CHANNEL_POLICY_FAILED'
+
+// ------------------------------------
+// Actions
+// ------------------------------------
+export function getFeeReport() {
+  return {
+    type: GET_FEE_REPORT
+  }
+}
+
+export function receiveFeeReport({ channel_fees, day_fee_sum, week_fee_sum, month_fee_sum }) {
+  return {
+    type: RECEIVE_FEE_REPORT,
+    channelFees: channel_fees,
+    dayFeeSum: day_fee_sum,
+    weekFeeSum: week_fee_sum,
+    monthFeeSum: month_fee_sum
+  }
+}
+
+// Send IPC event for the fee report
+export const fetchFeeReport = () => async dispatch => {
+  dispatch(getFeeReport())
+  return lndRequest('feeReport')
+    .then(report => dispatch(receiveFeeReport(report)))
+    .catch(error => dispatch(setError(error.message)))
+}
+
+// Send IPC event to update the routing policy of a channel, or of all channels if no channel point is given.
+// Fee rates are entered in parts per million but lnd expects them as a rate, which it turns back into parts per million
+// by truncating. Add half a part per million so that floating point error can't leave the rate one part short.
+export const updateChannelPolicy = ({
+  channelPoint,
+  baseFeeMsat,
+  feePerMil,
+  timeLockDelta
+}) => dispatch => {
+  dispatch({ type: UPDATING_CHANNEL_POLICY, channelPoint })
+  return lndRequest('updateChannelPolicy', {
+    channel_point: channelPoint,
+    base_fee_msat: baseFeeMsat,
+    fee_rate: (feePerMil + 0.5) / 1000000,
+    time_lock_delta: timeLockDelta
+  })
+    .then(() => {
+      dispatch({ type: CHANNEL_POLICY_UPDATED })
+      return dispatch(fetchFeeReport())
+    })
+    .catch(error => {
+      dispatch({ type: CHANNEL_POLICY_FAILED })
+      dispatch(setError(error.message))
+    })
+}
+
+// ------------------------------------
+// Action Handlers
+// ------------------------------------
+const ACTION_HANDLERS = {
+  [GET_FEE_REPORT]: state => ({ ...state, feeReportLoading: true }),
+  [RECEIVE_FEE_REPORT]: (state, { channelFees, dayFeeSum, weekFeeSum, monthFeeSum }) => ({
+    ...state,
+    feeReportLoading: false,
+    channelFees,
+    dayFeeSum,
+    weekFeeSum,
+    monthFeeSum
+  }),
+
+  [UPDATING_CHANNEL_POLICY]: (state, { channelPoint }) => ({
+    ...state,
+    updatingPolicy: true,
+    updatingChannelPoint: channelPoint || null
+  }),
+  [CHANNEL_POLICY_UPDATED]: state => ({
+    ...state,
+    updatingPolicy: false,
+    updatingChannelPoint: null
+  }),
+  [CHANNEL_POLICY_FAILED]: state => ({
+    ...state,
+    updatingPolicy: false,
+    updatingChannelPoint: null
+  })
+}
+
+// ------------------------------------
+// Selectors
+// ------------------------------------
+const feesSelectors = {}
+const channelFeesSelector = state => state.fees.channelFees
+
+// Channel fee policies keyed by channel point.
+feesSelectors.channelPolicies = createSelector(channelFeesSelector, channelFees =>
+  channelFees.reduce((policies, policy) => ({ ...policies, [policy.channel_point]: policy }), {})
+)
+
+export { feesSelectors }
+
+// ------------------------------------
+// Reducer
+// ------------------------------------
+const initialState = {
+  feeReportLoading: false,
+  channelFees: [],
+  dayFeeSum: 0,
+  weekFeeSum: 0,
+  monthFeeSum: 0,
+  updatingPolicy: false,
+  updatingChannelPoint: null
+}
+
+export default function feesReducer(state = initialState, action) {
+  const handler = ACTION_HANDLERS[action.type]
+
+  return handler ? handler(state, action) : state
+}
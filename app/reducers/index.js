@@ -10,6 +10,8 @@ import balance from './balance'
 import payment from './payment'
 import peers from './peers'
 import channels from './channels'
+import fees from './fees'
+import routing from './routing'
 
 import contactsform from './contactsform'
 
@@ -20,10 +22,20 @@ import requestform from './requestform'
 import invoice from './invoice'
 import address from './address'
 import transaction from './transaction'
+import feerates from './feerates'
 import activity from './activity'
 import network from './network'
 import error from './error'
 import settings from './settings'
+import wallets from './wallets'
+import chainbackend from './chainbackend'
+import diagnostics from './diagnostics'
+import channelbackup from './channelbackup'
+import password from './password'
+import signverify from './signverify'
+import explorer from './explorer'
+import probe from './probe'
+import rebalance from './rebalance'
 
 const rootReducer = combineReducers({
   router,
@@ -37,6 +49,8 @@ const rootReducer = combineReducers({
   payment,
   peers,
   channels,
+  fees,
+  routing,
   contactsform,
 
   form,
@@ -46,10 +60,20 @@ const rootReducer = combineReducers({
   invoice,
   address,
   transaction,
+  feerates,
   activity,
   network,
   error,
-  settings
+  settings,
+  wallets,
+  chainbackend,
+  diagnostics,
+  channelbackup,
+  password,
+  signverify,
+  explorer,
+  probe,
+  rebalance
 })
 
 export default rootReducer
@@ -1,8 +1,9 @@
 import Store from 'electron-store'
 import bitcoin from 'bitcoinjs-lib'
 
-import { ipcRenderer } from 'electron'
+import { lndRequest } from 'lib/utils/rpc'
 import { walletAddress } from './address'
+import { setError } from './error'
 
 // ------------------------------------
 // Constants
@@ -38,12 +39,17 @@ export const setHasSynced = hasSynced => {
 // Send IPC event for getinfo
 export const fetchInfo = () => async dispatch => {
   dispatch(getInfo())
-  ipcRenderer.send('lnd', { msg: 'info' })
+  return lndRequest('info')
+    .then(data => dispatch(receiveInfo(null, data)))
+    .catch(error => dispatch(setError(error.message)))
 }
 
-// Receive IPC event for info
+// Receive info
 export const receiveInfo = (event, data) => (dispatch, getState) => {
-  dispatch({ type: RECEIVE_INFO, data })
+  // lnd only tells us whether it is running on testnet, so pass along the network that the wallet was configured
+  // with in order to detect private networks such as regtest and simnet.
+  const { network } = getState().onboarding
+  dispatch({ type: RECEIVE_INFO, data, network })
 
   // Now that we have the node info, get the current wallet address.
   dispatch(walletAddress('np2wkh'))
@@ -60,17 +66,63 @@ export const receiveInfo = (event, data) => (dispatch, getState) => {
 
 const networks = {
   testnet: {
+    id: 'testnet',
     name: 'Testnet',
     explorerUrl: 'https://testnet.smartbit.com.au',
     bitcoinJsNetwork: bitcoin.networks.testnet,
     unitPrefix: 't'
   },
   mainnet: {
+    id: 'mainnet',
     name: null, // no name since it is the presumed default
     explorerUrl: 'https://smartbit.com.au',
     bitcoinJsNetwork: bitcoin.networks.bitcoin,
     unitPrefix: ''
+  },
+  regtest: {
+    id: 'regtest',
+    name: 'Regtest',
+    explorerUrl: null, // private network, no public block explorer
+    bitcoinJsNetwork: {
+      ...bitcoin.networks.testnet,
+      bech32: 'bcrt'
+    },
+    unitPrefix: 'r'
+  },
+  simnet: {
+    id: 'simnet',
+    name: 'Simnet',
+    explorerUrl: null, // private network, no public block explorer
+    bitcoinJsNetwork: {
+      messagePrefix: '\x18Bitcoin Signed Message:\n',
+      bech32: 'sb',
+      bip32: {
+        public: 0x0420bd3a,
+        private: 0x04208711
+      },
+      pubKeyHash: 0x3f,
+      scriptHash: 0x7b,
+      wif: 0x64
+    },
+    unitPrefix: 's'
+  }
+}
+
+/**
+ * Get the network params for a node.
+ * @param  {Object} data getinfo response from lnd.
+ * @param  {String} configuredNetwork network that the wallet was configured with.
+ * @return {Object} network params.
+ */
+const getNetwork = (data, configuredNetwork) => {
+  if (data.testnet) {
+    return networks.testnet
+  }
+  // lnd reports private networks as not being testnet, so rely on the configured network for those.
+  if (configuredNetwork === 'regtest' || configuredNetwork === 'simnet') {
+    return networks[configuredNetwork]
   }
+  return networks.mainnet
 }
 
 // ------------------------------------
@@ -82,10 +134,10 @@ const ACTION_HANDLERS = {
     hasSynced
   }),
   [GET_INFO]: state => ({ ...state, infoLoading: true }),
-  [RECEIVE_INFO]: (state, { data }) => ({
+  [RECEIVE_INFO]: (state, { data, network }) => ({
     ...state,
     infoLoading: false,
-    network: data.testnet ? networks.testnet : networks.mainnet,
+    network: getNetwork(data, network),
     data
   }),
   [SET_WALLET_CURRENCY_FILTERS]: (state, { showWalletCurrencyFilters }) => ({
@@ -1,10 +1,10 @@
 import { createSelector } from 'reselect'
-import { ipcRenderer } from 'electron'
 import { push } from 'react-router-redux'
 import Store from 'electron-store'
 
 import { showNotification } from 'lib/utils/notifications'
 import { btc } from 'lib/utils'
+import { lndRequest } from 'lib/utils/rpc'
 
 import { showActivityModal } from './activity'
 import { fetchBalance } from './balance'
@@ -89,10 +89,12 @@ export function sendInvoice() {
 // Send IPC event for a specific invoice
 export const fetchInvoice = payreq => dispatch => {
   dispatch(getInvoice())
-  ipcRenderer.send('lnd', { msg: 'invoice', data: { payreq } })
+  return lndRequest('invoice', { payreq })
+    .then(invoice => dispatch(receiveFormInvoice(null, invoice)))
+    .catch(error => dispatch(setError(error.message)))
 }
 
-// Receive IPC event for form invoice
+// Receive form invoice
 export const receiveFormInvoice = (event, invoice) => dispatch => {
   dispatch(setPayInvoice(invoice))
   dispatch({ type: RECEIVE_FORM_INVOICE })
@@ -101,17 +103,19 @@ export const receiveFormInvoice = (event, invoice) => dispatch => {
 // Send IPC event for invoices
 export const fetchInvoices = () => dispatch => {
   dispatch(getInvoices())
-  ipcRenderer.send('lnd', { msg: 'invoices' })
+  return lndRequest('invoices')
+    .then(invoices => dispatch(receiveInvoices(null, invoices)))
+    .catch(error => dispatch(setError(error.message)))
 }
 
-// Receive IPC event for invoices
+// Receive invoices
 export const receiveInvoices = (event, { invoices }) => dispatch => {
   dispatch({ type: RECEIVE_INVOICES, invoices })
   invoices.forEach(decorateInvoice)
 }
 
-// Send IPC event for creating an invoice
-export const createInvoice = (amount, memo, currency) => dispatch => {
+// Send IPC event for creating an invoice, along with any advanced options for it
+export const createInvoice = (amount, memo, currency, options = {}) => dispatch => {
   // backend needs value in satoshis no matter what currency we are using
   const value = btc.convert(currency, 'sats', amount)
 
@@ -124,13 +128,12 @@ export const createInvoice = (amount, memo, currency) => dispatch => {
   const store = new Store({ name: 'settings' })
   const { type } = store.get('activeConnection', {})
 
-  ipcRenderer.send('lnd', {
-    msg: 'createInvoice',
-    data: { value, memo, private: type === 'local' }
-  })
+  return lndRequest('createInvoice', { value, memo, private: type === 'local', ...options })
+    .then(invoice => dispatch(createdInvoice(null, invoice)))
+    .catch(error => dispatch(invoiceFailed(null, { error: error.message })))
 }
 
-// Receive IPC event for newly created invoice
+// Receive newly created invoice
 export const createdInvoice = (event, invoice) => dispatch => {
   // Close the form modal once the payment was succesful
   dispatch(setFormType(null))
@@ -6,20 +6,15 @@ import {
   lndBlockHeight,
   lndCfilterHeight,
   lightningGrpcActive,
+  lightningConnectionStatus,
   walletUnlockerGrpcActive
 } from './lnd'
-import { receiveInfo } from './info'
-import { receiveAddress } from './address'
 import { receiveCryptocurrency } from './ticker'
-import { receivePeers, connectSuccess, disconnectSuccess, connectFailure } from './peers'
 import {
-  receiveChannels,
-  channelSuccessful,
   pushchannelupdated,
   pushchannelend,
   pushchannelerror,
   pushchannelstatus,
-  closeChannelSuccessful,
   pushclosechannelupdated,
   pushclosechannelend,
   pushclosechannelerror,
@@ -28,23 +23,8 @@ import {
   channelGraphStatus
 } from './channels'
 import { lightningPaymentUri } from './payform'
-import { receivePayments, paymentSuccessful, paymentFailed } from './payment'
-import {
-  receiveInvoices,
-  createdInvoice,
-  receiveFormInvoice,
-  invoiceUpdate,
-  invoiceFailed
-} from './invoice'
-import { receiveBalance } from './balance'
-import {
-  receiveTransactions,
-  transactionSuccessful,
-  transactionError,
-  newTransaction
-} from './transaction'
-
-import { receiveDescribeNetwork, receiveQueryRoutes, receiveInvoiceAndQueryRoutes } from './network'
+import { invoiceUpdate } from './invoice'
+import { newTransaction } from './transaction'
 
 import {
   startOnboarding,
@@ -56,6 +36,25 @@ import {
   walletConnected,
   unlockWalletError
 } from './onboarding'
+import { receiveWallets, walletsError } from './wallets'
+import { receiveChainBackend, chainBackendSaved, chainBackendError } from './chainbackend'
+import {
+  receiveDiagnostics,
+  lndCrashed,
+  lndRestarted,
+  lndRestartError,
+  crashHistoryExported,
+  diagnosticsError
+} from './diagnostics'
+import {
+  receiveChannelBackup,
+  channelBackupError,
+  channelBackupFileChosen,
+  channelBackupRestored,
+  channelBackupRestoreError
+} from './channelbackup'
+import { walletLocked, passwordChanged, changePasswordError } from './password'
+import { openSignVerify } from './signverify'
 
 // Import all receiving IPC event handlers and pass them into createIpc
 const ipc = createIpc({
@@ -65,34 +64,16 @@ const ipc = createIpc({
   lndBlockHeight,
   lndCfilterHeight,
   lightningGrpcActive,
+  lightningConnectionStatus,
 
-  receiveInfo,
-
-  receivePeers,
-
-  receiveChannels,
-
-  receivePayments,
-
-  receiveInvoices,
-  receiveInvoice: receiveFormInvoice,
-  createdInvoice,
-  invoiceFailed,
   invoiceUpdate,
 
-  receiveBalance,
-
   lightningPaymentUri,
 
-  paymentSuccessful,
-  paymentFailed,
-
-  channelSuccessful,
   pushchannelupdated,
   pushchannelend,
   pushchannelerror,
   pushchannelstatus,
-  closeChannelSuccessful,
   pushclosechannelupdated,
   pushclosechannelend,
   pushclosechannelerror,
@@ -100,22 +81,10 @@ const ipc = createIpc({
   channelGraphData,
   channelGraphStatus,
 
-  connectSuccess,
-  connectFailure,
-  disconnectSuccess,
-
-  receiveAddress,
   receiveCryptocurrency,
 
-  receiveTransactions,
-  transactionSuccessful,
-  transactionError,
   newTransaction,
 
-  receiveDescribeNetwork,
-  receiveQueryRoutes,
-  receiveInvoiceAndQueryRoutes,
-
   startOnboarding,
   startLndError,
   walletUnlockerGrpcActive,
@@ -124,7 +93,33 @@ const ipc = createIpc({
   walletCreated,
   walletUnlocked,
   walletConnected,
-  unlockWalletError
+  unlockWalletError,
+
+  receiveWallets,
+  walletsError,
+
+  receiveChainBackend,
+  chainBackendSaved,
+  chainBackendError,
+
+  receiveDiagnostics,
+  lndCrashed,
+  lndRestarted,
+  lndRestartError,
+  crashHistoryExported,
+  diagnosticsError,
+
+  receiveChannelBackup,
+  channelBackupError,
+  channelBackupFileChosen,
+  channelBackupRestored,
+  channelBackupRestoreError,
+
+  walletLocked,
+  passwordChanged,
+  changePasswordError,
+
+  openSignVerify
 })
 
 export default ipc
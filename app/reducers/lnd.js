@@ -4,6 +4,7 @@ import { showNotification } from 'lib/utils/notifications'
 import { fetchTicker } from './ticker'
 import { fetchBalance } from './balance'
 import { fetchInfo, setHasSynced } from './info'
+import { fetchChannels } from './channels'
 import { lndWalletStarted, lndWalletUnlockerStarted } from './onboarding'
 
 // ------------------------------------
@@ -20,6 +21,9 @@ export const RECEIVE_LND_CFILTER_HEIGHT = 'RECEIVE_LND_CFILTER_HEIGHT'
 
 export const SET_WALLET_UNLOCKER_ACTIVE = 'SET_WALLET_UNLOCKER_ACTIVE'
 export const SET_LIGHTNING_WALLET_ACTIVE = 'SET_LIGHTNING_WALLET_ACTIVE'
+export const SET_LIGHTNING_CONNECTION_STATUS = 'SET_LIGHTNING_CONNECTION_STATUS'
+
+export const RESET_LND = 'RESET_LND'
 
 // ------------------------------------
 // Actions
@@ -71,6 +75,22 @@ export const lightningGrpcActive = () => dispatch => {
   dispatch(lndWalletStarted())
 }
 
+// Receive IPC event for Lightning gRPC connection status changes (connected|reconnecting).
+export const lightningConnectionStatus = (event, { status, attempt = 0 }) => (
+  dispatch,
+  getState
+) => {
+  const { connectionStatus } = getState().lnd
+  dispatch({ type: SET_LIGHTNING_CONNECTION_STATUS, connectionStatus: status, attempt })
+
+  // Refresh our data once the connection has been restored as we will have missed any updates whilst offline.
+  if (status === 'connected' && connectionStatus === 'reconnecting') {
+    dispatch(fetchInfo())
+    dispatch(fetchBalance())
+    dispatch(fetchChannels())
+  }
+}
+
 // Connected to WalletUnlocker gRPC interface (lnd is ready to unlock or create wallet)
 export const walletUnlockerGrpcActive = () => dispatch => {
   dispatch({ type: SET_WALLET_UNLOCKER_ACTIVE })
@@ -79,6 +99,13 @@ export const walletUnlockerGrpcActive = () => dispatch => {
   dispatch(lndWalletUnlockerStarted())
 }
 
+// Forget about the previous lnd instance (used when switching wallets).
+export function resetLnd() {
+  return {
+    type: RESET_LND
+  }
+}
+
 // Receive IPC event for current height.
 export const currentBlockHeight = (event, height) => dispatch => {
   dispatch({ type: RECEIVE_CURRENT_BLOCK_HEIGHT, blockHeight: height })
@@ -119,7 +146,15 @@ const ACTION_HANDLERS = {
     ...state,
     lightningGrpcActive: true,
     walletUnlockerGrpcActive: false
-  })
+  }),
+
+  [SET_LIGHTNING_CONNECTION_STATUS]: (state, { connectionStatus, attempt }) => ({
+    ...state,
+    connectionStatus,
+    reconnectAttempt: attempt
+  }),
+
+  [RESET_LND]: () => initialState
 }
 
 // ------------------------------------
@@ -129,6 +164,8 @@ const initialState = {
   syncStatus: 'pending',
   walletUnlockerGrpcActive: false,
   lightningGrpcActive: false,
+  connectionStatus: 'connected',
+  reconnectAttempt: 0,
   blockHeight: 0,
   lndBlockHeight: 0,
   lndCfilterHeight: 0
@@ -159,6 +196,8 @@ lndSelectors.syncPercentage = createSelector(
   }
 )
 
+lndSelectors.isOffline = state => state.lnd.connectionStatus === 'reconnecting'
+
 export { lndSelectors }
 
 export default function lndReducer(state = initialState, action) {
@@ -1,6 +1,138 @@
 import { createSelector } from 'reselect'
-import { ipcRenderer } from 'electron'
 import { bech32 } from 'lib/utils'
+import { scoreNodes } from 'lib/utils/nodeScoring'
+import { lndRequest } from 'lib/utils/rpc'
+import { setError } from './error'
+
+// Number of candidate routes to find for a payment request.
+export const MAX_PAY_REQ_ROUTES = 5
+
+// Time in milliseconds to collect channel graph updates for before applying them. Gossip arrives in bursts, and the
+// graph can be large enough that applying each update on its own would keep the UI busy.
+export const GRAPH_UPDATE_DELAY = 1000
+
+// Number of nodes from the network graph to recommend opening channels with.
+export const MAX_RECOMMENDED_NODES = 20
+
+// Seconds after which node scores are worked out again even though no nodes or channels have come or gone, so that
+// the uptime of nodes is kept up to date. Scoring the whole graph is too slow to do for every batch of graph updates.
+export const NODE_SCORE_INTERVAL = 10 * 60
+
+// Funding transaction ids are sent as bytes in reverse order to the usual hex encoding.
+const chanPointToString = ({ funding_txid_bytes, funding_txid_str, output_index }) => {
+  const txid =
+    funding_txid_str ||
+    Buffer.from(funding_txid_bytes || [])
+      .reverse()
+      .toString('hex')
+  return `${txid}:${output_index}`
+}
+
+/**
+ * The nodes that each hop of a route goes from and to. Hops only identify the channel that they go over, so we follow
+ * the channels through the network graph from our own node. Hops after one whose channel isn't in the graph are null.
+ */
+export const routeHopNodes = (route, edges, identityPubkey) => {
+  let pubkey = identityPubkey
+  return route.hops.map(hop => {
+    const edge = edges.find(e => String(e.channel_id) === String(hop.chan_id))
+    if (!edge || !pubkey) {
+      pubkey = null
+      return null
+    }
+    const from = pubkey
+    pubkey = edge.node1_pub === from ? edge.node2_pub : edge.node1_pub
+    return { from, to: pubkey }
+  })
+}
+
+/**
+ * Apply a batch of updates from the channel graph subscription to the nodes and edges that we got from describeGraph,
+ * in the order that they arrived. Updates don't say when they were made, so anything that they touch is treated as
+ * having been updated when they were received.
+ */
+export const applyGraphUpdates = ({ nodes, edges }, updates, updatedAt) => {
+  const nodeIndex = new Map(nodes.map((node, index) => [node.pub_key, index]))
+  const edgeIndex = new Map(edges.map((edge, index) => [String(edge.channel_id), index]))
+  const updatedNodes = [...nodes]
+  const updatedEdges = [...edges]
+  const closedChanIds = new Set()
+
+  updates.forEach(({ node_updates = [], channel_updates = [], closed_chans = [] }) => {
+    node_updates.forEach(({ identity_key, alias, addresses }) => {
+      const index = nodeIndex.get(identity_key)
+      const node = index === undefined ? { pub_key: identity_key, color: '' } : updatedNodes[index]
+      const updatedNode = {
+        ...node,
+        alias,
+        addresses: addresses.map(addr => ({ network: 'tcp', addr })),
+        last_update: updatedAt
+      }
+      if (index === undefined) {
+        nodeIndex.set(identity_key, updatedNodes.length)
+        updatedNodes.push(updatedNode)
+      } else {
+        updatedNodes[index] = updatedNode
+      }
+    })
+
+    channel_updates.forEach(
+      ({ chan_id, chan_point, capacity, routing_policy, advertising_node, connecting_node }) => {
+        const chanId = String(chan_id)
+        const index = edgeIndex.get(chanId)
+        closedChanIds.delete(chanId)
+
+        // lnd orders the nodes of each channel by their pubkeys, so new channels have to as well.
+        const edge =
+          index === undefined
+            ? {
+                channel_id: chan_id,
+                chan_point: chanPointToString(chan_point),
+                capacity,
+                node1_pub: advertising_node < connecting_node ? advertising_node : connecting_node,
+                node2_pub: advertising_node < connecting_node ? connecting_node : advertising_node,
+                node1_policy: null,
+                node2_policy: null
+              }
+            : updatedEdges[index]
+        const policyKey = edge.node1_pub === advertising_node ? 'node1_policy' : 'node2_policy'
+        const updatedEdge = { ...edge, [policyKey]: routing_policy, last_update: updatedAt }
+
+        if (index === undefined) {
+          edgeIndex.set(chanId, updatedEdges.length)
+          updatedEdges.push(updatedEdge)
+        } else {
+          updatedEdges[index] = updatedEdge
+        }
+      }
+    )
+
+    closed_chans.forEach(({ chan_id }) => closedChanIds.add(String(chan_id)))
+  })
+
+  return {
+    nodes: updatedNodes,
+    edges: closedChanIds.size
+      ? updatedEdges.filter(edge => !closedChanIds.has(String(edge.channel_id)))
+      : updatedEdges
+  }
+}
+
+/**
+ * Check whether two versions of the network graph have the same nodes and channels, so that we can tell the updates
+ * that only changed fee policies or node details apart from those that changed the shape of the graph.
+ */
+export const hasSameNodesAndChannels = (previous, next) => {
+  if (previous.nodes.length !== next.nodes.length || previous.edges.length !== next.edges.length) {
+    return false
+  }
+  const pubkeys = new Set(previous.nodes.map(node => node.pub_key))
+  const chanIds = new Set(previous.edges.map(edge => String(edge.channel_id)))
+  return (
+    next.nodes.every(node => pubkeys.has(node.pub_key)) &&
+    next.edges.every(edge => chanIds.has(String(edge.channel_id)))
+  )
+}
 
 // ------------------------------------
 // Constants
@@ -32,6 +164,10 @@ export const GET_INFO_AND_QUERY_ROUTES = 'GET_INFO_AND_QUERY_ROUTES'
 export const RECEIVE_INFO_AND_QUERY_ROUTES = 'RECEIVE_INFO_AND_QUERY_ROUTES'
 export const CLEAR_QUERY_ROUTES = 'CLEAR_QUERY_ROUTES'
 
+export const QUEUE_GRAPH_UPDATE = 'QUEUE_GRAPH_UPDATE'
+export const UPDATE_NETWORK_GRAPH = 'UPDATE_NETWORK_GRAPH'
+export const RECEIVE_NODE_SCORES = 'RECEIVE_NODE_SCORES'
+
 // ------------------------------------
 // Actions
 // ------------------------------------
@@ -130,16 +266,54 @@ export function clearSelectedChannels() {
 // Send IPC event for describeNetwork
 export const fetchDescribeNetwork = () => dispatch => {
   dispatch(getDescribeNetwork())
-  ipcRenderer.send('lnd', { msg: 'describeNetwork' })
+  return lndRequest('describeNetwork')
+    .then(network => dispatch(receiveDescribeNetwork(null, network)))
+    .catch(error => dispatch(setError(error.message)))
 }
 
-// Receive IPC event for describeNetwork
-export const receiveDescribeNetwork = (event, { nodes, edges }) => dispatch =>
+// Receive describeNetwork
+export const receiveDescribeNetwork = (event, { nodes, edges }) => dispatch => {
   dispatch({ type: RECEIVE_DESCRIBE_NETWORK, nodes, edges })
+  dispatch(scoreNetworkNodes())
+}
+
+// Score the nodes of the network graph as of the given time, in seconds, so that we can recommend nodes to open
+// channels with.
+export const scoreNetworkNodes = (now = Math.floor(Date.now() / 1000)) => (dispatch, getState) => {
+  const { nodes, edges } = getState().network
+  dispatch({ type: RECEIVE_NODE_SCORES, nodeScores: scoreNodes(nodes, edges, now), scoredAt: now })
+}
+
+// Collect updates from the channel graph subscription and apply them together once the delay has passed since the
+// first of them, so that a steady stream of gossip still gets applied regularly.
+export const queueGraphUpdate = update => (dispatch, getState) => {
+  const { pendingGraphUpdates } = getState().network
+  dispatch({ type: QUEUE_GRAPH_UPDATE, update })
+  if (!pendingGraphUpdates.length) {
+    setTimeout(() => dispatch(flushGraphUpdates()), GRAPH_UPDATE_DELAY)
+  }
+}
+
+// Apply the queued graph updates. Most updates only change fee policies, so node scores are only worked out again when
+// nodes or channels have come or gone, or once they are out of date.
+export const flushGraphUpdates = () => (dispatch, getState) => {
+  const previous = getState().network
+  const updatedAt = Math.floor(Date.now() / 1000)
+  dispatch({ type: UPDATE_NETWORK_GRAPH, updates: previous.pendingGraphUpdates, updatedAt })
+  const { scoredAt } = getState().network
+  if (
+    !hasSameNodesAndChannels(previous, getState().network) ||
+    updatedAt - scoredAt >= NODE_SCORE_INTERVAL
+  ) {
+    dispatch(scoreNetworkNodes(updatedAt))
+  }
+}
 
 export const queryRoutes = (pubkey, amount) => dispatch => {
   dispatch(getQueryRoutes(pubkey))
-  ipcRenderer.send('lnd', { msg: 'queryRoutes', data: { pubkey, amount } })
+  return lndRequest('queryRoutes', { pubkey, amount })
+    .then(routes => dispatch(receiveQueryRoutes(null, routes)))
+    .catch(error => dispatch(setError(error.message)))
 }
 
 export const receiveQueryRoutes = (event, { routes }) => dispatch =>
@@ -148,7 +322,12 @@ export const receiveQueryRoutes = (event, { routes }) => dispatch =>
 // take a payreq and query routes for it
 export const fetchInvoiceAndQueryRoutes = payreq => dispatch => {
   dispatch(getInvoiceAndQueryRoutes())
-  ipcRenderer.send('lnd', { msg: 'getInvoiceAndQueryRoutes', data: { payreq } })
+  return lndRequest('getInvoiceAndQueryRoutes', { payreq, num_routes: MAX_PAY_REQ_ROUTES })
+    .then(routes => dispatch(receiveInvoiceAndQueryRoutes(null, routes)))
+    .catch(error => {
+      dispatch(clearQueryRoutes())
+      dispatch(setError(error.message))
+    })
 }
 
 export const receiveInvoiceAndQueryRoutes = (event, { routes }) => dispatch =>
@@ -165,6 +344,16 @@ const ACTION_HANDLERS = {
     nodes,
     edges
   }),
+  [QUEUE_GRAPH_UPDATE]: (state, { update }) => ({
+    ...state,
+    pendingGraphUpdates: [...state.pendingGraphUpdates, update]
+  }),
+  [UPDATE_NETWORK_GRAPH]: (state, { updates, updatedAt }) => ({
+    ...state,
+    ...applyGraphUpdates(state, updates, updatedAt),
+    pendingGraphUpdates: []
+  }),
+  [RECEIVE_NODE_SCORES]: (state, { nodeScores, scoredAt }) => ({ ...state, nodeScores, scoredAt }),
 
   [GET_QUERY_ROUTES]: (state, { pubkey }) => ({
     ...state,
@@ -194,7 +383,12 @@ const ACTION_HANDLERS = {
     fetchingInvoiceAndQueryingRoutes: false,
     payReqRoutes: routes
   }),
-  [CLEAR_QUERY_ROUTES]: state => ({ ...state, payReqRoutes: [], currentRoute: {} }),
+  [CLEAR_QUERY_ROUTES]: state => ({
+    ...state,
+    fetchingInvoiceAndQueryingRoutes: false,
+    payReqRoutes: [],
+    currentRoute: {}
+  }),
 
   [UPDATE_SELECTED_PEERS]: (state, { peer }) => {
     let selectedPeers
@@ -245,6 +439,11 @@ const selectedPeersSelector = state => state.network.selectedPeers
 const selectedChannelsSelector = state => state.network.selectedChannels
 const payReqSelector = state => state.network.pay_req
 const currentRouteSelector = state => state.network.currentRoute
+const payReqRoutesSelector = state => state.network.payReqRoutes
+const nodesSelector = state => state.network.nodes
+const edgesSelector = state => state.network.edges
+const identityPubkeySelector = state => state.info.data.identity_pubkey
+const channelsSelector = state => state.channels.channels
 
 // networkSelectors.currentRouteHopChanIds = createSelector(
 //   currentRouteSelector,
@@ -284,6 +483,66 @@ networkSelectors.currentRouteChanIds = createSelector(currentRouteSelector, rout
   return route.hops.map(hop => hop.chan_id)
 })
 
+// The routes for the current payment request, starting with the one that the user picked. The rest are kept in order to
+// fall back to if the picked route fails.
+networkSelectors.payReqRoutesFromCurrent = createSelector(
+  payReqRoutesSelector,
+  currentRouteSelector,
+  (routes, currentRoute) => {
+    if (!routes.includes(currentRoute)) {
+      return routes
+    }
+    return [currentRoute, ...routes.filter(route => route !== currentRoute)]
+  }
+)
+
+// Names of the nodes that each of the payment request routes pass through, or the channel id for hops that we can't
+// follow through the network graph.
+networkSelectors.payReqRouteNodes = createSelector(
+  payReqRoutesSelector,
+  nodesSelector,
+  edgesSelector,
+  identityPubkeySelector,
+  (routes, nodes, edges, identityPubkey) => {
+    const nodeName = pubkey => {
+      const node = nodes.find(n => n.pub_key === pubkey)
+      return node && node.alias.length ? node.alias : pubkey.substring(0, 10)
+    }
+
+    return routes.map(route =>
+      routeHopNodes(route, edges, identityPubkey).map((hopNodes, index) => {
+        return hopNodes ? nodeName(hopNodes.to) : String(route.hops[index].chan_id)
+      })
+    )
+  }
+)
+
+// Scores for the nodes in the network graph, best first.
+networkSelectors.nodeScores = state => state.network.nodeScores
+
+// The best scoring nodes that we could open a channel with. Our own node, nodes that we already have a channel with
+// and nodes that don't advertise an address to connect to are left out.
+networkSelectors.recommendedNodes = createSelector(
+  nodesSelector,
+  networkSelectors.nodeScores,
+  identityPubkeySelector,
+  channelsSelector,
+  (nodes, scores, identityPubkey, channels) => {
+    const nodesByPubkey = new Map(nodes.map(node => [node.pub_key, node]))
+    const peers = new Set(channels.map(channel => channel.remote_pubkey))
+    return scores
+      .map(({ pubkey }) => nodesByPubkey.get(pubkey))
+      .filter(
+        node =>
+          node &&
+          node.pub_key !== identityPubkey &&
+          !peers.has(node.pub_key) &&
+          node.addresses.length > 0
+      )
+      .slice(0, MAX_RECOMMENDED_NODES)
+  }
+)
+
 export { networkSelectors }
 
 // ------------------------------------
@@ -293,6 +552,9 @@ const initialState = {
   networkLoading: false,
   nodes: [],
   edges: [],
+  nodeScores: [],
+  scoredAt: 0,
+  pendingGraphUpdates: [],
   selectedChannel: {},
 
   currentTab: 1,
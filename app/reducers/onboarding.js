@@ -2,6 +2,7 @@ import { createSelector } from 'reselect'
 import { ipcRenderer } from 'electron'
 import get from 'lodash.get'
 import { fetchInfo } from './info'
+import { restoreChannelBackup } from './channelbackup'
 
 // ------------------------------------
 // Constants
@@ -12,6 +13,8 @@ export const SET_CONNECTION_HOST = 'SET_CONNECTION_HOST'
 export const SET_CONNECTION_CERT = 'SET_CONNECTION_CERT'
 export const SET_CONNECTION_MACAROON = 'SET_CONNECTION_MACAROON'
 
+export const SET_NETWORK = 'SET_NETWORK'
+
 export const UPDATE_ALIAS = 'UPDATE_ALIAS'
 export const UPDATE_PASSWORD = 'UPDATE_PASSWORD'
 export const UPDATE_CREATE_WALLET_PASSWORD = 'UPDATE_CREATE_WALLET_PASSWORD'
@@ -111,6 +114,13 @@ export function setConnectionMacaroon(connectionMacaroon) {
   }
 }
 
+export function setNetwork(network) {
+  return {
+    type: SET_NETWORK,
+    network
+  }
+}
+
 export function updateAlias(alias) {
   return {
     type: UPDATE_ALIAS,
@@ -260,6 +270,9 @@ export const recoverOldWallet = (
   cipher_seed_mnemonic,
   aezeed_passphrase
 ) => dispatch => {
+  // Let the main process know which channel backup (if any) to restore once the wallet has been recovered.
+  dispatch(restoreChannelBackup())
+
   // once the user submits the data needed to start LND we will alert the app that it should start LND
   ipcRenderer.send('walletUnlocker', {
     msg: 'initWallet',
@@ -272,6 +285,10 @@ export const recoverOldWallet = (
 export const startOnboarding = (event, lndConfig = {}) => dispatch => {
   dispatch(setConnectionType(lndConfig.type))
 
+  if (lndConfig.network) {
+    dispatch(setNetwork(lndConfig.network))
+  }
+
   switch (lndConfig.type) {
     case 'local':
       dispatch(updateAlias(lndConfig.alias))
@@ -366,6 +383,7 @@ const ACTION_HANDLERS = {
   [SET_CONNECTION_HOST]: (state, { connectionHost }) => ({ ...state, connectionHost }),
   [SET_CONNECTION_CERT]: (state, { connectionCert }) => ({ ...state, connectionCert }),
   [SET_CONNECTION_MACAROON]: (state, { connectionMacaroon }) => ({ ...state, connectionMacaroon }),
+  [SET_NETWORK]: (state, { network }) => ({ ...state, network }),
   [UPDATE_ALIAS]: (state, { alias }) => ({ ...state, alias }),
   [UPDATE_PASSWORD]: (state, { password }) => ({ ...state, password }),
   [UPDATE_CREATE_WALLET_PASSWORD]: (state, { createWalletPassword }) => ({
@@ -522,6 +540,7 @@ const initialState = {
   connectionHost: '',
   connectionCert: '',
   connectionMacaroon: '',
+  network: 'testnet',
   alias: '',
   autopilot: true,
   password: '',
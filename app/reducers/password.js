@@ -0,0 +1,123 @@
+import { createSelector } from 'reselect'
+import { ipcRenderer } from 'electron'
+import {
+  updatePassword,
+  updateCreateWalletPassword,
+  updateCreateWalletPasswordConfirmation,
+  onboardingSelectors
+} from './onboarding'
+import { resetLnd } from './lnd'
+
+// The change password form shares its fields with the onboarding password forms, so that the same validation applies:
+// the current password goes in `password` and the new one in `createWalletPassword` and its confirmation.
+
+// ------------------------------------
+// Constants
+// ------------------------------------
+export const CHANGE_PASSWORD = 'CHANGE_PASSWORD'
+export const WALLET_LOCKED = 'WALLET_LOCKED'
+export const PASSWORD_CHANGED = 'PASSWORD_CHANGED'
+export const CHANGE_PASSWORD_FAILED = 'CHANGE_PASSWORD_FAILED'
+
+// ------------------------------------
+// Actions
+// ------------------------------------
+
+// Send IPC event to change the password of the locked wallet
+const sendChangePassword = ({ onboarding }) =>
+  ipcRenderer.send('walletUnlocker', {
+    msg: 'changePassword',
+    data: { current_password: onboarding.password, new_password: onboarding.createWalletPassword }
+  })
+
+// lnd only allows the password to be changed whilst the wallet is locked, so ask for lnd to be restarted first. The
+// Lightning connection goes away with it, so forget about it until the wallet has been unlocked again. If an earlier
+// attempt failed then the wallet is still locked and we can try again straight away.
+export const changePassword = () => (dispatch, getState) => {
+  dispatch({ type: CHANGE_PASSWORD })
+  if (getState().password.walletLocked) {
+    sendChangePassword(getState())
+    return
+  }
+  dispatch(resetLnd())
+  ipcRenderer.send('lockWallet')
+}
+
+// Receive IPC event for lnd having been restarted with the wallet locked
+export const walletLocked = () => (dispatch, getState) => {
+  dispatch({ type: WALLET_LOCKED })
+  sendChangePassword(getState())
+}
+
+// Receive IPC event for the password having been changed. lnd unlocks the wallet with the new password, so reconnect.
+export const passwordChanged = () => dispatch => {
+  dispatch({ type: PASSWORD_CHANGED })
+  dispatch(updatePassword(''))
+  dispatch(updateCreateWalletPassword(''))
+  dispatch(updateCreateWalletPasswordConfirmation(''))
+  ipcRenderer.send('startLightningWallet')
+}
+
+// Receive IPC event for errors changing the password. The wallet stays locked, so the form stays up for another try.
+export const changePasswordError = (event, { message }) => dispatch =>
+  dispatch({ type: CHANGE_PASSWORD_FAILED, error: message })
+
+// ------------------------------------
+// Action Handlers
+// ------------------------------------
+const ACTION_HANDLERS = {
+  [CHANGE_PASSWORD]: state => ({
+    ...state,
+    changingPassword: true,
+    passwordChanged: false,
+    error: null
+  }),
+  [WALLET_LOCKED]: state => ({ ...state, walletLocked: true }),
+  [PASSWORD_CHANGED]: state => ({
+    ...state,
+    changingPassword: false,
+    walletLocked: false,
+    passwordChanged: true
+  }),
+  [CHANGE_PASSWORD_FAILED]: (state, { error }) => ({ ...state, changingPassword: false, error })
+}
+
+// ------------------------------------
+// Selectors
+// ------------------------------------
+const passwordSelectors = {}
+const connectionTypeSelector = state => state.onboarding.connectionType
+const newPasswordSelector = state => state.onboarding.createWalletPassword
+const newPasswordConfirmationSelector = state => state.onboarding.createWalletPasswordConfirmation
+
+// Changing the password means restarting lnd, which we can only do for wallets that we run ourselves.
+passwordSelectors.canChangePassword = createSelector(
+  connectionTypeSelector,
+  connectionType => connectionType === 'local'
+)
+
+passwordSelectors.changePasswordFormIsValid = createSelector(
+  onboardingSelectors.passwordIsValid,
+  newPasswordSelector,
+  newPasswordConfirmationSelector,
+  (passwordIsValid, newPassword, newPasswordConfirmation) =>
+    passwordIsValid && newPassword.length >= 8 && newPassword === newPasswordConfirmation
+)
+
+export { passwordSelectors }
+
+// ------------------------------------
+// Reducer
+// ------------------------------------
+const initialState = {
+  changingPassword: false,
+  walletLocked: false,
+  passwordChanged: false,
+  error: null
+}
+
+export default function passwordReducer(state = initialState, action) {
+  const handler = ACTION_HANDLERS[action.type]
+
+  return handler ? handler(state, action) : state
+}
@@ -4,6 +4,8 @@ import { btc, bech32 } from 'lib/utils'
 import { setFormType } from './form'
 import { tickerSelectors } from './ticker'
 import { infoSelectors } from './info'
+import { feeRatesSelectors, estimateTransactionFee } from './feerates'
+import { networkSelectors } from './network'
 
 // Initial State
 const initialState = {
@@ -20,9 +22,18 @@ const initialState = {
 
   showCurrencyFilters: false,
 
+  batchMode: false,
+  batchInput: '',
+
+  // The most that a lightning payment may pay in routing fees, either as a fixed number of satoshis or as a percentage
+  // of the amount.
+  feeLimitType: 'none',
+  feeLimitValue: '',
+
   showErrors: {
     amount: false,
-    payInput: false
+    payInput: false,
+    batchInput: false
   }
 }
 
@@ -34,6 +45,12 @@ export const SET_PAY_INVOICE = 'SET_PAY_INVOICE'
 
 export const SET_PAY_CURRENCY_FILTERS = 'SET_PAY_CURRENCY_FILTERS'
 
+export const SET_PAY_BATCH_MODE = 'SET_PAY_BATCH_MODE'
+export const SET_PAY_BATCH_INPUT = 'SET_PAY_BATCH_INPUT'
+
+export const SET_PAY_FEE_LIMIT_TYPE = 'SET_PAY_FEE_LIMIT_TYPE'
+export const SET_PAY_FEE_LIMIT_VALUE = 'SET_PAY_FEE_LIMIT_VALUE'
+
 export const UPDATE_PAY_ERRORS = 'UPDATE_PAY_ERRORS'
 
 export const RESET_FORM = 'RESET_FORM'
@@ -69,6 +86,20 @@ export function setCurrencyFilters(showCurrencyFilters) {
   }
 }
 
+export function setPayBatchMode(batchMode) {
+  return {
+    type: SET_PAY_BATCH_MODE,
+    batchMode
+  }
+}
+
+export function setPayBatchInput(batchInput) {
+  return {
+    type: SET_PAY_BATCH_INPUT,
+    batchInput
+  }
+}
+
 export function updatePayErrors(errorsObject) {
   return {
     type: UPDATE_PAY_ERRORS,
@@ -76,6 +107,20 @@ export function updatePayErrors(errorsObject) {
   }
 }
 
+export function setPayFeeLimitType(feeLimitType) {
+  return {
+    type: SET_PAY_FEE_LIMIT_TYPE,
+    feeLimitType
+  }
+}
+
+export function setPayFeeLimitValue(feeLimitValue) {
+  return {
+    type: SET_PAY_FEE_LIMIT_VALUE,
+    feeLimitValue
+  }
+}
+
 export const lightningPaymentUri = (event, { payreq }) => dispatch => {
   // Open pay form
   dispatch(setFormType('PAY_FORM'))
@@ -113,6 +158,20 @@ const ACTION_HANDLERS = {
     showCurrencyFilters
   }),
 
+  [SET_PAY_BATCH_MODE]: (state, { batchMode }) => ({
+    ...state,
+    batchMode,
+    showErrors: Object.assign(state.showErrors, { batchInput: false })
+  }),
+  [SET_PAY_BATCH_INPUT]: (state, { batchInput }) => ({
+    ...state,
+    batchInput,
+    showErrors: Object.assign(state.showErrors, { batchInput: false })
+  }),
+
+  [SET_PAY_FEE_LIMIT_TYPE]: (state, { feeLimitType }) => ({ ...state, feeLimitType }),
+  [SET_PAY_FEE_LIMIT_VALUE]: (state, { feeLimitValue }) => ({ ...state, feeLimitValue }),
+
   [UPDATE_PAY_ERRORS]: (state, { errorsObject }) => ({
     ...state,
     showErrors: Object.assign(state.showErrors, errorsObject)
@@ -128,6 +187,9 @@ const payFormSelectors = {}
 const payAmountSelector = state => state.payform.amount
 const payInputSelector = state => state.payform.payInput
 const payInvoiceSelector = state => state.payform.invoice
+const batchInputSelector = state => state.payform.batchInput
+const feeLimitTypeSelector = state => state.payform.feeLimitType
+const feeLimitValueSelector = state => state.payform.feeLimitValue
 
 // transaction
 const sendingTransactionSelector = state => state.transaction.sendingTransaction
@@ -139,39 +201,76 @@ const sendingPaymentSelector = state => state.payment.sendingPayment
 const currencySelector = state => state.ticker.currency
 const fiatTickerSelector = state => state.ticker.fiatTicker
 
+// network
+const currentRouteSelector = state => state.network.currentRoute
+
+// Whether the fees of a route are within a fee limit. Percentage limits are of the amount that the route delivers, as
+// they are for lnd.
+export const withinFeeLimit = (route, feeLimit) => {
+  if (!feeLimit) {
+    return true
+  }
+  const fees = Number(route.total_fees)
+  if (feeLimit.fixed !== undefined) {
+    return fees <= feeLimit.fixed
+  }
+  return fees <= ((Number(route.total_amt) - fees) * feeLimit.percent) / 100
+}
+
+const isOnchainAddress = (input, network) => {
+  try {
+    bitcoin.address.toOutputScript(input, network.bitcoinJsNetwork)
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
 payFormSelectors.isOnchain = createSelector(
+  payInputSelector,
+  infoSelectors.networkSelector,
+  isOnchainAddress
+)
+
+payFormSelectors.isLn = createSelector(
   payInputSelector,
   infoSelectors.networkSelector,
   (input, network) => {
+    if (!input.startsWith('ln')) {
+      return false
+    }
+
     try {
-      bitcoin.address.toOutputScript(input, network.bitcoinJsNetwork)
-      return true
+      const { prefix } = bech32.decode(input)
+      // The invoice prefix is `ln` + the bech32 prefix of the chain (bc, tb, bcrt, sb) + an optional amount.
+      const match = prefix.match(/^ln([a-z]+?)(\d+[munp]?)?$/)
+      if (!match) {
+        return false
+      }
+      // Ensure that the invoice is for the network that we are connected to.
+      const { bitcoinJsNetwork } = network
+      return !bitcoinJsNetwork || match[1] === bitcoinJsNetwork.bech32
     } catch (e) {
       return false
     }
   }
 )
 
-payFormSelectors.isLn = createSelector(payInputSelector, input => {
-  if (!input.startsWith('ln')) {
-    return false
-  }
-
-  try {
-    bech32.decode(input)
-    return true
-  } catch (e) {
-    return false
-  }
-})
+// Invoices that don't ask for an amount leave it up to us to choose how much to pay.
+payFormSelectors.isZeroAmountInvoice = createSelector(
+  payFormSelectors.isLn,
+  payInvoiceSelector,
+  (isLn, invoice) => isLn && Boolean(invoice.payment_hash) && !Number(invoice.num_satoshis)
+)
 
 payFormSelectors.currentAmount = createSelector(
   payFormSelectors.isLn,
+  payFormSelectors.isZeroAmountInvoice,
   payAmountSelector,
   payInvoiceSelector,
   currencySelector,
-  (isLn, amount, invoice, currency) => {
-    if (isLn) {
+  (isLn, isZeroAmountInvoice, amount, invoice, currency) => {
+    if (isLn && !isZeroAmountInvoice) {
       switch (currency) {
         case 'btc':
           return btc.satoshisToBtc(invoice.num_satoshis || 0)
@@ -190,17 +289,18 @@ payFormSelectors.currentAmount = createSelector(
 
 payFormSelectors.fiatAmount = createSelector(
   payFormSelectors.isLn,
+  payFormSelectors.isZeroAmountInvoice,
   payAmountSelector,
   payInvoiceSelector,
   currencySelector,
   tickerSelectors.currentTicker,
   fiatTickerSelector,
-  (isLn, amount, invoice, currency, currentTicker, fiatTicker) => {
+  (isLn, isZeroAmountInvoice, amount, invoice, currency, currentTicker, fiatTicker) => {
     if (!currentTicker || !currentTicker[fiatTicker].last) {
       return false
     }
 
-    if (isLn) {
+    if (isLn && !isZeroAmountInvoice) {
       return btc.satoshisToFiat(invoice.num_satoshis || 0, currentTicker[fiatTicker].last)
     }
 
@@ -249,14 +349,54 @@ payFormSelectors.showPayLoadingScreen = createSelector(
   (sendingTransaction, sendingPayment) => sendingTransaction || sendingPayment
 )
 
+payFormSelectors.feeLimitIsValid = createSelector(
+  feeLimitTypeSelector,
+  feeLimitValueSelector,
+  (feeLimitType, feeLimitValue) => {
+    switch (feeLimitType) {
+      case 'fixed':
+        return /^\d+$/.test(feeLimitValue)
+      case 'percent':
+        return /^\d+$/.test(feeLimitValue) && Number(feeLimitValue) <= 100
+      default:
+        return true
+    }
+  }
+)
+
+// The fee limit to send to lnd with a lightning payment, or undefined if the payment may pay any fee.
+payFormSelectors.feeLimit = createSelector(
+  feeLimitTypeSelector,
+  feeLimitValueSelector,
+  payFormSelectors.feeLimitIsValid,
+  (feeLimitType, feeLimitValue, feeLimitIsValid) => {
+    if (feeLimitType === 'none' || !feeLimitIsValid) {
+      return undefined
+    }
+    return { [feeLimitType]: Number(feeLimitValue) }
+  }
+)
+
+// The routes to pay the invoice over when the user has picked one, starting with their pick. Routes that cost more than
+// the fee limit are left out, as lnd doesn't apply the fee limit to routes that we give it.
+payFormSelectors.payReqRoutes = createSelector(
+  networkSelectors.payReqRoutesFromCurrent,
+  payFormSelectors.feeLimit,
+  (routes, feeLimit) => routes.filter(route => withinFeeLimit(route, feeLimit))
+)
+
 payFormSelectors.payFormIsValid = createSelector(
   payFormSelectors.isOnchain,
   payFormSelectors.isLn,
+  payFormSelectors.isZeroAmountInvoice,
   payAmountSelector,
-  (isOnchain, isLn, amount) => {
+  payFormSelectors.feeLimitIsValid,
+  payFormSelectors.feeLimit,
+  currentRouteSelector,
+  (isOnchain, isLn, isZeroAmountInvoice, amount, feeLimitIsValid, feeLimit, currentRoute) => {
     const errors = {}
 
-    if (!isLn && amount <= 0) {
+    if ((!isLn || isZeroAmountInvoice) && amount <= 0) {
       errors.amount = 'Amount must be more than 0'
     }
 
@@ -264,6 +404,12 @@ payFormSelectors.payFormIsValid = createSelector(
       errors.payInput = 'Must be a valid BTC address or Lightning Network request'
     }
 
+    if (isLn && !feeLimitIsValid) {
+      errors.feeLimit = 'Fee limit must be a whole number of satoshis or a percentage up to 100'
+    } else if (isLn && currentRoute.hops && !withinFeeLimit(currentRoute, feeLimit)) {
+      errors.feeLimit = 'The chosen route costs more than the fee limit'
+    }
+
     return {
       errors,
       amountIsValid: !errors.amount,
@@ -273,6 +419,72 @@ payFormSelectors.payFormIsValid = createSelector(
   }
 )
 
+// Batch payments are entered as lines of `address,amount`, with amounts in the currently selected currency. A header
+// line is allowed so that spreadsheet exports can be imported as they are.
+payFormSelectors.batchOutputs = createSelector(
+  batchInputSelector,
+  infoSelectors.networkSelector,
+  currencySelector,
+  (batchInput, network, currency) => {
+    const outputs = batchInput
+      .split(/\r?\n/)
+      .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+      .filter(({ text, line }) => text && !(line === 1 && /^address\s*,\s*amount$/i.test(text)))
+      .map(({ text, line }) => {
+        const [addr = '', value = ''] = text.split(',').map(part => part.trim())
+        const amount = Number(value)
+        const sats =
+          value && Number.isFinite(amount) ? Math.round(btc.convert(currency, 'sats', amount)) : 0
+        return { line, addr, value, sats }
+      })
+
+    return outputs.map(output => {
+      let error = null
+      if (!isOnchainAddress(output.addr, network)) {
+        error = 'Must be a valid BTC address'
+      } else if (outputs.find(other => other.addr === output.addr && other.line !== output.line)) {
+        error = 'Address is listed more than once'
+      } else if (!(output.sats > 0)) {
+        error = 'Amount must be more than 0'
+      }
+      return { ...output, error }
+    })
+  }
+)
+
+payFormSelectors.batchTotal = createSelector(payFormSelectors.batchOutputs, outputs =>
+  outputs.reduce((total, output) => total + (output.error ? 0 : output.sats), 0)
+)
+
+// Estimated fee in satoshis for sending the whole batch in one transaction, if we know the selected fee rate.
+payFormSelectors.batchFee = createSelector(
+  payFormSelectors.batchOutputs,
+  feeRatesSelectors.selectedFeeRate,
+  (outputs, feeRate) => {
+    if (!outputs.length || !feeRate) {
+      return null
+    }
+    return estimateTransactionFee(outputs.length, feeRate)
+  }
+)
+
+payFormSelectors.batchFormIsValid = createSelector(payFormSelectors.batchOutputs, outputs => {
+  const errors = {}
+  const invalidOutput = outputs.find(output => output.error)
+
+  if (!outputs.length) {
+    errors.batchInput = 'Must include at least one address and amount'
+  } else if (invalidOutput) {
+    errors.batchInput = `Line ${invalidOutput.line}: ${invalidOutput.error}`
+  }
+
+  return {
+    errors,
+    batchInputIsValid: !errors.batchInput,
+    isValid: Object.keys(errors).length === 0
+  }
+})
+
 export { payFormSelectors }
 
 // ------------------------------------
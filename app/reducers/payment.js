@@ -1,10 +1,58 @@
 import { createSelector } from 'reselect'
-import { ipcRenderer } from 'electron'
+import { lndRequest } from 'lib/utils/rpc'
 import { fetchBalance } from './balance'
 import { setFormType } from './form'
-import { resetPayForm } from './payform'
+import { resetPayForm, withinFeeLimit } from './payform'
 import { setError } from './error'
 
+// How many times to try a lightning payment when no route could be found for it. Sending the same payment again would
+// only have lnd try the same routes, so later attempts ask lnd for more routes within the fee limit and pay over those
+// that haven't been tried yet.
+export const MAX_PAYMENT_ATTEMPTS = 3
+
+// Number of routes to ask lnd for on the second attempt at a payment, and how many more to ask for on each one after.
+export const RETRY_ROUTES = 10
+
+/**
+ * Work out why a lightning payment failed from the payment error that lnd gave us and the state of our channels.
+ * @param  {string} error Payment error returned by lnd.
+ * @param  {Object} state Redux state at the time of the failure.
+ * @return {string} One of 'invoice_expired', 'insufficient_balance', 'fee_limit_exceeded', 'no_route' or 'unknown'.
+ */
+export const diagnosePaymentFailure = (error, { payform, payment, channels }) => {
+  const { invoice } = payform
+  // Payments of invoices that don't ask for an amount carry their own amount.
+  const amount = Number(payment.amount || invoice.num_satoshis || 0)
+  const expiresAt = invoice.timestamp
+    ? Number(invoice.timestamp) + Number(invoice.expiry || 3600)
+    : null
+  // A payment can only go out over a single channel, so it is limited by the largest local balance that we have.
+  const maxSendable = channels.channels
+    .filter(channel => channel.active)
+    .reduce((max, channel) => Math.max(max, Number(channel.local_balance)), 0)
+
+  // Go by what lnd told us where we can, and only fall back to our own checks when we don't recognise its error.
+  if (/expired/i.test(error)) {
+    return 'invoice_expired'
+  }
+  if (/insufficient (local )?(balance|capacity)/i.test(error)) {
+    return 'insufficient_balance'
+  }
+  if (/fee limit/i.test(error)) {
+    return 'fee_limit_exceeded'
+  }
+  if (/path|route|TemporaryChannelFailure|UnknownNextPeer/i.test(error)) {
+    return 'no_route'
+  }
+  if (expiresAt && expiresAt < Date.now() / 1000) {
+    return 'invoice_expired'
+  }
+  if (amount > maxSendable) {
+    return 'insufficient_balance'
+  }
+  return 'unknown'
+}
+
 // ------------------------------------
 // Constants
 // ------------------------------------
@@ -14,6 +62,7 @@ export const GET_PAYMENTS = 'GET_PAYMENTS'
 export const RECEIVE_PAYMENTS = 'RECEIVE_PAYMENTS'
 
 export const SEND_PAYMENT = 'SEND_PAYMENT'
+export const RETRY_PAYMENT = 'RETRY_PAYMENT'
 
 export const TICK_TIMEOUT = 'TICK_TIMEOUT'
 export const SET_INTERVAL = 'SET_INTERVAL'
@@ -21,6 +70,7 @@ export const RESET_TIMEOUT = 'RESET_TIMEOUT'
 
 export const PAYMENT_SUCCESSFULL = 'PAYMENT_SUCCESSFULL'
 export const PAYMENT_FAILED = 'PAYMENT_FAILED'
+export const DISMISS_PAYMENT_FAILURE = 'DISMISS_PAYMENT_FAILURE'
 
 export const SHOW_SUCCESS_SCREEN = 'SHOW_SUCCESS_SCREEN'
 export const HIDE_SUCCESS_SCREEN = 'HIDE_SUCCESS_SCREEN'
@@ -41,9 +91,23 @@ export function getPayments() {
   }
 }
 
-export function sendPayment() {
+export function sendPayment(feeLimit, amount) {
   return {
-    type: SEND_PAYMENT
+    type: SEND_PAYMENT,
+    feeLimit,
+    amount
+  }
+}
+
+export function retryPayment() {
+  return {
+    type: RETRY_PAYMENT
+  }
+}
+
+export function dismissPaymentFailure() {
+  return {
+    type: DISMISS_PAYMENT_FAILURE
   }
 }
 
@@ -88,14 +152,16 @@ export function hideSuccessScreen() {
 // Send IPC event for payments
 export const fetchPayments = () => dispatch => {
   dispatch(getPayments())
-  ipcRenderer.send('lnd', { msg: 'payments' })
+  return lndRequest('payments')
+    .then(payments => dispatch(receivePayments(null, payments)))
+    .catch(error => dispatch(setError(error.message)))
 }
 
-// Receive IPC event for payments
+// Receive payments
 export const receivePayments = (event, { payments }) => dispatch =>
   dispatch({ type: RECEIVE_PAYMENTS, payments })
 
-// Receive IPC event for successful payment
+// Receive successful payment
 // TODO: Add payment to state, not a total re-fetch
 export const paymentSuccessful = () => dispatch => {
   // Dispatch successful payment to stop loading screen
@@ -114,14 +180,50 @@ export const paymentSuccessful = () => dispatch => {
   dispatch(fetchBalance())
 }
 
-export const paymentFailed = (event, { error }) => dispatch => {
-  dispatch({ type: PAYMENT_FAILED })
-  dispatch(setError(error))
-}
-
-export const payInvoice = paymentRequest => (dispatch, getState) => {
-  dispatch(sendPayment())
-  ipcRenderer.send('lnd', { msg: 'sendPayment', data: { paymentRequest } })
+// Receive failed payment. `details` holds the raw payment error from lnd, which we use to work out why it failed.
+export const paymentFailed = (event, { error, details }) => (dispatch, getState) =>
+  dispatch({
+    type: PAYMENT_FAILED,
+    failure: {
+      reason: diagnosePaymentFailure(details || error, getState()),
+      error
+    }
+  })
+
+// Send a lightning payment and track it until it either completes or times out. `send` makes the request for each
+// attempt, given the number of the attempt. If no route can be found then the payment is tried again, up to
+// `maxAttempts` times in all, for as long as it hasn't timed out.
+const trackPayment = (send, { feeLimit, amount, maxAttempts }, dispatch, getState) => {
+  dispatch(sendPayment(feeLimit, amount))
+
+  const attempt = () =>
+    send(getState().payment.paymentAttempt)
+      .then(payment => {
+        // The payment may have gone through after we had given up on it, in which case it has already been reported as
+        // failed. Bring our payments and balance up to date without showing it as successful as well.
+        if (!getState().payment.sendingPayment) {
+          dispatch(fetchPayments())
+          dispatch(fetchBalance())
+          return
+        }
+        return dispatch(paymentSuccessful(null, payment))
+      })
+      .catch(error => {
+        const { payment } = getState()
+        if (!payment.sendingPayment) {
+          return
+        }
+        const details = error.details || error.message
+        if (
+          payment.paymentAttempt < maxAttempts &&
+          diagnosePaymentFailure(details, getState()) === 'no_route'
+        ) {
+          dispatch(retryPayment())
+          return attempt()
+        }
+        return dispatch(paymentFailed(null, { error: error.message, details }))
+      })
+  const request = attempt()
 
   // Set an interval to call tick which will continuously tick down the ticker until the payment goes through or it hits
   // 0 and throws an error. We also call setPaymentInterval so we are storing the interval. This allows us to clear the
@@ -131,8 +233,58 @@ export const payInvoice = paymentRequest => (dispatch, getState) => {
 
   // Close the form modal once the payment has been sent
   dispatch(setFormType(null))
+
+  return request
 }
 
+const routeKey = route => route.hops.map(hop => hop.chan_id).join(':')
+
+// Pay an invoice over a route that lnd picks, paying no more than `feeLimit` in routing fees if one is given. Invoices
+// that don't ask for an amount are paid `amt` satoshis. There is no need for the requests to time out as we run our own
+// payment timeout.
+export const payInvoice = (paymentRequest, feeLimit, amt) => (dispatch, getState) => {
+  const triedRoutes = new Set()
+  const send = attemptNumber => {
+    if (attemptNumber === 1) {
+      return lndRequest('sendPayment', { paymentRequest, amt, fee_limit: feeLimit }, { timeout: 0 })
+    }
+    const { payment_hash } = getState().payform.invoice
+    return lndRequest('getInvoiceAndQueryRoutes', {
+      payreq: paymentRequest,
+      num_routes: (attemptNumber - 1) * RETRY_ROUTES
+    }).then(({ routes }) => {
+      const untriedRoutes = routes.filter(
+        route => withinFeeLimit(route, feeLimit) && !triedRoutes.has(routeKey(route))
+      )
+      if (!untriedRoutes.length) {
+        throw new Error('Unable to find any more routes to try')
+      }
+      untriedRoutes.forEach(route => triedRoutes.add(routeKey(route)))
+      return lndRequest(
+        'sendToRoute',
+        { payment_hash_string: payment_hash, routes: untriedRoutes },
+        { timeout: 0 }
+      )
+    })
+  }
+  return trackPayment(
+    send,
+    { feeLimit, amount: amt, maxAttempts: MAX_PAYMENT_ATTEMPTS },
+    dispatch,
+    getState
+  )
+}
+
+// Pay an invoice over routes that we have chosen rather than the one that lnd would pick. lnd tries the routes in order
+// until one of them succeeds.
+export const payInvoiceOverRoutes = (paymentHash, routes) => (dispatch, getState) =>
+  trackPayment(
+    () => lndRequest('sendToRoute', { payment_hash_string: paymentHash, routes }, { timeout: 0 }),
+    { maxAttempts: 1 },
+    dispatch,
+    getState
+  )
+
 // Tick checks if the payment is sending and checks the timeout every second. If the payment is still sending and the
 // timeout is above 0 it will continue to tick it down, once we hit 0 we fire an error to the user and reset the reducer
 const tick = (dispatch, getState) => {
@@ -154,7 +306,15 @@ const ACTION_HANDLERS = {
 
   [SET_PAYMENT]: (state, { payment }) => ({ ...state, payment }),
 
-  [SEND_PAYMENT]: state => ({ ...state, sendingPayment: true }),
+  [SEND_PAYMENT]: (state, { feeLimit, amount }) => ({
+    ...state,
+    sendingPayment: true,
+    paymentAttempt: 1,
+    feeLimit,
+    amount,
+    failure: null
+  }),
+  [RETRY_PAYMENT]: state => ({ ...state, paymentAttempt: state.paymentAttempt + 1 }),
 
   [TICK_TIMEOUT]: state => ({ ...state, paymentTimeout: state.paymentTimeout - 1000 }),
   [SET_INTERVAL]: (state, { paymentInterval }) => ({ ...state, paymentInterval }),
@@ -169,16 +329,18 @@ const ACTION_HANDLERS = {
       paymentTimeout: 60000
     }
   },
-  [PAYMENT_FAILED]: state => {
+  [PAYMENT_FAILED]: (state, { failure }) => {
     clearInterval(state.paymentInterval)
 
     return {
       ...state,
       sendingPayment: false,
       paymentInterval: null,
-      paymentTimeout: 60000
+      paymentTimeout: 60000,
+      failure
     }
   },
+  [DISMISS_PAYMENT_FAILURE]: state => ({ ...state, failure: null }),
 
   [SHOW_SUCCESS_SCREEN]: state => ({ ...state, showSuccessPayScreen: true }),
   [HIDE_SUCCESS_SCREEN]: state => ({ ...state, showSuccessPayScreen: false })
@@ -201,7 +363,11 @@ const initialState = {
   paymentInterval: null,
   payments: [],
   payment: null,
-  showSuccessPayScreen: false
+  showSuccessPayScreen: false,
+  paymentAttempt: 0,
+  feeLimit: undefined,
+  amount: undefined,
+  failure: null
 }
 
 export default function paymentReducer(state = initialState, action) {
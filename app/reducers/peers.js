@@ -1,5 +1,5 @@
 import { createSelector } from 'reselect'
-import { ipcRenderer } from 'electron'
+import { lndRequest } from 'lib/utils/rpc'
 import { setError } from './error'
 // ------------------------------------
 // Constants
@@ -72,23 +72,27 @@ export function updateSearchQuery(searchQuery) {
 // Send IPC event for peers
 export const fetchPeers = () => async dispatch => {
   dispatch(getPeers())
-  ipcRenderer.send('lnd', { msg: 'peers' })
+  return lndRequest('peers')
+    .then(peers => dispatch(receivePeers(null, peers)))
+    .catch(error => dispatch(setError(error.message)))
 }
 
-// Receive IPC event for peers
+// Receive peers
 export const receivePeers = (event, { peers }) => dispatch =>
   dispatch({ type: RECEIVE_PEERS, peers })
 
 // Send IPC event for connecting to a peer
 export const connectRequest = ({ pubkey, host }) => dispatch => {
   dispatch(connectPeer())
-  ipcRenderer.send('lnd', { msg: 'connectPeer', data: { pubkey, host } })
+  return lndRequest('connectPeer', { pubkey, host })
+    .then(peer => dispatch(connectSuccess(null, peer)))
+    .catch(error => dispatch(connectFailure(null, { error: error.message })))
 }
 
-// Send IPC receive for successfully connecting to a peer
+// Successfully connected to a peer
 export const connectSuccess = (event, peer) => dispatch => dispatch({ type: CONNECT_SUCCESS, peer })
 
-// Send IPC receive for unsuccessfully connecting to a peer
+// Unsuccessfully connected to a peer
 export const connectFailure = (event, { error }) => dispatch => {
   dispatch({ type: CONNECT_FAILURE })
   dispatch(setError(error))
@@ -97,10 +101,15 @@ export const connectFailure = (event, { error }) => dispatch => {
 // Send IPC send for disconnecting from a peer
 export const disconnectRequest = ({ pubkey }) => dispatch => {
   dispatch(disconnectPeer())
-  ipcRenderer.send('lnd', { msg: 'disconnectPeer', data: { pubkey } })
+  return lndRequest('disconnectPeer', { pubkey })
+    .then(data => dispatch(disconnectSuccess(null, data)))
+    .catch(error => {
+      dispatch(disconnectFailure())
+      dispatch(setError(error.message))
+    })
 }
 
-// Send IPC receive for successfully disconnecting from a peer
+// Successfully disconnected from a peer
 export const disconnectSuccess = (event, { pubkey }) => dispatch =>
   dispatch({ type: DISCONNECT_SUCCESS, pubkey })
 
@@ -0,0 +1,201 @@
+import { createSelector } from 'reselect'
+import { btc } from 'lib/utils'
+import { lndRequest } from 'lib/utils/rpc'
+import { setError } from './error'
+import { routeHopNodes } from './network'
+import { setExplorerTab } from './explorer'
+
+// Number of routes to probe for a destination.
+export const MAX_PROBE_ROUTES = 3
+
+// Outcomes of probing a route, as sent back by the main process.
+export const PROBE_REACHED = 'reached'
+export const PROBE_INSUFFICIENT_LIQUIDITY = 'insufficient_liquidity'
+
+// Liquidity estimates are kept for each direction of a channel, identified by the node that sends over it. Hops that
+// we can't follow through the network graph are only identified by their channel.
+export const liquidityKey = (chanId, fromPubkey) => `${chanId}:${fromPubkey || ''}`
+
+/**
+ * Narrow down the liquidity estimates for the channels of probed routes. The channels that a probe got over can send at
+ * least the amount that it carried over them, and the one that it failed at for lack of balance can send less. Newer
+ * results win over older ones that contradict them, as balances change as payments are made.
+ */
+export const updateLiquidity = (liquidity, probes, probedAt) => {
+  const updated = { ...liquidity }
+
+  probes.forEach(({ route, outcome, reachedHops, hopNodes }) => {
+    route.hops.forEach((hop, index) => {
+      const key = liquidityKey(hop.chan_id, hopNodes[index] && hopNodes[index].from)
+      const { canSend = null, cannotSend = null } = updated[key] || {}
+      const amount = hop.amt_to_forward + hop.fee
+
+      if (index < reachedHops) {
+        updated[key] = {
+          canSend: Math.max(canSend || 0, amount),
+          cannotSend: cannotSend !== null && cannotSend <= amount ? null : cannotSend,
+          probedAt
+        }
+      } else if (index === reachedHops && outcome === PROBE_INSUFFICIENT_LIQUIDITY) {
+        updated[key] = {
+          canSend: canSend !== null && canSend >= amount ? null : canSend,
+          cannotSend: cannotSend === null ? amount : Math.min(cannotSend, amount),
+          probedAt
+        }
+      }
+    })
+  })
+
+  return updated
+}
+
+// ------------------------------------
+// Constants
+// ------------------------------------
+export const SET_PROBE_PUBKEY = 'SET_PROBE_PUBKEY'
+export const SET_PROBE_AMOUNT = 'SET_PROBE_AMOUNT'
+
+export const PROBE_ROUTES = 'PROBE_ROUTES'
+export const RECEIVE_PROBE_REPORT = 'RECEIVE_PROBE_REPORT'
+export const PROBE_ROUTES_FAILED = 'PROBE_ROUTES_FAILED'
+
+// ------------------------------------
+// Actions
+// ------------------------------------
+export function setProbePubkey(pubkey) {
+  return {
+    type: SET_PROBE_PUBKEY,
+    pubkey
+  }
+}
+
+export function setProbeAmount(amount) {
+  return {
+    type: SET_PROBE_AMOUNT,
+    amount
+  }
+}
+
+// Open the probe tool in the network explorer for a node.
+export const openProbe = pubkey => dispatch => {
+  dispatch(setProbePubkey(pubkey))
+  dispatch(setExplorerTab('PROBE'))
+}
+
+// Send IPC event to probe routes to the destination and amount in the probe form. The nodes that each hop goes between
+// are worked out when the report comes back, so that the estimates for each direction of a channel are kept apart.
+export const probeDestination = () => (dispatch, getState) => {
+  const { probe, ticker } = getState()
+  const pubkey = probe.pubkey.trim()
+  const amount = Number(btc.convert(ticker.currency, 'sats', probe.amount))
+
+  dispatch({ type: PROBE_ROUTES, pubkey, amount })
+  // Each route is probed with a series of payments, one after another, so wait for as long as that takes.
+  return lndRequest('probeRoutes', { pubkey, amount, num_routes: MAX_PROBE_ROUTES }, { timeout: 0 })
+    .then(({ probes }) => {
+      const { network, info } = getState()
+      return dispatch({
+        type: RECEIVE_PROBE_REPORT,
+        pubkey,
+        amount,
+        probes: probes.map(result => ({
+          ...result,
+          hopNodes: routeHopNodes(result.route, network.edges, info.data.identity_pubkey)
+        })),
+        probedAt: Math.floor(Date.now() / 1000)
+      })
+    })
+    .catch(error => {
+      dispatch({ type: PROBE_ROUTES_FAILED })
+      dispatch(setError(error.message))
+    })
+}
+
+// ------------------------------------
+// Action Handlers
+// ------------------------------------
+const ACTION_HANDLERS = {
+  [SET_PROBE_PUBKEY]: (state, { pubkey }) => ({ ...state, pubkey }),
+  [SET_PROBE_AMOUNT]: (state, { amount }) => ({ ...state, amount }),
+
+  [PROBE_ROUTES]: state => ({ ...state, probing: true, report: null }),
+  [RECEIVE_PROBE_REPORT]: (state, { pubkey, amount, probes, probedAt }) => ({
+    ...state,
+    probing: false,
+    report: { pubkey, amount, probes, probedAt },
+    liquidity: updateLiquidity(state.liquidity, probes, probedAt)
+  }),
+  [PROBE_ROUTES_FAILED]: state => ({ ...state, probing: false })
+}
+
+// ------------------------------------
+// Selectors
+// ------------------------------------
+const probeSelectors = {}
+const pubkeySelector = state => state.probe.pubkey
+const amountSelector = state => state.probe.amount
+const reportSelector = state => state.probe.report
+const liquiditySelector = state => state.probe.liquidity
+
+probeSelectors.probeFormIsValid = createSelector(
+  pubkeySelector,
+  amountSelector,
+  (pubkey, amount) => /^0[23][0-9a-f]{64}$/i.test(pubkey.trim()) && Number(amount) > 0
+)
+
+// Whether a payment of the probed amount would get to the destination over any of the probed routes.
+probeSelectors.reachable = createSelector(
+  reportSelector,
+  report => Boolean(report) && report.probes.some(probe => probe.outcome === PROBE_REACHED)
+)
+
+// The hops of each probed route, with whether the probe got over them and what we now know about their liquidity.
+probeSelectors.reportRoutes = createSelector(
+  reportSelector,
+  liquiditySelector,
+  (report, liquidity) => {
+    if (!report) {
+      return []
+    }
+    return report.probes.map(({ route, outcome, reachedHops, error, hopNodes }) => ({
+      outcome,
+      error,
+      fees: route.total_fees,
+      hops: route.hops.map((hop, index) => {
+        let status = 'unknown'
+        if (index < reachedHops) {
+          status = 'passed'
+        } else if (index === reachedHops) {
+          status = 'failed'
+        }
+        return {
+          chanId: String(hop.chan_id),
+          nodes: hopNodes[index],
+          amount: hop.amt_to_forward + hop.fee,
+          status,
+          liquidity:
+            liquidity[liquidityKey(hop.chan_id, hopNodes[index] && hopNodes[index].from)] || null
+        }
+      })
+    }))
+  }
+)
+
+export { probeSelectors }
+
+// ------------------------------------
+// Reducer
+// ------------------------------------
+const initialState = {
+  pubkey: '',
+  amount: '',
+  probing: false,
+  report: null,
+  liquidity: {}
+}
+
+export default function probeReducer(state = initialState, action) {
+  const handler = ACTION_HANDLERS[action.type]
+
+  return handler ? handler(state, action) : state
+}
@@ -0,0 +1,247 @@
+import { createSelector } from 'reselect'
+import { btc } from 'lib/utils'
+import { lndRequest } from 'lib/utils/rpc'
+import { setChannelFormType } from './contactsform'
+import { fetchChannels } from './channels'
+import { fetchBalance } from './balance'
+
+// Number of routes to ask lnd for. lnd can't be told which channel to leave through, so we ask for several routes to
+// the peer that the payment comes back from and keep the ones that start with the channel we want to drain.
+export const MAX_REBALANCE_ROUTES = 10
+
+// Memo of the invoices that we pay ourselves to rebalance channels.
+export const REBALANCE_MEMO = 'Rebalance channels'
+
+// Steps of a rebalance, in order.
+export const REBALANCE_STEPS = ['CREATING_INVOICE', 'FINDING_ROUTE', 'PAYING']
+
+// Share of the channel's capacity that is on our side.
+const localShare = channel => channel.local_balance / channel.capacity
+
+// ------------------------------------
+// Constants
+// ------------------------------------
+export const OPEN_REBALANCE_FORM = 'OPEN_REBALANCE_FORM'
+export const SET_REBALANCE_SOURCE = 'SET_REBALANCE_SOURCE'
+export const SET_REBALANCE_TARGET = 'SET_REBALANCE_TARGET'
+export const SET_REBALANCE_AMOUNT = 'SET_REBALANCE_AMOUNT'
+export const SET_REBALANCE_MAX_FEE = 'SET_REBALANCE_MAX_FEE'
+
+export const SET_REBALANCE_STEP = 'SET_REBALANCE_STEP'
+export const RECEIVE_REBALANCE_ROUTE = 'RECEIVE_REBALANCE_ROUTE'
+export const REBALANCE_SUCCESSFUL = 'REBALANCE_SUCCESSFUL'
+export const REBALANCE_FAILED = 'REBALANCE_FAILED'
+
+// ------------------------------------
+// Actions
+// ------------------------------------
+
+// Open the rebalance form, moving funds out of the given channel if there is one.
+export const openRebalanceForm = sourceChanId => dispatch => {
+  dispatch({ type: OPEN_REBALANCE_FORM, sourceChanId })
+  dispatch(setChannelFormType('REBALANCE_FORM'))
+}
+
+export function setRebalanceSource(chanId) {
+  return {
+    type: SET_REBALANCE_SOURCE,
+    chanId
+  }
+}
+
+export function setRebalanceTarget(chanId) {
+  return {
+    type: SET_REBALANCE_TARGET,
+    chanId
+  }
+}
+
+export function setRebalanceAmount(amount) {
+  return {
+    type: SET_REBALANCE_AMOUNT,
+    amount
+  }
+}
+
+export function setRebalanceMaxFee(maxFee) {
+  return {
+    type: SET_REBALANCE_MAX_FEE,
+    maxFee
+  }
+}
+
+export function setRebalanceStep(step) {
+  return {
+    type: SET_REBALANCE_STEP,
+    step
+  }
+}
+
+// Move funds from the source channel to the target channel by creating an invoice and paying it ourselves over a
+// route that leaves through the source channel and comes back through the target channel.
+export const rebalanceChannels = () => (dispatch, getState) => {
+  const { rebalance, channels, ticker } = getState()
+  const target = channels.channels.find(channel => channel.chan_id === rebalance.targetChanId)
+  const amount = Number(btc.convert(ticker.currency, 'sats', rebalance.amount))
+  const feeLimit = Number(btc.convert(ticker.currency, 'sats', rebalance.maxFee))
+
+  let paymentHash
+  dispatch(setRebalanceStep('CREATING_INVOICE'))
+  return lndRequest('createInvoice', { value: amount, memo: REBALANCE_MEMO, private: false })
+    .then(invoice => {
+      paymentHash = invoice.r_hash
+      dispatch(setRebalanceStep('FINDING_ROUTE'))
+      return lndRequest('queryRebalanceRoutes', {
+        outgoing_chan_id: rebalance.sourceChanId,
+        incoming_chan_id: target.chan_id,
+        incoming_pubkey: target.remote_pubkey,
+        amount,
+        fee_limit: feeLimit,
+        final_cltv_delta: invoice.cltv_expiry,
+        num_routes: MAX_REBALANCE_ROUTES
+      })
+    })
+    .then(({ routes }) => {
+      if (!routes.length) {
+        throw new Error('No route through these channels was found within the fee limit.')
+      }
+      dispatch({ type: RECEIVE_REBALANCE_ROUTE, fee: routes[0].total_fees })
+      dispatch(setRebalanceStep('PAYING'))
+      // The payment can't be called back once it is on its way, so wait for as long as it takes.
+      return lndRequest('sendToRoute', { payment_hash_string: paymentHash, routes }, { timeout: 0 })
+    })
+    .then(({ payment_route }) => {
+      dispatch({ type: REBALANCE_SUCCESSFUL, fee: payment_route.total_fees })
+      dispatch(fetchChannels())
+      return dispatch(fetchBalance())
+    })
+    .catch(error => dispatch({ type: REBALANCE_FAILED, error: error.message }))
+}
+
+// ------------------------------------
+// Action Handlers
+// ------------------------------------
+const ACTION_HANDLERS = {
+  [OPEN_REBALANCE_FORM]: (state, { sourceChanId }) => ({
+    ...initialState,
+    amount: state.amount,
+    maxFee: state.maxFee,
+    sourceChanId: sourceChanId === undefined ? null : sourceChanId
+  }),
+  [SET_REBALANCE_SOURCE]: (state, { chanId }) => ({
+    ...state,
+    sourceChanId: chanId,
+    targetChanId: state.targetChanId === chanId ? null : state.targetChanId
+  }),
+  [SET_REBALANCE_TARGET]: (state, { chanId }) => ({
+    ...state,
+    targetChanId: chanId,
+    sourceChanId: state.sourceChanId === chanId ? null : state.sourceChanId
+  }),
+  [SET_REBALANCE_AMOUNT]: (state, { amount }) => ({ ...state, amount }),
+  [SET_REBALANCE_MAX_FEE]: (state, { maxFee }) => ({ ...state, maxFee }),
+
+  [SET_REBALANCE_STEP]: (state, { step }) => ({
+    ...state,
+    step,
+    ...(step === 'CREATING_INVOICE' ? { fee: null, error: null, succeeded: false } : {})
+  }),
+  [RECEIVE_REBALANCE_ROUTE]: (state, { fee }) => ({ ...state, fee }),
+  [REBALANCE_SUCCESSFUL]: (state, { fee }) => ({ ...state, step: null, fee, succeeded: true }),
+  [REBALANCE_FAILED]: (state, { error }) => ({ ...state, error })
+}
+
+// ------------------------------------
+// Selectors
+// ------------------------------------
+const rebalanceSelectors = {}
+const channelsSelector = state => state.channels.channels
+const sourceChanIdSelector = state => state.rebalance.sourceChanId
+const targetChanIdSelector = state => state.rebalance.targetChanId
+const amountSelector = state => state.rebalance.amount
+const maxFeeSelector = state => state.rebalance.maxFee
+const currencySelector = state => state.ticker.currency
+
+// Channels that a payment can leave through, with the ones that have the most of their capacity on our side first.
+rebalanceSelectors.sourceChannels = createSelector(channelsSelector, channels =>
+  channels
+    .filter(channel => channel.active && channel.local_balance > 0)
+    .sort((a, b) => localShare(b) - localShare(a))
+)
+
+// Channels that a payment can come back through, with the ones that have the most of their capacity on the other side
+// first.
+rebalanceSelectors.targetChannels = createSelector(channelsSelector, channels =>
+  channels
+    .filter(channel => channel.active && channel.remote_balance > 0)
+    .sort((a, b) => localShare(a) - localShare(b))
+)
+
+rebalanceSelectors.sourceChannel = createSelector(
+  channelsSelector,
+  sourceChanIdSelector,
+  (channels, chanId) => channels.find(channel => channel.chan_id === chanId) || null
+)
+
+rebalanceSelectors.targetChannel = createSelector(
+  channelsSelector,
+  targetChanIdSelector,
+  (channels, chanId) => channels.find(channel => channel.chan_id === chanId) || null
+)
+
+// The amount that would leave both channels as close to evenly balanced as they can be.
+rebalanceSelectors.suggestedAmount = createSelector(
+  rebalanceSelectors.sourceChannel,
+  rebalanceSelectors.targetChannel,
+  (source, target) => {
+    if (!source || !target) {
+      return 0
+    }
+    const sourceExcess = Math.floor((source.local_balance - source.remote_balance) / 2)
+    const targetExcess = Math.floor((target.remote_balance - target.local_balance) / 2)
+    return Math.max(0, Math.min(sourceExcess, targetExcess))
+  }
+)
+
+rebalanceSelectors.rebalanceFormIsValid = createSelector(
+  rebalanceSelectors.sourceChannel,
+  rebalanceSelectors.targetChannel,
+  amountSelector,
+  maxFeeSelector,
+  currencySelector,
+  (source, target, amount, maxFee, currency) => {
+    const amountInSats = Number(btc.convert(currency, 'sats', amount))
+    return Boolean(
+      source &&
+        target &&
+        source !== target &&
+        amountInSats > 0 &&
+        amountInSats <= source.local_balance &&
+        amountInSats <= target.remote_balance &&
+        maxFee !== '' &&
+        Number(maxFee) >= 0
+    )
+  }
+)
+
+export { rebalanceSelectors }
+
+// ------------------------------------
+// Reducer
+// ------------------------------------
+const initialState = {
+  sourceChanId: null,
+  targetChanId: null,
+  amount: '',
+  maxFee: '',
+  step: null,
+  fee: null,
+  error: null,
+  succeeded: false
+}
+
+export default function rebalanceReducer(state = initialState, action) {
+  const handler = ACTION_HANDLERS[action.type]
+
+  return handler ? handler(state, action) : state
+}
@@ -2,21 +2,38 @@ import { createSelector } from 'reselect'
 import { btc } from 'lib/utils'
 import { tickerSelectors } from './ticker'
 
+// The longest description, in bytes, that fits in a payment request. Longer descriptions are committed to by their
+// hash instead.
+export const MAX_DESCRIPTION_LENGTH = 639
+
 // Initial State
 const initialState = {
   amount: '',
   memo: '',
-  showCurrencyFilters: false
+  // Whether to request a payment of any amount, which leaves it up to the payer to choose how much to send.
+  anyAmount: false,
+  showCurrencyFilters: false,
+
+  // Advanced invoice options. Expiry is in minutes and CLTV expiry in blocks, and lnd's defaults apply when empty.
+  showAdvanced: false,
+  expiry: '',
+  cltvExpiry: '',
+  fallbackAddress: false,
+  hashDescription: false
 }
 
 // Constants
 // ------------------------------------
 export const SET_REQUEST_AMOUNT = 'SET_REQUEST_AMOUNT'
 export const SET_REQUEST_MEMO = 'SET_REQUEST_MEMO'
+export const SET_REQUEST_ANY_AMOUNT = 'SET_REQUEST_ANY_AMOUNT'
 export const SET_PAY_INVOICE = 'SET_PAY_INVOICE'
 
 export const SET_REQUEST_CURRENCY_FILTERS = 'SET_REQUEST_CURRENCY_FILTERS'
 
+export const SET_REQUEST_SHOW_ADVANCED = 'SET_REQUEST_SHOW_ADVANCED'
+export const SET_REQUEST_OPTION = 'SET_REQUEST_OPTION'
+
 export const RESET_FORM = 'RESET_FORM'
 
 // ------------------------------------
@@ -36,6 +53,29 @@ export function setRequestMemo(memo) {
   }
 }
 
+export function setRequestAnyAmount(anyAmount) {
+  return {
+    type: SET_REQUEST_ANY_AMOUNT,
+    anyAmount
+  }
+}
+
+export function setRequestShowAdvanced(showAdvanced) {
+  return {
+    type: SET_REQUEST_SHOW_ADVANCED,
+    showAdvanced
+  }
+}
+
+// Set one of the advanced invoice options: expiry, cltvExpiry, fallbackAddress or hashDescription.
+export function setRequestOption(option, value) {
+  return {
+    type: SET_REQUEST_OPTION,
+    option,
+    value
+  }
+}
+
 export function resetRequestForm() {
   return {
     type: RESET_FORM
@@ -55,16 +95,28 @@ export function setRequestCurrencyFilters(showCurrencyFilters) {
 const ACTION_HANDLERS = {
   [SET_REQUEST_AMOUNT]: (state, { amount }) => ({ ...state, amount }),
   [SET_REQUEST_MEMO]: (state, { memo }) => ({ ...state, memo }),
+  [SET_REQUEST_ANY_AMOUNT]: (state, { anyAmount }) => ({ ...state, anyAmount }),
   [SET_REQUEST_CURRENCY_FILTERS]: (state, { showCurrencyFilters }) => ({
     ...state,
     showCurrencyFilters
   }),
 
+  [SET_REQUEST_SHOW_ADVANCED]: (state, { showAdvanced }) => ({ ...state, showAdvanced }),
+  [SET_REQUEST_OPTION]: (state, { option, value }) => ({ ...state, [option]: value }),
+
   [RESET_FORM]: () => initialState
 }
 
 const requestFormSelectors = {}
 const requestAmountSelector = state => state.requestform.amount
+const requestAnyAmountSelector = state => state.requestform.anyAmount
+const requestMemoSelector = state => state.requestform.memo
+const requestExpirySelector = state => state.requestform.expiry
+const requestCltvExpirySelector = state => state.requestform.cltvExpiry
+const requestFallbackAddressSelector = state => state.requestform.fallbackAddress
+const requestHashDescriptionSelector = state => state.requestform.hashDescription
+
+const isEmptyOrPositiveInteger = value => value === '' || /^[1-9]\d*$/.test(value)
 const currencySelector = state => state.ticker.currency
 const fiatTickerSelector = state => state.ticker.fiatTicker
 
@@ -82,6 +134,43 @@ requestFormSelectors.fiatAmount = createSelector(
   }
 )
 
+requestFormSelectors.expiryIsValid = createSelector(requestExpirySelector, isEmptyOrPositiveInteger)
+
+requestFormSelectors.cltvExpiryIsValid = createSelector(
+  requestCltvExpirySelector,
+  isEmptyOrPositiveInteger
+)
+
+// Whether the invoice will commit to a hash of the memo rather than the memo itself.
+requestFormSelectors.usesDescriptionHash = createSelector(
+  requestMemoSelector,
+  requestHashDescriptionSelector,
+  (memo, hashDescription) => hashDescription || Buffer.byteLength(memo) > MAX_DESCRIPTION_LENGTH
+)
+
+// Advanced options to create the invoice with, in the form that lnd takes them.
+requestFormSelectors.invoiceOptions = createSelector(
+  requestExpirySelector,
+  requestCltvExpirySelector,
+  requestFallbackAddressSelector,
+  requestFormSelectors.usesDescriptionHash,
+  (expiry, cltvExpiry, fallbackAddress, usesDescriptionHash) => ({
+    expiry: expiry ? Number(expiry) * 60 : undefined,
+    cltv_expiry: cltvExpiry ? Number(cltvExpiry) : undefined,
+    use_fallback_addr: fallbackAddress,
+    use_description_hash: usesDescriptionHash
+  })
+)
+
+requestFormSelectors.requestFormIsValid = createSelector(
+  requestAmountSelector,
+  requestAnyAmountSelector,
+  requestFormSelectors.expiryIsValid,
+  requestFormSelectors.cltvExpiryIsValid,
+  (amount, anyAmount, expiryIsValid, cltvExpiryIsValid) =>
+    (anyAmount || amount > 0) && expiryIsValid && cltvExpiryIsValid
+)
+
 export { requestFormSelectors }
 
 // ------------------------------------
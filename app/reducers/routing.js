@@ -0,0 +1,257 @@
+import { createSelector } from 'reselect'
+import { push } from 'react-router-redux'
+import { lndRequest } from 'lib/utils/rpc'
+import { setError } from './error'
+import { setSettingsOpen, disableSubMenu } from './settings'
+
+// Number of forwarding events to request from lnd at a time.
+export const PAGE_SIZE = 1000
+
+// Length of each time range in seconds, along with the size of the buckets that fees are charted in.
+export const TIME_RANGES = {
+  DAY: { length: 24 * 60 * 60, bucket: 60 * 60 },
+  WEEK: { length: 7 * 24 * 60 * 60, bucket: 24 * 60 * 60 },
+  MONTH: { length: 30 * 24 * 60 * 60, bucket: 24 * 60 * 60 },
+  YEAR: { length: 365 * 24 * 60 * 60, bucket: 7 * 24 * 60 * 60 }
+}
+
+// Number of channels to show in the list of top earning channels.
+const TOP_CHANNELS = 5
+
+// ------------------------------------
+// Constants
+// ------------------------------------
+export const SET_ROUTING_TIME_RANGE = 'SET_ROUTING_TIME_RANGE'
+
+export const GET_FORWARDING_HISTORY = 'GET_FORWARDING_HISTORY'
+export const RECEIVE_FORWARDING_HISTORY = 'RECEIVE_FORWARDING_HISTORY'
+export const FORWARDING_HISTORY_FAILED = 'FORWARDING_HISTORY_FAILED'
+
+// ------------------------------------
+// Actions
+// ------------------------------------
+
+export function getForwardingHistory(startTime, endTime) {
+  return {
+    type: GET_FORWARDING_HISTORY,
+    startTime,
+    endTime
+  }
+}
+
+export function receiveForwardingHistory(startTime, forwardingEvents) {
+  return {
+    type: RECEIVE_FORWARDING_HISTORY,
+    startTime,
+    forwardingEvents
+  }
+}
+
+// Forwarding events don't have an id of their own, so identify them by when and where they were forwarded and for how
+// much. Several forwards can share all of those, so they are told apart by the order that lnd returned them in.
+const withForwardIds = forwardingEvents => {
+  const seen = {}
+  return forwardingEvents.map(event => {
+    const key = [
+      event.timestamp,
+      event.chan_id_in,
+      event.chan_id_out,
+      event.amt_in,
+      event.amt_out
+    ].join(':')
+    seen[key] = (seen[key] || 0) + 1
+    return { ...event, id: `${key}:${seen[key]}` }
+  })
+}
+
+// Request pages of forwarding events until lnd returns a partial page.
+const fetchForwardingEvents = (start_time, end_time, index_offset = 0, events = []) =>
+  lndRequest('forwardingHistory', {
+    start_time,
+    end_time,
+    index_offset,
+    num_max_events: PAGE_SIZE
+  }).then(({ forwarding_events, last_offset_index }) => {
+    const allEvents = [...events, ...forwarding_events]
+    if (forwarding_events.length < PAGE_SIZE) {
+      return allEvents
+    }
+    return fetchForwardingEvents(start_time, end_time, last_offset_index, allEvents)
+  })
+
+// Send IPC event for the forwarding history of the current time range
+export const fetchForwardingHistory = () => (dispatch, getState) => {
+  const { timeRange } = getState().routing
+  const endTime = Math.floor(Date.now() / 1000)
+  const startTime = endTime - TIME_RANGES[timeRange].length
+
+  dispatch(getForwardingHistory(startTime, endTime))
+  return fetchForwardingEvents(startTime, endTime)
+    .then(forwardingEvents => dispatch(receiveForwardingHistory(startTime, forwardingEvents)))
+    .catch(error => {
+      dispatch({ type: FORWARDING_HISTORY_FAILED })
+      dispatch(setError(error.message))
+    })
+}
+
+export const setRoutingTimeRange = timeRange => dispatch => {
+  dispatch({ type: SET_ROUTING_TIME_RANGE, timeRange })
+  return dispatch(fetchForwardingHistory())
+}
+
+export const openRouting = () => dispatch => {
+  dispatch(disableSubMenu())
+  dispatch(setSettingsOpen(false))
+  return dispatch(push('/routing'))
+}
+
+export const closeRouting = () => dispatch => dispatch(push('/'))
+
+// ------------------------------------
+// Action Handlers
+// ------------------------------------
+const ACTION_HANDLERS = {
+  [SET_ROUTING_TIME_RANGE]: (state, { timeRange }) => ({ ...state, timeRange }),
+
+  [GET_FORWARDING_HISTORY]: (state, { startTime, endTime }) => ({
+    ...state,
+    forwardingHistoryLoading: true,
+    startTime,
+    endTime
+  }),
+  // Ignore responses for a time range that has since been replaced by another request.
+  [RECEIVE_FORWARDING_HISTORY]: (state, { startTime, forwardingEvents }) => {
+    if (startTime !== state.startTime) {
+      return state
+    }
+    return {
+      ...state,
+      forwardingHistoryLoading: false,
+      forwardingEvents: withForwardIds(forwardingEvents)
+    }
+  },
+  [FORWARDING_HISTORY_FAILED]: state => ({ ...state, forwardingHistoryLoading: false })
+}
+
+// ------------------------------------
+// Selectors
+// ------------------------------------
+const routingSelectors = {}
+const forwardingEventsSelector = state => state.routing.forwardingEvents
+const timeRangeSelector = state => state.routing.timeRange
+const startTimeSelector = state => state.routing.startTime
+const endTimeSelector = state => state.routing.endTime
+const channelsSelector = state => state.channels.channels
+const closedChannelsSelector = state => state.channels.closedChannels
+const nodesSelector = state => state.network.nodes
+
+routingSelectors.totalFees = createSelector(forwardingEventsSelector, forwardingEvents =>
+  forwardingEvents.reduce((total, event) => total + Number(event.fee), 0)
+)
+
+// Forwards aggregated by the pair of channels that they came in and went out through, highest earning first.
+routingSelectors.channelPairs = createSelector(forwardingEventsSelector, forwardingEvents => {
+  const pairs = forwardingEvents.reduce((result, event) => {
+    const key = `${event.chan_id_in}:${event.chan_id_out}`
+    if (!result[key]) {
+      result[key] = {
+        chanIdIn: String(event.chan_id_in),
+        chanIdOut: String(event.chan_id_out),
+        count: 0,
+        amount: 0,
+        fees: 0
+      }
+    }
+    result[key].count += 1
+    result[key].amount += Number(event.amt_out)
+    result[key].fees += Number(event.fee)
+    return result
+  }, {})
+  return Object.values(pairs).sort((a, b) => b.fees - a.fees)
+})
+
+// The channels that have earned the most fees. A forward counts towards both of the channels that it went through.
+routingSelectors.topChannels = createSelector(forwardingEventsSelector, forwardingEvents => {
+  const channels = forwardingEvents.reduce((result, event) => {
+    const credit = chanId => {
+      if (!result[chanId]) {
+        result[chanId] = { chanId: String(chanId), count: 0, fees: 0 }
+      }
+      result[chanId].count += 1
+      result[chanId].fees += Number(event.fee)
+    }
+    credit(event.chan_id_in)
+    credit(event.chan_id_out)
+    return result
+  }, {})
+  return Object.values(channels)
+    .sort((a, b) => b.fees - a.fees)
+    .slice(0, TOP_CHANNELS)
+})
+
+// Fees earned over the current time range, split into buckets that are suitable for the length of the range.
+routingSelectors.feesOverTime = createSelector(
+  forwardingEventsSelector,
+  timeRangeSelector,
+  startTimeSelector,
+  endTimeSelector,
+  (forwardingEvents, timeRange, startTime, endTime) => {
+    if (!startTime || !endTime) {
+      return []
+    }
+
+    const { bucket } = TIME_RANGES[timeRange]
+    const buckets = []
+    for (let time = startTime; time < endTime; time += bucket) {
+      buckets.push({ time, fees: 0 })
+    }
+
+    forwardingEvents.forEach(event => {
+      const index = Math.floor((Number(event.timestamp) - startTime) / bucket)
+      if (buckets[index]) {
+        buckets[index].fees += Number(event.fee)
+      }
+    })
+
+    return buckets
+  }
+)
+
+// Display names for our channels keyed by channel id, using the alias of the remote node where we know it.
+routingSelectors.channelNames = createSelector(
+  channelsSelector,
+  closedChannelsSelector,
+  nodesSelector,
+  (channels, closedChannels, nodes) =>
+    [...closedChannels, ...channels].reduce((names, channel) => {
+      const node = nodes.find(n => n.pub_key === channel.remote_pubkey)
+      const name = node && node.alias.length ? node.alias : channel.remote_pubkey.substring(0, 10)
+      names[String(channel.chan_id)] = name
+      return names
+    }, {})
+)
+
+export { routingSelectors }
+
+// ------------------------------------
+// Reducer
+// ------------------------------------
+const initialState = {
+  forwardingHistoryLoading: false,
+  forwardingEvents: [],
+  timeRange: 'MONTH',
+  timeRanges: [
+    { key: 'DAY', name: 'day' },
+    { key: 'WEEK', name: 'week' },
+    { key: 'MONTH', name: 'month' },
+    { key: 'YEAR', name: 'year' }
+  ],
+  startTime: null,
+  endTime: null
+}
+
+export default function routingReducer(state = initialState, action) {
+  const handler = ACTION_HANDLERS[action.type]
+
+  return handler ? handler(state, action) : state
+}
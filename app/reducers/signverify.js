@@ -0,0 +1,134 @@
+import { createSelector } from 'reselect'
+import { push } from 'react-router-redux'
+import { lndRequest } from 'lib/utils/rpc'
+import { setError } from './error'
+
+// ------------------------------------
+// Constants
+// ------------------------------------
+export const SET_SIGN_VERIFY_TAB = 'SET_SIGN_VERIFY_TAB'
+
+export const SIGN_MESSAGE = 'SIGN_MESSAGE'
+export const SIGN_MESSAGE_SUCCESS = 'SIGN_MESSAGE_SUCCESS'
+export const SIGN_MESSAGE_FAILED = 'SIGN_MESSAGE_FAILED'
+
+export const VERIFY_MESSAGE = 'VERIFY_MESSAGE'
+export const VERIFY_MESSAGE_SUCCESS = 'VERIFY_MESSAGE_SUCCESS'
+export const VERIFY_MESSAGE_FAILED = 'VERIFY_MESSAGE_FAILED'
+
+export const CLEAR_SIGN_VERIFY = 'CLEAR_SIGN_VERIFY'
+
+// ------------------------------------
+// Actions
+// ------------------------------------
+export function setSignVerifyTab(tab) {
+  return {
+    type: SET_SIGN_VERIFY_TAB,
+    tab
+  }
+}
+
+export function clearSignVerify() {
+  return {
+    type: CLEAR_SIGN_VERIFY
+  }
+}
+
+// Receive IPC event from the application menu. Messages can only be signed or verified once we are connected to lnd.
+export const openSignVerify = () => (dispatch, getState) => {
+  if (!getState().lnd.lightningGrpcActive) {
+    return dispatch(setError('Connect to your wallet before signing or verifying messages'))
+  }
+  dispatch(clearSignVerify())
+  return dispatch(push('/sign-verify'))
+}
+
+export const closeSignVerify = () => dispatch => dispatch(push('/'))
+
+// Send IPC event to sign a message with our node key
+export const signMessage = msg => dispatch => {
+  dispatch({ type: SIGN_MESSAGE })
+  return lndRequest('signMessage', { msg })
+    .then(({ signature }) => dispatch({ type: SIGN_MESSAGE_SUCCESS, msg, signature }))
+    .catch(error => {
+      dispatch({ type: SIGN_MESSAGE_FAILED })
+      dispatch(setError(error.message))
+    })
+}
+
+// Send IPC event to verify a signature over a message
+export const verifyMessage = (msg, signature) => dispatch => {
+  dispatch({ type: VERIFY_MESSAGE })
+  return lndRequest('verifyMessage', { msg, signature })
+    .then(({ valid, pubkey }) => dispatch({ type: VERIFY_MESSAGE_SUCCESS, valid, pubkey }))
+    .catch(error => {
+      dispatch({ type: VERIFY_MESSAGE_FAILED })
+      dispatch(setError(error.message))
+    })
+}
+
+// ------------------------------------
+// Action Handlers
+// ------------------------------------
+const ACTION_HANDLERS = {
+  [SET_SIGN_VERIFY_TAB]: (state, { tab }) => ({ ...state, tab }),
+
+  [SIGN_MESSAGE]: state => ({ ...state, signing: true, signedMessage: '', signature: '' }),
+  [SIGN_MESSAGE_SUCCESS]: (state, { msg, signature }) => ({
+    ...state,
+    signing: false,
+    signedMessage: msg,
+    signature
+  }),
+  [SIGN_MESSAGE_FAILED]: state => ({ ...state, signing: false }),
+
+  [VERIFY_MESSAGE]: state => ({ ...state, verifying: true, verification: null }),
+  [VERIFY_MESSAGE_SUCCESS]: (state, { valid, pubkey }) => ({
+    ...state,
+    verifying: false,
+    verification: { valid, pubkey }
+  }),
+  [VERIFY_MESSAGE_FAILED]: state => ({ ...state, verifying: false }),
+
+  [CLEAR_SIGN_VERIFY]: () => initialState
+}
+
+// ------------------------------------
+// Selectors
+// ------------------------------------
+const signVerifySelectors = {}
+const verificationSelector = state => state.signverify.verification
+const nodesSelector = state => state.network.nodes
+
+// The node in the network graph that made a verified signature, if we know of it.
+signVerifySelectors.verifiedNode = createSelector(
+  verificationSelector,
+  nodesSelector,
+  (verification, nodes) => {
+    if (!verification || !verification.valid) {
+      return null
+    }
+    return nodes.find(node => node.pub_key === verification.pubkey) || null
+  }
+)
+
+export { signVerifySelectors }
+
+// ------------------------------------
+// Reducer
+// ------------------------------------
+const initialState = {
+  tab: 'SIGN',
+  tabs: [{ key: 'SIGN', name: 'sign' }, { key: 'VERIFY', name: 'verify' }],
+  signing: false,
+  signedMessage: '',
+  signature: '',
+  verifying: false,
+  verification: null
+}
+
+export default function signVerifyReducer(state = initialState, action) {
+  const handler = ACTION_HANDLERS[action.type]
+
+  return handler ? handler(state, action) : state
+}
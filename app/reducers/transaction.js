@@ -1,12 +1,13 @@
-import { ipcRenderer } from 'electron'
 import { showNotification } from 'lib/utils/notifications'
 import { btc } from 'lib/utils'
+import { lndRequest } from 'lib/utils/rpc'
 import { newAddress } from './address'
 import { fetchBalance } from './balance'
 import { setFormType } from './form'
 import { resetPayForm } from './payform'
 import { setError } from './error'
 import { fetchChannels } from './channels'
+import { feeRatesSelectors } from './feerates'
 
 // ------------------------------------
 // Constants
@@ -65,10 +66,12 @@ export function hideSuccessTransactionScreen() {
 // Send IPC event for payments
 export const fetchTransactions = () => dispatch => {
   dispatch(getTransactions())
-  ipcRenderer.send('lnd', { msg: 'transactions' })
+  return lndRequest('transactions')
+    .then(transactions => dispatch(receiveTransactions(null, transactions)))
+    .catch(error => dispatch(setError(error.message)))
 }
 
-// Receive IPC event for payments
+// Receive transactions
 export const receiveTransactions = (event, { transactions }) => (dispatch, getState) => {
   dispatch({ type: RECEIVE_TRANSACTIONS, transactions })
   // If our current wallet address has been used, generate a new one.
@@ -86,13 +89,16 @@ export const receiveTransactions = (event, { transactions }) => (dispatch, getSt
   dispatch(fetchBalance())
 }
 
-export const sendCoins = ({ value, addr, currency }) => dispatch => {
+export const sendCoins = ({ value, addr, currency }) => (dispatch, getState) => {
   // backend needs amount in satoshis no matter what currency we are using
   const amount = btc.convert(currency, 'sats', value)
+  const feeOptions = feeRatesSelectors.feeOptions(getState())
 
   // submit the transaction to LND
   dispatch(sendTransaction())
-  ipcRenderer.send('lnd', { msg: 'sendCoins', data: { amount, addr } })
+  lndRequest('sendCoins', { amount, addr, ...feeOptions })
+    .then(transaction => dispatch(transactionSuccessful(null, transaction)))
+    .catch(error => dispatch(transactionError(null, { error: error.message })))
 
   // Close the form modal once the payment was sent to LND
   // we will do the loading/success UX on the main page
@@ -100,7 +106,22 @@ export const sendCoins = ({ value, addr, currency }) => dispatch => {
   dispatch(setFormType(null))
 }
 
-// Receive IPC event for successful payment
+// Pay many addresses in a single transaction. Outputs look like [{ addr: String, sats: Number }]
+export const sendMany = outputs => (dispatch, getState) => {
+  const AddrToAmount = outputs.reduce((result, { addr, sats }) => ({ ...result, [addr]: sats }), {})
+  const feeOptions = feeRatesSelectors.feeOptions(getState())
+
+  // submit the transaction to LND
+  dispatch(sendTransaction())
+  lndRequest('sendMany', { AddrToAmount, ...feeOptions })
+    .then(transaction => dispatch(transactionSuccessful(null, transaction)))
+    .catch(error => dispatch(transactionError(null, { error: error.message })))
+
+  // Close the form modal once the payment was sent to LND
+  dispatch(setFormType(null))
+}
+
+// Receive successful transaction
 // TODO: Add payment to state, not a total re-fetch
 export const transactionSuccessful = (event, { txid }) => dispatch => {
   // Get the new list of transactions (TODO dont do an entire new fetch)
@@ -0,0 +1,124 @@
+import { createSelector } from 'reselect'
+import { ipcRenderer } from 'electron'
+import { setError } from './error'
+import { changeStep } from './onboarding'
+import { resetLnd } from './lnd'
+import { setSettingsOpen, disableSubMenu } from './settings'
+
+// ------------------------------------
+// Constants
+// ------------------------------------
+export const FETCH_WALLETS = 'FETCH_WALLETS'
+export const RECEIVE_WALLETS = 'RECEIVE_WALLETS'
+
+export const SWITCHING_WALLET = 'SWITCHING_WALLET'
+
+export const RENAME_WALLET = 'RENAME_WALLET'
+export const DELETE_WALLET = 'DELETE_WALLET'
+
+// ------------------------------------
+// Helpers
+// ------------------------------------
+const walletDescriptor = ({ type, currency, network, wallet }) => ({
+  type,
+  currency,
+  network,
+  wallet
+})
+
+// ------------------------------------
+// Actions
+// ------------------------------------
+
+// Send IPC event for the list of saved wallets
+export const fetchWallets = () => dispatch => {
+  dispatch({ type: FETCH_WALLETS })
+  ipcRenderer.send('listWallets')
+}
+
+// Receive IPC event for the list of saved wallets
+export const receiveWallets = (event, { wallets, activeWallet }) => dispatch =>
+  dispatch({ type: RECEIVE_WALLETS, wallets, activeWallet })
+
+// Receive IPC event for errors from the wallet manager
+export const walletsError = (event, error) => dispatch => dispatch(setError(error))
+
+// Close out the current wallet and send the user back through onboarding
+const switchingWallet = () => dispatch => {
+  dispatch({ type: SWITCHING_WALLET })
+  dispatch(disableSubMenu())
+  dispatch(setSettingsOpen(false))
+  dispatch(resetLnd())
+  dispatch(changeStep(0.1))
+}
+
+export const setActiveWallet = wallet => dispatch => {
+  dispatch(switchingWallet())
+  ipcRenderer.send('setActiveWallet', walletDescriptor(wallet))
+}
+
+export const createWallet = () => dispatch => {
+  dispatch(switchingWallet())
+  ipcRenderer.send('createWallet')
+}
+
+export const renameWallet = (wallet, name) => dispatch => {
+  dispatch({ type: RENAME_WALLET })
+  ipcRenderer.send('renameWallet', { wallet: walletDescriptor(wallet), name })
+}
+
+export const deleteWallet = wallet => dispatch => {
+  dispatch({ type: DELETE_WALLET })
+  ipcRenderer.send('deleteWallet', walletDescriptor(wallet))
+}
+
+// ------------------------------------
+// Action Handlers
+// ------------------------------------
+const ACTION_HANDLERS = {
+  [FETCH_WALLETS]: state => ({ ...state, walletsLoading: true }),
+  [RECEIVE_WALLETS]: (state, { wallets, activeWallet }) => ({
+    ...state,
+    walletsLoading: false,
+    wallets,
+    activeWallet
+  }),
+
+  [SWITCHING_WALLET]: state => ({ ...state, activeWallet: null }),
+
+  [RENAME_WALLET]: state => ({ ...state, walletsLoading: true }),
+  [DELETE_WALLET]: state => ({ ...state, walletsLoading: true })
+}
+
+// ------------------------------------
+// Selectors
+// ------------------------------------
+const walletsSelectors = {}
+const walletsListSelector = state => state.wallets.wallets
+const activeWalletSelector = state => state.wallets.activeWallet
+
+walletsSelectors.sortedWallets = createSelector(
+  walletsListSelector,
+  activeWalletSelector,
+  (wallets, activeWallet) =>
+    wallets
+      .map(wallet => ({ ...wallet, active: wallet.key === activeWallet }))
+      .sort((a, b) => a.key.localeCompare(b.key))
+)
+
+export { walletsSelectors }
+
+// ------------------------------------
+// Reducer
+// ------------------------------------
+const initialState = {
+  walletsLoading: false,
+  wallets: [],
+  activeWallet: null
+}
+
+export default function walletsReducer(state = initialState, action) {
+  const handler = ACTION_HANDLERS[action.type]
+
+  return handler ? handler(state, action) : state
+}
@@ -237,7 +237,8 @@ export default merge.smart(baseConfig, {
         'http://localhost:*',
         'ws://localhost:*',
         'https://blockchain.info',
-        'https://zap.jackmallers.com'
+        'https://zap.jackmallers.com',
+        'https://bitcoinfees.earn.com'
       ],
       'script-src': ["'self'", 'http://localhost:*', "'unsafe-eval'"],
       'font-src': [
@@ -299,6 +300,15 @@ export default merge.smart(baseConfig, {
           })
         )
       )
+      app.use(
+        convert(
+          proxy('/proxy/bitcoinfees.earn.com', {
+            target: 'https://bitcoinfees.earn.com',
+            pathRewrite: { '^/proxy/bitcoinfees.earn.com': '' },
+            changeOrigin: true
+          })
+        )
+      )
       app.use(convert(history()))
     },
     // Start the main process as soon as the server is listening.
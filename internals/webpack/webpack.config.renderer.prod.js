@@ -164,7 +164,12 @@ export default merge.smart(baseConfig, {
     new CspHtmlWebpackPlugin({
       'default-src': "'self'",
       'object-src': "'none'",
-      'connect-src': ["'self'", 'https://blockchain.info', 'https://zap.jackmallers.com'],
+      'connect-src': [
+        "'self'",
+        'https://blockchain.info',
+        'https://zap.jackmallers.com',
+        'https://bitcoinfees.earn.com'
+      ],
       'script-src': ["'self'"],
       'font-src': [
         "'self'",
@@ -16,6 +16,11 @@ module.exports = {
   dialog: jest.fn(),
   BrowserWindow: jest.fn(),
   ipcMain: {
-    on: jest.fn()
+    on: jest.fn(),
+    removeAllListeners: jest.fn()
+  },
+  ipcRenderer: {
+    on: jest.fn(),
+    send: jest.fn()
   }
 }
@@ -0,0 +1,86 @@
+import React from 'react'
+import { configure } from 'enzyme'
+import Adapter from 'enzyme-adapter-react-16'
+
+import FeeSelector from 'components/FeeSelector'
+
+import { mountWithIntl } from '../__helpers__/intl-enzyme-test-helper'
+
+configure({ adapter: new Adapter() })
+
+const defaultProps = {
+  feerates: {
+    feeRates: { fast: 20, normal: 10, slow: 2 },
+    feeRatesAvailable: true,
+    preset: 'normal',
+    customFeeRate: ''
+  },
+  estimatedFee: 1470,
+  confirmationTime: 'normal',
+  customFeeRateIsValid: true,
+  ticker: { currency: 'sats', fiatTicker: 'USD' },
+  currencyName: 'sats',
+
+  setFeePreset: () => {},
+  setCustomFeeRate: () => {},
+  fetchFeeRates: () => {}
+}
+
+describe('FeeSelector', () => {
+  it('should fetch the going fee rates', () => {
+    const fetchFeeRates = jest.fn()
+    mountWithIntl(<FeeSelector {...defaultProps} fetchFeeRates={fetchFeeRates} />)
+    expect(fetchFeeRates).toHaveBeenCalled()
+  })
+
+  it('should show the fee rate of each preset', () => {
+    const el = mountWithIntl(<FeeSelector {...defaultProps} />)
+    expect(el.find('li').map(li => li.text())).toEqual([
+      'Fast20 sat/vbyte',
+      'Normal10 sat/vbyte',
+      'Slow2 sat/vbyte',
+      'Custom'
+    ])
+  })
+
+  it('should show the estimated fee and confirmation time', () => {
+    const el = mountWithIntl(<FeeSelector {...defaultProps} />)
+    expect(el.find('dd').map(dd => dd.text())).toEqual(['1470 sats', '~30 minutes'])
+  })
+
+  it('should show that the estimates are unavailable without fee rates', () => {
+    const props = {
+      ...defaultProps,
+      feerates: { ...defaultProps.feerates, feeRates: null, feeRatesAvailable: false },
+      estimatedFee: null
+    }
+    const el = mountWithIntl(<FeeSelector {...props} />)
+    expect(el.find('li').map(li => li.text())).toEqual(['Fast', 'Normal', 'Slow', 'Custom'])
+    expect(el.find('dd').map(dd => dd.text())).toEqual(['Unavailable', '~30 minutes'])
+  })
+
+  it('should select a preset when clicked', () => {
+    const setFeePreset = jest.fn()
+    const el = mountWithIntl(<FeeSelector {...defaultProps} setFeePreset={setFeePreset} />)
+    el.find('li')
+      .at(3)
+      .simulate('click')
+    expect(setFeePreset).toHaveBeenCalledWith('custom')
+  })
+
+  it('should only show the custom fee rate input for a custom fee', () => {
+    expect(
+      mountWithIntl(<FeeSelector {...defaultProps} />).find('input#customFeeRate')
+    ).toHaveLength(0)
+
+    const setCustomFeeRate = jest.fn()
+    const props = {
+      ...defaultProps,
+      feerates: { ...defaultProps.feerates, preset: 'custom' },
+      setCustomFeeRate
+    }
+    const el = mountWithIntl(<FeeSelector {...props} />)
+    el.find('input#customFeeRate').simulate('change', { target: { value: '5' } })
+    expect(setCustomFeeRate).toHaveBeenCalledWith('5')
+  })
+})
@@ -53,9 +53,16 @@ const requestFormProps = {
   showCurrencyFilters: true,
   currencyName: '',
   requestFiatAmount: '',
+  requestFormIsValid: false,
+  expiryIsValid: true,
+  cltvExpiryIsValid: true,
+  usesDescriptionHash: false,
 
   setRequestAmount: () => {},
   setRequestMemo: () => {},
+  setRequestAnyAmount: () => {},
+  setRequestShowAdvanced: () => {},
+  setRequestOption: () => {},
   setCurrency: () => {},
   setRequestCurrencyFilters: () => {},
 
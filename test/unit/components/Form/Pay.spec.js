@@ -13,7 +13,9 @@ const defaultProps = {
     amount: 0,
     payInput: '',
     invoice: {},
-    showErrors: {}
+    showErrors: {},
+    feeLimitType: 'none',
+    feeLimitValue: ''
   },
   currency: '',
   crypto: '',
@@ -25,11 +27,16 @@ const defaultProps = {
 
   isOnchain: false,
   isLn: true,
+  isZeroAmountInvoice: false,
   currentAmount: 0,
   usdAmount: 0,
   inputCaption: '',
   showPayLoadingScreen: true,
   payFormIsValid: {},
+  batchOutputs: [],
+  batchTotal: 0,
+  batchFee: null,
+  batchFormIsValid: {},
   currentCurrencyFilters: [],
   currencyName: '',
 
@@ -38,6 +45,41 @@ const defaultProps = {
   setCurrencyFilters: () => {},
   fetchInvoice: () => {},
   setCurrency: () => {},
+  setPayBatchMode: () => {},
+  setPayBatchInput: () => {},
+  setPayFeeLimitType: () => {},
+  setPayFeeLimitValue: () => {},
+
+  feeSelectorProps: {
+    feerates: {
+      feeRates: null,
+      feeRatesAvailable: false,
+      preset: 'normal',
+      customFeeRate: ''
+    },
+    estimatedFee: null,
+    confirmationTime: 'normal',
+    customFeeRateIsValid: true,
+    ticker: { currency: 'sats', fiatTicker: 'USD' },
+    currencyName: 'sats',
+    setFeePreset: () => {},
+    setCustomFeeRate: () => {},
+    fetchFeeRates: () => {}
+  },
+
+  routeSelectorProps: {
+    routes: [],
+    routeNodes: [],
+    currentRoute: {},
+    fetchingRoutes: false,
+    ticker: { currency: 'sats', fiatTicker: 'USD' },
+    currencyName: 'sats',
+    setCurrentRoute: () => {}
+  },
+  fetchInvoiceAndQueryRoutes: () => {},
+  clearQueryRoutes: () => {},
+
+  onBatchInputBlur: () => {},
 
   onPayAmountBlur: () => {},
 
@@ -62,6 +104,62 @@ describe('Form', () => {
     it('should contain Pay', () => {
       expect(el.find('input#paymentRequest').props.value).toBe(undefined)
     })
+
+    it('should let the route be chosen', () => {
+      expect(el.find('RouteSelector')).toHaveLength(1)
+      expect(el.find('FeeSelector')).toHaveLength(0)
+    })
+
+    it('should let a fee limit be set', () => {
+      expect(el.find('input#feeLimitValue')).toHaveLength(0)
+      const withFeeLimit = mountWithIntl(
+        <Pay {...props} payform={{ ...props.payform, feeLimitType: 'percent' }} />
+      )
+      expect(withFeeLimit.find('input#feeLimitValue')).toHaveLength(1)
+    })
+  })
+
+  describe('should ask for the amount of a zero amount invoice', () => {
+    const props = { ...defaultProps, isLn: true, isZeroAmountInvoice: true }
+    const el = mountWithIntl(<Pay {...props} />)
+
+    it('should let the amount be entered', () => {
+      expect(el.find('AmountInput').props().readOnly).toBe(false)
+      expect(el.find('RouteSelector')).toHaveLength(0)
+    })
+  })
+
+  describe('should show the batch form in batch mode', () => {
+    const fetchFeeRates = jest.fn()
+    const props = {
+      ...defaultProps,
+      payform: { ...defaultProps.payform, batchMode: true, batchInput: '' },
+      ticker: { currency: 'sats', fiatTicker: 'USD' },
+      batchOutputs: [{ line: 1, addr: 'addr1', value: '1000', sats: 1000, error: null }],
+      batchTotal: 1000,
+      batchFee: 226,
+      feeSelectorProps: { ...defaultProps.feeSelectorProps, fetchFeeRates }
+    }
+    const el = mountWithIntl(<Pay {...props} />)
+
+    it('should fetch fee rates for the fee estimate', () => {
+      expect(fetchFeeRates).toHaveBeenCalled()
+    })
+
+    it('should show the batch input instead of the payment request', () => {
+      expect(el.find('textarea#batchInput')).toHaveLength(1)
+      expect(el.find('textarea#paymentRequest')).toHaveLength(0)
+    })
+
+    it('should show the total with the estimated fee', () => {
+      expect(el.text()).toContain('1226')
+    })
+
+    it('should only show the total with the fee if the fee can be estimated', () => {
+      const withoutFee = mountWithIntl(<Pay {...props} batchFee={null} />)
+      expect(el.text()).toContain('Total with fee')
+      expect(withoutFee.text()).not.toContain('Total with fee')
+    })
   })
 
   describe('should show on-chain with an on-chain input', () => {
@@ -71,5 +169,9 @@ describe('Form', () => {
     it('should contain Pay', () => {
       expect(el.find('input#paymentRequest').props.value).toBe(undefined)
     })
+
+    it('should let the fee be chosen', () => {
+      expect(el.find('FeeSelector')).toHaveLength(1)
+    })
   })
 })
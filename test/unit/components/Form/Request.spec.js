@@ -9,7 +9,16 @@ import { mountWithIntl } from '../../__helpers__/intl-enzyme-test-helper'
 configure({ adapter: new Adapter() })
 
 const defaultProps = {
-  requestform: {},
+  requestform: {
+    amount: '',
+    memo: '',
+    anyAmount: false,
+    showAdvanced: false,
+    expiry: '',
+    cltvExpiry: '',
+    fallbackAddress: false,
+    hashDescription: false
+  },
   ticker: {
     currency: 'btc',
     fiatTicker: 'USD'
@@ -19,9 +28,16 @@ const defaultProps = {
   showCurrencyFilters: true,
   currencyName: '',
   requestFiatAmount: '',
+  requestFormIsValid: false,
+  expiryIsValid: true,
+  cltvExpiryIsValid: true,
+  usesDescriptionHash: false,
 
   setRequestAmount: () => {},
   setRequestMemo: () => {},
+  setRequestAnyAmount: () => {},
+  setRequestShowAdvanced: () => {},
+  setRequestOption: () => {},
   setCurrency: () => {},
   setRequestCurrencyFilters: () => {},
 
@@ -36,4 +52,36 @@ describe('Form', () => {
       expect(el.contains('Request Payment')).toBe(true)
     })
   })
+
+  describe('should allow requesting any amount', () => {
+    const props = {
+      ...defaultProps,
+      requestform: { ...defaultProps.requestform, anyAmount: true },
+      requestFormIsValid: true
+    }
+    const el = mountWithIntl(<Request {...props} />)
+    it('should not ask for an amount', () => {
+      expect(el.find('input#anyAmount').props().checked).toBe(true)
+      expect(el.find('AmountInput').props().readOnly).toBe(true)
+    })
+  })
+
+  describe('should show the advanced options', () => {
+    it('should hide them by default', () => {
+      const el = mountWithIntl(<Request {...defaultProps} />)
+      expect(el.find('input#expiry')).toHaveLength(0)
+    })
+
+    it('should explain when a long memo will be hashed', () => {
+      const props = {
+        ...defaultProps,
+        requestform: { ...defaultProps.requestform, showAdvanced: true },
+        usesDescriptionHash: true
+      }
+      const el = mountWithIntl(<Request {...props} />)
+      expect(el.find('input#expiry')).toHaveLength(1)
+      expect(el.find('input#hashDescription').props().disabled).toBe(true)
+      expect(el.text()).toContain('The memo is too long to fit in the request')
+    })
+  })
 })
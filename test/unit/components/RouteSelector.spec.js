@@ -0,0 +1,72 @@
+import React from 'react'
+import { configure } from 'enzyme'
+import Adapter from 'enzyme-adapter-react-16'
+
+import RouteSelector from 'components/RouteSelector'
+
+import { mountWithIntl } from '../__helpers__/intl-enzyme-test-helper'
+
+configure({ adapter: new Adapter() })
+
+const routes = [
+  {
+    total_time_lock: 1144,
+    total_fees: 2,
+    hops: [
+      { chan_id: '1', fee: 1, expiry: 1104 },
+      { chan_id: '2', fee: 1, expiry: 1064 },
+      { chan_id: '3', fee: 0, expiry: 1024 }
+    ]
+  },
+  {
+    total_time_lock: 1088,
+    total_fees: 5,
+    hops: [{ chan_id: '4', fee: 5, expiry: 1048 }, { chan_id: '5', fee: 0, expiry: 1024 }]
+  }
+]
+
+const defaultProps = {
+  routes,
+  routeNodes: [['alice', 'bob', 'carol'], ['dave', 'carol']],
+  currentRoute: {},
+  fetchingRoutes: false,
+  blockHeight: 1000,
+  ticker: { currency: 'sats', fiatTicker: 'USD' },
+  currencyName: 'sats',
+
+  setCurrentRoute: () => {}
+}
+
+describe('RouteSelector', () => {
+  it('should show a summary of each route', () => {
+    const el = mountWithIntl(<RouteSelector {...defaultProps} />)
+    expect(el.find('#routes > li').map(li => li.text())).toEqual([
+      'AutomaticLet your node pick the route',
+      'Route 13 hops · 2 sats fee · 144 block time-lock',
+      'Route 22 hops · 5 sats fee · 88 block time-lock'
+    ])
+  })
+
+  it('should select a route when clicked', () => {
+    const setCurrentRoute = jest.fn()
+    const el = mountWithIntl(<RouteSelector {...defaultProps} setCurrentRoute={setCurrentRoute} />)
+    el.find('#routes > li')
+      .at(2)
+      .simulate('click')
+    expect(setCurrentRoute).toHaveBeenCalledWith(routes[1])
+  })
+
+  it('should show the hops of the selected route', () => {
+    const el = mountWithIntl(<RouteSelector {...defaultProps} currentRoute={routes[1]} />)
+    expect(el.find('ol li').map(li => li.text())).toEqual([
+      'dave: 5 sats fee, 48 block expiry',
+      'carol: 0 sats fee, 24 block expiry'
+    ])
+    expect(el.text()).toContain('the remaining routes will be tried in order')
+  })
+
+  it('should say when there are no routes', () => {
+    const el = mountWithIntl(<RouteSelector {...defaultProps} routes={[]} routeNodes={[]} />)
+    expect(el.text()).toContain('No routes found')
+  })
+})
@@ -0,0 +1,244 @@
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import crypto from 'crypto'
+import ChannelBackup, {
+  BACKUP_DELAY,
+  encryptBackup,
+  decryptBackup,
+  createSnapshot,
+  restoreBackup
+} from 'lib/lnd/channelBackup'
+
+jest.mock('electron-store')
+
+// Build a fake lnd gRPC service that responds with the given data.
+const createLnd = (overrides = {}) => {
+  const respond = data => jest.fn((req, cb) => cb(null, data))
+  return {
+    getInfo: respond({ identity_pubkey: 'ourpubkey', chains: ['bitcoin'], testnet: true }),
+    listChannels: respond({
+      channels: [
+        {
+          channel_point: 'txid1:0',
+          chan_id: '123',
+          remote_pubkey: 'peer1',
+          capacity: 100000,
+          local_balance: 50000
+        }
+      ]
+    }),
+    pendingChannels: respond({
+      pending_open_channels: [
+        {
+          channel: {
+            channel_point: 'txid2:1',
+            remote_node_pub: 'peer2',
+            capacity: 200000,
+            local_balance: 200000
+          }
+        }
+      ]
+    }),
+    listPeers: respond({ peers: [{ pub_key: 'peer1', address: '1.2.3.4:9735' }] }),
+    getNodeInfo: jest.fn((req, cb) => {
+      if (req.pub_key !== 'peer1') {
+        return cb(new Error('unable to find node'))
+      }
+      return cb(null, {
+        node: { addresses: [{ addr: '1.2.3.4:9735' }, { addr: 'peer1.onion:9735' }] }
+      })
+    }),
+    signMessage: respond({ signature: 'deterministic-signature' }),
+    connectPeer: respond({}),
+    ...overrides
+  }
+}
+
+describe('ChannelBackup', function() {
+  beforeEach(() => {
+    this.dir = mkdtempSync(join(tmpdir(), 'zap-channel-backup-'))
+    this.key = crypto.randomBytes(32)
+  })
+
+  describe('encryptBackup', () => {
+    it('should be reversible with the same key', () => {
+      const backup = { version: 1, channels: [], peers: [] }
+      const file = encryptBackup(this.key, backup)
+      expect(file.data).not.toContain('channels')
+      expect(decryptBackup(this.key, file)).toEqual(backup)
+    })
+
+    it('should not be decryptable with a different key', () => {
+      const file = encryptBackup(this.key, { version: 1, channels: [], peers: [] })
+      expect(() => decryptBackup(crypto.randomBytes(32), file)).toThrow(
+        'Unable to decrypt channel backup'
+      )
+    })
+  })
+
+  describe('createSnapshot', () => {
+    it('should include open and pending channels along with their peer addresses', async () => {
+      const snapshot = await createSnapshot(createLnd())
+      expect(snapshot.identity_pubkey).toEqual('ourpubkey')
+      expect(snapshot.channels).toEqual([
+        expect.objectContaining({
+          channel_point: 'txid1:0',
+          remote_pubkey: 'peer1',
+          pending: false
+        }),
+        expect.objectContaining({ channel_point: 'txid2:1', remote_pubkey: 'peer2', pending: true })
+      ])
+      expect(snapshot.peers).toEqual([
+        { pub_key: 'peer1', addresses: ['1.2.3.4:9735', 'peer1.onion:9735'] },
+        { pub_key: 'peer2', addresses: [] }
+      ])
+    })
+  })
+
+  describe('.backup', () => {
+    it('should not write anything if no backup directory has been set', async () => {
+      const backup = new ChannelBackup(createLnd(), { currency: 'bitcoin', network: 'testnet' })
+      await expect(backup.backup()).resolves.toBeNull()
+    })
+
+    it('should write an encrypted backup file', async () => {
+      const lndConfig = {
+        channelBackupDir: this.dir,
+        currency: 'bitcoin',
+        network: 'testnet',
+        wallet: 'wallet-1'
+      }
+      const backup = new ChannelBackup(createLnd(), lndConfig)
+      const filePath = await backup.backup()
+      expect(filePath).toEqual(join(this.dir, 'zap-channel-backup-bitcoin-testnet-wallet-1.json'))
+
+      const file = JSON.parse(readFileSync(filePath, 'utf8'))
+      expect(file).toMatchObject({ version: 1, cipher: 'aes-256-gcm' })
+      expect(JSON.stringify(file)).not.toContain('peer1')
+    })
+
+    it('should only write a new backup when our channels have changed', async () => {
+      const lndConfig = { channelBackupDir: this.dir, currency: 'bitcoin', network: 'testnet' }
+      const backup = new ChannelBackup(createLnd(), lndConfig)
+      await expect(backup.backup()).resolves.toBeTruthy()
+      await expect(backup.backup()).resolves.toBeNull()
+      await expect(backup.backup({ force: true })).resolves.toBeTruthy()
+    })
+
+    it('should not write a new backup when only our balances have changed', async () => {
+      const lndConfig = { channelBackupDir: this.dir, currency: 'bitcoin', network: 'testnet' }
+      const lnd = createLnd()
+      const backup = new ChannelBackup(lnd, lndConfig)
+      await backup.backup()
+      lnd.listChannels = jest.fn((req, cb) =>
+        cb(null, {
+          channels: [
+            {
+              channel_point: 'txid1:0',
+              chan_id: '123',
+              remote_pubkey: 'peer1',
+              capacity: 100000,
+              local_balance: 40000
+            }
+          ]
+        })
+      )
+      await expect(backup.backup()).resolves.toBeNull()
+    })
+  })
+
+  describe('.schedule', () => {
+    beforeEach(() => jest.useFakeTimers())
+    afterEach(() => jest.useRealTimers())
+
+    it('should not be put off by a steady stream of calls', () => {
+      const backup = new ChannelBackup(createLnd(), { currency: 'bitcoin', network: 'testnet' })
+      backup.backup = jest.fn(() => Promise.resolve(null))
+      for (let elapsed = 0; elapsed < BACKUP_DELAY; elapsed += 1000) {
+        backup.schedule()
+        jest.advanceTimersByTime(1000)
+      }
+      expect(backup.backup).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('.involvesOurChannels', () => {
+    const update = (overrides = {}) => ({
+      node_updates: [],
+      channel_updates: [],
+      closed_chans: [],
+      ...overrides
+    })
+
+    beforeEach(() => {
+      this.backup = new ChannelBackup(createLnd(), { currency: 'bitcoin', network: 'testnet' })
+    })
+
+    it('should count every update until we have taken a snapshot', () => {
+      expect(this.backup.involvesOurChannels(update())).toBe(true)
+    })
+
+    it('should only count updates to our node or our channels', async () => {
+      this.backup.lndConfig.channelBackupDir = this.dir
+      await this.backup.backup()
+      expect(
+        this.backup.involvesOurChannels(
+          update({
+            node_updates: [{ identity_key: 'someone' }],
+            channel_updates: [{ chan_id: '456', advertising_node: 'a', connecting_node: 'b' }],
+            closed_chans: [{ chan_id: '789' }]
+          })
+        )
+      ).toBe(false)
+      expect(
+        this.backup.involvesOurChannels(
+          update({ channel_updates: [{ chan_id: '1', advertising_node: 'ourpubkey' }] })
+        )
+      ).toBe(true)
+      expect(this.backup.involvesOurChannels(update({ closed_chans: [{ chan_id: '123' }] }))).toBe(
+        true
+      )
+    })
+  })
+
+  describe('restoreBackup', () => {
+    beforeEach(async () => {
+      const lndConfig = { channelBackupDir: this.dir, currency: 'bitcoin', network: 'testnet' }
+      this.filePath = await new ChannelBackup(createLnd(), lndConfig).backup()
+    })
+
+    it('should reconnect to the peers from the backup', async () => {
+      const lnd = createLnd({
+        connectPeer: jest.fn((req, cb) => {
+          if (req.addr.host === '1.2.3.4:9735') {
+            return cb(new Error('connection refused'))
+          }
+          return cb(null, {})
+        })
+      })
+      const result = await restoreBackup(lnd, this.filePath)
+      expect(result.channels).toEqual(2)
+      expect(result.peers).toEqual([
+        { pub_key: 'peer1', connected: true },
+        { pub_key: 'peer2', connected: false, error: 'No known addresses' }
+      ])
+      expect(lnd.connectPeer).toHaveBeenCalledTimes(2)
+    })
+
+    it('should reject backups that belong to a different wallet', async () => {
+      const lnd = createLnd({
+        getInfo: jest.fn((req, cb) => cb(null, { identity_pubkey: 'someoneelse' }))
+      })
+      await expect(restoreBackup(lnd, this.filePath)).rejects.toThrow('different wallet')
+    })
+
+    it('should reject files that are not channel backups', async () => {
+      const filePath = join(this.dir, 'other.json')
+      writeFileSync(filePath, JSON.stringify({ hello: 'world' }))
+      await expect(restoreBackup(createLnd(), filePath)).rejects.toThrow(
+        'Unsupported channel backup file'
+      )
+    })
+  })
+})
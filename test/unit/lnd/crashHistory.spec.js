@@ -0,0 +1,62 @@
+import Store from 'electron-store'
+import CrashHistory, { MAX_CRASHES } from 'lib/lnd/crashHistory'
+
+jest.mock('electron-store')
+
+const crash = date => ({
+  date,
+  code: 2,
+  signal: null,
+  lastError: null,
+  lndVersion: '0.5.0-beta',
+  network: 'testnet',
+  chainBackend: 'neutrino',
+  stdout: [],
+  stderr: []
+})
+
+describe('CrashHistory', function() {
+  beforeEach(() => {
+    Store.mockClear()
+    Store.prototype.get.mockReset()
+    Store.prototype.set.mockReset()
+    Store.prototype.delete.mockReset()
+    this.history = new CrashHistory()
+  })
+
+  it('should store crashes in the crashes store', () => {
+    expect(Store).toHaveBeenCalledWith({ name: 'crashes' })
+  })
+
+  describe('.list', () => {
+    it('should return an empty list when there are no crashes', () => {
+      Store.prototype.get.mockImplementation((key, defaultValue) => defaultValue)
+      expect(this.history.list()).toEqual([])
+    })
+  })
+
+  describe('.add', () => {
+    it('should add the crash to the start of the list', () => {
+      Store.prototype.get.mockReturnValue([crash('2018-10-01')])
+      const crashes = this.history.add(crash('2018-10-02'))
+      expect(crashes.map(c => c.date)).toEqual(['2018-10-02', '2018-10-01'])
+      expect(Store.prototype.set).toHaveBeenCalledWith('crashes', crashes)
+    })
+
+    it('should drop the oldest crashes once the history is full', () => {
+      const existing = Array.from({ length: MAX_CRASHES }, (v, i) => crash(`old-${i}`))
+      Store.prototype.get.mockReturnValue(existing)
+      const crashes = this.history.add(crash('new'))
+      expect(crashes).toHaveLength(MAX_CRASHES)
+      expect(crashes[0].date).toEqual('new')
+      expect(crashes.map(c => c.date)).not.toContain(`old-${MAX_CRASHES - 1}`)
+    })
+  })
+
+  describe('.clear', () => {
+    it('should delete all crashes', () => {
+      this.history.clear()
+      expect(Store.prototype.delete).toHaveBeenCalledWith('crashes')
+    })
+  })
+})
@@ -6,6 +6,10 @@ jest.mock('lib/lnd/subscribe/transactions')
 jest.mock('lib/lnd/subscribe/invoices')
 jest.mock('lib/lnd/subscribe/channelgraph')
 
+// Resolve once all pending promise callbacks have run. Uses the real setImmediate since timers are faked.
+const flushPromises = () =>
+  new Promise(resolve => jest.requireActual('timers').setImmediate(resolve))
+
 describe('Lightning', function() {
   describe('Constructor', () => {
     beforeAll(() => (this.lightning = new Lightning()))
@@ -50,4 +54,86 @@ describe('Lightning', function() {
       expect(this.lightning.mainWindow).toBeNull()
     })
   })
+
+  describe('connection supervisor', () => {
+    const createLightning = () => {
+      const lightning = new Lightning()
+      lightning.onBeforeConnect = jest.fn(() => Promise.resolve())
+      lightning.service = { getInfo: jest.fn(), close: jest.fn() }
+      return lightning
+    }
+
+    beforeEach(async () => {
+      jest.useFakeTimers()
+      this.window = { webContents: { send: jest.fn() } }
+      this.lightning = createLightning()
+      await this.lightning.connect()
+      this.lightning.subscribe(this.window)
+    })
+
+    afterEach(() => {
+      if (this.lightning.can('disconnect')) {
+        this.lightning.disconnect()
+      }
+      jest.useRealTimers()
+    })
+
+    describe('when the health check succeeds', () => {
+      beforeEach(async () => {
+        this.lightning.service.getInfo.mockImplementation((req, opts, callback) =>
+          callback(null, {})
+        )
+        this.isHealthy = await this.lightning.checkConnection()
+      })
+      it('should remain connected', () => {
+        expect(this.isHealthy).toBe(true)
+        expect(this.lightning.state).toEqual('connected')
+      })
+    })
+
+    describe('when the health check fails', () => {
+      beforeEach(async () => {
+        this.lightning.service.getInfo.mockImplementation((req, opts, callback) =>
+          callback(new Error('14 UNAVAILABLE: Connect Failed'))
+        )
+        this.isHealthy = await this.lightning.checkConnection()
+      })
+      it('should start reconnecting', () => {
+        expect(this.isHealthy).toBe(false)
+        expect(this.lightning.state).toEqual('reconnecting')
+      })
+      it('should let the renderer know that we are reconnecting', () => {
+        expect(this.window.webContents.send).toHaveBeenCalledWith('lightningConnectionStatus', {
+          status: 'reconnecting',
+          attempt: 1,
+          delay: 1000
+        })
+      })
+      it('should back off exponentially between failed attempts', async () => {
+        this.lightning.onBeforeConnect.mockImplementation(() => Promise.reject(new Error('nope')))
+        jest.advanceTimersByTime(1000)
+        await flushPromises()
+        expect(this.window.webContents.send).toHaveBeenLastCalledWith('lightningConnectionStatus', {
+          status: 'reconnecting',
+          attempt: 2,
+          delay: 2000
+        })
+      })
+      it('should reconnect and restore subscriptions once lnd is available again', async () => {
+        jest.advanceTimersByTime(1000)
+        await flushPromises()
+        expect(this.lightning.state).toEqual('connected')
+        expect(this.lightning.reconnectAttempts).toEqual(0)
+        expect(this.lightning.mainWindow).toBe(this.window)
+        expect(this.window.webContents.send).toHaveBeenLastCalledWith('lightningConnectionStatus', {
+          status: 'connected'
+        })
+      })
+      it('should stop reconnecting when disconnected', () => {
+        this.lightning.disconnect()
+        expect(this.lightning.state).toEqual('ready')
+        expect(this.lightning.reconnectTimer).toBeNull()
+      })
+    })
+  })
 })
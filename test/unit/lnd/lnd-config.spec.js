@@ -1,6 +1,8 @@
 // @flow
 
-import { join, normalize } from 'path'
+import { dirname, join, normalize } from 'path'
+import { existsSync, mkdirSync } from 'fs'
+import get from 'lodash.get'
 import Store from 'electron-store'
 import LndConfig from 'lib/lnd/config'
 
@@ -13,6 +15,14 @@ jest.mock('lib/lnd/util', () => {
   }
 })
 
+// Create a directory along with any parents that don't exist yet.
+const mkdirs = dir => {
+  if (!existsSync(dir)) {
+    mkdirs(dirname(dir))
+    mkdirSync(dir)
+  }
+}
+
 describe('LndConfig', function() {
   const checkForStaticProperties = () => {
     it('should have "binaryPath" set to the value returned by lib/lnd/util', () => {
@@ -198,4 +208,114 @@ describe('LndConfig', function() {
       })
     })
   })
+
+  describe('Wallet management', () => {
+    beforeAll(() => {
+      const savedConfigs = {
+        local: {
+          bitcoin: {
+            testnet: {
+              'wallet-1': { alias: 'some-alias' },
+              'wallet-2': {}
+            }
+          }
+        },
+        custom: {
+          bitcoin: {
+            mainnet: {
+              'wallet-1': { host: 'some-host' }
+            }
+          }
+        }
+      }
+      Store.prototype.get.mockImplementation((key, defaultValue) =>
+        get(savedConfigs, key, defaultValue)
+      )
+    })
+
+    afterAll(() => {
+      Store.prototype.get.mockReset()
+      Store.prototype.has.mockReset()
+    })
+
+    describe('LndConfig.list()', () => {
+      beforeAll(() => {
+        this.configs = LndConfig.list()
+      })
+
+      it('should return a config for each saved wallet', () => {
+        expect(this.configs.map(config => config.key)).toEqual([
+          'local.bitcoin.testnet.wallet-1',
+          'local.bitcoin.testnet.wallet-2',
+          'custom.bitcoin.mainnet.wallet-1'
+        ])
+      })
+      it('should load the settings for each config', () => {
+        expect(this.configs[0].alias).toEqual('some-alias')
+        expect(this.configs[2].host).toEqual('some-host')
+      })
+    })
+
+    describe('LndConfig.nextWalletName()', () => {
+      it('should return the first unused wallet name for the network', () => {
+        expect(LndConfig.nextWalletName('bitcoin', 'testnet')).toEqual('wallet-3')
+        expect(LndConfig.nextWalletName('bitcoin', 'mainnet')).toEqual('wallet-2')
+        expect(LndConfig.nextWalletName('litecoin', 'testnet')).toEqual('wallet-1')
+      })
+    })
+
+    describe('.rename()', () => {
+      beforeEach(() => {
+        Store.prototype.has.mockReturnValue(false)
+        this.lndConfig = new LndConfig({
+          type: 'local',
+          currency: 'bitcoin',
+          network: 'testnet',
+          wallet: 'wallet-1'
+        })
+        mkdirs(this.lndConfig.lndDir)
+      })
+
+      it('should throw an error if the new name is invalid', () => {
+        expect(() => this.lndConfig.rename('some.wallet')).toThrow('Invalid wallet name')
+        expect(() => this.lndConfig.rename('')).toThrow('Invalid wallet name')
+      })
+
+      it('should throw an error if a wallet with the new name already exists', () => {
+        Store.prototype.has.mockReturnValue(true)
+        expect(() => this.lndConfig.rename('wallet-2')).toThrow('already exists')
+      })
+
+      it('should move the settings and lnd data dir to the new name', () => {
+        const oldLndDir = this.lndConfig.lndDir
+        this.lndConfig.rename('savings')
+        expect(Store.prototype.delete).toHaveBeenCalledWith('local.bitcoin.testnet.wallet-1')
+        expect(Store.prototype.set).toHaveBeenCalledWith('local.bitcoin.testnet.savings', {
+          alias: 'some-alias'
+        })
+        expect(existsSync(oldLndDir)).toBe(false)
+        expect(existsSync(this.lndConfig.lndDir)).toBe(true)
+        expect(this.lndConfig.cert).toEqual(join(this.lndConfig.lndDir, 'tls.cert'))
+      })
+    })
+
+    describe('.delete()', () => {
+      beforeAll(() => {
+        this.lndConfig = new LndConfig({
+          type: 'local',
+          currency: 'bitcoin',
+          network: 'testnet',
+          wallet: 'savings'
+        })
+        this.lndConfig.delete()
+      })
+
+      it('should remove the config from the store', () => {
+        expect(Store.prototype.delete).toHaveBeenCalledWith('local.bitcoin.testnet.savings')
+      })
+      it('should remove the lnd data dir', () => {
+        expect(existsSync(this.lndConfig.lndDir)).toBe(false)
+      })
+    })
+  })
 })
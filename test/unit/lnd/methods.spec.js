@@ -0,0 +1,473 @@
+import crypto from 'crypto'
+import methods, { registry, serializeError } from 'lib/lnd/methods'
+
+describe('Methods', function() {
+  const log = { info: jest.fn(), error: jest.fn() }
+  const createEvent = () => ({ sender: { send: jest.fn() } })
+
+  describe('serializeError', () => {
+    it('should include the gRPC code and details', () => {
+      const error = Object.assign(new Error('2 UNKNOWN: unable to find node'), {
+        code: 2,
+        details: 'unable to find node'
+      })
+      expect(serializeError(error)).toEqual({
+        code: 2,
+        details: 'unable to find node',
+        message: 'Error: 2 UNKNOWN: unable to find node'
+      })
+    })
+
+    it('should use a user friendly message where one is defined', () => {
+      const error = Object.assign(new Error('11 OUT_OF_RANGE: EOF'), { code: 11, details: 'EOF' })
+      expect(serializeError(error).message).toMatch(/isn't available or rejected the connection/)
+    })
+
+    it('should handle string errors', () => {
+      expect(serializeError('unable to route payment')).toEqual({
+        code: undefined,
+        details: 'unable to route payment',
+        message: 'unable to route payment'
+      })
+    })
+  })
+
+  describe('called with a registered method', () => {
+    beforeEach(async () => {
+      this.event = createEvent()
+      this.lnd = {
+        disconnectPeer: jest.fn((payload, callback) => callback(null, {}))
+      }
+      await methods(this.lnd, log, this.event, 'disconnectPeer', { pubkey: 'abc' }, 1)
+    })
+    it('should call the lnd method', () => {
+      expect(this.lnd.disconnectPeer.mock.calls[0][0]).toEqual({ pub_key: 'abc' })
+    })
+    it('should send the result back with the request id', () => {
+      expect(this.event.sender.send).toHaveBeenCalledWith('lndResponse', {
+        id: 1,
+        msg: 'disconnectPeer',
+        result: { pubkey: 'abc' }
+      })
+    })
+  })
+
+  describe('called with a method that fails', () => {
+    beforeEach(async () => {
+      this.event = createEvent()
+      this.lnd = {
+        describeGraph: jest.fn((payload, callback) =>
+          callback(Object.assign(new Error('14 UNAVAILABLE: Connect Failed'), { code: 14 }))
+        )
+      }
+      await methods(this.lnd, log, this.event, 'describeNetwork', undefined, 2)
+    })
+    it('should send a structured error back with the request id', () => {
+      expect(this.event.sender.send).toHaveBeenCalledWith('lndResponse', {
+        id: 2,
+        msg: 'describeNetwork',
+        error: {
+          code: 14,
+          details: '14 UNAVAILABLE: Connect Failed',
+          message: 'Error: 14 UNAVAILABLE: Connect Failed'
+        }
+      })
+    })
+  })
+
+  describe('called with an unknown method', () => {
+    beforeEach(async () => {
+      this.event = createEvent()
+      await methods({}, log, this.event, 'doesNotExist', undefined, 3)
+    })
+    it('should send an unimplemented error back with the request id', () => {
+      const [channel, response] = this.event.sender.send.mock.calls[0]
+      expect(channel).toEqual('lndResponse')
+      expect(response.id).toEqual(3)
+      expect(response.error.code).toEqual(12)
+    })
+  })
+
+  describe('registry', () => {
+    it('should register the methods used by the renderer', () => {
+      expect(Object.keys(registry)).toEqual(
+        expect.arrayContaining(['info', 'balance', 'channels', 'sendPayment', 'connectAndOpen'])
+      )
+    })
+
+    describe('feeReport', () => {
+      beforeEach(() => {
+        const respond = data => jest.fn((payload, callback) => callback(null, data))
+        this.lnd = {
+          feeReport: respond({
+            channel_fees: [
+              { chan_point: 'txid1:0', base_fee_msat: 1000, fee_per_mil: 1, fee_rate: 0.000001 },
+              { chan_point: 'txid2:1', base_fee_msat: 2000, fee_per_mil: 10, fee_rate: 0.00001 }
+            ],
+            day_fee_sum: 1,
+            week_fee_sum: 7,
+            month_fee_sum: 30
+          }),
+          getInfo: respond({ identity_pubkey: 'ourpubkey' }),
+          listChannels: respond({
+            channels: [
+              { channel_point: 'txid1:0', chan_id: '1' },
+              { channel_point: 'txid2:1', chan_id: '2' }
+            ]
+          }),
+          getChanInfo: jest.fn((payload, callback) => {
+            if (payload.chan_id === '2') {
+              return callback(new Error('edge not found'))
+            }
+            return callback(null, {
+              node1_pub: 'theirpubkey',
+              node1_policy: { time_lock_delta: 40 },
+              node2_pub: 'ourpubkey',
+              node2_policy: { time_lock_delta: 144 }
+            })
+          })
+        }
+      })
+
+      it('should include the time lock delta from our side of each channel', async () => {
+        const report = await registry.feeReport(this.lnd)
+        expect(report).toEqual({
+          channel_fees: [
+            { channel_point: 'txid1:0', base_fee_msat: 1000, fee_per_mil: 1, time_lock_delta: 144 },
+            {
+              channel_point: 'txid2:1',
+              base_fee_msat: 2000,
+              fee_per_mil: 10,
+              time_lock_delta: null
+            }
+          ],
+          day_fee_sum: 1,
+          week_fee_sum: 7,
+          month_fee_sum: 30
+        })
+      })
+    })
+
+    describe('verifyMessage', () => {
+      beforeEach(() => {
+        this.lnd = {
+          verifyMessage: jest.fn((payload, callback) =>
+            callback(null, { valid: true, pubkey: 'pubkey' })
+          )
+        }
+      })
+
+      it('should send the message as bytes and return the recovered pubkey', async () => {
+        const result = await registry.verifyMessage(this.lnd, { msg: 'hello', signature: 'sig' })
+        expect(this.lnd.verifyMessage.mock.calls[0][0]).toEqual({
+          msg: Buffer.from('hello', 'utf8'),
+          signature: 'sig'
+        })
+        expect(result).toEqual({ valid: true, pubkey: 'pubkey' })
+      })
+    })
+
+    describe('nodeInfo and chanInfo', () => {
+      beforeEach(() => {
+        this.lnd = {
+          getNodeInfo: jest.fn((payload, callback) =>
+            callback(null, { node: { pub_key: 'pubkey' }, num_channels: 2, total_capacity: 300 })
+          ),
+          getChanInfo: jest.fn((payload, callback) => callback(null, { channel_id: 1 }))
+        }
+      })
+
+      it('should look up a node by its pubkey', async () => {
+        const result = await registry.nodeInfo(this.lnd, { pubkey: 'pubkey' })
+        expect(this.lnd.getNodeInfo.mock.calls[0][0]).toEqual({ pub_key: 'pubkey' })
+        expect(result.total_capacity).toEqual(300)
+      })
+
+      it('should look up a channel by its id', async () => {
+        const result = await registry.chanInfo(this.lnd, { chanId: 1 })
+        expect(this.lnd.getChanInfo.mock.calls[0][0]).toEqual({ chan_id: 1 })
+        expect(result).toEqual({ channel_id: 1 })
+      })
+    })
+
+    describe('getInvoiceAndQueryRoutes', () => {
+      beforeEach(() => {
+        this.lnd = {
+          decodePayReq: jest.fn((payload, callback) =>
+            callback(null, { destination: 'pubkey', num_satoshis: '1000', cltv_expiry: '144' })
+          ),
+          queryRoutes: jest.fn((payload, callback) => callback(null, { routes: [] }))
+        }
+      })
+
+      it('should find routes for the final time-lock of the invoice', async () => {
+        await registry.getInvoiceAndQueryRoutes(this.lnd, { payreq: 'lntb1', num_routes: 5 })
+        expect(this.lnd.queryRoutes.mock.calls[0][0]).toEqual({
+          pub_key: 'pubkey',
+          amt: '1000',
+          num_routes: 5,
+          final_cltv_delta: '144'
+        })
+      })
+
+      it('should not find routes for invoices without an amount', async () => {
+        this.lnd.decodePayReq = jest.fn((payload, callback) =>
+          callback(null, { destination: 'pubkey', num_satoshis: '0', cltv_expiry: '144' })
+        )
+        const result = await registry.getInvoiceAndQueryRoutes(this.lnd, { payreq: 'lntb1' })
+        expect(result).toEqual({ routes: [] })
+        expect(this.lnd.queryRoutes).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('probeRoutes', () => {
+      const route = { hops: [{ chan_id: 1, amt_to_forward: 1000, fee: 0, expiry: 144 }] }
+
+      it('should probe the routes that lnd finds to the destination', async () => {
+        const lnd = {
+          queryRoutes: jest.fn((payload, callback) => callback(null, { routes: [route] })),
+          sendToRouteSync: jest.fn((payload, callback) =>
+            callback(null, { payment_error: 'UnknownPaymentHash' })
+          )
+        }
+        const result = await registry.probeRoutes(lnd, {
+          pubkey: 'pubkey',
+          amount: 1000,
+          num_routes: 3
+        })
+        expect(lnd.queryRoutes.mock.calls[0][0]).toMatchObject({
+          pub_key: 'pubkey',
+          amt: 1000,
+          num_routes: 3
+        })
+        expect(result).toEqual({
+          pubkey: 'pubkey',
+          amount: 1000,
+          probes: [{ outcome: 'reached', error: 'UnknownPaymentHash', reachedHops: 1, route }]
+        })
+      })
+
+      it('should have no probes for a destination that there is no route to', async () => {
+        const lnd = {
+          queryRoutes: jest.fn((payload, callback) =>
+            callback(new Error('unable to find a path to destination'))
+          ),
+          sendToRouteSync: jest.fn()
+        }
+        const result = await registry.probeRoutes(lnd, { pubkey: 'pubkey', amount: 1000 })
+        expect(result.probes).toEqual([])
+        expect(lnd.sendToRouteSync).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('queryRebalanceRoutes', () => {
+      it('should look up the policy of the incoming channel before finding routes', async () => {
+        const lnd = {
+          getChanInfo: jest.fn((payload, callback) =>
+            callback(null, {
+              node1_pub: 'peer',
+              node1_policy: { fee_base_msat: 0, fee_rate_milli_msat: 0, time_lock_delta: 40 }
+            })
+          ),
+          queryRoutes: jest.fn((payload, callback) => callback(null, { routes: [] }))
+        }
+        const result = await registry.queryRebalanceRoutes(lnd, {
+          outgoing_chan_id: 1,
+          incoming_chan_id: 2,
+          incoming_pubkey: 'peer',
+          amount: 1000,
+          fee_limit: 10,
+          final_cltv_delta: 144,
+          num_routes: 10
+        })
+        expect(lnd.getChanInfo.mock.calls[0][0]).toEqual({ chan_id: 2 })
+        expect(lnd.queryRoutes.mock.calls[0][0]).toMatchObject({ pub_key: 'peer', amt: 1000 })
+        expect(result).toEqual({ routes: [] })
+      })
+    })
+
+    describe('createInvoice', () => {
+      beforeEach(() => {
+        this.lnd = {
+          newAddress: jest.fn((payload, callback) => callback(null, { address: 'fallback' })),
+          addInvoice: jest.fn((payload, callback) =>
+            callback(null, { r_hash: 'abcd', payment_request: 'lnbc1' })
+          ),
+          decodePayReq: jest.fn((payload, callback) => callback(null, { expiry: 1800 }))
+        }
+      })
+
+      it('should pass the invoice options through to lnd', async () => {
+        await registry.createInvoice(this.lnd, {
+          memo: 'memo',
+          value: 1000,
+          private: false,
+          expiry: 1800,
+          cltv_expiry: 40
+        })
+        expect(this.lnd.newAddress).not.toHaveBeenCalled()
+        expect(this.lnd.addInvoice.mock.calls[0][0]).toMatchObject({
+          memo: 'memo',
+          value: 1000,
+          expiry: 1800,
+          cltv_expiry: 40
+        })
+      })
+
+      it('should add a fallback address and commit to a hash of the memo', async () => {
+        const result = await registry.createInvoice(this.lnd, {
+          memo: 'memo',
+          value: 1000,
+          use_fallback_addr: true,
+          use_description_hash: true
+        })
+        const [invoice] = this.lnd.addInvoice.mock.calls[0]
+        expect(invoice.fallback_addr).toEqual('fallback')
+        expect(invoice.memo).toEqual('memo')
+        expect(invoice.description_hash).toEqual(
+          crypto
+            .createHash('sha256')
+            .update('memo')
+            .digest()
+        )
+        expect(result.memo).toEqual('memo')
+      })
+
+      it('should keep as much of a long memo as lnd will store', async () => {
+        const memo = `${'a'.repeat(1023)}€€`
+        const result = await registry.createInvoice(this.lnd, {
+          memo,
+          value: 1000,
+          use_description_hash: true
+        })
+        const [invoice] = this.lnd.addInvoice.mock.calls[0]
+        expect(invoice.memo).toEqual('a'.repeat(1023))
+        expect(invoice.description_hash).toEqual(
+          crypto
+            .createHash('sha256')
+            .update(memo)
+            .digest()
+        )
+        expect(result.memo).toEqual(memo)
+      })
+    })
+
+    describe('sendPayment', () => {
+      it('should pass the fee limit through to lnd', async () => {
+        const lnd = {
+          sendPaymentSync: jest.fn((payload, callback) =>
+            callback(null, { payment_route: { total_fees: 1 } })
+          )
+        }
+        const result = await registry.sendPayment(lnd, {
+          paymentRequest: 'lnbc1',
+          fee_limit: { percent: 1 }
+        })
+        expect(lnd.sendPaymentSync.mock.calls[0][0]).toEqual({
+          payment_request: 'lnbc1',
+          fee_limit: { percent: 1 }
+        })
+        expect(result.payment_route).toEqual({ total_fees: 1 })
+      })
+    })
+
+    describe('sendToRoute', () => {
+      const routes = [{ hops: [{ chan_id: '1' }] }, { hops: [{ chan_id: '2' }] }]
+
+      it('should pay over the given routes', async () => {
+        const lnd = {
+          sendToRouteSync: jest.fn((payload, callback) =>
+            callback(null, { payment_route: routes[1] })
+          )
+        }
+        const result = await registry.sendToRoute(lnd, { payment_hash_string: 'hash', routes })
+        expect(lnd.sendToRouteSync.mock.calls[0][0]).toEqual({
+          payment_hash_string: 'hash',
+          routes
+        })
+        expect(result).toEqual({ payment_hash_string: 'hash', payment_route: routes[1] })
+      })
+
+      it('should fail with the payment error if none of the routes worked', async () => {
+        const lnd = {
+          sendToRouteSync: jest.fn((payload, callback) =>
+            callback(null, { payment_error: 'unable to route payment to destination' })
+          )
+        }
+        await expect(
+          registry.sendToRoute(lnd, { payment_hash_string: 'hash', routes })
+        ).rejects.toEqual('unable to route payment to destination')
+      })
+    })
+
+    describe('sendCoins', () => {
+      beforeEach(() => {
+        this.lnd = { sendCoins: jest.fn((payload, callback) => callback(null, { txid: 'txid' })) }
+      })
+
+      it('should pass the fee options through to lnd', async () => {
+        const result = await registry.sendCoins(this.lnd, {
+          addr: 'addr',
+          amount: 1000,
+          sat_per_byte: 5
+        })
+        expect(this.lnd.sendCoins.mock.calls[0][0]).toEqual({
+          addr: 'addr',
+          amount: 1000,
+          target_conf: undefined,
+          sat_per_byte: 5
+        })
+        expect(result).toEqual({ amount: 1000, addr: 'addr', txid: 'txid' })
+      })
+    })
+
+    describe('sendMany', () => {
+      beforeEach(() => {
+        this.lnd = { sendMany: jest.fn((payload, callback) => callback(null, { txid: 'txid' })) }
+      })
+
+      it('should pay all of the addresses in a single transaction', async () => {
+        const AddrToAmount = { addr1: 1000, addr2: 2500 }
+        const result = await registry.sendMany(this.lnd, { AddrToAmount })
+        expect(this.lnd.sendMany).toHaveBeenCalledTimes(1)
+        expect(this.lnd.sendMany.mock.calls[0][0]).toMatchObject({ AddrToAmount })
+        expect(result).toEqual({ amount: 3500, txid: 'txid' })
+      })
+    })
+
+    describe('updateChannelPolicy', () => {
+      beforeEach(() => {
+        this.lnd = { updateChannelPolicy: jest.fn((payload, callback) => callback(null, {})) }
+      })
+
+      it('should update a single channel when given a channel point', async () => {
+        await registry.updateChannelPolicy(this.lnd, {
+          channel_point: 'txid:1',
+          base_fee_msat: '1000',
+          fee_rate: 0.000001,
+          time_lock_delta: '144'
+        })
+        expect(this.lnd.updateChannelPolicy.mock.calls[0][0]).toEqual({
+          chan_point: { funding_txid_str: 'txid', output_index: 1 },
+          base_fee_msat: 1000,
+          fee_rate: 0.000001,
+          time_lock_delta: 144
+        })
+      })
+
+      it('should update all channels when not given a channel point', async () => {
+        await registry.updateChannelPolicy(this.lnd, {
+          base_fee_msat: 1000,
+          fee_rate: 0.000001,
+          time_lock_delta: 144
+        })
+        expect(this.lnd.updateChannelPolicy.mock.calls[0][0]).toEqual({
+          global: true,
+          base_fee_msat: 1000,
+          fee_rate: 0.000001,
+          time_lock_delta: 144
+        })
+      })
+    })
+  })
+})
@@ -43,6 +43,9 @@ describe('Neutrino', function() {
       it('should set the "lastError" property to be null', () => {
         expect(this.neutrino.lastError).toEqual(null)
       })
+      it('should set the "lndVersion" property to be null', () => {
+        expect(this.neutrino.lndVersion).toEqual(null)
+      })
     })
   })
 
@@ -162,6 +165,18 @@ describe('Neutrino', function() {
     })
   })
 
+  describe('.appendOutput', () => {
+    it('should only keep the most recent lines', () => {
+      const lines = []
+      for (let i = 0; i < 60; i += 1) {
+        Neutrino.appendOutput(lines, `line ${i}`)
+      }
+      expect(lines).toHaveLength(50)
+      expect(lines[0]).toEqual('line 10')
+      expect(lines[49]).toEqual('line 59')
+    })
+  })
+
   describe('.is', () => {
     describe('called with current state', () => {
       beforeEach(() => {
@@ -177,6 +192,97 @@ describe('Neutrino', function() {
     })
   })
 
+  describe('.chainBackendArgs', () => {
+    const createNeutrino = (settings, network = 'testnet') =>
+      new Neutrino(
+        new LndConfig({
+          type: 'local',
+          currency: 'bitcoin',
+          network,
+          wallet: 'wallet-1',
+          settings
+        })
+      )
+
+    describe('called with no chain backend settings', () => {
+      beforeEach(() => {
+        this.neutrino = createNeutrino()
+      })
+      it('should use neutrino with the default peer', () => {
+        expect(this.neutrino.chainBackendArgs()).toEqual([
+          '--bitcoin.node=neutrino',
+          '--neutrino.connect=testnet1-btcd.zaphq.io'
+        ])
+      })
+    })
+
+    describe('called on regtest with no chain backend settings', () => {
+      beforeEach(() => {
+        this.neutrino = createNeutrino(undefined, 'regtest')
+      })
+      it('should not connect to a default peer', () => {
+        expect(this.neutrino.chainBackendArgs()).toEqual(['--bitcoin.node=neutrino'])
+      })
+    })
+
+    describe('called with custom neutrino peers', () => {
+      beforeEach(() => {
+        this.neutrino = createNeutrino({
+          chainBackend: 'neutrino',
+          neutrinoConnect: ['host1:18333', 'host2:18333'],
+          neutrinoAddPeer: ['host3:18333']
+        })
+      })
+      it('should use the configured peers', () => {
+        expect(this.neutrino.chainBackendArgs()).toEqual([
+          '--bitcoin.node=neutrino',
+          '--neutrino.connect=host1:18333',
+          '--neutrino.connect=host2:18333',
+          '--neutrino.addpeer=host3:18333'
+        ])
+      })
+    })
+
+    describe('called with a bitcoind backend', () => {
+      beforeEach(() => {
+        this.neutrino = createNeutrino({
+          chainBackend: 'bitcoind',
+          backendRpcHost: 'localhost:18332',
+          backendRpcUser: 'user',
+          backendRpcPass: 'pass',
+          zmqPubRawBlock: 'tcp://127.0.0.1:28332',
+          zmqPubRawTx: 'tcp://127.0.0.1:28333'
+        })
+      })
+      it('should use the configured rpc and zmq settings', () => {
+        expect(this.neutrino.chainBackendArgs()).toEqual([
+          '--bitcoin.node=bitcoind',
+          '--bitcoind.rpchost=localhost:18332',
+          '--bitcoind.rpcuser=user',
+          '--bitcoind.rpcpass=pass',
+          '--bitcoind.zmqpubrawblock=tcp://127.0.0.1:28332',
+          '--bitcoind.zmqpubrawtx=tcp://127.0.0.1:28333'
+        ])
+      })
+    })
+
+    describe('called with a btcd backend', () => {
+      beforeEach(() => {
+        this.neutrino = createNeutrino({
+          chainBackend: 'btcd',
+          backendRpcHost: 'localhost:18334',
+          zmqPubRawBlock: 'tcp://127.0.0.1:28332'
+        })
+      })
+      it('should use the configured rpc settings and ignore zmq settings', () => {
+        expect(this.neutrino.chainBackendArgs()).toEqual([
+          '--bitcoin.node=btcd',
+          '--btcd.rpchost=localhost:18334'
+        ])
+      })
+    })
+  })
+
   describe('.start', () => {
     describe('called when neutrino is not running', () => {
       beforeEach(async () => {
@@ -186,6 +292,83 @@ describe('Neutrino', function() {
       it('should set the subprocess object on the `process` property', () => {
         expect(this.neutrino.process.pid).toBeDefined()
       })
+      it('should configure lnd to use the network from the config', () => {
+        const { spawn } = require('child_process')
+        const { args } = spawn.calls[spawn.calls.length - 1]
+        expect(args).toContain('--bitcoin.testnet')
+      })
+    })
+
+    describe('called with a mainnet config', () => {
+      beforeEach(async () => {
+        this.neutrino = new Neutrino(
+          new LndConfig({
+            type: 'local',
+            currency: 'bitcoin',
+            network: 'mainnet',
+            wallet: 'wallet-1'
+          })
+        )
+        await this.neutrino.start()
+      })
+      it('should configure lnd to use mainnet', () => {
+        const { spawn } = require('child_process')
+        const { args } = spawn.calls[spawn.calls.length - 1]
+        expect(args).toContain('--bitcoin.mainnet')
+        expect(args).not.toContain('--bitcoin.testnet')
+        expect(args).toContain('--neutrino.connect=mainnet1-btcd.zaphq.io')
+      })
+    })
+
+    describe('called with a simnet config', () => {
+      beforeEach(async () => {
+        this.neutrino = new Neutrino(
+          new LndConfig({
+            type: 'local',
+            currency: 'bitcoin',
+            network: 'simnet',
+            wallet: 'wallet-1',
+            settings: { neutrinoConnect: ['localhost:18555'] }
+          })
+        )
+        await this.neutrino.start()
+      })
+      it('should configure lnd to use simnet', () => {
+        const { spawn } = require('child_process')
+        const { args } = spawn.calls[spawn.calls.length - 1]
+        expect(args).toContain('--bitcoin.simnet')
+        expect(args).toContain('--neutrino.connect=localhost:18555')
+      })
+    })
+
+    describe('called when lnd exits unexpectedly', () => {
+      beforeEach(async () => {
+        const { spawn } = require('child_process')
+        spawn.sequence.add(
+          spawn.simple(
+            2,
+            '2018-10-01 12:00:00.000 [INF] LTND: Version: 0.5.0-beta commit=v0.5-beta, build=production\n',
+            'panic: runtime error: invalid memory address\n'
+          )
+        )
+        this.neutrino = new Neutrino(new LndConfig())
+        this.exit = new Promise(resolve => this.neutrino.on('exit', resolve))
+        await this.neutrino.start()
+        await this.exit
+      })
+      it('should include the exit details and recent output in the crash report', () => {
+        const crash = this.neutrino.getCrashReport(2, null)
+        expect(crash).toMatchObject({
+          code: 2,
+          signal: null,
+          lndVersion: '0.5.0-beta',
+          lastError: 'panic: runtime error: invalid memory address',
+          network: 'testnet',
+          chainBackend: 'neutrino',
+          stderr: ['panic: runtime error: invalid memory address']
+        })
+        expect(crash.stdout).toHaveLength(1)
+      })
     })
 
     describe('called when neutrino is already running', () => {
@@ -0,0 +1,145 @@
+import { forwardingFee, closeRoute, queryCircularRoutes } from 'lib/lnd/rebalance'
+
+const policy = {
+  fee_base_msat: 1000,
+  fee_rate_milli_msat: 1000,
+  time_lock_delta: 40,
+  disabled: false
+}
+
+// A route that leaves through channel 1 and gets to carol over channel 2, carrying 1000 satoshis and carol's fee of 2
+// satoshis for sending it back to us over channel 3.
+const route = {
+  total_time_lock: 300,
+  total_fees: 1,
+  total_amt: 1003,
+  total_fees_msat: 1000,
+  total_amt_msat: 1003000,
+  hops: [
+    {
+      chan_id: 1,
+      chan_capacity: 10000,
+      amt_to_forward: 1002,
+      fee: 1,
+      expiry: 290,
+      amt_to_forward_msat: 1002000,
+      fee_msat: 1000
+    },
+    {
+      chan_id: 2,
+      chan_capacity: 10000,
+      amt_to_forward: 1002,
+      fee: 0,
+      expiry: 290,
+      amt_to_forward_msat: 1002000,
+      fee_msat: 0
+    }
+  ]
+}
+
+describe('rebalance', () => {
+  describe('forwardingFee', () => {
+    it('should charge the base fee and the fee rate, rounded up to whole satoshis', () => {
+      expect(forwardingFee(policy, 1000)).toEqual(2)
+      expect(forwardingFee({ fee_base_msat: 1, fee_rate_milli_msat: 0 }, 1000)).toEqual(1)
+      expect(forwardingFee({ fee_base_msat: 0, fee_rate_milli_msat: 0 }, 1000)).toEqual(0)
+    })
+  })
+
+  describe('closeRoute', () => {
+    it('should add a hop back to us that the last node is paid to forward over', () => {
+      const closed = closeRoute(route, { chanId: 3, capacity: 20000, policy }, 1000)
+      expect(closed.hops[0]).toEqual(route.hops[0])
+      expect(closed.hops[1]).toEqual({
+        ...route.hops[1],
+        amt_to_forward: 1000,
+        fee: 2,
+        amt_to_forward_msat: 1000000,
+        fee_msat: 2000,
+        expiry: 250
+      })
+      expect(closed.hops[2]).toEqual({
+        chan_id: 3,
+        chan_capacity: 20000,
+        amt_to_forward: 1000,
+        fee: 0,
+        expiry: 250,
+        amt_to_forward_msat: 1000000,
+        fee_msat: 0
+      })
+      expect(closed).toMatchObject({
+        total_time_lock: 300,
+        total_amt: 1003,
+        total_fees: 3,
+        total_amt_msat: 1003000,
+        total_fees_msat: 3000
+      })
+    })
+  })
+
+  describe('queryCircularRoutes', () => {
+    const data = {
+      outgoing_chan_id: 1,
+      incoming_chan_id: 3,
+      incoming_pubkey: '03carol',
+      amount: 1000,
+      fee_limit: 10,
+      final_cltv_delta: 144,
+      num_routes: 10
+    }
+
+    const createLnd = routes => ({
+      getChanInfo: jest.fn((payload, callback) =>
+        callback(null, {
+          channel_id: 3,
+          capacity: 20000,
+          node1_pub: '02me',
+          node1_policy: { ...policy, fee_base_msat: 0 },
+          node2_pub: '03carol',
+          node2_policy: policy
+        })
+      ),
+      queryRoutes: jest.fn((payload, callback) => callback(null, { routes }))
+    })
+
+    it('should find routes to the peer with its fee and time-lock delta and close them', async () => {
+      const lnd = createLnd([route])
+      const routes = await queryCircularRoutes(lnd, data)
+      expect(lnd.queryRoutes.mock.calls[0][0]).toEqual({
+        pub_key: '03carol',
+        amt: 1002,
+        num_routes: 10,
+        final_cltv_delta: 184
+      })
+      expect(routes).toHaveLength(1)
+      expect(routes[0].hops.map(hop => hop.chan_id)).toEqual([1, 2, 3])
+    })
+
+    it('should only keep routes that leave through the outgoing channel and are within the fee limit', async () => {
+      const otherChannel = { ...route, hops: [{ ...route.hops[0], chan_id: 4 }, route.hops[1]] }
+      const direct = { ...route, hops: [{ ...route.hops[1], chan_id: 3 }] }
+      const expensive = { ...route, total_amt: 1020, total_amt_msat: 1020000 }
+      const cheap = { ...route, total_amt: 1002, total_amt_msat: 1002000 }
+      const lnd = createLnd([otherChannel, direct, expensive, route, cheap])
+      const routes = await queryCircularRoutes(lnd, data)
+      expect(routes.map(r => r.total_fees)).toEqual([2, 3])
+    })
+
+    it('should find no routes when there is no path to the peer', async () => {
+      const lnd = createLnd([])
+      lnd.queryRoutes = jest.fn((payload, callback) =>
+        callback(new Error('unable to find a path to destination'))
+      )
+      expect(await queryCircularRoutes(lnd, data)).toEqual([])
+    })
+
+    it('should find no routes when the peer has disabled the incoming channel', async () => {
+      const lnd = createLnd([route])
+      lnd.getChanInfo = jest.fn((payload, callback) =>
+        callback(null, { node1_pub: '03carol', node1_policy: { ...policy, disabled: true } })
+      )
+      expect(await queryCircularRoutes(lnd, data)).toEqual([])
+      expect(lnd.queryRoutes).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,151 @@
+import {
+  classifyProbeError,
+  truncateRoute,
+  probeRoute,
+  probeRoutes,
+  PROBE_REACHED,
+  PROBE_INSUFFICIENT_LIQUIDITY,
+  PROBE_FAILED
+} from 'lib/lnd/routeProbe'
+
+// A route over three hops that pays 1000 satoshis, with a fee of 1 satoshi at each of the two nodes along the way.
+const route = {
+  total_time_lock: 160,
+  total_fees: 2,
+  total_amt: 1002,
+  total_fees_msat: 2000,
+  total_amt_msat: 1002000,
+  hops: [
+    {
+      chan_id: 1,
+      amt_to_forward: 1001,
+      fee: 1,
+      expiry: 150,
+      amt_to_forward_msat: 1001000,
+      fee_msat: 1000
+    },
+    {
+      chan_id: 2,
+      amt_to_forward: 1000,
+      fee: 1,
+      expiry: 144,
+      amt_to_forward_msat: 1000000,
+      fee_msat: 1000
+    },
+    {
+      chan_id: 3,
+      amt_to_forward: 1000,
+      fee: 0,
+      expiry: 144,
+      amt_to_forward_msat: 1000000,
+      fee_msat: 0
+    }
+  ]
+}
+
+// lnd that fails probes at the first channel that can't carry them, or with an unknown payment hash at the end.
+const createLnd = blockedChanId => ({
+  sendToRouteSync: jest.fn(({ routes }, callback) => {
+    const [{ hops }] = routes
+    const blocked = hops.some(hop => hop.chan_id === blockedChanId)
+    callback(null, {
+      payment_error: blocked
+        ? 'TemporaryChannelFailure(update=(*lnwire.ChannelUpdate)'
+        : 'UnknownPaymentHash'
+    })
+  })
+})
+
+describe('routeProbe', () => {
+  describe('classifyProbeError', () => {
+    it('should treat an unknown payment hash as having reached the destination', () => {
+      expect(classifyProbeError('UnknownPaymentHash')).toEqual(PROBE_REACHED)
+      expect(classifyProbeError(new Error('IncorrectOrUnknownPaymentDetails'))).toEqual(
+        PROBE_REACHED
+      )
+    })
+
+    it('should treat a temporary channel failure as a lack of liquidity', () => {
+      expect(classifyProbeError('TemporaryChannelFailure')).toEqual(PROBE_INSUFFICIENT_LIQUIDITY)
+    })
+
+    it('should treat any other error as a failure', () => {
+      expect(classifyProbeError('UnknownNextPeer')).toEqual(PROBE_FAILED)
+      expect(classifyProbeError(undefined)).toEqual(PROBE_FAILED)
+    })
+  })
+
+  describe('truncateRoute', () => {
+    it('should leave the route alone when keeping all of its hops', () => {
+      expect(truncateRoute(route, 3)).toBe(route)
+    })
+
+    it('should end the route at a node along the way', () => {
+      const truncated = truncateRoute(route, 2)
+      expect(truncated.hops).toHaveLength(2)
+      expect(truncated.hops[0]).toEqual(route.hops[0])
+      expect(truncated.hops[1]).toMatchObject({
+        chan_id: 2,
+        amt_to_forward: 1001,
+        fee: 0,
+        amt_to_forward_msat: 1001000,
+        fee_msat: 0,
+        expiry: 150
+      })
+      expect(truncated).toMatchObject({ total_amt: 1002, total_fees: 1, total_fees_msat: 1000 })
+    })
+
+    it('should use the time-lock of the route when it ends at the first hop', () => {
+      const truncated = truncateRoute(route, 1)
+      expect(truncated.hops[0]).toMatchObject({ amt_to_forward: 1002, fee: 0, expiry: 160 })
+      expect(truncated.total_fees).toEqual(0)
+    })
+  })
+
+  describe('probeRoute', () => {
+    it('should only send one probe for a route that reaches the destination', async () => {
+      const lnd = createLnd(null)
+      const result = await probeRoute(lnd, route)
+      expect(result).toEqual({
+        outcome: PROBE_REACHED,
+        error: 'UnknownPaymentHash',
+        reachedHops: 3
+      })
+      expect(lnd.sendToRouteSync).toHaveBeenCalledTimes(1)
+    })
+
+    it('should find the hop that a route lacks the liquidity for', async () => {
+      const lnd = createLnd(2)
+      const result = await probeRoute(lnd, route)
+      expect(result).toMatchObject({ outcome: PROBE_INSUFFICIENT_LIQUIDITY, reachedHops: 1 })
+      const probedHopCounts = lnd.sendToRouteSync.mock.calls.map(
+        ([{ routes }]) => routes[0].hops.length
+      )
+      expect(probedHopCounts).toEqual([3, 1, 2])
+    })
+
+    it('should use a different payment hash for each probe', async () => {
+      const lnd = createLnd(3)
+      await probeRoute(lnd, route)
+      const hashes = lnd.sendToRouteSync.mock.calls.map(([request]) => request.payment_hash_string)
+      expect(new Set(hashes).size).toEqual(hashes.length)
+      hashes.forEach(hash => expect(hash).toMatch(/^[0-9a-f]{64}$/))
+    })
+  })
+
+  describe('probeRoutes', () => {
+    it('should probe each route in turn', async () => {
+      const lnd = createLnd(1)
+      const other = {
+        ...route,
+        hops: route.hops.map(hop => ({ ...hop, chan_id: hop.chan_id + 10 }))
+      }
+      const results = await probeRoutes(lnd, [route, other])
+      expect(results.map(({ outcome, reachedHops }) => [outcome, reachedHops])).toEqual([
+        [PROBE_INSUFFICIENT_LIQUIDITY, 0],
+        [PROBE_REACHED, 3]
+      ])
+      expect(results[1].route).toBe(other)
+    })
+  })
+})
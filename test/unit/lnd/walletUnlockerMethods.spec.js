@@ -0,0 +1,63 @@
+import walletUnlockerMethods from 'lib/lnd/walletUnlockerMethods'
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve))
+
+describe('WalletUnlocker methods', () => {
+  const log = { info: jest.fn(), error: jest.fn() }
+  const lndConfig = { cert: '/lnd/tls.cert' }
+  let event
+
+  beforeEach(() => {
+    event = { sender: { send: jest.fn() } }
+  })
+
+  describe('changePassword', () => {
+    const data = { current_password: 'oldpassword', new_password: 'newpassword' }
+
+    it('should change the password', async () => {
+      const walletUnlocker = { changePassword: jest.fn((request, cb) => cb(null, {})) }
+      walletUnlockerMethods(walletUnlocker, log, event, 'changePassword', data, lndConfig)
+      await flushPromises()
+      expect(walletUnlocker.changePassword.mock.calls[0][0]).toEqual({
+        current_password: Buffer.from('oldpassword'),
+        new_password: Buffer.from('newpassword')
+      })
+      expect(event.sender.send).toHaveBeenCalledWith('passwordChanged')
+    })
+
+    it('should report an incorrect current password', async () => {
+      const error = Object.assign(new Error('2 UNKNOWN: invalid passphrase'), {
+        code: 2,
+        details: 'unable to change wallet passphrase: invalid passphrase for master public key'
+      })
+      const walletUnlocker = { changePassword: jest.fn((request, cb) => cb(error)) }
+      walletUnlockerMethods(walletUnlocker, log, event, 'changePassword', data, lndConfig)
+      await flushPromises()
+      expect(event.sender.send).toHaveBeenCalledWith('changePasswordError', {
+        code: 2,
+        message: 'Incorrect password'
+      })
+    })
+
+    it('should only report the failure', async () => {
+      const walletUnlocker = { changePassword: jest.fn((request, cb) => cb(new Error('failed'))) }
+      walletUnlockerMethods(walletUnlocker, log, event, 'changePassword', data, lndConfig)
+      await flushPromises()
+      expect(event.sender.send.mock.calls.map(([msg]) => msg)).toEqual(['changePasswordError'])
+    })
+
+    it('should report other errors', async () => {
+      const error = Object.assign(new Error('14 UNAVAILABLE: Connect Failed'), {
+        code: 14,
+        details: 'Connect Failed'
+      })
+      const walletUnlocker = { changePassword: jest.fn((request, cb) => cb(error)) }
+      walletUnlockerMethods(walletUnlocker, log, event, 'changePassword', data, lndConfig)
+      await flushPromises()
+      expect(event.sender.send).toHaveBeenCalledWith('changePasswordError', {
+        code: 14,
+        message: 'Connect Failed'
+      })
+    })
+  })
+})
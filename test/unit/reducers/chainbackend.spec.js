@@ -0,0 +1,80 @@
+import chainBackendReducer, {
+  RECEIVE_CHAIN_BACKEND,
+  UPDATE_CHAIN_BACKEND_SETTING,
+  ADD_CHAIN_BACKEND_PEER,
+  REMOVE_CHAIN_BACKEND_PEER,
+  SAVE_CHAIN_BACKEND,
+  CHAIN_BACKEND_SAVED
+} from 'reducers/chainbackend'
+
+describe('reducers', () => {
+  describe('chainBackendReducer', () => {
+    it('should handle initial state', () => {
+      expect(chainBackendReducer(undefined, {})).toMatchSnapshot()
+    })
+
+    it('should have RECEIVE_CHAIN_BACKEND', () => {
+      expect(RECEIVE_CHAIN_BACKEND).toEqual('RECEIVE_CHAIN_BACKEND')
+    })
+
+    it('should have UPDATE_CHAIN_BACKEND_SETTING', () => {
+      expect(UPDATE_CHAIN_BACKEND_SETTING).toEqual('UPDATE_CHAIN_BACKEND_SETTING')
+    })
+
+    it('should have ADD_CHAIN_BACKEND_PEER', () => {
+      expect(ADD_CHAIN_BACKEND_PEER).toEqual('ADD_CHAIN_BACKEND_PEER')
+    })
+
+    it('should have REMOVE_CHAIN_BACKEND_PEER', () => {
+      expect(REMOVE_CHAIN_BACKEND_PEER).toEqual('REMOVE_CHAIN_BACKEND_PEER')
+    })
+
+    it('should correctly receiveChainBackend', () => {
+      expect(
+        chainBackendReducer(undefined, {
+          type: RECEIVE_CHAIN_BACKEND,
+          editable: true,
+          settings: { chainBackend: 'bitcoind', backendRpcHost: 'localhost:18332' }
+        })
+      ).toMatchSnapshot()
+    })
+
+    it('should correctly updateChainBackendSetting', () => {
+      expect(
+        chainBackendReducer(undefined, {
+          type: UPDATE_CHAIN_BACKEND_SETTING,
+          key: 'chainBackend',
+          value: 'btcd'
+        })
+      ).toMatchSnapshot()
+    })
+
+    it('should correctly add and remove peers', () => {
+      let state = chainBackendReducer(undefined, {
+        type: ADD_CHAIN_BACKEND_PEER,
+        key: 'neutrinoConnect',
+        host: 'host1:18333'
+      })
+      state = chainBackendReducer(state, {
+        type: ADD_CHAIN_BACKEND_PEER,
+        key: 'neutrinoConnect',
+        host: 'host1:18333'
+      })
+      expect(state.settings.neutrinoConnect).toEqual(['host1:18333'])
+
+      state = chainBackendReducer(state, {
+        type: REMOVE_CHAIN_BACKEND_PEER,
+        key: 'neutrinoConnect',
+        host: 'host1:18333'
+      })
+      expect(state.settings.neutrinoConnect).toEqual([])
+    })
+
+    it('should correctly saveChainBackend', () => {
+      let state = chainBackendReducer(undefined, { type: SAVE_CHAIN_BACKEND })
+      expect(state.saving).toBe(true)
+      state = chainBackendReducer(state, { type: CHAIN_BACKEND_SAVED })
+      expect(state).toMatchSnapshot()
+    })
+  })
+})
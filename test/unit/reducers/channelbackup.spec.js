@@ -0,0 +1,78 @@
+import channelBackupReducer, {
+  FETCH_CHANNEL_BACKUP,
+  RECEIVE_CHANNEL_BACKUP,
+  BACKUP_CHANNELS,
+  CHANNEL_BACKUP_ERROR,
+  SET_CHANNEL_BACKUP_FILE,
+  RESTORING_CHANNEL_BACKUP,
+  CHANNEL_BACKUP_RESTORED,
+  CHANNEL_BACKUP_RESTORE_ERROR
+} from 'reducers/channelbackup'
+
+describe('reducers', () => {
+  describe('channelBackupReducer', () => {
+    it('should handle initial state', () => {
+      expect(channelBackupReducer(undefined, {})).toMatchSnapshot()
+    })
+
+    it('should have FETCH_CHANNEL_BACKUP', () => {
+      expect(FETCH_CHANNEL_BACKUP).toEqual('FETCH_CHANNEL_BACKUP')
+    })
+
+    it('should have RECEIVE_CHANNEL_BACKUP', () => {
+      expect(RECEIVE_CHANNEL_BACKUP).toEqual('RECEIVE_CHANNEL_BACKUP')
+    })
+
+    it('should have BACKUP_CHANNELS', () => {
+      expect(BACKUP_CHANNELS).toEqual('BACKUP_CHANNELS')
+    })
+
+    it('should have CHANNEL_BACKUP_RESTORED', () => {
+      expect(CHANNEL_BACKUP_RESTORED).toEqual('CHANNEL_BACKUP_RESTORED')
+    })
+
+    it('should correctly receiveChannelBackup', () => {
+      const state = channelBackupReducer(undefined, { type: BACKUP_CHANNELS })
+      expect(
+        channelBackupReducer(state, {
+          type: RECEIVE_CHANNEL_BACKUP,
+          dir: '/home/user/Dropbox',
+          lastBackup: '2018-10-01T12:00:00.000Z'
+        })
+      ).toMatchSnapshot()
+    })
+
+    it('should correctly handle a failed backup', () => {
+      const state = channelBackupReducer(undefined, { type: BACKUP_CHANNELS })
+      expect(channelBackupReducer(state, { type: CHANNEL_BACKUP_ERROR })).toMatchSnapshot()
+    })
+
+    it('should correctly set the channel backup file to restore', () => {
+      expect(
+        channelBackupReducer(undefined, {
+          type: SET_CHANNEL_BACKUP_FILE,
+          filePath: '/home/user/zap-channel-backup-bitcoin-testnet-wallet-1.json'
+        })
+      ).toMatchSnapshot()
+    })
+
+    it('should correctly handle a restored channel backup', () => {
+      let state = channelBackupReducer(undefined, {
+        type: SET_CHANNEL_BACKUP_FILE,
+        filePath: '/home/user/zap-channel-backup-bitcoin-testnet-wallet-1.json'
+      })
+      state = channelBackupReducer(state, { type: RESTORING_CHANNEL_BACKUP })
+      expect(
+        channelBackupReducer(state, {
+          type: CHANNEL_BACKUP_RESTORED,
+          result: { channels: 1, peers: [{ pub_key: 'peer1', connected: true }] }
+        })
+      ).toMatchSnapshot()
+    })
+
+    it('should correctly handle a failed restore', () => {
+      const state = channelBackupReducer(undefined, { type: RESTORING_CHANNEL_BACKUP })
+      expect(channelBackupReducer(state, { type: CHANNEL_BACKUP_RESTORE_ERROR })).toMatchSnapshot()
+    })
+  })
+})
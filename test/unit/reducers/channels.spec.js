@@ -5,10 +5,18 @@ import channelsReducer, {
   SET_CHANNEL,
   GET_CHANNELS,
   RECEIVE_CHANNELS,
+  GET_CLOSED_CHANNELS,
+  RECEIVE_CLOSED_CHANNELS,
+  CHANGE_CHANNEL_FILTER,
+  currentChannels,
   OPENING_CHANNEL,
   OPENING_SUCCESSFUL,
-  OPENING_FAILURE
+  OPENING_FAILURE,
+  GET_SUGGESTED_NODES,
+  SUGGESTED_NODES_FAILURE,
+  channelsSelectors
 } from 'reducers/channels'
+import { scoreNodes } from 'lib/utils/nodeScoring'
 
 describe('reducers', () => {
   describe('channelsReducer', () => {
@@ -67,5 +75,91 @@ describe('reducers', () => {
     it('should correctly openingChannel', () => {
       expect(channelsReducer(undefined, { type: OPENING_CHANNEL })).toMatchSnapshot()
     })
+
+    it('should correctly getClosedChannels', () => {
+      expect(channelsReducer(undefined, { type: GET_CLOSED_CHANNELS })).toMatchSnapshot()
+    })
+
+    it('should correctly receiveClosedChannels', () => {
+      expect(
+        channelsReducer(undefined, {
+          type: RECEIVE_CLOSED_CHANNELS,
+          closedChannels: [{ chan_id: '1', close_type: 'COOPERATIVE_CLOSE' }]
+        })
+      ).toMatchSnapshot()
+    })
+  })
+
+  describe('currentChannels', () => {
+    it('should only include closed channels when the closed filter is selected', () => {
+      const closedChannel = {
+        channel_point: 'txid:0',
+        chan_id: '1',
+        remote_pubkey: 'pubkey',
+        closing_tx_hash: 'closingtxid',
+        close_type: 'REMOTE_FORCE_CLOSE',
+        settled_balance: 1000,
+        time_locked_balance: 0
+      }
+      let channels = channelsReducer(undefined, {
+        type: RECEIVE_CLOSED_CHANNELS,
+        closedChannels: [closedChannel]
+      })
+      const state = { channels, network: { nodes: [] } }
+      expect(currentChannels(state)).toEqual([])
+
+      channels = channelsReducer(channels, {
+        type: CHANGE_CHANNEL_FILTER,
+        channelFilter: { key: 'CLOSED_CHANNELS', name: 'Closed' }
+      })
+      expect(currentChannels({ ...state, channels })).toEqual([closedChannel])
+    })
+  })
+
+  describe('suggestedNodes', () => {
+    const hub = {
+      pub_key: 'hubpubkey12345',
+      alias: '',
+      addresses: [{ addr: '10.0.0.2:9735' }],
+      last_update: Math.floor(Date.now() / 1000)
+    }
+    const suggestedNode = {
+      pubkey: 'suggested',
+      host: 'suggested.example.com',
+      nickname: 'Suggested',
+      description: 'A suggested node'
+    }
+    const suggestedState = (suggestedNodes, networkId = 'mainnet') => ({
+      channels: { ...channelsReducer(undefined, {}), suggestedNodes },
+      network: { nodes: [hub], edges: [], nodeScores: scoreNodes([hub], [], hub.last_update) },
+      info: { network: { id: networkId }, data: { identity_pubkey: 'us' } }
+    })
+
+    it('should stop loading when the suggested nodes can not be fetched', () => {
+      const loading = channelsReducer(undefined, { type: GET_SUGGESTED_NODES })
+      expect(loading.suggestedNodesLoading).toBe(true)
+      expect(
+        channelsReducer(loading, { type: SUGGESTED_NODES_FAILURE }).suggestedNodesLoading
+      ).toBe(false)
+    })
+
+    it('should suggest the nodes from the server for the current network', () => {
+      const state = suggestedState({ mainnet: [suggestedNode], testnet: [] })
+      expect(channelsSelectors.suggestedNodes(state)).toEqual([suggestedNode])
+    })
+
+    it('should fall back to nodes from the network graph', () => {
+      const expected = [
+        { pubkey: hub.pub_key, host: '10.0.0.2:9735', nickname: 'hubpubkey1', description: '' }
+      ]
+      expect(
+        channelsSelectors.suggestedNodes(suggestedState({ mainnet: [], testnet: [] }))
+      ).toEqual(expected)
+      expect(
+        channelsSelectors.suggestedNodes(
+          suggestedState({ mainnet: [suggestedNode], testnet: [] }, 'regtest')
+        )
+      ).toEqual(expected)
+    })
   })
 })
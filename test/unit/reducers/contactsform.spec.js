@@ -0,0 +1,25 @@
+import { contactFormSelectors } from 'reducers/contactsform'
+
+const node = (pub_key, addresses = ['10.0.0.1:9735']) => ({
+  pub_key,
+  alias: `node ${pub_key}`,
+  addresses: addresses.map(addr => ({ network: 'tcp', addr }))
+})
+
+const createState = (searchQuery, nodes, nodeScores) => ({
+  contactsform: { searchQuery },
+  network: { nodes, nodeScores },
+  info: { data: { identity_pubkey: 'us' } },
+  channels: { channels: [] }
+})
+
+describe('reducers', () => {
+  describe('contactFormSelectors', () => {
+    it('should list matching nodes with the best scoring first and unscored nodes last', () => {
+      const nodes = [node('a'), node('b'), node('c'), node('d', []), node('e')]
+      const scores = [{ pubkey: 'c' }, { pubkey: 'a' }, { pubkey: 'd' }]
+      const filtered = contactFormSelectors.filteredNetworkNodes(createState('node', nodes, scores))
+      expect(filtered.map(({ pub_key }) => pub_key)).toEqual(['c', 'a', 'b', 'e', 'd'])
+    })
+  })
+})
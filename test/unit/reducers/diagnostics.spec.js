@@ -0,0 +1,118 @@
+import diagnosticsReducer, {
+  FETCH_DIAGNOSTICS,
+  RECEIVE_DIAGNOSTICS,
+  SET_DIAGNOSTICS_OPEN,
+  SET_LND_AUTO_RESTART,
+  LND_CRASHED,
+  RESTARTING_LND,
+  LND_RESTARTED,
+  LND_RESTART_FAILED,
+  CRASH_HISTORY_EXPORTED,
+  diagnosticsSelectors
+} from 'reducers/diagnostics'
+
+describe('reducers', () => {
+  describe('diagnosticsReducer', () => {
+    it('should handle initial state', () => {
+      expect(diagnosticsReducer(undefined, {})).toMatchSnapshot()
+    })
+
+    it('should have FETCH_DIAGNOSTICS', () => {
+      expect(FETCH_DIAGNOSTICS).toEqual('FETCH_DIAGNOSTICS')
+    })
+
+    it('should have RECEIVE_DIAGNOSTICS', () => {
+      expect(RECEIVE_DIAGNOSTICS).toEqual('RECEIVE_DIAGNOSTICS')
+    })
+
+    it('should have LND_CRASHED', () => {
+      expect(LND_CRASHED).toEqual('LND_CRASHED')
+    })
+
+    it('should have RESTARTING_LND', () => {
+      expect(RESTARTING_LND).toEqual('RESTARTING_LND')
+    })
+
+    it('should have LND_RESTARTED', () => {
+      expect(LND_RESTARTED).toEqual('LND_RESTARTED')
+    })
+
+    it('should correctly receiveDiagnostics', () => {
+      const crashes = [
+        {
+          date: '2018-10-01T12:00:00.000Z',
+          code: 2,
+          signal: null,
+          lastError: 'unable to start server',
+          lndVersion: '0.5.0-beta',
+          network: 'testnet',
+          chainBackend: 'neutrino',
+          stdout: [],
+          stderr: ['panic: runtime error']
+        }
+      ]
+      expect(
+        diagnosticsReducer(undefined, { type: RECEIVE_DIAGNOSTICS, crashes, autoRestart: false })
+      ).toMatchSnapshot()
+    })
+
+    it('should correctly setLndAutoRestart', () => {
+      expect(
+        diagnosticsReducer(undefined, { type: SET_LND_AUTO_RESTART, autoRestart: false })
+      ).toMatchSnapshot()
+    })
+
+    it('should correctly handle lnd restarting after a crash', () => {
+      expect(
+        diagnosticsReducer(undefined, { type: RESTARTING_LND, attempt: 2, delay: 4000 })
+      ).toMatchSnapshot()
+    })
+
+    it('should correctly handle lnd crashing without a restart', () => {
+      expect(diagnosticsReducer(undefined, { type: LND_CRASHED })).toMatchSnapshot()
+    })
+
+    it('should correctly handle lnd failing to restart', () => {
+      const state = diagnosticsReducer(undefined, { type: RESTARTING_LND, attempt: 0, delay: 0 })
+      expect(
+        diagnosticsReducer(state, { type: LND_RESTART_FAILED, error: 'spawn lnd ENOENT' })
+      ).toMatchSnapshot()
+    })
+
+    it('should correctly handle lnd having restarted', () => {
+      const state = diagnosticsReducer(undefined, { type: RESTARTING_LND, attempt: 1, delay: 2000 })
+      expect(diagnosticsReducer(state, { type: LND_RESTARTED })).toMatchSnapshot()
+    })
+
+    it('should correctly handle the crash history being exported', () => {
+      expect(
+        diagnosticsReducer(undefined, {
+          type: CRASH_HISTORY_EXPORTED,
+          filePath: '/tmp/zap-crash-history.json'
+        })
+      ).toMatchSnapshot()
+    })
+  })
+
+  describe('diagnosticsSelectors', () => {
+    describe('showDiagnostics', () => {
+      it('should be false when lnd is running', () => {
+        const diagnostics = diagnosticsReducer(undefined, {})
+        expect(diagnosticsSelectors.showDiagnostics({ diagnostics })).toBe(false)
+      })
+
+      it('should be true when opened by the user', () => {
+        const diagnostics = diagnosticsReducer(undefined, {
+          type: SET_DIAGNOSTICS_OPEN,
+          diagnosticsOpen: true
+        })
+        expect(diagnosticsSelectors.showDiagnostics({ diagnostics })).toBe(true)
+      })
+
+      it('should be true when lnd has crashed', () => {
+        const diagnostics = diagnosticsReducer(undefined, { type: LND_CRASHED })
+        expect(diagnosticsSelectors.showDiagnostics({ diagnostics })).toBe(true)
+      })
+    })
+  })
+})
@@ -0,0 +1,149 @@
+import { lndRequest } from 'lib/utils/rpc'
+import explorerReducer, {
+  MAX_SEARCH_RESULTS,
+  SET_EXPLORER_TAB,
+  SET_EXPLORER_SEARCH_QUERY,
+  GET_NODE_INFO,
+  RECEIVE_NODE_INFO,
+  NODE_INFO_FAILED,
+  GET_CHAN_INFO,
+  RECEIVE_CHAN_INFO,
+  CLEAR_SELECTED_CHAN,
+  fetchNodeInfo,
+  fetchChanInfo,
+  explorerSelectors
+} from 'reducers/explorer'
+import { SET_ERROR } from 'reducers/error'
+
+jest.mock('lib/utils/rpc', () => ({ lndRequest: jest.fn() }))
+
+const nodes = [
+  { pub_key: '02aaa', alias: 'alice' },
+  { pub_key: '03bbb', alias: 'bob' },
+  { pub_key: '02ccc', alias: 'carol' }
+]
+
+const edges = [
+  { channel_id: 1, chan_point: 'txid1:0', node1_pub: '02aaa', node2_pub: '03bbb', capacity: 100 },
+  { channel_id: 2, chan_point: 'txid2:1', node1_pub: '03bbb', node2_pub: '02ccc', capacity: 300 }
+]
+
+const createState = (explorer = {}) => ({
+  explorer: { ...explorerReducer(undefined, {}), ...explorer },
+  network: { nodes, edges }
+})
+
+describe('reducers', () => {
+  describe('explorerReducer', () => {
+    it('should handle initial state', () => {
+      expect(explorerReducer(undefined, {})).toMatchSnapshot()
+    })
+
+    it('should correctly setExplorerTab and setExplorerSearchQuery', () => {
+      let state = explorerReducer(undefined, { type: SET_EXPLORER_TAB, tab: 'CHANNELS' })
+      state = explorerReducer(state, { type: SET_EXPLORER_SEARCH_QUERY, searchQuery: 'bob' })
+      expect(state.tab).toEqual('CHANNELS')
+      expect(state.searchQuery).toEqual('bob')
+    })
+
+    it('should close the channel inspector when a node is selected', () => {
+      let state = explorerReducer(undefined, { type: GET_CHAN_INFO, chanId: 1 })
+      state = explorerReducer(state, { type: GET_NODE_INFO, pubkey: '02aaa' })
+      expect(state).toMatchObject({
+        selectedNode: '02aaa',
+        nodeInfoLoading: true,
+        selectedChan: null
+      })
+    })
+
+    it('should ignore node info for a node that is no longer selected', () => {
+      let state = explorerReducer(undefined, { type: GET_NODE_INFO, pubkey: '02aaa' })
+      state = explorerReducer(state, { type: GET_NODE_INFO, pubkey: '03bbb' })
+      expect(
+        explorerReducer(state, { type: RECEIVE_NODE_INFO, pubkey: '02aaa', nodeInfo: {} })
+      ).toBe(state)
+      expect(explorerReducer(state, { type: NODE_INFO_FAILED, pubkey: '02aaa' })).toBe(state)
+      expect(
+        explorerReducer(state, { type: RECEIVE_NODE_INFO, pubkey: '03bbb', nodeInfo: { node: {} } })
+      ).toMatchObject({ nodeInfoLoading: false, nodeInfo: { node: {} } })
+    })
+
+    it('should go back to the selected node when the channel inspector is closed', () => {
+      let state = explorerReducer(undefined, { type: GET_NODE_INFO, pubkey: '02aaa' })
+      state = explorerReducer(state, { type: GET_CHAN_INFO, chanId: 1 })
+      state = explorerReducer(state, { type: RECEIVE_CHAN_INFO, chanId: 1, chanInfo: {} })
+      expect(state.chanInfo).toEqual({})
+      state = explorerReducer(state, { type: CLEAR_SELECTED_CHAN })
+      expect(state).toMatchObject({ selectedNode: '02aaa', selectedChan: null, chanInfo: null })
+    })
+  })
+
+  describe('fetchNodeInfo and fetchChanInfo', () => {
+    beforeEach(() => {
+      lndRequest.mockReset()
+    })
+
+    it('should request the details of a node', async () => {
+      const nodeInfo = { node: nodes[0], num_channels: 1, total_capacity: 100 }
+      lndRequest.mockResolvedValue(nodeInfo)
+      const dispatch = jest.fn()
+      await fetchNodeInfo('02aaa')(dispatch)
+      expect(lndRequest).toHaveBeenCalledWith('nodeInfo', { pubkey: '02aaa' })
+      expect(dispatch.mock.calls.map(([action]) => action)).toEqual([
+        { type: GET_NODE_INFO, pubkey: '02aaa' },
+        { type: RECEIVE_NODE_INFO, pubkey: '02aaa', nodeInfo }
+      ])
+    })
+
+    it('should show an error when a channel cannot be found', async () => {
+      lndRequest.mockRejectedValue(new Error('edge not found'))
+      const dispatch = jest.fn()
+      await fetchChanInfo(1)(dispatch)
+      expect(lndRequest).toHaveBeenCalledWith('chanInfo', { chanId: 1 })
+      expect(dispatch.mock.calls[2][0]).toEqual({ type: SET_ERROR, error: 'edge not found' })
+    })
+  })
+
+  describe('explorerSelectors', () => {
+    it('should count the channels and capacity of each node', () => {
+      expect(explorerSelectors.nodeStats(createState())).toEqual({
+        '02aaa': { channels: 1, capacity: 100 },
+        '03bbb': { channels: 2, capacity: 400 },
+        '02ccc': { channels: 1, capacity: 300 }
+      })
+    })
+
+    it('should search nodes by alias or pubkey, biggest first', () => {
+      const aliases = state => explorerSelectors.searchNodes(state).map(node => node.alias)
+      expect(aliases(createState())).toEqual(['bob', 'carol', 'alice'])
+      expect(aliases(createState({ searchQuery: ' CAR' }))).toEqual(['carol'])
+      expect(aliases(createState({ searchQuery: '02' }))).toEqual(['carol', 'alice'])
+    })
+
+    it('should limit the number of search results', () => {
+      const manyNodes = Array.from({ length: MAX_SEARCH_RESULTS + 1 }, (value, i) => ({
+        pub_key: `02${i}`,
+        alias: ''
+      }))
+      const state = { ...createState(), network: { nodes: manyNodes, edges: [] } }
+      expect(explorerSelectors.searchNodes(state)).toHaveLength(MAX_SEARCH_RESULTS)
+    })
+
+    it('should search channels by id, channel point or node', () => {
+      const ids = state => explorerSelectors.searchChannels(state).map(edge => edge.channel_id)
+      expect(ids(createState({ searchQuery: '1' }))).toEqual([1])
+      expect(ids(createState({ searchQuery: 'txid2' }))).toEqual([2])
+      expect(ids(createState({ searchQuery: 'alice' }))).toEqual([1])
+      expect(ids(createState({ searchQuery: 'bob' }))).toEqual([2, 1])
+    })
+
+    it('should list the channels of the selected node with the peer at the other end', () => {
+      expect(
+        explorerSelectors
+          .selectedNodeChannels(createState({ selectedNode: '03bbb' }))
+          .map(edge => edge.peer)
+      ).toEqual(['02ccc', '02aaa'])
+      expect(explorerSelectors.selectedNodeChannels(createState())).toEqual([])
+    })
+  })
+})
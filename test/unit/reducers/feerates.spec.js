@@ -0,0 +1,146 @@
+import { requestFeeRates } from 'lib/utils/api'
+import feeRatesReducer, {
+  GET_FEE_RATES,
+  RECEIVE_FEE_RATES,
+  FEE_RATES_FAILED,
+  FEE_RATES_UNAVAILABLE,
+  TARGET_CONFS,
+  fetchFeeRates,
+  receiveFeeRates,
+  setFeePreset,
+  setCustomFeeRate,
+  estimateTransactionFee,
+  feeRatesSelectors
+} from 'reducers/feerates'
+
+jest.mock('lib/utils/api', () => ({ requestFeeRates: jest.fn() }))
+
+describe('reducers', () => {
+  describe('feeRatesReducer', () => {
+    it('should handle initial state', () => {
+      expect(feeRatesReducer(undefined, {})).toMatchSnapshot()
+    })
+
+    it('should have GET_FEE_RATES', () => {
+      expect(GET_FEE_RATES).toEqual('GET_FEE_RATES')
+    })
+
+    it('should have RECEIVE_FEE_RATES', () => {
+      expect(RECEIVE_FEE_RATES).toEqual('RECEIVE_FEE_RATES')
+    })
+
+    it('should correctly getFeeRates', () => {
+      expect(feeRatesReducer(undefined, { type: GET_FEE_RATES })).toMatchSnapshot()
+    })
+
+    it('should correctly receiveFeeRates', () => {
+      const action = receiveFeeRates({ fastestFee: 20, halfHourFee: 10, hourFee: 2 })
+      expect(feeRatesReducer(undefined, action)).toMatchSnapshot()
+    })
+
+    it('should correctly setFeePreset', () => {
+      expect(feeRatesReducer(undefined, setFeePreset('fast'))).toMatchSnapshot()
+    })
+
+    it('should correctly setCustomFeeRate', () => {
+      expect(feeRatesReducer(undefined, setCustomFeeRate('5'))).toMatchSnapshot()
+    })
+
+    it('should correctly handle failing to fetch fee rates', () => {
+      const state = feeRatesReducer(undefined, { type: GET_FEE_RATES })
+      expect(feeRatesReducer(state, { type: FEE_RATES_FAILED })).toMatchSnapshot()
+    })
+
+    it('should keep the fee rates it has when fetching them again fails', () => {
+      const action = receiveFeeRates({ fastestFee: 20, halfHourFee: 10, hourFee: 2 })
+      const state = feeRatesReducer(undefined, action)
+      expect(feeRatesReducer(state, { type: FEE_RATES_FAILED })).toEqual({
+        ...state,
+        feeRatesAvailable: true
+      })
+    })
+  })
+
+  describe('fetchFeeRates', () => {
+    const getState = id => () => ({ info: { network: { id } } })
+
+    beforeEach(() => {
+      requestFeeRates.mockReset()
+    })
+
+    it('should fetch the fee rates on mainnet', async () => {
+      requestFeeRates.mockResolvedValue({ fastestFee: 20, halfHourFee: 10, hourFee: 2 })
+      const dispatch = jest.fn()
+      await fetchFeeRates()(dispatch, getState('mainnet'))
+      expect(dispatch.mock.calls).toEqual([
+        [{ type: GET_FEE_RATES }],
+        [receiveFeeRates({ fastestFee: 20, halfHourFee: 10, hourFee: 2 })]
+      ])
+    })
+
+    it('should not use the mainnet fee rates on other networks', async () => {
+      const dispatch = jest.fn()
+      await fetchFeeRates()(dispatch, getState('testnet'))
+      expect(requestFeeRates).not.toHaveBeenCalled()
+      expect(dispatch.mock.calls).toEqual([[{ type: FEE_RATES_UNAVAILABLE }]])
+    })
+  })
+
+  describe('estimateTransactionFee', () => {
+    it('should include a change output', () => {
+      expect(estimateTransactionFee(1, 1)).toEqual(11 + 68 + 34 * 2)
+      expect(estimateTransactionFee(10, 5)).toEqual((11 + 68 + 34 * 11) * 5)
+    })
+  })
+
+  describe('feeRatesSelectors', () => {
+    const createState = (...actions) => ({
+      feerates: [
+        receiveFeeRates({ fastestFee: 20, halfHourFee: 10, hourFee: 2 }),
+        ...actions
+      ].reduce(feeRatesReducer, undefined)
+    })
+
+    it('should use the rate of the selected preset', () => {
+      expect(feeRatesSelectors.selectedFeeRate(createState())).toEqual(10)
+      expect(feeRatesSelectors.selectedFeeRate(createState(setFeePreset('fast')))).toEqual(20)
+      expect(feeRatesSelectors.selectedFeeRate({ feerates: feeRatesReducer(undefined, {}) })).toBe(
+        null
+      )
+    })
+
+    it('should estimate the fee for a single payment', () => {
+      expect(feeRatesSelectors.estimatedFee(createState())).toEqual(estimateTransactionFee(1, 10))
+    })
+
+    it('should ask lnd for the confirmation target of a preset', () => {
+      expect(feeRatesSelectors.feeOptions(createState(setFeePreset('slow')))).toEqual({
+        target_conf: TARGET_CONFS.slow
+      })
+    })
+
+    it('should ask lnd for a custom fee rate', () => {
+      const state = createState(setFeePreset('custom'), setCustomFeeRate('5'))
+      expect(feeRatesSelectors.customFeeRateIsValid(state)).toBe(true)
+      expect(feeRatesSelectors.feeOptions(state)).toEqual({ sat_per_byte: 5 })
+    })
+
+    it('should reject custom fee rates that are not whole numbers of at least 1', () => {
+      ;['', '0', '1.5', 'abc'].forEach(customFeeRate => {
+        const state = createState(setFeePreset('custom'), setCustomFeeRate(customFeeRate))
+        expect(feeRatesSelectors.customFeeRateIsValid(state)).toBe(false)
+      })
+    })
+
+    it('should work out how soon a custom fee rate should confirm', () => {
+      const confirmationTime = customFeeRate =>
+        feeRatesSelectors.confirmationTime(
+          createState(setFeePreset('custom'), setCustomFeeRate(customFeeRate))
+        )
+      expect(confirmationTime('25')).toEqual('fast')
+      expect(confirmationTime('10')).toEqual('normal')
+      expect(confirmationTime('3')).toEqual('slow')
+      expect(confirmationTime('1')).toEqual('slower')
+    })
+  })
+})
@@ -0,0 +1,104 @@
+import { lndRequest } from 'lib/utils/rpc'
+import feesReducer, {
+  GET_FEE_REPORT,
+  RECEIVE_FEE_REPORT,
+  UPDATING_CHANNEL_POLICY,
+  CHANNEL_POLICY_UPDATED,
+  CHANNEL_POLICY_FAILED,
+  receiveFeeReport,
+  updateChannelPolicy,
+  feesSelectors
+} from 'reducers/fees'
+
+jest.mock('lib/utils/rpc', () => ({ lndRequest: jest.fn() }))
+
+const report = {
+  channel_fees: [
+    { channel_point: 'txid1:0', base_fee_msat: 1000, fee_per_mil: 1, time_lock_delta: 144 },
+    { channel_point: 'txid2:1', base_fee_msat: 2000, fee_per_mil: 10, time_lock_delta: null }
+  ],
+  day_fee_sum: 1,
+  week_fee_sum: 7,
+  month_fee_sum: 30
+}
+
+describe('reducers', () => {
+  describe('feesReducer', () => {
+    it('should handle initial state', () => {
+      expect(feesReducer(undefined, {})).toMatchSnapshot()
+    })
+
+    it('should have GET_FEE_REPORT', () => {
+      expect(GET_FEE_REPORT).toEqual('GET_FEE_REPORT')
+    })
+
+    it('should have RECEIVE_FEE_REPORT', () => {
+      expect(RECEIVE_FEE_REPORT).toEqual('RECEIVE_FEE_REPORT')
+    })
+
+    it('should have UPDATING_CHANNEL_POLICY', () => {
+      expect(UPDATING_CHANNEL_POLICY).toEqual('UPDATING_CHANNEL_POLICY')
+    })
+
+    it('should correctly getFeeReport', () => {
+      expect(feesReducer(undefined, { type: GET_FEE_REPORT })).toMatchSnapshot()
+    })
+
+    it('should correctly receiveFeeReport', () => {
+      expect(feesReducer(undefined, receiveFeeReport(report))).toMatchSnapshot()
+    })
+
+    it('should correctly handle updating the policy of a channel', () => {
+      expect(
+        feesReducer(undefined, { type: UPDATING_CHANNEL_POLICY, channelPoint: 'txid1:0' })
+      ).toMatchSnapshot()
+    })
+
+    it('should correctly handle updating the policy of all channels', () => {
+      expect(feesReducer(undefined, { type: UPDATING_CHANNEL_POLICY })).toMatchSnapshot()
+    })
+
+    it('should correctly handle an updated policy', () => {
+      const state = feesReducer(undefined, {
+        type: UPDATING_CHANNEL_POLICY,
+        channelPoint: 'txid1:0'
+      })
+      expect(feesReducer(state, { type: CHANNEL_POLICY_UPDATED })).toMatchSnapshot()
+    })
+
+    it('should correctly handle a failed policy update', () => {
+      const state = feesReducer(undefined, {
+        type: UPDATING_CHANNEL_POLICY,
+        channelPoint: 'txid1:0'
+      })
+      expect(feesReducer(state, { type: CHANNEL_POLICY_FAILED })).toMatchSnapshot()
+    })
+  })
+
+  describe('updateChannelPolicy', () => {
+    it('should send fee rates that lnd turns back into the same parts per million', () => {
+      lndRequest.mockResolvedValue({})
+      const dispatch = jest.fn()
+      const feeRates = []
+      for (let feePerMil = 0; feePerMil <= 10000; feePerMil += 1) {
+        updateChannelPolicy({ baseFeeMsat: 1000, feePerMil, timeLockDelta: 144 })(dispatch)
+        feeRates.push(lndRequest.mock.calls[feePerMil][1].fee_rate)
+      }
+      // lnd converts the rate to parts per million with uint32(FeeRate * 1e6), which truncates.
+      const saved = feeRates.map(feeRate => Math.trunc(feeRate * 1e6))
+      expect(saved).toEqual(feeRates.map((feeRate, feePerMil) => feePerMil))
+    })
+  })
+
+  describe('feesSelectors', () => {
+    describe('channelPolicies', () => {
+      it('should key channel policies by channel point', () => {
+        const fees = feesReducer(undefined, receiveFeeReport(report))
+        expect(feesSelectors.channelPolicies({ fees })).toEqual({
+          'txid1:0': report.channel_fees[0],
+          'txid2:1': report.channel_fees[1]
+        })
+      })
+    })
+  })
+})
@@ -21,5 +21,30 @@ describe('reducers', () => {
     it('should correctly receiveInfo', () => {
       expect(infoReducer(undefined, { type: RECEIVE_INFO, data: 'foo' })).toMatchSnapshot()
     })
+
+    it('should detect testnet from the node info', () => {
+      const state = infoReducer(undefined, { type: RECEIVE_INFO, data: { testnet: true } })
+      expect(state.network.name).toEqual('Testnet')
+    })
+
+    it('should use the configured network for regtest nodes', () => {
+      const state = infoReducer(undefined, {
+        type: RECEIVE_INFO,
+        data: { testnet: false },
+        network: 'regtest'
+      })
+      expect(state.network.name).toEqual('Regtest')
+      expect(state.network.bitcoinJsNetwork.bech32).toEqual('bcrt')
+    })
+
+    it('should use the configured network for simnet nodes', () => {
+      const state = infoReducer(undefined, {
+        type: RECEIVE_INFO,
+        data: { testnet: false },
+        network: 'simnet'
+      })
+      expect(state.network.name).toEqual('Simnet')
+      expect(state.network.bitcoinJsNetwork.bech32).toEqual('sb')
+    })
   })
 })
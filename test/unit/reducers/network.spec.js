@@ -0,0 +1,366 @@
+import networkReducer, {
+  GRAPH_UPDATE_DELAY,
+  NODE_SCORE_INTERVAL,
+  QUEUE_GRAPH_UPDATE,
+  RECEIVE_DESCRIBE_NETWORK,
+  RECEIVE_NODE_SCORES,
+  RECEIVE_INFO_AND_QUERY_ROUTES,
+  SET_CURRENT_ROUTE,
+  CLEAR_QUERY_ROUTES,
+  UPDATE_NETWORK_GRAPH,
+  applyGraphUpdates,
+  queueGraphUpdate,
+  scoreNetworkNodes,
+  networkSelectors
+} from 'reducers/network'
+import { scoreNodes } from 'lib/utils/nodeScoring'
+
+const routes = [
+  { hops: [{ chan_id: '1' }, { chan_id: '2' }] },
+  { hops: [{ chan_id: '3' }] },
+  { hops: [{ chan_id: '1' }, { chan_id: '4' }] }
+]
+
+const networkState = (network, channels = []) => ({
+  network,
+  channels: { channels },
+  info: { data: { identity_pubkey: 'us' } }
+})
+
+const graph = {
+  nodes: [
+    { pub_key: 'us', alias: 'Us', addresses: [{ addr: '10.0.0.1:9735' }] },
+    { pub_key: 'hub', alias: 'Hub', addresses: [{ addr: '10.0.0.2:9735' }] },
+    { pub_key: 'peer', alias: 'Peer', addresses: [{ addr: '10.0.0.3:9735' }] },
+    { pub_key: 'hidden', alias: 'Hidden', addresses: [] },
+    { pub_key: 'leaf', alias: 'Leaf', addresses: [{ addr: '10.0.0.4:9735' }] }
+  ].map(node => ({ ...node, last_update: Math.floor(Date.now() / 1000) })),
+  edges: ['us', 'peer', 'hidden', 'leaf'].map((pubkey, i) => ({
+    channel_id: String(i),
+    node1_pub: 'hub',
+    node2_pub: pubkey,
+    capacity: '1000000',
+    node1_policy: { fee_rate_milli_msat: '1', disabled: false },
+    node2_policy: { fee_rate_milli_msat: '1', disabled: false }
+  }))
+}
+
+describe('reducers', () => {
+  describe('networkReducer', () => {
+    it('should correctly receive and clear payment request routes', () => {
+      let state = networkReducer(undefined, { type: RECEIVE_INFO_AND_QUERY_ROUTES, routes })
+      state = networkReducer(state, { type: SET_CURRENT_ROUTE, route: routes[1] })
+      expect(state.payReqRoutes).toBe(routes)
+      expect(state.currentRoute).toBe(routes[1])
+
+      state = networkReducer(state, { type: CLEAR_QUERY_ROUTES })
+      expect(state.payReqRoutes).toEqual([])
+      expect(state.currentRoute).toEqual({})
+      expect(state.fetchingInvoiceAndQueryingRoutes).toBe(false)
+    })
+  })
+
+  describe('applyGraphUpdates', () => {
+    const graph = {
+      nodes: [
+        { pub_key: '02aaa', alias: 'alice', color: '#ff0000', addresses: [], last_update: 1 }
+      ],
+      edges: [
+        {
+          channel_id: 1,
+          chan_point: 'txid1:0',
+          capacity: 100,
+          node1_pub: '02aaa',
+          node2_pub: '03bbb',
+          node1_policy: { fee_base_msat: 1000 },
+          node2_policy: null,
+          last_update: 1
+        }
+      ]
+    }
+
+    it('should update and add nodes', () => {
+      const { nodes } = applyGraphUpdates(
+        graph,
+        [
+          {
+            node_updates: [
+              { identity_key: '02aaa', alias: 'alice2', addresses: ['1.2.3.4:9735'] },
+              { identity_key: '03bbb', alias: 'bob', addresses: [] }
+            ]
+          }
+        ],
+        10
+      )
+      expect(nodes).toEqual([
+        {
+          pub_key: '02aaa',
+          alias: 'alice2',
+          color: '#ff0000',
+          addresses: [{ network: 'tcp', addr: '1.2.3.4:9735' }],
+          last_update: 10
+        },
+        { pub_key: '03bbb', alias: 'bob', color: '', addresses: [], last_update: 10 }
+      ])
+    })
+
+    it('should update the policy of the node that advertised it', () => {
+      const { edges } = applyGraphUpdates(
+        graph,
+        [
+          {
+            channel_updates: [
+              {
+                chan_id: 1,
+                capacity: 100,
+                routing_policy: { fee_base_msat: 2000 },
+                advertising_node: '03bbb',
+                connecting_node: '02aaa'
+              }
+            ]
+          }
+        ],
+        10
+      )
+      expect(edges).toEqual([
+        { ...graph.edges[0], node2_policy: { fee_base_msat: 2000 }, last_update: 10 }
+      ])
+    })
+
+    it('should add new channels with their nodes in pubkey order', () => {
+      const { edges } = applyGraphUpdates(
+        graph,
+        [
+          {
+            channel_updates: [
+              {
+                chan_id: 2,
+                chan_point: { funding_txid_bytes: Buffer.from('0102', 'hex'), output_index: 1 },
+                capacity: 500,
+                routing_policy: { fee_base_msat: 3000 },
+                advertising_node: '03bbb',
+                connecting_node: '02ccc'
+              }
+            ]
+          }
+        ],
+        10
+      )
+      expect(edges[1]).toEqual({
+        channel_id: 2,
+        chan_point: '0201:1',
+        capacity: 500,
+        node1_pub: '02ccc',
+        node2_pub: '03bbb',
+        node1_policy: null,
+        node2_policy: { fee_base_msat: 3000 },
+        last_update: 10
+      })
+    })
+
+    it('should remove closed channels', () => {
+      const { nodes, edges } = applyGraphUpdates(
+        graph,
+        [{ closed_chans: [{ chan_id: 1, capacity: 100, closed_height: 500 }] }],
+        10
+      )
+      expect(edges).toEqual([])
+      expect(nodes).toEqual(graph.nodes)
+    })
+
+    it('should apply updates in the order that they arrived', () => {
+      const update = {
+        chan_id: 3,
+        chan_point: { funding_txid_str: 'txid3', output_index: 0 },
+        capacity: 100,
+        routing_policy: {},
+        advertising_node: '02aaa',
+        connecting_node: '03bbb'
+      }
+      const closed = { closed_chans: [{ chan_id: 3 }] }
+      expect(
+        applyGraphUpdates(graph, [{ channel_updates: [update] }, closed], 10).edges
+      ).toHaveLength(1)
+      expect(
+        applyGraphUpdates(graph, [closed, { channel_updates: [update] }], 10).edges
+      ).toHaveLength(2)
+    })
+
+    it('should be applied by the reducer', () => {
+      let state = networkReducer(undefined, { type: RECEIVE_DESCRIBE_NETWORK, ...graph })
+      state = networkReducer(state, {
+        type: UPDATE_NETWORK_GRAPH,
+        updates: [{ closed_chans: [{ chan_id: 1 }] }],
+        updatedAt: 10
+      })
+      expect(state.edges).toEqual([])
+      expect(state.nodes).toEqual(graph.nodes)
+    })
+  })
+
+  describe('queueGraphUpdate', () => {
+    beforeEach(() => {
+      jest.useFakeTimers()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    // A store holding the network graph, with its nodes last scored at the given time.
+    const graphStore = scoredAt => {
+      let state = { network: { ...networkReducer(undefined, {}), ...graph, scoredAt } }
+      const getState = () => state
+      const dispatch = jest.fn(action => {
+        if (typeof action === 'function') {
+          return action(dispatch, getState)
+        }
+        state = { network: networkReducer(state.network, action) }
+        return action
+      })
+      return { dispatch, getState }
+    }
+
+    // The actions that applied graph updates or scored nodes, leaving out those that queued updates.
+    const dispatchedTypes = dispatch =>
+      dispatch.mock.calls
+        .map(([action]) => action.type)
+        .filter(type => type && type !== QUEUE_GRAPH_UPDATE)
+
+    const graphUpdates = dispatch =>
+      dispatch.mock.calls
+        .map(([action]) => action)
+        .filter(({ type }) => type === UPDATE_NETWORK_GRAPH)
+        .map(({ updates }) => updates)
+
+    it('should apply updates together once the delay has passed', () => {
+      const { dispatch, getState } = graphStore(Math.floor(Date.now() / 1000))
+      const first = { node_updates: [], channel_updates: [], closed_chans: [] }
+      const second = { node_updates: [], channel_updates: [], closed_chans: [] }
+      queueGraphUpdate(first)(dispatch, getState)
+      jest.advanceTimersByTime(GRAPH_UPDATE_DELAY / 2)
+      queueGraphUpdate(second)(dispatch, getState)
+      expect(graphUpdates(dispatch)).toEqual([])
+      expect(getState().network.pendingGraphUpdates).toEqual([first, second])
+
+      jest.advanceTimersByTime(GRAPH_UPDATE_DELAY / 2)
+      expect(graphUpdates(dispatch)).toEqual([[first, second]])
+      expect(getState().network.pendingGraphUpdates).toEqual([])
+
+      queueGraphUpdate(first)(dispatch, getState)
+      jest.advanceTimersByTime(GRAPH_UPDATE_DELAY)
+      expect(graphUpdates(dispatch)).toEqual([[first, second], [first]])
+    })
+
+    it('should score the nodes again when channels have come or gone', () => {
+      const { dispatch, getState } = graphStore(Math.floor(Date.now() / 1000))
+      const update = { node_updates: [], channel_updates: [], closed_chans: [{ chan_id: 1 }] }
+      queueGraphUpdate(update)(dispatch, getState)
+      jest.advanceTimersByTime(GRAPH_UPDATE_DELAY)
+      expect(dispatchedTypes(dispatch)).toEqual([UPDATE_NETWORK_GRAPH, RECEIVE_NODE_SCORES])
+      expect(getState().network.nodeScores).toHaveLength(5)
+    })
+
+    it('should score the nodes again when a channel has been replaced by another', () => {
+      const { dispatch, getState } = graphStore(Math.floor(Date.now() / 1000))
+      const update = {
+        node_updates: [],
+        channel_updates: [
+          {
+            chan_id: '4',
+            chan_point: { funding_txid_str: 'txid', output_index: 0 },
+            capacity: '1000000',
+            routing_policy: { fee_rate_milli_msat: '1', disabled: false },
+            advertising_node: 'peer',
+            connecting_node: 'leaf'
+          }
+        ],
+        closed_chans: [{ chan_id: '3' }]
+      }
+      queueGraphUpdate(update)(dispatch, getState)
+      jest.advanceTimersByTime(GRAPH_UPDATE_DELAY)
+      expect(getState().network.edges).toHaveLength(graph.edges.length)
+      expect(dispatchedTypes(dispatch)).toEqual([UPDATE_NETWORK_GRAPH, RECEIVE_NODE_SCORES])
+    })
+
+    it('should not score the nodes again when only fee policies have changed', () => {
+      const { dispatch, getState } = graphStore(Math.floor(Date.now() / 1000))
+      const update = {
+        node_updates: [],
+        channel_updates: [
+          {
+            chan_id: '0',
+            routing_policy: { fee_rate_milli_msat: '10', disabled: false },
+            advertising_node: 'hub',
+            connecting_node: 'us'
+          }
+        ],
+        closed_chans: []
+      }
+      queueGraphUpdate(update)(dispatch, getState)
+      jest.advanceTimersByTime(GRAPH_UPDATE_DELAY)
+      expect(dispatchedTypes(dispatch)).toEqual([UPDATE_NETWORK_GRAPH])
+    })
+
+    it('should score the nodes again once the scores are out of date', () => {
+      const { dispatch, getState } = graphStore(Math.floor(Date.now() / 1000) - NODE_SCORE_INTERVAL)
+      const update = { node_updates: [], channel_updates: [], closed_chans: [] }
+      queueGraphUpdate(update)(dispatch, getState)
+      jest.advanceTimersByTime(GRAPH_UPDATE_DELAY)
+      expect(dispatchedTypes(dispatch)).toEqual([UPDATE_NETWORK_GRAPH, RECEIVE_NODE_SCORES])
+    })
+  })
+
+  describe('networkSelectors', () => {
+    it('should put the chosen route first and keep the rest to fall back to', () => {
+      const state = networkState({ payReqRoutes: routes, currentRoute: routes[1] })
+      expect(networkSelectors.payReqRoutesFromCurrent(state)).toEqual([
+        routes[1],
+        routes[0],
+        routes[2]
+      ])
+    })
+
+    it('should keep the routes in order when none has been chosen', () => {
+      const state = networkState({ payReqRoutes: routes, currentRoute: {} })
+      expect(networkSelectors.payReqRoutesFromCurrent(state)).toEqual(routes)
+    })
+
+    it('should follow the hops of each route through the network graph', () => {
+      const state = networkState({
+        payReqRoutes: routes,
+        nodes: [{ pub_key: 'alice', alias: 'Alice' }, { pub_key: 'bobpubkey12345', alias: '' }],
+        edges: [
+          { channel_id: '1', node1_pub: 'alice', node2_pub: 'us' },
+          { channel_id: '2', node1_pub: 'alice', node2_pub: 'bobpubkey12345' },
+          { channel_id: '3', node1_pub: 'us', node2_pub: 'bobpubkey12345' }
+        ]
+      })
+      expect(networkSelectors.payReqRouteNodes(state)).toEqual([
+        ['Alice', 'bobpubkey1'],
+        ['bobpubkey1'],
+        ['Alice', '4']
+      ])
+    })
+
+    it('should score the nodes of the network graph', () => {
+      const dispatch = jest.fn()
+      const now = Math.floor(Date.now() / 1000)
+      scoreNetworkNodes(now)(dispatch, () => networkState(graph))
+      const [[{ type, nodeScores, scoredAt }]] = dispatch.mock.calls
+      expect(type).toEqual(RECEIVE_NODE_SCORES)
+      expect(scoredAt).toEqual(now)
+      expect(nodeScores).toHaveLength(5)
+      expect(nodeScores[0].pubkey).toEqual('hub')
+    })
+
+    it('should recommend nodes that we can open a new channel with', () => {
+      const nodeScores = scoreNodes(graph.nodes, graph.edges, Math.floor(Date.now() / 1000))
+      const state = networkState({ ...graph, nodeScores }, [{ remote_pubkey: 'peer' }])
+      expect(networkSelectors.recommendedNodes(state).map(node => node.pub_key)).toEqual([
+        'hub',
+        'leaf'
+      ])
+    })
+  })
+})
@@ -0,0 +1,131 @@
+import { ipcRenderer } from 'electron'
+import passwordReducer, {
+  CHANGE_PASSWORD,
+  WALLET_LOCKED,
+  PASSWORD_CHANGED,
+  CHANGE_PASSWORD_FAILED,
+  changePassword,
+  walletLocked,
+  passwordChanged,
+  changePasswordError,
+  passwordSelectors
+} from 'reducers/password'
+import { UPDATE_PASSWORD } from 'reducers/onboarding'
+import { RESET_LND } from 'reducers/lnd'
+
+const onboarding = {
+  connectionType: 'local',
+  password: 'oldpassword',
+  createWalletPassword: 'newpassword',
+  createWalletPasswordConfirmation: 'newpassword'
+}
+
+describe('reducers', () => {
+  describe('passwordReducer', () => {
+    it('should handle initial state', () => {
+      expect(passwordReducer(undefined, {})).toMatchSnapshot()
+    })
+
+    it('should have CHANGE_PASSWORD', () => {
+      expect(CHANGE_PASSWORD).toEqual('CHANGE_PASSWORD')
+    })
+
+    it('should correctly change the password', () => {
+      let state = passwordReducer(undefined, { type: CHANGE_PASSWORD })
+      expect(state.changingPassword).toBe(true)
+      state = passwordReducer(state, { type: WALLET_LOCKED })
+      expect(state.walletLocked).toBe(true)
+      expect(passwordReducer(state, { type: PASSWORD_CHANGED })).toMatchSnapshot()
+    })
+
+    it('should keep the wallet locked when changing the password fails', () => {
+      let state = passwordReducer(undefined, { type: CHANGE_PASSWORD })
+      state = passwordReducer(state, { type: WALLET_LOCKED })
+      state = passwordReducer(state, { type: CHANGE_PASSWORD_FAILED, error: 'Incorrect password' })
+      expect(state).toMatchSnapshot()
+    })
+  })
+
+  describe('password actions', () => {
+    beforeEach(() => ipcRenderer.send.mockClear())
+
+    it('should lock the wallet before changing the password', () => {
+      const dispatch = jest.fn()
+      changePassword()(dispatch, () => ({ password: { walletLocked: false }, onboarding }))
+      expect(dispatch).toHaveBeenCalledWith({ type: CHANGE_PASSWORD })
+      expect(dispatch).toHaveBeenCalledWith({ type: RESET_LND })
+      expect(ipcRenderer.send).toHaveBeenCalledWith('lockWallet')
+    })
+
+    it('should try again straight away when the wallet is still locked', () => {
+      const dispatch = jest.fn()
+      changePassword()(dispatch, () => ({ password: { walletLocked: true }, onboarding }))
+      expect(dispatch).toHaveBeenCalledWith({ type: CHANGE_PASSWORD })
+      expect(ipcRenderer.send).not.toHaveBeenCalledWith('lockWallet')
+      expect(ipcRenderer.send).toHaveBeenCalledWith('walletUnlocker', {
+        msg: 'changePassword',
+        data: { current_password: 'oldpassword', new_password: 'newpassword' }
+      })
+    })
+
+    it('should change the password once the wallet is locked', () => {
+      const dispatch = jest.fn()
+      walletLocked()(dispatch, () => ({ onboarding }))
+      expect(dispatch).toHaveBeenCalledWith({ type: WALLET_LOCKED })
+      expect(ipcRenderer.send).toHaveBeenCalledWith('walletUnlocker', {
+        msg: 'changePassword',
+        data: { current_password: 'oldpassword', new_password: 'newpassword' }
+      })
+    })
+
+    it('should clear the form and reconnect once the password has changed', () => {
+      const dispatch = jest.fn()
+      passwordChanged()(dispatch)
+      expect(dispatch).toHaveBeenCalledWith({ type: PASSWORD_CHANGED })
+      expect(dispatch).toHaveBeenCalledWith({ type: UPDATE_PASSWORD, password: '' })
+      expect(ipcRenderer.send).toHaveBeenCalledWith('startLightningWallet')
+    })
+
+    it('should report errors changing the password', () => {
+      const dispatch = jest.fn()
+      changePasswordError({}, { code: 2, message: 'Incorrect password' })(dispatch)
+      expect(dispatch).toHaveBeenCalledTimes(1)
+      expect(dispatch).toHaveBeenCalledWith({
+        type: CHANGE_PASSWORD_FAILED,
+        error: 'Incorrect password'
+      })
+    })
+  })
+
+  describe('passwordSelectors', () => {
+    it('should only allow the password of local wallets to be changed', () => {
+      expect(passwordSelectors.canChangePassword({ onboarding })).toBe(true)
+      expect(
+        passwordSelectors.canChangePassword({
+          onboarding: { ...onboarding, connectionType: 'custom' }
+        })
+      ).toBe(false)
+    })
+
+    it('should validate the change password form', () => {
+      expect(passwordSelectors.changePasswordFormIsValid({ onboarding })).toBe(true)
+      expect(
+        passwordSelectors.changePasswordFormIsValid({
+          onboarding: { ...onboarding, createWalletPasswordConfirmation: 'different' }
+        })
+      ).toBe(false)
+      expect(
+        passwordSelectors.changePasswordFormIsValid({
+          onboarding: {
+            ...onboarding,
+            createWalletPassword: 'short',
+            createWalletPasswordConfirmation: 'short'
+          }
+        })
+      ).toBe(false)
+      expect(
+        passwordSelectors.changePasswordFormIsValid({ onboarding: { ...onboarding, password: '' } })
+      ).toBe(false)
+    })
+  })
+})
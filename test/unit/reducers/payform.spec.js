@@ -0,0 +1,240 @@
+import infoReducer, { RECEIVE_INFO } from 'reducers/info'
+import { payFormSelectors } from 'reducers/payform'
+
+const REGTEST_ADDRESS = 'bcrt1q0xcqpzrky6eff2g52qdye53xkk9jxkvrl4xfg5'
+const SIMNET_ADDRESS = 'SYPRdtiAorV79MQnm1kzSUzDyJ58bRDAEj'
+const TESTNET_ADDRESS = 'tb1q0xcqpzrky6eff2g52qdye53xkk9jxkvraulyla'
+
+const REGTEST_INVOICE =
+  'lnbcrt10u1qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8hvtqsv'
+const SIMNET_INVOICE =
+  'lnsb1m1qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8j5xrz9'
+const TESTNET_INVOICE =
+  'lntb10u1qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8uk6j92'
+const MAINNET_INVOICE =
+  'lnbc10u1qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8c0xtew'
+
+const createState = (payInput, data, network) => ({
+  payform: { payInput },
+  network: { payReqRoutes: [], currentRoute: {} },
+  info: infoReducer(undefined, { type: RECEIVE_INFO, data, network })
+})
+
+const createBatchState = (batchInput, currency = 'sats', feeRates = null) => ({
+  payform: { batchInput },
+  ticker: { currency },
+  feerates: { feeRates, preset: 'normal', customFeeRate: '' },
+  info: infoReducer(undefined, { type: RECEIVE_INFO, data: { testnet: false }, network: 'regtest' })
+})
+
+const createFeeLimitState = (feeLimitType, feeLimitValue) => ({
+  payform: { feeLimitType, feeLimitValue }
+})
+
+describe('reducers', () => {
+  describe('payFormSelectors', () => {
+    describe('isZeroAmountInvoice', () => {
+      const createInvoiceState = invoice => ({
+        ...createState(REGTEST_INVOICE, { testnet: false }, 'regtest'),
+        payform: { payInput: REGTEST_INVOICE, invoice, amount: '' }
+      })
+
+      it('should spot decoded invoices without an amount', () => {
+        const state = createInvoiceState({ payment_hash: 'hash', num_satoshis: '0' })
+        expect(payFormSelectors.isZeroAmountInvoice(state)).toBe(true)
+        expect(payFormSelectors.payFormIsValid(state).errors.amount).toBeDefined()
+      })
+
+      it('should not treat invoices with an amount, or not yet decoded, as amountless', () => {
+        expect(
+          payFormSelectors.isZeroAmountInvoice(
+            createInvoiceState({ payment_hash: 'hash', num_satoshis: '1000' })
+          )
+        ).toBe(false)
+        expect(payFormSelectors.isZeroAmountInvoice(createInvoiceState({}))).toBe(false)
+      })
+    })
+
+    describe('feeLimit', () => {
+      it('should not limit fees by default', () => {
+        expect(payFormSelectors.feeLimit(createFeeLimitState('none', ''))).toBe(undefined)
+      })
+
+      it('should limit fees to a fixed amount', () => {
+        expect(payFormSelectors.feeLimit(createFeeLimitState('fixed', '100'))).toEqual({
+          fixed: 100
+        })
+      })
+
+      it('should limit fees to a percentage of the amount', () => {
+        expect(payFormSelectors.feeLimit(createFeeLimitState('percent', '5'))).toEqual({
+          percent: 5
+        })
+      })
+
+      it('should reject percentages over 100 and non whole numbers', () => {
+        expect(payFormSelectors.feeLimitIsValid(createFeeLimitState('percent', '101'))).toBe(false)
+        expect(payFormSelectors.feeLimitIsValid(createFeeLimitState('fixed', '1.5'))).toBe(false)
+        expect(payFormSelectors.feeLimit(createFeeLimitState('fixed', ''))).toBe(undefined)
+      })
+    })
+
+    describe('payReqRoutes', () => {
+      const cheap = { total_amt: 1010, total_fees: 10, hops: [{ chan_id: '1' }] }
+      const dear = { total_amt: 1100, total_fees: 100, hops: [{ chan_id: '2' }] }
+      const createRoutesState = (feeLimitType, feeLimitValue, currentRoute) => ({
+        ...createState(REGTEST_INVOICE, { testnet: false }, 'regtest'),
+        payform: { payInput: REGTEST_INVOICE, invoice: {}, feeLimitType, feeLimitValue },
+        network: { payReqRoutes: [cheap, dear], currentRoute }
+      })
+
+      it('should put the chosen route first', () => {
+        expect(payFormSelectors.payReqRoutes(createRoutesState('none', '', dear))).toEqual([
+          dear,
+          cheap
+        ])
+      })
+
+      it('should leave out routes that cost more than the fee limit', () => {
+        expect(payFormSelectors.payReqRoutes(createRoutesState('fixed', '50', cheap))).toEqual([
+          cheap
+        ])
+        expect(payFormSelectors.payReqRoutes(createRoutesState('percent', '5', cheap))).toEqual([
+          cheap
+        ])
+      })
+
+      it('should not accept a chosen route that costs more than the fee limit', () => {
+        expect(
+          payFormSelectors.payFormIsValid(createRoutesState('fixed', '50', dear)).errors.feeLimit
+        ).toBeDefined()
+        expect(
+          payFormSelectors.payFormIsValid(createRoutesState('fixed', '50', cheap)).errors.feeLimit
+        ).toBeUndefined()
+      })
+    })
+
+    describe('isOnchain', () => {
+      it('should accept regtest addresses on regtest', () => {
+        const state = createState(REGTEST_ADDRESS, { testnet: false }, 'regtest')
+        expect(payFormSelectors.isOnchain(state)).toBe(true)
+      })
+
+      it('should accept simnet addresses on simnet', () => {
+        const state = createState(SIMNET_ADDRESS, { testnet: false }, 'simnet')
+        expect(payFormSelectors.isOnchain(state)).toBe(true)
+      })
+
+      it('should reject testnet addresses on regtest', () => {
+        const state = createState(TESTNET_ADDRESS, { testnet: false }, 'regtest')
+        expect(payFormSelectors.isOnchain(state)).toBe(false)
+      })
+    })
+
+    describe('isLn', () => {
+      it('should accept lnbcrt invoices on regtest', () => {
+        const state = createState(REGTEST_INVOICE, { testnet: false }, 'regtest')
+        expect(payFormSelectors.isLn(state)).toBe(true)
+      })
+
+      it('should accept lnsb invoices on simnet', () => {
+        const state = createState(SIMNET_INVOICE, { testnet: false }, 'simnet')
+        expect(payFormSelectors.isLn(state)).toBe(true)
+      })
+
+      it('should accept lntb invoices on testnet', () => {
+        const state = createState(TESTNET_INVOICE, { testnet: true }, 'testnet')
+        expect(payFormSelectors.isLn(state)).toBe(true)
+      })
+
+      it('should not mistake lnbcrt invoices for mainnet invoices', () => {
+        const state = createState(REGTEST_INVOICE, { testnet: false }, 'mainnet')
+        expect(payFormSelectors.isLn(state)).toBe(false)
+      })
+
+      it('should reject mainnet invoices on regtest', () => {
+        const state = createState(MAINNET_INVOICE, { testnet: false }, 'regtest')
+        expect(payFormSelectors.isLn(state)).toBe(false)
+      })
+
+      it('should reject invalid invoices', () => {
+        const state = createState('lnbcrt10u1invalid', { testnet: false }, 'regtest')
+        expect(payFormSelectors.isLn(state)).toBe(false)
+      })
+    })
+
+    describe('batchOutputs', () => {
+      it('should parse a line for each address and amount', () => {
+        const state = createBatchState(`${REGTEST_ADDRESS}, 1000\n\n${SIMNET_ADDRESS},2000`)
+        expect(payFormSelectors.batchOutputs(state)).toEqual([
+          { line: 1, addr: REGTEST_ADDRESS, value: '1000', sats: 1000, error: null },
+          {
+            line: 3,
+            addr: SIMNET_ADDRESS,
+            value: '2000',
+            sats: 2000,
+            error: 'Must be a valid BTC address'
+          }
+        ])
+      })
+
+      it('should skip a header line', () => {
+        const state = createBatchState(`address,amount\n${REGTEST_ADDRESS},1000`)
+        expect(payFormSelectors.batchOutputs(state)).toHaveLength(1)
+      })
+
+      it('should convert amounts from the current currency', () => {
+        const state = createBatchState(`${REGTEST_ADDRESS},0.0001`, 'btc')
+        expect(payFormSelectors.batchOutputs(state)[0].sats).toEqual(10000)
+      })
+
+      it('should reject duplicate addresses and invalid amounts', () => {
+        const state = createBatchState(
+          `${REGTEST_ADDRESS},1000\n${REGTEST_ADDRESS},2000\n${REGTEST_ADDRESS}`
+        )
+        expect(payFormSelectors.batchOutputs(state).map(output => output.error)).toEqual([
+          'Address is listed more than once',
+          'Address is listed more than once',
+          'Address is listed more than once'
+        ])
+        expect(
+          payFormSelectors.batchOutputs(createBatchState(`${REGTEST_ADDRESS},abc`))[0].error
+        ).toEqual('Amount must be more than 0')
+      })
+    })
+
+    describe('batchFee', () => {
+      it('should be unknown without fee rates', () => {
+        expect(payFormSelectors.batchFee(createBatchState(`${REGTEST_ADDRESS},1000`))).toBe(null)
+      })
+
+      it('should estimate the fee for a single transaction', () => {
+        const state = createBatchState(`${REGTEST_ADDRESS},1000`, 'sats', {
+          fast: 20,
+          normal: 10,
+          slow: 2
+        })
+        expect(payFormSelectors.batchFee(state)).toEqual(10 * (11 + 68 + 34 * 2))
+      })
+    })
+
+    describe('batchFormIsValid', () => {
+      it('should require at least one output', () => {
+        expect(payFormSelectors.batchFormIsValid(createBatchState('')).isValid).toBe(false)
+      })
+
+      it('should report the first invalid line', () => {
+        const state = createBatchState(`${REGTEST_ADDRESS},1000\n${TESTNET_ADDRESS},1000`)
+        expect(payFormSelectors.batchFormIsValid(state).errors.batchInput).toEqual(
+          'Line 2: Must be a valid BTC address'
+        )
+      })
+
+      it('should be valid when every output is valid', () => {
+        const state = createBatchState(`${REGTEST_ADDRESS},1000`)
+        expect(payFormSelectors.batchFormIsValid(state).isValid).toBe(true)
+        expect(payFormSelectors.batchTotal(state)).toEqual(1000)
+      })
+    })
+  })
+})
@@ -1,14 +1,42 @@
 // @flow
 
+import { lndRequest } from 'lib/utils/rpc'
 import paymentReducer, {
   SET_PAYMENT,
   GET_PAYMENTS,
   RECEIVE_PAYMENTS,
   SEND_PAYMENT,
+  RETRY_PAYMENT,
   PAYMENT_SUCCESSFULL,
-  PAYMENT_FAILED
+  PAYMENT_FAILED,
+  DISMISS_PAYMENT_FAILURE,
+  MAX_PAYMENT_ATTEMPTS,
+  RETRY_ROUTES,
+  diagnosePaymentFailure,
+  paymentFailed,
+  payInvoice
 } from 'reducers/payment'
 
+jest.mock('lib/utils/rpc', () => ({ lndRequest: jest.fn() }))
+
+const createState = ({ invoice = {}, channels = [] } = {}) => ({
+  payform: { invoice },
+  channels: { channels },
+  payment: paymentReducer(undefined, {})
+})
+
+// A minimal store that runs thunks and keeps the payment state up to date.
+const createStore = state => {
+  const dispatch = action => {
+    if (typeof action === 'function') {
+      return action(dispatch, () => state)
+    }
+    state.payment = paymentReducer(state.payment, action)
+    return action
+  }
+  return dispatch
+}
+
 describe('reducers', () => {
   describe('paymentReducer', () => {
     it('should handle initial state', () => {
@@ -54,5 +82,185 @@ describe('reducers', () => {
         paymentReducer(undefined, { type: PAYMENT_SUCCESSFULL, payment: 'foo' })
       ).toMatchSnapshot()
     })
+
+    it('should count retries without extending the timeout', () => {
+      let state = paymentReducer(undefined, { type: SEND_PAYMENT, feeLimit: { percent: 1 } })
+      state = paymentReducer({ ...state, paymentTimeout: 1000 }, { type: RETRY_PAYMENT })
+      expect(state.paymentAttempt).toEqual(2)
+      expect(state.paymentTimeout).toEqual(1000)
+      expect(state.feeLimit).toEqual({ percent: 1 })
+    })
+
+    it('should store and dismiss payment failures', () => {
+      const failure = { reason: 'no_route', error: 'unable to find a path to destination' }
+      const state = paymentReducer(undefined, { type: PAYMENT_FAILED, failure })
+      expect(state.failure).toEqual(failure)
+      expect(paymentReducer(state, { type: DISMISS_PAYMENT_FAILURE }).failure).toBe(null)
+    })
+  })
+
+  describe('diagnosePaymentFailure', () => {
+    const channels = [
+      { active: true, local_balance: '5000' },
+      { active: false, local_balance: '100000' }
+    ]
+    const now = Math.floor(Date.now() / 1000)
+
+    it('should spot expired invoices', () => {
+      const invoice = { num_satoshis: '1000', timestamp: String(now - 7200), expiry: '3600' }
+      expect(diagnosePaymentFailure('', createState({ invoice, channels }))).toEqual(
+        'invoice_expired'
+      )
+      expect(
+        diagnosePaymentFailure('invoice expired', createState({ invoice: {}, channels }))
+      ).toEqual('invoice_expired')
+    })
+
+    it('should spot payments larger than any active channel balance', () => {
+      const invoice = { num_satoshis: '10000', timestamp: String(now), expiry: '3600' }
+      expect(diagnosePaymentFailure('', createState({ invoice, channels }))).toEqual(
+        'insufficient_balance'
+      )
+    })
+
+    it('should go by the error from lnd before checking balances', () => {
+      const invoice = { num_satoshis: '10000', timestamp: String(now), expiry: '3600' }
+      const state = createState({ invoice, channels })
+      expect(diagnosePaymentFailure('route exceeds fee limit', state)).toEqual('fee_limit_exceeded')
+      expect(diagnosePaymentFailure('unable to find a path to destination', state)).toEqual(
+        'no_route'
+      )
+    })
+
+    it('should spot fee limits and missing routes', () => {
+      const invoice = { num_satoshis: '1000', timestamp: String(now), expiry: '3600' }
+      const state = createState({ invoice, channels })
+      expect(diagnosePaymentFailure('route exceeds fee limit', state)).toEqual('fee_limit_exceeded')
+      expect(diagnosePaymentFailure('unable to find a path to destination', state)).toEqual(
+        'no_route'
+      )
+      expect(diagnosePaymentFailure('something else', state)).toEqual('unknown')
+    })
+  })
+
+  describe('payInvoice', () => {
+    const invoice = { num_satoshis: '1000', payment_hash: 'hash' }
+    const channels = [{ active: true, local_balance: '5000' }]
+    const noRoute = () => new Error('unable to find a path to destination')
+    const cheapRoute = { total_fees: '5', total_amt: '1005', hops: [{ chan_id: '1' }] }
+    const dearRoute = { total_fees: '50', total_amt: '1050', hops: [{ chan_id: '2' }] }
+    const callsTo = msg => lndRequest.mock.calls.filter(call => call[0] === msg)
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+      lndRequest.mockReset()
+    })
+
+    it('should retry payments over the routes within the fee limit', async () => {
+      // Paying successfully refetches payments and balances too.
+      lndRequest.mockImplementation(msg => {
+        switch (msg) {
+          case 'sendPayment':
+            return Promise.reject(noRoute())
+          case 'getInvoiceAndQueryRoutes':
+            return Promise.resolve({ routes: [cheapRoute, dearRoute] })
+          case 'sendToRoute':
+            return Promise.resolve({ payment_route: {} })
+          default:
+            return new Promise(() => {})
+        }
+      })
+
+      const state = createState({ invoice, channels })
+      await payInvoice('lnbc1', { fixed: 10 })(createStore(state), () => state)
+
+      expect(callsTo('sendPayment')[0][1]).toEqual({
+        paymentRequest: 'lnbc1',
+        fee_limit: { fixed: 10 }
+      })
+      expect(callsTo('getInvoiceAndQueryRoutes')[0][1]).toEqual({
+        payreq: 'lnbc1',
+        num_routes: RETRY_ROUTES
+      })
+      expect(callsTo('sendToRoute')[0][1]).toEqual({
+        payment_hash_string: 'hash',
+        routes: [cheapRoute]
+      })
+      expect(state.payment.sendingPayment).toBe(false)
+      expect(state.payment.failure).toBe(null)
+    })
+
+    it('should not pay over the same routes twice', async () => {
+      lndRequest.mockImplementation(msg => {
+        switch (msg) {
+          case 'getInvoiceAndQueryRoutes':
+            return Promise.resolve({ routes: [cheapRoute] })
+          default:
+            return Promise.reject(noRoute())
+        }
+      })
+
+      const state = createState({ invoice, channels })
+      await payInvoice('lnbc1')(createStore(state), () => state)
+
+      expect(callsTo('getInvoiceAndQueryRoutes')).toHaveLength(MAX_PAYMENT_ATTEMPTS - 1)
+      expect(callsTo('sendToRoute')).toHaveLength(1)
+      expect(state.payment.failure.reason).toEqual('no_route')
+    })
+
+    it('should not show payments that went through after timing out as successful', async () => {
+      let succeed: Function = () => {}
+      lndRequest.mockImplementation(msg => {
+        if (msg === 'sendPayment') {
+          return new Promise(resolve => {
+            succeed = resolve
+          })
+        }
+        return new Promise(() => {})
+      })
+
+      const state = createState({ invoice, channels })
+      const dispatch = createStore(state)
+      const request = payInvoice('lnbc1')(dispatch, () => state)
+      dispatch(
+        paymentFailed(null, { error: 'Shoot, there was some trouble sending your payment.' })
+      )
+      succeed({ payment_route: {} })
+      await request
+
+      expect(state.payment.showSuccessPayScreen).toBe(false)
+      expect(state.payment.failure).not.toBe(null)
+    })
+
+    it('should give up after the maximum number of attempts', async () => {
+      lndRequest.mockRejectedValue(new Error('unable to find a path to destination'))
+
+      const state = createState({ invoice, channels })
+      await payInvoice('lnbc1')(createStore(state), () => state)
+
+      expect(lndRequest).toHaveBeenCalledTimes(MAX_PAYMENT_ATTEMPTS)
+      expect(state.payment.failure).toEqual({
+        reason: 'no_route',
+        error: 'unable to find a path to destination'
+      })
+    })
+
+    it('should diagnose payments of amountless invoices from their own amount', () => {
+      const state = {
+        ...createState({ invoice: { num_satoshis: '0' }, channels }),
+        payment: paymentReducer(undefined, { type: SEND_PAYMENT, amount: 10000 })
+      }
+      expect(diagnosePaymentFailure('', state)).toEqual('insufficient_balance')
+    })
+
+    it('should not retry other failures', async () => {
+      lndRequest.mockRejectedValue(new Error('invoice expired'))
+
+      const state = createState({ invoice, channels })
+      await payInvoice('lnbc1')(createStore(state), () => state)
+
+      expect(lndRequest).toHaveBeenCalledTimes(1)
+      expect(state.payment.failure.reason).toEqual('invoice_expired')
+    })
   })
 })
@@ -0,0 +1,180 @@
+import { lndRequest } from 'lib/utils/rpc'
+import probeReducer, {
+  MAX_PROBE_ROUTES,
+  PROBE_REACHED,
+  PROBE_INSUFFICIENT_LIQUIDITY,
+  SET_PROBE_PUBKEY,
+  SET_PROBE_AMOUNT,
+  PROBE_ROUTES,
+  RECEIVE_PROBE_REPORT,
+  PROBE_ROUTES_FAILED,
+  liquidityKey,
+  updateLiquidity,
+  probeDestination,
+  probeSelectors
+} from 'reducers/probe'
+import { SET_ERROR } from 'reducers/error'
+
+jest.mock('lib/utils/rpc', () => ({ lndRequest: jest.fn() }))
+
+const pubkey = `02${'a'.repeat(64)}`
+
+const edges = [
+  { channel_id: 1, node1_pub: '02me', node2_pub: '03bob' },
+  { channel_id: 2, node1_pub: '02carol', node2_pub: '03bob' }
+]
+
+// A route from our node over bob to carol.
+const route = {
+  total_fees: 1,
+  hops: [{ chan_id: 1, amt_to_forward: 1000, fee: 1 }, { chan_id: 2, amt_to_forward: 1000, fee: 0 }]
+}
+const hopNodes = [{ from: '02me', to: '03bob' }, { from: '03bob', to: '02carol' }]
+
+const createState = (probe = {}) => ({
+  probe: { ...probeReducer(undefined, {}), ...probe }
+})
+
+describe('reducers', () => {
+  describe('probeReducer', () => {
+    it('should handle initial state', () => {
+      expect(probeReducer(undefined, {})).toMatchSnapshot()
+    })
+
+    it('should correctly setProbePubkey and setProbeAmount', () => {
+      let state = probeReducer(undefined, { type: SET_PROBE_PUBKEY, pubkey })
+      state = probeReducer(state, { type: SET_PROBE_AMOUNT, amount: '1000' })
+      expect(state).toMatchObject({ pubkey, amount: '1000' })
+    })
+
+    it('should keep the report and what it says about liquidity', () => {
+      let state = probeReducer(undefined, { type: PROBE_ROUTES })
+      expect(state.probing).toBe(true)
+      const probes = [{ route, hopNodes, outcome: PROBE_REACHED, reachedHops: 2 }]
+      state = probeReducer(state, {
+        type: RECEIVE_PROBE_REPORT,
+        pubkey,
+        amount: 1000,
+        probes,
+        probedAt: 100
+      })
+      expect(state).toMatchObject({
+        probing: false,
+        report: { pubkey, amount: 1000, probes, probedAt: 100 }
+      })
+      expect(state.liquidity[liquidityKey(2, '03bob')]).toEqual({
+        canSend: 1000,
+        cannotSend: null,
+        probedAt: 100
+      })
+    })
+
+    it('should stop probing when probing fails', () => {
+      const state = probeReducer(undefined, { type: PROBE_ROUTES })
+      expect(probeReducer(state, { type: PROBE_ROUTES_FAILED }).probing).toBe(false)
+    })
+  })
+
+  describe('updateLiquidity', () => {
+    it('should narrow down the liquidity of the channels that a probe went over', () => {
+      const probes = [{ route, hopNodes, outcome: PROBE_INSUFFICIENT_LIQUIDITY, reachedHops: 1 }]
+      expect(updateLiquidity({}, probes, 100)).toEqual({
+        [liquidityKey(1, '02me')]: { canSend: 1001, cannotSend: null, probedAt: 100 },
+        [liquidityKey(2, '03bob')]: { canSend: null, cannotSend: 1000, probedAt: 100 }
+      })
+    })
+
+    it('should replace older estimates that a probe contradicts', () => {
+      const liquidity = {
+        [liquidityKey(2, '03bob')]: { canSend: 5000, cannotSend: null, probedAt: 50 },
+        [liquidityKey(1, '02me')]: { canSend: null, cannotSend: 500, probedAt: 50 }
+      }
+      const probes = [{ route, hopNodes, outcome: PROBE_INSUFFICIENT_LIQUIDITY, reachedHops: 1 }]
+      expect(updateLiquidity(liquidity, probes, 100)).toEqual({
+        [liquidityKey(1, '02me')]: { canSend: 1001, cannotSend: null, probedAt: 100 },
+        [liquidityKey(2, '03bob')]: { canSend: null, cannotSend: 1000, probedAt: 100 }
+      })
+    })
+
+    it('should not learn anything about hops after one that failed for another reason', () => {
+      const probes = [{ route, hopNodes: [null, null], outcome: 'failed', reachedHops: 0 }]
+      expect(updateLiquidity({}, probes, 100)).toEqual({})
+    })
+  })
+
+  describe('probeDestination', () => {
+    beforeEach(() => {
+      lndRequest.mockReset()
+    })
+
+    const getState = () => ({
+      ...createState({ pubkey: ` ${pubkey} `, amount: '0.00001' }),
+      ticker: { currency: 'btc' },
+      network: { edges },
+      info: { data: { identity_pubkey: '02me' } }
+    })
+
+    it('should probe routes for the amount in satoshis and work out the nodes of each hop', async () => {
+      const probes = [{ route, outcome: PROBE_REACHED, reachedHops: 2, error: null }]
+      lndRequest.mockResolvedValue({ pubkey, amount: 1000, probes })
+      const dispatch = jest.fn()
+      await probeDestination()(dispatch, getState)
+      expect(lndRequest).toHaveBeenCalledWith(
+        'probeRoutes',
+        { pubkey, amount: 1000, num_routes: MAX_PROBE_ROUTES },
+        { timeout: 0 }
+      )
+      expect(dispatch.mock.calls[1][0]).toMatchObject({
+        type: RECEIVE_PROBE_REPORT,
+        pubkey,
+        amount: 1000,
+        probes: [{ ...probes[0], hopNodes }]
+      })
+    })
+
+    it('should show an error when probing fails', async () => {
+      lndRequest.mockRejectedValue(new Error('unable to find a path'))
+      const dispatch = jest.fn()
+      await probeDestination()(dispatch, getState)
+      expect(dispatch.mock.calls.map(([action]) => action)).toEqual([
+        { type: PROBE_ROUTES, pubkey, amount: 1000 },
+        { type: PROBE_ROUTES_FAILED },
+        { type: SET_ERROR, error: 'unable to find a path' }
+      ])
+    })
+  })
+
+  describe('probeSelectors', () => {
+    it('should only allow probing a valid pubkey for a positive amount', () => {
+      expect(probeSelectors.probeFormIsValid(createState({ pubkey, amount: '1' }))).toBe(true)
+      expect(probeSelectors.probeFormIsValid(createState({ pubkey, amount: '0' }))).toBe(false)
+      expect(probeSelectors.probeFormIsValid(createState({ pubkey: '02', amount: '1' }))).toBe(
+        false
+      )
+    })
+
+    it('should report the status and liquidity of each hop', () => {
+      const probes = [{ route, hopNodes, outcome: PROBE_INSUFFICIENT_LIQUIDITY, reachedHops: 1 }]
+      const state = createState({
+        report: { pubkey, amount: 1000, probes, probedAt: 100 },
+        liquidity: updateLiquidity({}, probes, 100)
+      })
+      expect(probeSelectors.reachable(state)).toBe(false)
+      const [reportRoute] = probeSelectors.reportRoutes(state)
+      expect(reportRoute.fees).toEqual(1)
+      expect(reportRoute.hops.map(hop => [hop.chanId, hop.status, hop.liquidity])).toEqual([
+        ['1', 'passed', { canSend: 1001, cannotSend: null, probedAt: 100 }],
+        ['2', 'failed', { canSend: null, cannotSend: 1000, probedAt: 100 }]
+      ])
+    })
+
+    it('should be reachable when any of the routes reached the destination', () => {
+      const probes = [
+        { route, hopNodes, outcome: PROBE_INSUFFICIENT_LIQUIDITY, reachedHops: 1 },
+        { route, hopNodes, outcome: PROBE_REACHED, reachedHops: 2 }
+      ]
+      expect(probeSelectors.reachable(createState({ report: { probes } }))).toBe(true)
+      expect(probeSelectors.reachable(createState())).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,205 @@
+import { lndRequest } from 'lib/utils/rpc'
+import rebalanceReducer, {
+  MAX_REBALANCE_ROUTES,
+  REBALANCE_MEMO,
+  OPEN_REBALANCE_FORM,
+  SET_REBALANCE_SOURCE,
+  SET_REBALANCE_TARGET,
+  SET_REBALANCE_AMOUNT,
+  SET_REBALANCE_STEP,
+  RECEIVE_REBALANCE_ROUTE,
+  REBALANCE_SUCCESSFUL,
+  REBALANCE_FAILED,
+  openRebalanceForm,
+  rebalanceChannels,
+  rebalanceSelectors
+} from 'reducers/rebalance'
+import { SET_CHANNEL_FORM_TYPE } from 'reducers/contactsform'
+
+jest.mock('lib/utils/rpc', () => ({ lndRequest: jest.fn() }))
+
+const channels = [
+  {
+    chan_id: 1,
+    remote_pubkey: '02bob',
+    active: true,
+    capacity: 1000,
+    local_balance: 900,
+    remote_balance: 100
+  },
+  {
+    chan_id: 2,
+    remote_pubkey: '03carol',
+    active: true,
+    capacity: 1000,
+    local_balance: 200,
+    remote_balance: 800
+  },
+  {
+    chan_id: 3,
+    remote_pubkey: '02dave',
+    active: false,
+    capacity: 1000,
+    local_balance: 500,
+    remote_balance: 500
+  },
+  {
+    chan_id: 4,
+    remote_pubkey: '03erin',
+    active: true,
+    capacity: 2000,
+    local_balance: 1000,
+    remote_balance: 1000
+  }
+]
+
+const createState = (rebalance = {}) => ({
+  rebalance: { ...rebalanceReducer(undefined, {}), ...rebalance },
+  channels: { channels },
+  ticker: { currency: 'sats' }
+})
+
+describe('reducers', () => {
+  describe('rebalanceReducer', () => {
+    it('should handle initial state', () => {
+      expect(rebalanceReducer(undefined, {})).toMatchSnapshot()
+    })
+
+    it('should start over with the given source channel when the form is opened', () => {
+      let state = rebalanceReducer(undefined, { type: SET_REBALANCE_TARGET, chanId: 2 })
+      state = rebalanceReducer(state, { type: SET_REBALANCE_AMOUNT, amount: '100' })
+      state = rebalanceReducer(state, { type: REBALANCE_FAILED, error: 'no route' })
+      state = rebalanceReducer(state, { type: OPEN_REBALANCE_FORM, sourceChanId: 1 })
+      expect(state).toMatchObject({
+        sourceChanId: 1,
+        targetChanId: null,
+        amount: '100',
+        error: null
+      })
+    })
+
+    it('should not move funds from a channel to itself', () => {
+      let state = rebalanceReducer(undefined, { type: SET_REBALANCE_SOURCE, chanId: 1 })
+      state = rebalanceReducer(state, { type: SET_REBALANCE_TARGET, chanId: 1 })
+      expect(state).toMatchObject({ sourceChanId: null, targetChanId: 1 })
+      state = rebalanceReducer(state, { type: SET_REBALANCE_SOURCE, chanId: 1 })
+      expect(state).toMatchObject({ sourceChanId: 1, targetChanId: null })
+    })
+
+    it('should keep track of the progress and fee of a rebalance', () => {
+      let state = rebalanceReducer(undefined, {
+        type: SET_REBALANCE_STEP,
+        step: 'CREATING_INVOICE'
+      })
+      state = rebalanceReducer(state, { type: SET_REBALANCE_STEP, step: 'FINDING_ROUTE' })
+      state = rebalanceReducer(state, { type: RECEIVE_REBALANCE_ROUTE, fee: 3 })
+      state = rebalanceReducer(state, { type: SET_REBALANCE_STEP, step: 'PAYING' })
+      expect(state).toMatchObject({ step: 'PAYING', fee: 3 })
+      state = rebalanceReducer(state, { type: REBALANCE_SUCCESSFUL, fee: 2 })
+      expect(state).toMatchObject({ step: null, fee: 2, succeeded: true })
+    })
+  })
+
+  describe('openRebalanceForm', () => {
+    it('should open the rebalance form with the channel as the source', () => {
+      const dispatch = jest.fn()
+      openRebalanceForm(1)(dispatch)
+      expect(dispatch.mock.calls.map(([action]) => action)).toEqual([
+        { type: OPEN_REBALANCE_FORM, sourceChanId: 1 },
+        { type: SET_CHANNEL_FORM_TYPE, formType: 'REBALANCE_FORM' }
+      ])
+    })
+  })
+
+  describe('rebalanceChannels', () => {
+    const getState = () =>
+      createState({ sourceChanId: 1, targetChanId: 2, amount: '300', maxFee: '5' })
+    const routes = [{ total_fees: 2, hops: [] }]
+
+    beforeEach(() => {
+      lndRequest.mockReset()
+    })
+
+    it('should pay an invoice to ourselves over a route through both channels', async () => {
+      lndRequest.mockImplementation(msg => {
+        switch (msg) {
+          case 'createInvoice':
+            return Promise.resolve({ r_hash: 'hash', cltv_expiry: 144 })
+          case 'queryRebalanceRoutes':
+            return Promise.resolve({ routes })
+          case 'sendToRoute':
+            return Promise.resolve({ payment_hash_string: 'hash', payment_route: routes[0] })
+          default:
+            return Promise.resolve({ channels: [], pendingChannels: {} })
+        }
+      })
+      const dispatch = jest.fn()
+      await rebalanceChannels()(dispatch, getState)
+
+      expect(lndRequest.mock.calls.slice(0, 3)).toEqual([
+        ['createInvoice', { value: 300, memo: REBALANCE_MEMO, private: false }],
+        [
+          'queryRebalanceRoutes',
+          {
+            outgoing_chan_id: 1,
+            incoming_chan_id: 2,
+            incoming_pubkey: '03carol',
+            amount: 300,
+            fee_limit: 5,
+            final_cltv_delta: 144,
+            num_routes: MAX_REBALANCE_ROUTES
+          }
+        ],
+        ['sendToRoute', { payment_hash_string: 'hash', routes }, { timeout: 0 }]
+      ])
+      expect(dispatch.mock.calls.slice(0, 5).map(([action]) => action)).toEqual([
+        { type: SET_REBALANCE_STEP, step: 'CREATING_INVOICE' },
+        { type: SET_REBALANCE_STEP, step: 'FINDING_ROUTE' },
+        { type: RECEIVE_REBALANCE_ROUTE, fee: 2 },
+        { type: SET_REBALANCE_STEP, step: 'PAYING' },
+        { type: REBALANCE_SUCCESSFUL, fee: 2 }
+      ])
+    })
+
+    it('should fail without paying when there is no route within the fee limit', async () => {
+      lndRequest.mockImplementation(msg =>
+        Promise.resolve(msg === 'createInvoice' ? { r_hash: 'hash' } : { routes: [] })
+      )
+      const dispatch = jest.fn()
+      await rebalanceChannels()(dispatch, getState)
+      expect(lndRequest).toHaveBeenCalledTimes(2)
+      expect(dispatch).toHaveBeenLastCalledWith({
+        type: REBALANCE_FAILED,
+        error: 'No route through these channels was found within the fee limit.'
+      })
+    })
+  })
+
+  describe('rebalanceSelectors', () => {
+    it('should list active channels with the most to spend or receive first', () => {
+      const chanIds = list => list.map(channel => channel.chan_id)
+      expect(chanIds(rebalanceSelectors.sourceChannels(createState()))).toEqual([1, 4, 2])
+      expect(chanIds(rebalanceSelectors.targetChannels(createState()))).toEqual([2, 4, 1])
+    })
+
+    it('should suggest the amount that balances both channels', () => {
+      const state = createState({ sourceChanId: 1, targetChanId: 2 })
+      expect(rebalanceSelectors.suggestedAmount(state)).toEqual(300)
+      expect(
+        rebalanceSelectors.suggestedAmount(createState({ sourceChanId: 2, targetChanId: 1 }))
+      ).toEqual(0)
+      expect(rebalanceSelectors.suggestedAmount(createState())).toEqual(0)
+    })
+
+    it('should only allow amounts that both channels can carry', () => {
+      const isValid = rebalance => rebalanceSelectors.rebalanceFormIsValid(createState(rebalance))
+      const form = { sourceChanId: 1, targetChanId: 2, amount: '300', maxFee: '5' }
+      expect(isValid(form)).toBe(true)
+      expect(isValid({ ...form, maxFee: '0' })).toBe(true)
+      expect(isValid({ ...form, maxFee: '' })).toBe(false)
+      expect(isValid({ ...form, amount: '850' })).toBe(false)
+      expect(isValid({ ...form, amount: '0' })).toBe(false)
+      expect(isValid({ ...form, targetChanId: null })).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,67 @@
+import requestFormReducer, {
+  SET_REQUEST_OPTION,
+  MAX_DESCRIPTION_LENGTH,
+  setRequestOption,
+  setRequestShowAdvanced,
+  requestFormSelectors
+} from 'reducers/requestform'
+
+const createState = requestform => ({
+  requestform: { ...requestFormReducer(undefined, {}), ...requestform }
+})
+
+describe('reducers', () => {
+  describe('requestFormReducer', () => {
+    it('should handle initial state', () => {
+      expect(requestFormReducer(undefined, {})).toMatchSnapshot()
+    })
+
+    it('should have SET_REQUEST_OPTION', () => {
+      expect(SET_REQUEST_OPTION).toEqual('SET_REQUEST_OPTION')
+    })
+
+    it('should correctly setRequestShowAdvanced', () => {
+      expect(requestFormReducer(undefined, setRequestShowAdvanced(true)).showAdvanced).toBe(true)
+    })
+
+    it('should correctly setRequestOption', () => {
+      expect(requestFormReducer(undefined, setRequestOption('expiry', '30')).expiry).toEqual('30')
+    })
+  })
+
+  describe('requestFormSelectors', () => {
+    it('should leave options to lnd by default', () => {
+      expect(requestFormSelectors.invoiceOptions(createState({}))).toEqual({
+        expiry: undefined,
+        cltv_expiry: undefined,
+        use_fallback_addr: false,
+        use_description_hash: false
+      })
+    })
+
+    it('should convert the expiry to seconds', () => {
+      const state = createState({ expiry: '30', cltvExpiry: '40', fallbackAddress: true })
+      expect(requestFormSelectors.invoiceOptions(state)).toEqual({
+        expiry: 1800,
+        cltv_expiry: 40,
+        use_fallback_addr: true,
+        use_description_hash: false
+      })
+    })
+
+    it('should hash memos that are too long to fit in the request', () => {
+      const memo = 'a'.repeat(MAX_DESCRIPTION_LENGTH + 1)
+      expect(requestFormSelectors.usesDescriptionHash(createState({ memo }))).toBe(true)
+      expect(requestFormSelectors.usesDescriptionHash(createState({ memo: 'a' }))).toBe(false)
+    })
+
+    it('should require whole numbers for the expiry options', () => {
+      expect(
+        requestFormSelectors.requestFormIsValid(createState({ amount: '1', expiry: '1.5' }))
+      ).toBe(false)
+      expect(
+        requestFormSelectors.requestFormIsValid(createState({ amount: '1', cltvExpiry: '9' }))
+      ).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,188 @@
+import { lndRequest } from 'lib/utils/rpc'
+import routingReducer, {
+  PAGE_SIZE,
+  SET_ROUTING_TIME_RANGE,
+  GET_FORWARDING_HISTORY,
+  RECEIVE_FORWARDING_HISTORY,
+  FORWARDING_HISTORY_FAILED,
+  fetchForwardingHistory,
+  routingSelectors
+} from 'reducers/routing'
+
+jest.mock('lib/utils/rpc', () => ({ lndRequest: jest.fn() }))
+
+const DAY = 24 * 60 * 60
+const startTime = 1538352000
+const endTime = startTime + 30 * DAY
+
+const forwardingEvents = [
+  {
+    timestamp: startTime + 100,
+    chan_id_in: 1,
+    chan_id_out: 2,
+    amt_in: 1002,
+    amt_out: 1000,
+    fee: 2
+  },
+  {
+    timestamp: startTime + 200,
+    chan_id_in: 1,
+    chan_id_out: 2,
+    amt_in: 2003,
+    amt_out: 2000,
+    fee: 3
+  },
+  {
+    timestamp: startTime + DAY,
+    chan_id_in: 3,
+    chan_id_out: 1,
+    amt_in: 5010,
+    amt_out: 5000,
+    fee: 10
+  }
+]
+
+const createState = () => {
+  let routing = routingReducer(undefined, { type: GET_FORWARDING_HISTORY, startTime, endTime })
+  routing = routingReducer(routing, {
+    type: RECEIVE_FORWARDING_HISTORY,
+    startTime,
+    forwardingEvents
+  })
+  return {
+    routing,
+    channels: {
+      channels: [
+        { chan_id: 1, remote_pubkey: 'pubkey1' },
+        { chan_id: 2, remote_pubkey: 'pubkey2' }
+      ],
+      closedChannels: [{ chan_id: 3, remote_pubkey: 'pubkey3' }]
+    },
+    network: { nodes: [{ pub_key: 'pubkey1', alias: 'alice' }] }
+  }
+}
+
+describe('reducers', () => {
+  describe('routingReducer', () => {
+    it('should handle initial state', () => {
+      expect(routingReducer(undefined, {})).toMatchSnapshot()
+    })
+
+    it('should have GET_FORWARDING_HISTORY', () => {
+      expect(GET_FORWARDING_HISTORY).toEqual('GET_FORWARDING_HISTORY')
+    })
+
+    it('should have RECEIVE_FORWARDING_HISTORY', () => {
+      expect(RECEIVE_FORWARDING_HISTORY).toEqual('RECEIVE_FORWARDING_HISTORY')
+    })
+
+    it('should correctly setRoutingTimeRange', () => {
+      expect(
+        routingReducer(undefined, { type: SET_ROUTING_TIME_RANGE, timeRange: 'WEEK' })
+      ).toMatchSnapshot()
+    })
+
+    it('should correctly receiveForwardingHistory', () => {
+      expect(createState().routing).toMatchSnapshot()
+    })
+
+    it('should ignore forwarding history for a time range that has been replaced', () => {
+      const state = routingReducer(undefined, {
+        type: GET_FORWARDING_HISTORY,
+        startTime: startTime + DAY,
+        endTime
+      })
+      expect(
+        routingReducer(state, { type: RECEIVE_FORWARDING_HISTORY, startTime, forwardingEvents })
+      ).toEqual(state)
+    })
+
+    it('should correctly handle a failed forwarding history request', () => {
+      const state = routingReducer(undefined, { type: GET_FORWARDING_HISTORY, startTime, endTime })
+      expect(routingReducer(state, { type: FORWARDING_HISTORY_FAILED })).toMatchSnapshot()
+    })
+  })
+
+  describe('fetchForwardingHistory', () => {
+    beforeEach(() => {
+      lndRequest.mockReset()
+    })
+
+    it('should page through the forwarding history', async () => {
+      const fullPage = Array(PAGE_SIZE).fill(forwardingEvents[0])
+      lndRequest
+        .mockResolvedValueOnce({ forwarding_events: fullPage, last_offset_index: PAGE_SIZE })
+        .mockResolvedValueOnce({ forwarding_events: forwardingEvents, last_offset_index: 1003 })
+
+      const dispatch = jest.fn()
+      const getState = () => ({ routing: routingReducer(undefined, {}) })
+      await fetchForwardingHistory()(dispatch, getState)
+
+      expect(lndRequest).toHaveBeenCalledTimes(2)
+      expect(lndRequest.mock.calls[1][1]).toMatchObject({
+        index_offset: PAGE_SIZE,
+        num_max_events: PAGE_SIZE
+      })
+      const [{ startTime: requestedStart, endTime: requestedEnd }] = dispatch.mock.calls[0]
+      expect(requestedEnd - requestedStart).toEqual(30 * DAY)
+      expect(dispatch.mock.calls[1][0].forwardingEvents).toHaveLength(PAGE_SIZE + 3)
+    })
+  })
+
+  describe('routingSelectors', () => {
+    it('should total the fees earned', () => {
+      expect(routingSelectors.totalFees(createState())).toEqual(15)
+    })
+
+    it('should aggregate forwards by channel pair', () => {
+      expect(routingSelectors.channelPairs(createState())).toEqual([
+        { chanIdIn: '3', chanIdOut: '1', count: 1, amount: 5000, fees: 10 },
+        { chanIdIn: '1', chanIdOut: '2', count: 2, amount: 3000, fees: 5 }
+      ])
+    })
+
+    it('should list the top earning channels', () => {
+      expect(routingSelectors.topChannels(createState())).toEqual([
+        { chanId: '1', count: 3, fees: 15 },
+        { chanId: '3', count: 1, fees: 10 },
+        { chanId: '2', count: 2, fees: 5 }
+      ])
+    })
+
+    it('should split fees into buckets over the time range', () => {
+      const buckets = routingSelectors.feesOverTime(createState())
+      expect(buckets).toHaveLength(30)
+      expect(buckets.slice(0, 3)).toEqual([
+        { time: startTime, fees: 5 },
+        { time: startTime + DAY, fees: 10 },
+        { time: startTime + 2 * DAY, fees: 0 }
+      ])
+    })
+
+    it('should name channels after the remote node', () => {
+      expect(routingSelectors.channelNames(createState())).toEqual({
+        '1': 'alice',
+        '2': 'pubkey2',
+        '3': 'pubkey3'
+      })
+    })
+
+    it('should identify forwards by when and where they were forwarded', () => {
+      const { forwardingEvents: events } = createState().routing
+      expect(events[0].id).toEqual(`${startTime + 100}:1:2:1002:1000:1`)
+    })
+
+    it('should tell apart forwards that were forwarded at the same time through the same channels', () => {
+      const routing = routingReducer(
+        routingReducer(undefined, { type: GET_FORWARDING_HISTORY, startTime, endTime }),
+        {
+          type: RECEIVE_FORWARDING_HISTORY,
+          startTime,
+          forwardingEvents: [forwardingEvents[0], forwardingEvents[0], forwardingEvents[1]]
+        }
+      )
+      const ids = routing.forwardingEvents.map(event => event.id)
+      expect(new Set(ids).size).toEqual(3)
+    })
+  })
+})
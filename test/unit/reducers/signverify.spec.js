@@ -0,0 +1,104 @@
+import signVerifyReducer, {
+  SET_SIGN_VERIFY_TAB,
+  SIGN_MESSAGE,
+  SIGN_MESSAGE_SUCCESS,
+  SIGN_MESSAGE_FAILED,
+  VERIFY_MESSAGE,
+  VERIFY_MESSAGE_SUCCESS,
+  VERIFY_MESSAGE_FAILED,
+  CLEAR_SIGN_VERIFY,
+  openSignVerify,
+  signVerifySelectors
+} from 'reducers/signverify'
+import { SET_ERROR } from 'reducers/error'
+
+describe('reducers', () => {
+  describe('signVerifyReducer', () => {
+    it('should handle initial state', () => {
+      expect(signVerifyReducer(undefined, {})).toMatchSnapshot()
+    })
+
+    it('should have SIGN_MESSAGE', () => {
+      expect(SIGN_MESSAGE).toEqual('SIGN_MESSAGE')
+    })
+
+    it('should have VERIFY_MESSAGE', () => {
+      expect(VERIFY_MESSAGE).toEqual('VERIFY_MESSAGE')
+    })
+
+    it('should correctly setSignVerifyTab', () => {
+      expect(
+        signVerifyReducer(undefined, { type: SET_SIGN_VERIFY_TAB, tab: 'VERIFY' })
+      ).toMatchSnapshot()
+    })
+
+    it('should correctly signMessage', () => {
+      const state = signVerifyReducer(undefined, { type: SIGN_MESSAGE })
+      expect(state.signing).toBe(true)
+      expect(
+        signVerifyReducer(state, { type: SIGN_MESSAGE_SUCCESS, msg: 'hello', signature: 'sig' })
+      ).toMatchSnapshot()
+      expect(signVerifyReducer(state, { type: SIGN_MESSAGE_FAILED }).signing).toBe(false)
+    })
+
+    it('should correctly verifyMessage', () => {
+      const state = signVerifyReducer(undefined, { type: VERIFY_MESSAGE })
+      expect(state.verifying).toBe(true)
+      expect(
+        signVerifyReducer(state, { type: VERIFY_MESSAGE_SUCCESS, valid: true, pubkey: 'pubkey' })
+      ).toMatchSnapshot()
+      expect(signVerifyReducer(state, { type: VERIFY_MESSAGE_FAILED }).verifying).toBe(false)
+    })
+
+    it('should correctly clearSignVerify', () => {
+      const state = signVerifyReducer(undefined, {
+        type: SIGN_MESSAGE_SUCCESS,
+        msg: 'hello',
+        signature: 'sig'
+      })
+      expect(signVerifyReducer(state, { type: CLEAR_SIGN_VERIFY })).toEqual(
+        signVerifyReducer(undefined, {})
+      )
+    })
+  })
+
+  describe('openSignVerify', () => {
+    it('should require a connection to lnd', () => {
+      const dispatch = jest.fn()
+      openSignVerify()(dispatch, () => ({ lnd: { lightningGrpcActive: false } }))
+      expect(dispatch).toHaveBeenCalledTimes(1)
+      expect(dispatch.mock.calls[0][0].type).toEqual(SET_ERROR)
+    })
+
+    it('should open the sign / verify screen', () => {
+      const dispatch = jest.fn()
+      openSignVerify()(dispatch, () => ({ lnd: { lightningGrpcActive: true } }))
+      expect(dispatch.mock.calls[0][0]).toEqual({ type: CLEAR_SIGN_VERIFY })
+      expect(dispatch.mock.calls[1][0].payload).toMatchObject({ args: ['/sign-verify'] })
+    })
+  })
+
+  describe('signVerifySelectors', () => {
+    const nodes = [{ pub_key: 'pubkey', alias: 'alice' }]
+    const createState = verification => ({
+      signverify: { verification },
+      network: { nodes }
+    })
+
+    it('should find the node that made a valid signature', () => {
+      expect(
+        signVerifySelectors.verifiedNode(createState({ valid: true, pubkey: 'pubkey' }))
+      ).toEqual(nodes[0])
+    })
+
+    it('should not find a node for unknown or invalid signatures', () => {
+      expect(signVerifySelectors.verifiedNode(createState({ valid: true, pubkey: 'other' }))).toBe(
+        null
+      )
+      expect(
+        signVerifySelectors.verifiedNode(createState({ valid: false, pubkey: 'pubkey' }))
+      ).toBe(null)
+      expect(signVerifySelectors.verifiedNode(createState(null))).toBe(null)
+    })
+  })
+})
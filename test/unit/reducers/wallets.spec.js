@@ -0,0 +1,63 @@
+import walletsReducer, {
+  FETCH_WALLETS,
+  RECEIVE_WALLETS,
+  SWITCHING_WALLET,
+  RENAME_WALLET,
+  DELETE_WALLET
+} from 'reducers/wallets'
+
+describe('reducers', () => {
+  describe('walletsReducer', () => {
+    it('should handle initial state', () => {
+      expect(walletsReducer(undefined, {})).toMatchSnapshot()
+    })
+
+    it('should have FETCH_WALLETS', () => {
+      expect(FETCH_WALLETS).toEqual('FETCH_WALLETS')
+    })
+
+    it('should have RECEIVE_WALLETS', () => {
+      expect(RECEIVE_WALLETS).toEqual('RECEIVE_WALLETS')
+    })
+
+    it('should have SWITCHING_WALLET', () => {
+      expect(SWITCHING_WALLET).toEqual('SWITCHING_WALLET')
+    })
+
+    it('should have RENAME_WALLET', () => {
+      expect(RENAME_WALLET).toEqual('RENAME_WALLET')
+    })
+
+    it('should have DELETE_WALLET', () => {
+      expect(DELETE_WALLET).toEqual('DELETE_WALLET')
+    })
+
+    it('should correctly fetchWallets', () => {
+      expect(walletsReducer(undefined, { type: FETCH_WALLETS })).toMatchSnapshot()
+    })
+
+    it('should correctly receiveWallets', () => {
+      const wallets = [
+        {
+          key: 'local.bitcoin.testnet.wallet-1',
+          type: 'local',
+          currency: 'bitcoin',
+          network: 'testnet',
+          wallet: 'wallet-1'
+        }
+      ]
+      expect(
+        walletsReducer(undefined, {
+          type: RECEIVE_WALLETS,
+          wallets,
+          activeWallet: 'local.bitcoin.testnet.wallet-1'
+        })
+      ).toMatchSnapshot()
+    })
+
+    it('should correctly switchingWallet', () => {
+      const state = { activeWallet: 'local.bitcoin.testnet.wallet-1' }
+      expect(walletsReducer(state, { type: SWITCHING_WALLET })).toMatchSnapshot()
+    })
+  })
+})
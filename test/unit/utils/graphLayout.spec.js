@@ -0,0 +1,127 @@
+import {
+  MAX_LAYOUT_STEPS,
+  UPDATE_LAYOUT_STEPS,
+  createLayout,
+  stepLayout,
+  isLayoutSettled,
+  hasSameTopology,
+  findNearestNode
+} from 'lib/utils/graphLayout'
+
+const nodes = [{ pub_key: 'a' }, { pub_key: 'b' }, { pub_key: 'c' }, { pub_key: 'd' }]
+const edges = [
+  { node1_pub: 'a', node2_pub: 'b' },
+  { node1_pub: 'a', node2_pub: 'c' },
+  { node1_pub: 'a', node2_pub: 'unknown' }
+]
+
+const distance = (layout, i, j) => Math.hypot(layout.x[i] - layout.x[j], layout.y[i] - layout.y[j])
+
+describe('graphLayout', () => {
+  describe('createLayout', () => {
+    it('should link the nodes of channels that are both in the graph', () => {
+      const layout = createLayout(nodes, edges)
+      expect(Array.from(layout.links)).toEqual([0, 1, 0, 2])
+      expect(Array.from(layout.degree)).toEqual([2, 1, 1, 0])
+    })
+
+    it('should put the best connected node in the middle', () => {
+      const layout = createLayout(nodes, edges)
+      expect(layout.x[0]).toEqual(0)
+      expect(layout.y[0]).toEqual(0)
+    })
+
+    it('should keep the positions of nodes from a previous layout', () => {
+      const previous = createLayout(nodes, edges)
+      previous.x[1] = 123
+      previous.y[1] = 456
+      const layout = createLayout([{ pub_key: 'e' }, ...nodes], edges, previous)
+      expect(layout.x[2]).toEqual(123)
+      expect(layout.y[2]).toEqual(456)
+    })
+
+    it('should start new nodes next to a peer from a previous layout', () => {
+      const previous = createLayout(nodes, edges)
+      previous.x[3] = 500
+      previous.y[3] = 500
+      const layout = createLayout(
+        [...nodes, { pub_key: 'e' }],
+        [...edges, { node1_pub: 'd', node2_pub: 'e' }],
+        previous
+      )
+      expect(distance(layout, 3, 4)).toBeCloseTo(20)
+    })
+
+    it('should only settle updated layouts for a few more steps', () => {
+      const previous = createLayout(nodes, edges)
+      while (!isLayoutSettled(previous)) {
+        stepLayout(previous)
+      }
+      const layout = createLayout([...nodes, { pub_key: 'e' }], edges, previous)
+      expect(layout.steps).toEqual(MAX_LAYOUT_STEPS - UPDATE_LAYOUT_STEPS)
+      expect(createLayout(nodes, edges, createLayout(nodes, edges)).steps).toEqual(0)
+    })
+
+    it('should stay settled when no nodes have been added', () => {
+      const previous = createLayout(nodes, edges)
+      while (!isLayoutSettled(previous)) {
+        stepLayout(previous)
+      }
+      expect(isLayoutSettled(createLayout(nodes.slice(1), edges, previous))).toBe(true)
+    })
+  })
+
+  describe('hasSameTopology', () => {
+    it('should ignore changes to the details of nodes and channels', () => {
+      const layout = createLayout(nodes, edges)
+      const updatedEdges = edges.map(edge => ({
+        ...edge,
+        node1_policy: { fee_rate_milli_msat: '1' }
+      }))
+      expect(hasSameTopology(layout, nodes.map(node => ({ ...node })), updatedEdges)).toBe(true)
+    })
+
+    it('should spot nodes and channels that have come or gone', () => {
+      const layout = createLayout(nodes, edges)
+      expect(hasSameTopology(layout, [...nodes, { pub_key: 'e' }], edges)).toBe(false)
+      expect(hasSameTopology(layout, nodes, edges.slice(1))).toBe(false)
+      expect(hasSameTopology(layout, nodes, [...edges, { node1_pub: 'b', node2_pub: 'd' }])).toBe(
+        false
+      )
+    })
+  })
+
+  describe('stepLayout', () => {
+    it('should settle after a fixed number of steps', () => {
+      const layout = createLayout(nodes, edges)
+      while (!isLayoutSettled(layout)) {
+        stepLayout(layout)
+      }
+      expect(layout.steps).toEqual(MAX_LAYOUT_STEPS)
+    })
+
+    it('should separate nodes that are on top of each other', () => {
+      const layout = createLayout(nodes, [])
+      layout.x.fill(0)
+      layout.y.fill(0)
+      stepLayout(layout)
+      expect(distance(layout, 0, 1)).toBeGreaterThan(0)
+    })
+
+    it('should pull linked nodes closer than unlinked ones', () => {
+      const layout = createLayout(nodes, edges)
+      for (let i = 0; i < MAX_LAYOUT_STEPS; i += 1) {
+        stepLayout(layout)
+      }
+      expect(distance(layout, 0, 1)).toBeLessThan(distance(layout, 0, 3))
+    })
+  })
+
+  describe('findNearestNode', () => {
+    it('should find the closest node within the given distance', () => {
+      const layout = createLayout(nodes, edges)
+      expect(findNearestNode(layout, layout.x[2] + 1, layout.y[2], 5)).toEqual(2)
+      expect(findNearestNode(layout, 1000, 1000, 5)).toEqual(-1)
+    })
+  })
+})
@@ -0,0 +1,92 @@
+import { SCORE_WEIGHTS, scoreNodes } from 'lib/utils/nodeScoring'
+
+const now = 1000000000
+const day = 24 * 60 * 60
+
+const policy = (feeRate, disabled = false) => ({ fee_rate_milli_msat: feeRate, disabled })
+const node = (pubkey, age = 0) => ({ pub_key: pubkey, last_update: now - age })
+
+const nodes = [node('hub'), node('a', 7 * day), node('b', 30 * day), node('c')]
+const edges = [
+  {
+    node1_pub: 'hub',
+    node2_pub: 'a',
+    capacity: '1000000',
+    node1_policy: policy('1'),
+    node2_policy: policy('5000')
+  },
+  {
+    node1_pub: 'hub',
+    node2_pub: 'b',
+    capacity: '1000000',
+    node1_policy: policy('1'),
+    node2_policy: null
+  },
+  {
+    node1_pub: 'hub',
+    node2_pub: 'c',
+    capacity: '100000',
+    node1_policy: policy('1'),
+    node2_policy: policy('1', true)
+  },
+  {
+    node1_pub: 'a',
+    node2_pub: 'unknown',
+    capacity: '5000000',
+    node1_policy: policy('1'),
+    node2_policy: null
+  }
+]
+
+const scoresByPubkey = () =>
+  scoreNodes(nodes, edges, now).reduce(
+    (scores, score) => ({ ...scores, [score.pubkey]: score }),
+    {}
+  )
+
+describe('nodeScoring', () => {
+  it('should have weights that add up to one', () => {
+    const total = Object.values(SCORE_WEIGHTS).reduce((sum, weight) => sum + weight, 0)
+    expect(total).toBeCloseTo(1)
+  })
+
+  it('should rank the best connected node first', () => {
+    const scores = scoreNodes(nodes, edges, now)
+    expect(scores[0].pubkey).toEqual('hub')
+    expect(scores[scores.length - 1].pubkey).toEqual('b')
+    expect(scores[0].measures.capacity).toEqual(1)
+    expect(scores[0].measures.channels).toEqual(1)
+    expect(scores[0].measures.centrality).toEqual(1)
+  })
+
+  it('should ignore channels to nodes that are not in the graph', () => {
+    const { a, b } = scoresByPubkey()
+    expect(a.measures.capacity).toEqual(b.measures.capacity)
+    expect(a.measures.channels).toEqual(b.measures.channels)
+  })
+
+  it('should score how recently nodes were heard from', () => {
+    const { hub, a, b } = scoresByPubkey()
+    expect(hub.measures.uptime).toEqual(1)
+    expect(a.measures.uptime).toBeCloseTo(0.5)
+    expect(b.measures.uptime).toEqual(0)
+  })
+
+  it('should score cheap nodes with enabled channels higher', () => {
+    const { hub, a, b, c } = scoresByPubkey()
+    expect(hub.measures.fees).toBeCloseTo(1000 / 1001)
+    expect(a.measures.fees).toBeCloseTo(1000 / 6000)
+    expect(b.measures.fees).toEqual(0)
+    expect(c.measures.fees).toEqual(0)
+  })
+
+  it('should score nodes without channels', () => {
+    expect(scoreNodes([node('a')], [], now)).toEqual([
+      {
+        pubkey: 'a',
+        score: SCORE_WEIGHTS.uptime + SCORE_WEIGHTS.centrality,
+        measures: { capacity: 0, channels: 0, centrality: 1, uptime: 1, fees: 0 }
+      }
+    ])
+  })
+})
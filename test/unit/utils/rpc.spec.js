@@ -0,0 +1,67 @@
+import { ipcRenderer } from 'electron'
+import { lndRequest, handleLndResponse, DEADLINE_EXCEEDED } from 'lib/utils/rpc'
+
+const lastRequest = () => ipcRenderer.send.mock.calls[ipcRenderer.send.mock.calls.length - 1][1]
+
+describe('rpc', () => {
+  describe('lndRequest', () => {
+    beforeEach(() => {
+      ipcRenderer.send.mockClear()
+    })
+
+    it('should send the request with a unique id', () => {
+      lndRequest('info')
+      const first = lastRequest()
+      lndRequest('balance', { foo: 'bar' })
+      const second = lastRequest()
+
+      expect(first.msg).toEqual('info')
+      expect(second).toEqual(expect.objectContaining({ msg: 'balance', data: { foo: 'bar' } }))
+      expect(first.id).not.toEqual(second.id)
+    })
+
+    it('should listen for responses', () => {
+      lndRequest('info')
+      expect(ipcRenderer.on).toHaveBeenCalledWith('lndResponse', handleLndResponse)
+    })
+
+    it('should resolve with the result of the matching response', async () => {
+      const request = lndRequest('info')
+      const { id } = lastRequest()
+      handleLndResponse(null, { id, result: { alias: 'zap' } })
+      await expect(request).resolves.toEqual({ alias: 'zap' })
+    })
+
+    it('should reject with a structured error', async () => {
+      const request = lndRequest('describeNetwork')
+      const { id } = lastRequest()
+      handleLndResponse(null, {
+        id,
+        error: {
+          code: 14,
+          details: 'Connect Failed',
+          message: 'Error: 14 UNAVAILABLE: Connect Failed'
+        }
+      })
+      await expect(request).rejects.toEqual(
+        expect.objectContaining({
+          code: 14,
+          details: 'Connect Failed',
+          message: 'Error: 14 UNAVAILABLE: Connect Failed'
+        })
+      )
+    })
+
+    it('should reject when the request times out', async () => {
+      jest.useFakeTimers()
+      const request = lndRequest('info', undefined, { timeout: 1000 })
+      jest.advanceTimersByTime(1000)
+      await expect(request).rejects.toEqual(expect.objectContaining({ code: DEADLINE_EXCEEDED }))
+      jest.useRealTimers()
+    })
+
+    it('should ignore responses to unknown requests', () => {
+      expect(() => handleLndResponse(null, { id: -1, result: {} })).not.toThrow()
+    })
+  })
+})
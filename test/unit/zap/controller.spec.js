@@ -1,7 +1,10 @@
+import Store from 'electron-store'
 import ZapController from 'lib/zap/controller'
 import LndConfig from 'lib/lnd/config'
 
+jest.mock('electron-store')
 jest.mock('lib/lnd/lightning')
+jest.mock('lib/lnd/crashHistory')
 const Lightning = require('lib/lnd/lightning')
 
 describe('ZapController', function() {
@@ -51,4 +54,93 @@ describe('ZapController', function() {
       })
     })
   })
+  describe('.handleLndCrash', () => {
+    beforeEach(() => {
+      jest.useFakeTimers()
+      this.controller = new ZapController({ webContents: { send: jest.fn() } })
+      this.controller.sendMessage = jest.fn()
+      this.controller.restartLnd = jest.fn()
+      this.crash = { date: '2018-10-01T12:00:00.000Z', code: 2, signal: null }
+      this.autoRestart = true
+      Store.prototype.get.mockImplementation(
+        (key, defaultValue) => (key === 'lndAutoRestart' ? this.autoRestart : defaultValue)
+      )
+    })
+    afterEach(() => {
+      Store.prototype.get.mockReset()
+      jest.useRealTimers()
+    })
+
+    it('should add the crash to the crash history', () => {
+      this.controller.handleLndCrash(this.crash)
+      expect(this.controller.crashHistory.add).toHaveBeenCalledWith(this.crash)
+    })
+
+    it('should restart lnd with an increasing delay', () => {
+      this.controller.handleLndCrash(this.crash)
+      expect(this.controller.sendMessage).toHaveBeenLastCalledWith('lndCrashed', {
+        crash: this.crash,
+        restarting: true,
+        attempt: 1,
+        delay: 2000
+      })
+      jest.advanceTimersByTime(2000)
+      expect(this.controller.restartLnd).toHaveBeenCalledTimes(1)
+
+      this.controller.handleLndCrash(this.crash)
+      expect(this.controller.sendMessage).toHaveBeenLastCalledWith(
+        'lndCrashed',
+        expect.objectContaining({ attempt: 2, delay: 4000 })
+      )
+    })
+
+    it('should give up after too many consecutive crashes', () => {
+      this.controller.restartAttempts = 5
+      this.controller.handleLndCrash(this.crash)
+      expect(this.controller.sendMessage).toHaveBeenLastCalledWith('lndCrashed', {
+        crash: this.crash,
+        restarting: false
+      })
+      jest.runAllTimers()
+      expect(this.controller.restartLnd).not.toHaveBeenCalled()
+    })
+
+    it('should not restart lnd when automatic restarts are disabled', () => {
+      this.autoRestart = false
+      this.controller.handleLndCrash(this.crash)
+      expect(this.controller.sendMessage).toHaveBeenLastCalledWith('lndCrashed', {
+        crash: this.crash,
+        restarting: false
+      })
+      jest.runAllTimers()
+      expect(this.controller.restartLnd).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('.finishOnboarding', () => {
+    beforeEach(() => {
+      this.controller = new ZapController()
+      this.controller.lndConfig = new LndConfig({
+        type: 'local',
+        currency: 'bitcoin',
+        network: 'testnet',
+        wallet: 'wallet-2'
+      })
+      this.controller.startLnd = jest.fn()
+      jest.spyOn(LndConfig, 'nextWalletName').mockReturnValue('wallet-1')
+    })
+    afterEach(() => LndConfig.nextWalletName.mockRestore())
+
+    it('should keep the wallet name when the network has not changed', () => {
+      this.controller.finishOnboarding({ type: 'local', network: 'testnet' })
+      expect(this.controller.lndConfig.wallet).toEqual('wallet-2')
+      expect(this.controller.startLnd).toHaveBeenCalled()
+    })
+
+    it('should pick an unused wallet name when a different network has been chosen', () => {
+      this.controller.finishOnboarding({ type: 'local', network: 'mainnet' })
+      expect(LndConfig.nextWalletName).toHaveBeenCalledWith('bitcoin', 'mainnet')
+      expect(this.controller.lndConfig).toMatchObject({ network: 'mainnet', wallet: 'wallet-1' })
+    })
+  })
 })